@@ -4,7 +4,16 @@
  * OPERA Database to Salesforce Sync - Polling Mode
  *
  * Polls Oracle database at regular intervals to detect new/updated guest
- * email records and syncs them to Salesforce.
+ * email records and syncs them to Salesforce. Each configured property
+ * (src/properties.js) is polled in turn with its own watermark and stats.
+ *
+ * Usage:
+ *   node opera-db-sync.js                                      # run the polling service
+ *   node opera-db-sync.js replay --from 2026-02-01 --to 2026-02-14
+ *   node opera-db-sync.js replay --name-ids 4143484,3010713
+ *   node opera-db-sync.js replay --file missing-checkins.json  [--dry-run] [--property CODE]
+ *   node opera-db-sync.js backfill-resv-ids [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--dry-run] [--property CODE]
+ *   node opera-db-sync.js andon pull [--reason "text"] | release | status
  */
 
 require('dotenv').config();
@@ -22,12 +31,22 @@ process.on('uncaughtException', (err) => {
 
 const SalesforceClient = require('./src/salesforce-client');
 const OracleClient = require('./src/oracle-client');
+const { isConnectionError } = require('./src/oracle-client');
 const SyncState = require('./src/sync-state');
+const Outbox = require('./src/outbox');
+const { PENDING_FILE } = require('./src/pending-writes');
+const { Andon } = require('./src/andon');
 const Notifier = require('./src/notifier');
 const DailyStats = require('./src/daily-stats');
 const { setupDailySummary, setupFrontDeskReport } = require('./src/scheduler');
-const { queryGuestsSince, queryFrontDeskReport } = require('./src/opera-db-query');
+const { queryGuestsSince, streamInitialSync, queryGuestsByIds, queryNameIdsByCheckIn, queryFrontDeskReport } = require('./src/opera-db-query');
+const { parseReplayArgs, readNameIdsFile, replayOutcomes, formatResultTable } = require('./src/replay');
+const { parseBackfillArgs, backfillResvIds } = require('./src/resv-id-backfill');
 const SheetsClient = require('./src/sheets-client');
+const { startStatusServer, withTimeout } = require('./src/status-server');
+const { getProperties, getProperty, propertyFile } = require('./src/properties');
+const { formatSchemaProblems } = require('./src/schema-check');
+const metrics = require('./src/metrics');
 
 // Configuration
 const CONFIG = {
@@ -46,18 +65,32 @@ const CONFIG = {
     refreshToken: process.env.SF_REFRESH_TOKEN,
     objectType: process.env.SF_OBJECT || 'TVRS_Guest__c'
   },
-  pollIntervalMs: parseInt(process.env.POLL_INTERVAL_MINUTES || 5) * 60 * 1000
+  pollIntervalMs: parseInt(process.env.POLL_INTERVAL_MINUTES || 5) * 60 * 1000,
+  schemaCheckIntervalMs: parseInt(process.env.SF_SCHEMA_CHECK_INTERVAL_MINUTES || 60) * 60 * 1000
 };
 
 // Global state
 let sfClient;
 let oracleClient;
-let syncState;
-let notifier;
-let dailyStats;
-let sheetsClient;
+let outbox;
+let andon;
+let notifier; // service-level alerts (Salesforce connection, andon cord)
+let sites = []; // one per property: { property, syncState, dailyStats, notifier, sheetsClient }
 let pollTimer = null;
+let schemaTimer = null;
+let alertedSchemaProblems = ''; // last drift alert sent, so each change is announced once
 let isPolling = false;
+let lastPollStartedAt = null;
+let lastPollFinishedAt = null;
+let statusServer = null;
+
+// Refusals raised before anything is written (schema drift, API usage critical,
+// Oracle circuit open): the work is retried as-is later, not counted as a failed attempt
+const REFUSAL_CODES = new Set(['SCHEMA_DRIFT', 'API_LIMIT', 'ORACLE_UNAVAILABLE']);
+
+function isRefusal(err) {
+  return REFUSAL_CODES.has(err && err.code);
+}
 
 /**
  * Initialize the application
@@ -75,21 +108,28 @@ async function initialize() {
     require('fs').mkdirSync('logs');
   }
 
-  syncState = new SyncState();
+  outbox = new Outbox();
+  andon = new Andon();
   notifier = new Notifier();
-  dailyStats = new DailyStats();
-  sheetsClient = new SheetsClient();
+  sites = getProperties().map(createSite);
 
-  // Connect to Salesforce
-  sfClient = new SalesforceClient(CONFIG.salesforce);
+  // Connect to Salesforce. Held-back cancellations / Contact dates are kept on disk
+  // (replay and backfill clients keep theirs in memory)
+  sfClient = new SalesforceClient({ ...CONFIG.salesforce, pendingFile: PENDING_FILE });
+  // Alert before the org's daily API allocation runs out (and when it recovers)
+  sfClient.apiLimits.on('level', snapshot => {
+    notifier.notifyApiLimit(snapshot).catch(err => logger.error('Failed to send API limit notification:', err.message));
+  });
 
-  // Setup daily summary scheduler (no fileTracker for DB mode)
-  setupDailySummary(notifier, dailyStats, null);
+  for (const site of sites) {
+    // Setup daily summary scheduler (no fileTracker for DB mode)
+    setupDailySummary(site.notifier, site.dailyStats, null);
 
-  // Setup front desk report scheduler (wired to Oracle for direct queries)
-  // Note: oracleClient is connected after this, but the queryFn closure captures the variable
-  // and only executes at scheduled time, by which point oracleClient is connected.
-  setupFrontDeskReport(notifier, dailyStats, (dateStr) => queryFrontDeskReport(oracleClient, dateStr));
+    // Setup front desk report scheduler (wired to Oracle for direct queries)
+    // Note: oracleClient is connected after this, but the queryFn closure captures the variable
+    // and only executes at scheduled time, by which point oracleClient is connected.
+    setupFrontDeskReport(site.notifier, site.dailyStats, (dateStr) => queryFrontDeskReport(oracleClient, dateStr, site.property));
+  }
   logger.info('Testing Salesforce connection...');
   const sfConnected = await sfClient.test();
   if (!sfConnected) {
@@ -98,8 +138,19 @@ async function initialize() {
     process.exit(1);
   }
 
+  // Refuse to sync against a Salesforce schema that no longer matches the field mapping
+  await checkSalesforceSchema();
+  await refreshApiLimits();
+
   // Connect to Oracle
   oracleClient = new OracleClient(CONFIG.oracle);
+  // One alert per outage (night audit restarts stay quiet unless they outlast the breaker threshold)
+  oracleClient.on('unavailable', outage => {
+    notifier.notifyOracleUnavailable(outage).catch(err => logger.error('Failed to send Oracle unavailable notification:', err.message));
+  });
+  oracleClient.on('recovered', outage => {
+    notifier.notifyOracleRecovered(outage).catch(err => logger.error('Failed to send Oracle recovery notification:', err.message));
+  });
   await oracleClient.connect();
 
   logger.info('Configuration:');
@@ -107,15 +158,56 @@ async function initialize() {
   logger.info(`  Salesforce Object: ${CONFIG.salesforce.objectType}`);
   logger.info(`  Poll Interval: ${CONFIG.pollIntervalMs / 1000 / 60} minutes`);
 
-  const stats = syncState.getStats();
-  logger.info(`  Last sync: ${stats.lastSyncTimestamp || 'never'}`);
+  for (const { property, syncState } of sites) {
+    const stats = syncState.getStats();
+    logger.info(`  Property ${property.code} (resort ${property.resort}): last sync ${stats.lastSyncTimestamp || 'never'}, watermark ${stats.watermark || 'none'} (next poll since ${syncState.getSince() || 'beginning'})`);
+  }
+  const outboxStats = outbox.getStats();
+  logger.info(`  Outbox: ${outboxStats.pending} pending retry, ${outboxStats.escalated} escalated`);
+  const andonStatus = andon.getStatus();
+  if (andonStatus.pulled) {
+    logger.warn(`  Andon cord: PULLED (${andonStatus.source}${andonStatus.reason ? `: ${andonStatus.reason}` : ''}) — ${andonStatus.held} record(s) held`);
+  }
 
   // Validate check-in spreadsheet access at startup (disables feature with warning if inaccessible)
-  await sheetsClient.validateCheckinAccess();
+  for (const site of sites) {
+    await site.sheetsClient.validateCheckinAccess();
+  }
 
   logger.info('='.repeat(70));
 }
 
+/**
+ * Per-property state, stats, recipients and sheets. The default (first)
+ * property keeps the original file names and env settings.
+ */
+function createSite(property) {
+  const multiProperty = getProperties().length > 1;
+  return {
+    property,
+    syncState: new SyncState(propertyFile(property, SyncState.STATE_FILE)),
+    dailyStats: new DailyStats(propertyFile(property, 'daily-stats.json')),
+    notifier: new Notifier({
+      emailTo: property.emailTo,
+      frontDeskEmailTo: property.frontDeskEmailTo,
+      label: multiProperty ? property.name : null
+    }),
+    sheetsClient: new SheetsClient({
+      hotelId: property.hotelId || undefined,
+      spreadsheetId: property.checkoutSheetId,
+      checkinSpreadsheetId: property.checkinSheetId
+    })
+  };
+}
+
+/**
+ * Does an outbox/held entry belong to this site? Entries queued before
+ * multi-property support carry no code and belong to the default property.
+ */
+function belongsTo(entry, site) {
+  return getProperty(entry.property) === site.property;
+}
+
 /**
  * Validate configuration
  */
@@ -137,7 +229,91 @@ function validateConfig() {
 }
 
 /**
- * Poll for changes and sync
+ * Record per-entry Salesforce outcomes in the outbox: failed writes are queued
+ * (or re-queued with backoff), everything else that was sent is cleared.
+ * Entries that just ran out of attempts are escalated to the daily summary.
+ */
+function updateOutbox(site, sentEntries, results) {
+  const failedKeys = new Set();
+  const escalated = [];
+
+  for (const { entry, reason, error } of results.failedEntries || []) {
+    failedKeys.add(Outbox.keyFor(entry));
+    const item = outbox.recordFailure(entry, reason, error);
+    if (item) escalated.push(item);
+  }
+
+  for (const entry of sentEntries) {
+    if (!failedKeys.has(Outbox.keyFor(entry))) outbox.resolve(entry);
+  }
+
+  reportEscalated(site, escalated);
+}
+
+/**
+ * Add outbox entries that ran out of retries to the daily summary's needs-review list
+ */
+function reportEscalated(site, items) {
+  if (items.length > 0) {
+    site.dailyStats.addNeedsReview(items.length, items.map(item => {
+      const { customer, invoice } = item.entry;
+      return {
+        operaId: customer.operaId || '',
+        email: (customer.email || '').toLowerCase(),
+        firstName: customer.firstName || '',
+        lastName: customer.lastName || '',
+        phone: customer.phone || '',
+        billingCity: customer.billingCity || '',
+        billingState: customer.billingState || '',
+        billingCountry: customer.billingCountry || '',
+        language: customer.language || '',
+        checkInDate: (invoice && invoice.checkIn) || null,
+        checkOutDate: (invoice && invoice.checkOut) || null,
+        reason: 'retries-exhausted',
+        details: `${item.attempts} attempts since ${item.firstFailedAt}: ${item.error}`
+      };
+    }));
+  }
+}
+
+/**
+ * Run the Salesforce schema-drift check and alert when its result changes.
+ * A failed describe call keeps the previous result (connectivity isn't drift).
+ * @returns {Promise<boolean>} True if the schema currently matches
+ */
+async function checkSalesforceSchema() {
+  try {
+    await sfClient.validateSchema();
+  } catch (err) {
+    logger.warn(`Salesforce schema check could not run: ${err.message}`);
+    return sfClient.schemaProblems.length === 0;
+  }
+
+  const lines = formatSchemaProblems(sfClient.schemaProblems);
+  const signature = lines.join('\n');
+  if (signature !== alertedSchemaProblems) {
+    alertedSchemaProblems = signature;
+    await notifier.notifySchemaDrift(lines).catch(err => logger.error('Failed to send schema drift notification:', err.message));
+  }
+  return lines.length === 0;
+}
+
+/**
+ * Refresh Salesforce API usage from /limits. A failed call keeps the last known
+ * numbers (REST responses keep them current anyway).
+ * @returns {Promise<Object>} ApiLimits snapshot
+ */
+async function refreshApiLimits() {
+  try {
+    return await sfClient.refreshApiLimits();
+  } catch (err) {
+    logger.warn(`Salesforce API limits could not be read: ${err.message}`);
+    return sfClient.apiLimits.getSnapshot();
+  }
+}
+
+/**
+ * Poll every property for changes and sync
  */
 async function poll() {
   if (isPolling) {
@@ -145,35 +321,110 @@ async function poll() {
     return;
   }
 
+  // Schema drift: re-check each interval (cheap describe calls) so a fix is picked up
+  // promptly; until then leave the watermarks alone so nothing is skipped
+  if (sfClient.schemaProblems.length > 0 && !(await checkSalesforceSchema())) {
+    logger.warn(`Salesforce schema drift (${sfClient.schemaProblems.length} problem(s)) — skipping poll`);
+    metrics.polls.inc({ result: 'schema-drift' });
+    return;
+  }
+
+  // Near the org's daily API limit: wait for usage to roll off, watermarks untouched
+  if (sfClient.apiLimits.isCritical() && (await refreshApiLimits()).level === 'critical') {
+    const { used, limit } = sfClient.apiLimits.getSnapshot();
+    logger.warn(`Salesforce API usage critical (${used}/${limit}) — skipping poll`);
+    metrics.polls.inc({ result: 'api-limit' });
+    return;
+  }
+
   isPolling = true;
+  lastPollStartedAt = new Date();
+  const endPollTimer = metrics.pollDuration.startTimer();
+  const outcomes = [];
+
+  try {
+    // Sequential: properties share the Oracle pool and Salesforce API limits
+    for (const site of sites) {
+      outcomes.push(await pollProperty(site));
+    }
+  } finally {
+    isPolling = false;
+    lastPollFinishedAt = new Date();
+    endPollTimer();
+    const pollResult = outcomes.includes('failed') ? 'failed'
+      : outcomes.includes('oracle-unavailable') ? 'oracle-unavailable'
+        : outcomes.includes('andon') ? 'andon' : 'success';
+    metrics.polls.inc({ result: pollResult });
+    metrics.lastPoll.set({}, lastPollFinishedAt.getTime() / 1000);
+    const apiUsage = sfClient.apiLimits.getSnapshot();
+    for (const site of sites) site.dailyStats.setApiUsage(apiUsage);
+  }
+}
+
+/**
+ * Poll one property for changes and sync. Errors are handled here so one
+ * property failing doesn't hold up the others.
+ * @returns {Promise<string>} 'success', 'andon', 'oracle-unavailable' or 'failed'
+ */
+async function pollProperty(site) {
+  const { property, syncState, dailyStats, notifier } = site;
+  let pollResult = 'success';
+  let retries = [];
 
   try {
-    const lastSync = syncState.getLastSyncTimestamp();
-    logger.debug(`Polling for changes since ${lastSync || 'beginning'}...`);
+    const since = syncState.getSince();
+    if (!since) {
+      return await initialSync(site);
+    }
+    logger.debug(`[${property.code}] Polling for changes since ${since}...`);
 
-    const { records, frontDesk } = await queryGuestsSince(oracleClient, lastSync);
+    const { records, frontDesk, cancellations, watermark } = await queryGuestsSince(oracleClient, since, property);
 
     if (frontDesk.length > 0) {
       dailyStats.addFrontDesk(frontDesk.length, frontDesk);
     }
 
-    if (records.length === 0 && frontDesk.length === 0) {
-      logger.debug('No new records found');
-      syncState.markSuccess(0);
-      return;
+    await syncCancellations(site, cancellations);
+
+    // Records held during an andon pause are replayed once the cord is released,
+    // then outbox retries whose backoff has elapsed (fresh Opera data wins for the same stay)
+    const freshKeys = new Set(records.map(Outbox.keyFor));
+    const released = andon.held.size > 0 && !andon.isPulled() ? andon.heldEntries().filter(h => belongsTo(h.entry, site)) : [];
+    const replayed = released.filter(h => !freshKeys.has(h.key)).map(h => h.entry);
+    const queuedKeys = new Set([...freshKeys, ...released.map(h => h.key)]);
+    retries = outbox.due().filter(item => belongsTo(item.entry, site) && !queuedKeys.has(item.key)).map(item => item.entry);
+    const toSync = [...records, ...replayed, ...retries];
+
+    if (toSync.length === 0 && frontDesk.length === 0) {
+      logger.debug(`[${property.code}] No new records found`);
+      syncState.markSuccess(0, watermark);
+      return pollResult;
     }
 
     // ── Salesforce sync (only when records exist) ──
-    if (records.length > 0) {
-      logger.info(`Found ${records.length} new/updated guest(s), syncing to Salesforce...`);
+    if (toSync.length > 0) {
+      logger.info(`[${property.code}] Found ${records.length} new/updated guest(s), ${replayed.length} held and ${retries.length} outbox retries, syncing to Salesforce...`);
 
-      const results = await sfClient.syncGuestCheckIns(records);
+      const results = await sfClient.syncGuestCheckIns(toSync);
 
       if (results.andonPulled) {
-        logger.warn('Andon cord active — skipping sync state update, will retry next poll');
-        return;
+        // Park fresh records so the watermark can move on; held/outbox entries stay where they are
+        andon.hold(records.map(entry => ({ key: Outbox.keyFor(entry), entry })));
+        syncState.markSuccess(0, watermark);
+        retries = [];
+        pollResult = 'andon';
+        return pollResult;
+      }
+
+      if (released.length > 0) {
+        logger.info(`[${property.code}] Andon cord released — replayed ${released.length} held record(s)`);
+        andon.clearHeld(released.map(h => h.key));
       }
 
+      // Failed writes are kept in the outbox, so lastSyncTimestamp can safely advance past them
+      updateOutbox(site, toSync, results);
+      retries = [];
+
       if (results.failed > 0 && results.success === 0) {
         const err = new Error(`All ${results.failed} records failed: ${results.errors[0]?.error}`);
         syncState.markFailed(err);
@@ -181,15 +432,19 @@ async function poll() {
         throw err;
       }
 
-      logger.info(`✓ Synced ${results.success} records (${results.failed} failed)`);
-      syncState.markSuccess(results.success);
+      logger.info(`[${property.code}] ✓ Synced ${results.success} records (${results.failed} failed)`);
+      syncState.markSuccess(results.success, watermark);
       dailyStats.addUpload(results.success);
 
-      if (results.needsReview && results.needsReview.length > 0) {
-        dailyStats.addNeedsReview(results.needsReview.length, results.needsReview);
+      // Write failures are retried from the outbox and only reported once escalated
+      // Phone warnings are listed with review items, though the record was written
+      const review = (results.needsReview || []).filter(r => r.reason !== 'contact-create-failed' && r.reason !== 'guest-sync-failed')
+        .concat(results.warnings || []);
+      if (review.length > 0) {
+        dailyStats.addNeedsReview(review.length, review);
       }
 
-      await notifier.notifyFileProcessed('db-poll', results.success, frontDesk.length);
+      await notifier.notifyFileProcessed(pollLabel(site), results.success, frontDesk.length);
 
       if (notifier.consecutiveErrors > 0) {
         await notifier.notifyRecovery(results.success);
@@ -197,67 +452,240 @@ async function poll() {
         notifier.resetErrorCount();
       }
     } else {
-      syncState.markSuccess(0);
+      syncState.markSuccess(0, watermark);
     }
 
-    // ── Google Sheets: checkout survey (only when records exist) ──
-    const argNow = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Argentina/Buenos_Aires' }));
-    const today = argNow.toISOString().slice(0, 10);
-    const checkedOut = records.filter(r => r.invoice && r.invoice.checkOut === today);
-    if (checkedOut.length > 0) {
-      try {
-        await sheetsClient.appendCheckedOutGuests(checkedOut);
-      } catch (err) {
-        logger.error('Sheets checkout append failed (non-fatal):', err.message);
-        dailyStats.addError(new Error(`Sheets checkout: ${err.message}`));
-      }
-    }
-
-    // ── Google Sheets: check-in arrivals (records + frontDesk, today + yesterday) ──
-    const yesterdayDate = new Date(argNow);
-    yesterdayDate.setDate(yesterdayDate.getDate() - 1);
-    const yesterday = yesterdayDate.toISOString().slice(0, 10);
-
-    const checkingInFromRecords = records.filter(r =>
-      r.invoice && (r.invoice.checkIn === today || r.invoice.checkIn === yesterday)
-    );
-    const checkingInFromFrontDesk = frontDesk
-      .filter(fd => fd.checkIn === today || fd.checkIn === yesterday)
-      .map(fd => ({
-        customer: {
-          firstName: fd.firstName,
-          lastName: fd.lastName,
-          email: fd.email || '',
-          language: ''
-        },
-        invoice: {
-          checkIn: fd.checkIn,
-          checkOut: fd.checkOut,
-          resvStatus: fd.resvStatus || ''
-        }
-      }));
-    const allCheckIns = [...checkingInFromRecords, ...checkingInFromFrontDesk];
-    if (allCheckIns.length > 0) {
-      try {
-        await sheetsClient.appendCheckInGuests(allCheckIns);
-      } catch (err) {
-        logger.error('Sheets check-in append failed (non-fatal):', err.message);
-        dailyStats.addError(new Error(`Sheets check-in: ${err.message}`));
-      }
+    await appendToSheets(site, records, frontDesk);
+  } catch (err) {
+    // Oracle down: the watermark stays put and OracleClient's circuit breaker does the alerting
+    if (err.code === 'ORACLE_UNAVAILABLE' || isConnectionError(err)) {
+      logger.warn(`[${property.code}] Skipping poll, Oracle unavailable: ${err.message}`);
+      return 'oracle-unavailable';
     }
 
-  } catch (err) {
-    logger.error('Error during poll:', err.message);
+    pollResult = 'failed';
+    logger.error(`[${property.code}] Error during poll:`, err.message);
     if (err.stack) logger.debug(err.stack);
     dailyStats.addError(err);
+    // Batch-level failure: back off the retries that were in flight (fresh records are re-queried anyway).
+    // A refusal didn't attempt them, so it doesn't count against their retry budget
+    if (!isRefusal(err)) {
+      reportEscalated(site, retries.map(entry => outbox.recordFailure(entry, 'batch-failed', err.message)).filter(Boolean));
+    }
     try {
-      await notifier.notifyFileError('db-poll', err, { stack: err.stack });
+      await notifier.notifyFileError(pollLabel(site), err, { stack: err.stack });
     } catch (notifyErr) {
       logger.error('Failed to send error notification:', notifyErr.message);
     }
-  } finally {
-    isPolling = false;
   }
+
+  return pollResult;
+}
+
+/**
+ * Flag cancelled / no-show reservations on their Salesforce guest records.
+ * Non-fatal: the client keeps anything it couldn't write for the next poll.
+ */
+async function syncCancellations(site, cancellations) {
+  if (cancellations.length === 0 && sfClient.pendingCancellations.size === 0) return;
+  try {
+    const results = await sfClient.syncCancellations(cancellations);
+    // Held cancellations of other properties can be written in this site's poll
+    for (const s of sites) {
+      const flagged = results.updated.filter(c => belongsTo(c, s));
+      if (flagged.length > 0) s.dailyStats.addCancellations(flagged);
+    }
+  } catch (err) {
+    logger.error(`[${site.property.code}] Cancellation sync failed:`, err.message);
+    site.dailyStats.addError(new Error(`Cancellations: ${err.message}`));
+  }
+}
+
+/**
+ * Google Sheets: checkout survey and check-in arrivals for the records/front desk
+ * entries of one poll (non-fatal on failure)
+ */
+async function appendToSheets(site, records, frontDesk) {
+  const { dailyStats, sheetsClient } = site;
+
+  // ── Google Sheets: checkout survey (only when records exist) ──
+  const argNow = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Argentina/Buenos_Aires' }));
+  const today = argNow.toISOString().slice(0, 10);
+  const checkedOut = records.filter(r => r.invoice && r.invoice.checkOut === today);
+  if (checkedOut.length > 0) {
+    try {
+      await sheetsClient.appendCheckedOutGuests(checkedOut);
+    } catch (err) {
+      logger.error('Sheets checkout append failed (non-fatal):', err.message);
+      dailyStats.addError(new Error(`Sheets checkout: ${err.message}`));
+    }
+  }
+
+  // ── Google Sheets: check-in arrivals (records + frontDesk, today + yesterday) ──
+  const yesterdayDate = new Date(argNow);
+  yesterdayDate.setDate(yesterdayDate.getDate() - 1);
+  const yesterday = yesterdayDate.toISOString().slice(0, 10);
+
+  const checkingInFromRecords = records.filter(r =>
+    r.invoice && (r.invoice.checkIn === today || r.invoice.checkIn === yesterday)
+  );
+  const checkingInFromFrontDesk = frontDesk
+    .filter(fd => fd.checkIn === today || fd.checkIn === yesterday)
+    .map(fd => ({
+      customer: {
+        firstName: fd.firstName,
+        lastName: fd.lastName,
+        email: fd.email || '',
+        language: ''
+      },
+      invoice: {
+        checkIn: fd.checkIn,
+        checkOut: fd.checkOut,
+        resvStatus: fd.resvStatus || ''
+      }
+    }));
+  const allCheckIns = [...checkingInFromRecords, ...checkingInFromFrontDesk];
+  if (allCheckIns.length > 0) {
+    try {
+      await sheetsClient.appendCheckInGuests(allCheckIns);
+    } catch (err) {
+      logger.error('Sheets check-in append failed (non-fatal):', err.message);
+      dailyStats.addError(new Error(`Sheets check-in: ${err.message}`));
+    }
+  }
+}
+
+/**
+ * First sync of a property: guests are streamed from Oracle in chunks
+ * (INITIAL_SYNC_CHUNK_SIZE) and each chunk is sent to Salesforce before the
+ * next is read, so memory stays flat. Records of a chunk whose write fails are
+ * queued in the outbox and the sync moves on. Progress is saved after every
+ * chunk, so an interrupted initial sync (Oracle down, schema drift, API limit,
+ * restart) resumes after the last finished chunk instead of re-sending and
+ * re-counting it; the watermark is only saved once every chunk has gone through.
+ * @returns {Promise<string>} 'success' or 'andon' (Oracle errors and refusals are thrown to pollProperty)
+ */
+async function initialSync(site) {
+  const { property, syncState, dailyStats, notifier } = site;
+  const resume = syncState.getInitialSyncProgress();
+  const { watermark, chunks } = await streamInitialSync(oracleClient, property, { resume });
+  const totals = { records: 0, success: 0, failed: 0, frontDesk: 0 };
+  let pollResult = 'success';
+
+  for await (const { records, frontDesk, lastNameId } of chunks) {
+    totals.records += records.length;
+    totals.frontDesk += frontDesk.length;
+    if (frontDesk.length > 0) {
+      dailyStats.addFrontDesk(frontDesk.length, frontDesk);
+    }
+    if (records.length > 0) {
+      let results;
+      try {
+        results = await sfClient.syncGuestCheckIns(records);
+      } catch (err) {
+        // Nothing was written: stop here and resume from this chunk on a later poll
+        if (isRefusal(err)) throw err;
+        // Batch-level failure: retried from the outbox like any other failed write
+        logger.error(`[${property.code}] Initial sync: chunk of ${records.length} records failed, queued for retry:`, err.message);
+        dailyStats.addError(err);
+        reportEscalated(site, records.map(entry => outbox.recordFailure(entry, 'batch-failed', err.message)).filter(Boolean));
+        totals.failed += records.length;
+        results = null;
+      }
+
+      if (results && results.andonPulled) {
+        andon.hold(records.map(entry => ({ key: Outbox.keyFor(entry), entry })));
+        pollResult = 'andon';
+      } else if (results) {
+        updateOutbox(site, records, results);
+        if (results.failed > 0 && results.success === 0) {
+          const err = new Error(`Initial sync: all ${results.failed} records in a chunk failed: ${results.errors[0]?.error}`);
+          logger.error(`[${property.code}] ${err.message}`);
+          dailyStats.addError(err);
+        }
+        totals.success += results.success;
+        totals.failed += results.failed;
+        dailyStats.addUpload(results.success);
+        // Phone warnings are listed with review items, though the record was written
+        const review = (results.needsReview || []).filter(r => r.reason !== 'contact-create-failed' && r.reason !== 'guest-sync-failed')
+          .concat(results.warnings || []);
+        if (review.length > 0) {
+          dailyStats.addNeedsReview(review.length, review);
+        }
+      }
+    }
+    await appendToSheets(site, records, frontDesk);
+    syncState.markInitialSyncProgress(watermark, lastNameId);
+  }
+
+  logger.info(`[${property.code}] ✓ Initial sync complete: ${totals.success} of ${totals.records} records synced (${totals.failed} failed)`);
+  syncState.markSuccess(totals.success, watermark);
+  if (totals.success > 0) {
+    await notifier.notifyFileProcessed(pollLabel(site), totals.success, totals.frontDesk);
+  }
+  return pollResult;
+}
+
+/**
+ * Source name used in processed/error notifications
+ */
+function pollLabel(site) {
+  return sites.length > 1 ? `db-poll (${site.property.name})` : 'db-poll';
+}
+
+/**
+ * /health: Oracle + Salesforce liveness and poll loop progress.
+ * Unhealthy (503) if either connection is down or no poll has finished in 3 intervals.
+ */
+async function getHealth() {
+  const probe = (client, label) => withTimeout(client.ping(), 10000, label).catch(err => ({ ok: false, error: err.message }));
+  const [oracle, salesforce] = await Promise.all([probe(oracleClient, 'Oracle ping'), probe(sfClient, 'Salesforce ping')]);
+
+  const staleAfterMs = CONFIG.pollIntervalMs * 3;
+  const pollStale = !lastPollFinishedAt || Date.now() - lastPollFinishedAt.getTime() > staleAfterMs;
+
+  const salesforceSchema = {
+    ok: sfClient.schemaProblems.length === 0,
+    checkedAt: sfClient.schemaCheckedAt,
+    problems: formatSchemaProblems(sfClient.schemaProblems)
+  };
+  const salesforceApi = sfClient.apiLimits.getSnapshot();
+
+  return {
+    ok: oracle.ok && salesforce.ok && salesforceSchema.ok && salesforceApi.level !== 'critical' && !pollStale,
+    oracle: { ...oracle, circuit: oracleClient.getBreakerStatus() },
+    salesforce,
+    salesforceSchema,
+    salesforceApi,
+    andon: andon.getStatus(),
+    properties: sites.map(({ property, syncState }) => {
+      const { lastSyncTimestamp, lastSyncStatus, watermark } = syncState.getStats();
+      return { code: property.code, lastSyncTimestamp, lastSyncStatus, watermark };
+    }),
+    isPolling,
+    lastPollStartedAt,
+    lastPollFinishedAt,
+    pollStale,
+    pollIntervalMinutes: CONFIG.pollIntervalMs / 1000 / 60,
+    uptimeSeconds: Math.round(process.uptime())
+  };
+}
+
+/**
+ * Watch the andon control file: announce pull/release and replay held records on release
+ */
+function watchAndon() {
+  andon.on('pulled', status => {
+    logger.warn(`Andon cord pulled${status.reason ? `: ${status.reason}` : ''} — Salesforce writes paused, records will be held`);
+    notifier.notifyAndonChange(status).catch(err => logger.error('Failed to send andon notification:', err.message));
+  });
+  andon.on('released', status => {
+    logger.info(`Andon cord released — replaying ${status.held} held record(s)`);
+    notifier.notifyAndonChange(status).catch(err => logger.error('Failed to send andon notification:', err.message));
+    // Don't wait for the next interval (skipped if a poll is already running)
+    poll().catch(err => logger.error('Post-release poll failed:', err.message));
+  });
+  andon.watch();
 }
 
 /**
@@ -273,6 +701,11 @@ function startPolling() {
 
   // Then poll on interval
   pollTimer = setInterval(() => poll().catch(err => logger.error('Poll failed:', err.message)), CONFIG.pollIntervalMs);
+
+  // Periodic schema-drift check (0 = startup only)
+  if (CONFIG.schemaCheckIntervalMs > 0) {
+    schemaTimer = setInterval(() => checkSalesforceSchema().catch(err => logger.error('Schema check failed:', err.message)), CONFIG.schemaCheckIntervalMs);
+  }
 }
 
 /**
@@ -286,6 +719,20 @@ async function shutdown() {
     pollTimer = null;
   }
 
+  if (schemaTimer) {
+    clearInterval(schemaTimer);
+    schemaTimer = null;
+  }
+
+  if (statusServer) {
+    statusServer.close();
+    statusServer = null;
+  }
+
+  if (andon) {
+    andon.unwatch();
+  }
+
   // Wait for current poll to finish
   let waitCount = 0;
   while (isPolling && waitCount < 30) {
@@ -298,14 +745,213 @@ async function shutdown() {
     await oracleClient.close();
   }
 
-  const stats = syncState.getStats();
   logger.info('Final state:');
-  logger.info(`  Last sync: ${stats.lastSyncTimestamp}`);
-  logger.info(`  Status: ${stats.lastSyncStatus}`);
+  for (const { property, syncState } of sites) {
+    const stats = syncState.getStats();
+    logger.info(`  ${property.code}: last sync ${stats.lastSyncTimestamp} (${stats.lastSyncStatus}), watermark ${stats.watermark || 'none'}`);
+  }
+  const outboxStats = outbox.getStats();
+  logger.info(`  Outbox: ${outboxStats.pending} pending retry, ${outboxStats.escalated} escalated`);
   logger.info('Goodbye!');
   process.exit(0);
 }
 
+/**
+ * Re-sync a check-in date range or a list of NAME_IDs to Salesforce.
+ * Uses its own connections and never reads or writes sync-state.json or the
+ * outbox, so it can run alongside the service without moving the watermark.
+ * @param {string[]} argv - Arguments after `replay`
+ * @returns {Promise<number>} Exit code (1 if any record failed)
+ */
+async function replay(argv) {
+  let opts;
+  try {
+    opts = parseReplayArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error('Usage: node opera-db-sync.js replay (--from YYYY-MM-DD [--to YYYY-MM-DD] | --name-ids ID,ID | --file ids.json) [--dry-run] [--property CODE]');
+    return 1;
+  }
+
+  // One property per run (default: the first configured)
+  const properties = getProperties();
+  const property = opts.property ? properties.find(p => p.code === opts.property) : properties[0];
+  if (!property) {
+    console.error(`Unknown property ${opts.property} (configured: ${properties.map(p => p.code).join(', ')})`);
+    return 1;
+  }
+
+  if (!validateConfig()) {
+    return 1;
+  }
+
+  oracleClient = new OracleClient(CONFIG.oracle);
+  await oracleClient.connect();
+
+  try {
+    const nameIds = opts.from ? await queryNameIdsByCheckIn(oracleClient, opts.from, opts.to, property)
+      : opts.file ? readNameIdsFile(opts.file)
+      : opts.nameIds;
+
+    if (nameIds.length === 0) {
+      console.log('No guests matched — nothing to replay');
+      return 0;
+    }
+
+    logger.info(`Replay [${property.code}]: ${nameIds.length} NAME_ID(s)${opts.dryRun ? ' (dry run)' : ''}`);
+    // --from: every stay in the window, not just each guest's latest reservation
+    const { records, frontDesk } = await queryGuestsByIds(oracleClient, nameIds, { property, stayFrom: opts.from || null });
+
+    let results = null;
+    if (!opts.dryRun && records.length > 0) {
+      sfClient = new SalesforceClient(CONFIG.salesforce);
+      const problems = await sfClient.validateSchema();
+      if (problems.length > 0) {
+        console.error(`Salesforce schema drift — nothing was sent:\n  ${formatSchemaProblems(problems).join('\n  ')}`);
+        return 1;
+      }
+      // Same API limit check as the poller (a new client hasn't seen any usage yet)
+      const { level, used, limit } = await sfClient.refreshApiLimits();
+      if (level === 'critical') {
+        console.error(`Salesforce API usage critical (${used}/${limit}) — nothing was sent`);
+        return 1;
+      }
+      results = await sfClient.syncGuestCheckIns(records);
+      if (results.andonPulled) {
+        console.error('Andon cord active — nothing was sent to Salesforce');
+        return 1;
+      }
+      // Replay keeps no pending file, so deferred Contact dates end with it
+      if (sfClient.deferredContactDates.size > 0) {
+        console.warn(`Salesforce API usage low (${used}/${limit}) — check-in/out dates on ${sfClient.deferredContactDates.size} Contact(s) were not updated`);
+      }
+    }
+
+    const rows = replayOutcomes(nameIds, records, frontDesk, results);
+    console.log('\n' + formatResultTable(rows) + '\n');
+
+    const counts = {};
+    for (const r of rows) counts[r.status] = (counts[r.status] || 0) + 1;
+    console.log(Object.entries(counts).map(([status, n]) => `${status}: ${n}`).join(', '));
+
+    return counts.failed ? 1 : 0;
+  } finally {
+    await oracleClient.close();
+  }
+}
+
+/**
+ * Link TVRS_Guest__c records written before reservation IDs were synced to their
+ * Opera reservation (one-time, after deploying OPERA_Resv_Name_ID__c). Like replay
+ * it uses its own connections and leaves sync-state.json alone.
+ * @param {string[]} argv - Arguments after `backfill-resv-ids`
+ * @returns {Promise<number>} Exit code (1 if any update failed)
+ */
+async function backfillCommand(argv) {
+  let opts;
+  try {
+    opts = parseBackfillArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error('Usage: node opera-db-sync.js backfill-resv-ids [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--dry-run] [--property CODE]');
+    return 1;
+  }
+
+  const properties = getProperties();
+  const property = opts.property ? properties.find(p => p.code === opts.property) : properties[0];
+  if (!property) {
+    console.error(`Unknown property ${opts.property} (configured: ${properties.map(p => p.code).join(', ')})`);
+    return 1;
+  }
+
+  if (!validateConfig()) {
+    return 1;
+  }
+
+  oracleClient = new OracleClient(CONFIG.oracle);
+  await oracleClient.connect();
+
+  try {
+    sfClient = new SalesforceClient(CONFIG.salesforce);
+    const rows = await backfillResvIds(oracleClient, sfClient, { ...opts, property });
+    if (rows.length === 0) {
+      console.log('Every guest record already has its reservation ID — nothing to backfill');
+      return 0;
+    }
+
+    console.log('\n' + formatResultTable(rows, [
+      ['Record', 'recordId'], ['Email', 'email'], ['Check-in', 'checkIn'], ['Check-out', 'checkOut'],
+      ['RESV_NAME_ID', 'resvNameId'], ['Status', 'status'], ['Detail', 'detail']
+    ]) + '\n');
+
+    const counts = {};
+    for (const r of rows) counts[r.status] = (counts[r.status] || 0) + 1;
+    console.log(Object.entries(counts).map(([status, n]) => `${status}: ${n}`).join(', '));
+
+    return counts.failed ? 1 : 0;
+  } finally {
+    await oracleClient.close();
+  }
+}
+
+/**
+ * Site selected by ?property=CODE on /state and /stats/today (default property if omitted)
+ */
+function siteFor(url) {
+  const code = url.searchParams.get('property');
+  if (!code) return sites[0];
+  const site = sites.find(s => s.property.code === code.toUpperCase());
+  if (!site) {
+    const err = new Error(`Unknown property ${code}`);
+    err.statusCode = 404;
+    throw err;
+  }
+  return site;
+}
+
+/**
+ * /andon: GET = status, POST ?action=pull[&reason=...] | ?action=release.
+ * Only changes the control file — the watcher picks it up like a CLI or manual change.
+ * The status server only lets the POST through with a matching X-Status-Token.
+ */
+const andonRoute = {
+  GET: async () => andon.getStatus(),
+  POST: async (url) => {
+    const action = url.searchParams.get('action');
+    if (action === 'pull') return andon.pull(url.searchParams.get('reason') || 'via status server');
+    if (action === 'release') return andon.release();
+    const err = new Error('action must be pull or release');
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+/**
+ * `opera-db-sync.js andon pull|release|status` — works whether or not the service
+ * is running (the running service notices the control file within a few seconds)
+ * @returns {number} Exit code
+ */
+function andonCommand(argv) {
+  const cord = new Andon();
+  const action = argv[0] || 'status';
+  const reasonIdx = argv.indexOf('--reason');
+
+  let status;
+  if (action === 'pull') {
+    status = cord.pull(reasonIdx !== -1 ? argv[reasonIdx + 1] || '' : '');
+  } else if (action === 'release') {
+    status = cord.release();
+  } else if (action === 'status') {
+    status = cord.getStatus();
+  } else {
+    console.error('Usage: node opera-db-sync.js andon pull [--reason "text"] | release | status');
+    return 1;
+  }
+
+  console.log(JSON.stringify(status, null, 2));
+  return 0;
+}
+
 /**
  * Main entry point
  */
@@ -315,6 +961,28 @@ async function main() {
 
     // Start polling loop (first poll runs immediately inside startPolling)
     startPolling();
+    watchAndon();
+
+    metrics.registry.onCollect(() => {
+      for (const { property, syncState } of sites) {
+        const watermark = syncState.getWatermark();
+        if (watermark) metrics.watermarkLag.set({ property: property.code }, (Date.now() - new Date(watermark).getTime()) / 1000);
+      }
+      const outboxStats = outbox.getStats();
+      metrics.outboxEntries.set({ status: 'pending' }, outboxStats.pending);
+      metrics.outboxEntries.set({ status: 'escalated' }, outboxStats.escalated);
+      const andonStatus = andon.getStatus();
+      metrics.andonPulled.set({}, andonStatus.pulled ? 1 : 0);
+      metrics.andonHeld.set({}, andonStatus.held);
+    });
+
+    statusServer = await startStatusServer({
+      '/health': getHealth,
+      '/state': async (url) => siteFor(url).syncState.getStats(),
+      '/stats/today': async (url) => siteFor(url).dailyStats.getStats(),
+      '/metrics': async () => metrics.registry.render(),
+      '/andon': andonRoute
+    });
 
     process.on('SIGINT', shutdown);
     process.on('SIGTERM', shutdown);
@@ -332,13 +1000,31 @@ async function main() {
       offset: err.offset
     });
     if (err.stack) logger.error(err.stack);
-    if (dailyStats) dailyStats.addError(err);
+    for (const site of sites) site.dailyStats.addError(err);
     process.exit(1);
   }
 }
 
 if (require.main === module) {
-  main();
+  if (process.argv[2] === 'andon') {
+    process.exit(andonCommand(process.argv.slice(3)));
+  } else if (process.argv[2] === 'replay') {
+    replay(process.argv.slice(3))
+      .then(code => process.exit(code))
+      .catch(err => {
+        logger.error('Replay failed:', err);
+        process.exit(1);
+      });
+  } else if (process.argv[2] === 'backfill-resv-ids') {
+    backfillCommand(process.argv.slice(3))
+      .then(code => process.exit(code))
+      .catch(err => {
+        logger.error('Reservation ID backfill failed:', err);
+        process.exit(1);
+      });
+  } else {
+    main();
+  }
 }
 
-module.exports = { poll };
+module.exports = { poll, replay, backfillCommand, andonCommand };
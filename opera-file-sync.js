@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+
+/**
+ * OPERA File Export to Salesforce Sync - File Mode
+ *
+ * Watches EXPORT_DIR for OPERA exports (customers*.csv + invoices*.csv pairs,
+ * or OTA_HotelResNotifRQ XML), parses them into the same {customer, invoice}
+ * shape as the DB poller and syncs them to Salesforce. Used at sites without
+ * direct Oracle access, or to keep syncing from nightly exports during DB outages.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./src/logger');
+
+// Prevent unhandled rejections from crashing the process (Node 18+ terminates by default)
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled promise rejection:', reason);
+});
+process.on('uncaughtException', (err) => {
+  logger.error('Uncaught exception (shutting down):', err);
+  process.exit(1);
+});
+
+const SalesforceClient = require('./src/salesforce-client');
+const { PENDING_FILE } = require('./src/pending-writes');
+const Notifier = require('./src/notifier');
+const DailyStats = require('./src/daily-stats');
+const FileTracker = require('./src/file-tracker');
+const { setupDailySummary } = require('./src/scheduler');
+const { parseOPERAFiles, parseOTAFile, findInvoicesFile, detectFormat } = require('./src/parsers/opera-parser');
+
+// Configuration
+const CONFIG = {
+  salesforce: {
+    instanceUrl: process.env.SF_INSTANCE_URL,
+    clientId: process.env.SF_CLIENT_ID,
+    clientSecret: process.env.SF_CLIENT_SECRET,
+    refreshToken: process.env.SF_REFRESH_TOKEN,
+    objectType: process.env.SF_OBJECT || 'TVRS_Guest__c'
+  },
+  exportDir: process.env.EXPORT_DIR,
+  processedDir: process.env.PROCESSED_DIR || (process.env.EXPORT_DIR && path.join(process.env.EXPORT_DIR, 'processed')),
+  failedDir: process.env.FAILED_DIR || (process.env.EXPORT_DIR && path.join(process.env.EXPORT_DIR, 'failed')),
+  keepProcessedFiles: process.env.KEEP_PROCESSED_FILES !== 'false',
+  fileFormat: (process.env.FILE_FORMAT || 'auto').toLowerCase(),
+  processingDelayMs: parseInt(process.env.FILE_PROCESSING_DELAY) || 2000,
+  // fs.watch is unreliable on network shares — rescan the directory on an interval as a fallback
+  scanIntervalMs: parseInt(process.env.POLL_INTERVAL_MINUTES || 5) * 60 * 1000
+};
+
+// Global state
+let sfClient;
+let notifier;
+let dailyStats;
+let fileTracker;
+let watcher = null;
+let scanTimer = null;
+let isProcessing = false;
+let rescanRequested = false;
+const pendingTimers = new Map();
+
+/**
+ * Initialize the application
+ */
+async function initialize() {
+  logger.info('='.repeat(70));
+  logger.info('OPERA File Export to Salesforce Sync (File Mode) - Starting');
+  logger.info('='.repeat(70));
+
+  if (!validateConfig()) {
+    process.exit(1);
+  }
+
+  if (!fs.existsSync('logs')) {
+    fs.mkdirSync('logs');
+  }
+
+  notifier = new Notifier();
+  dailyStats = new DailyStats();
+  fileTracker = new FileTracker();
+
+  sfClient = new SalesforceClient({ ...CONFIG.salesforce, pendingFile: PENDING_FILE });
+
+  setupDailySummary(notifier, dailyStats, fileTracker);
+
+  logger.info('Testing Salesforce connection...');
+  const sfConnected = await sfClient.test();
+  if (!sfConnected) {
+    logger.error('Failed to connect to Salesforce.');
+    await notifier.notifySalesforceError(new Error('Failed to connect to Salesforce during startup'));
+    process.exit(1);
+  }
+
+  logger.info('Configuration:');
+  logger.info(`  Export Dir: ${CONFIG.exportDir}`);
+  logger.info(`  Processed Dir: ${CONFIG.processedDir}${CONFIG.keepProcessedFiles ? '' : ' (results only — files deleted)'}`);
+  logger.info(`  Failed Dir: ${CONFIG.failedDir}`);
+  logger.info(`  File Format: ${CONFIG.fileFormat}`);
+  logger.info(`  Salesforce Object: ${CONFIG.salesforce.objectType}`);
+  logger.info(`  Rescan Interval: ${CONFIG.scanIntervalMs / 1000 / 60} minutes`);
+  logger.info('='.repeat(70));
+}
+
+/**
+ * Validate configuration
+ */
+function validateConfig() {
+  const required = ['SF_INSTANCE_URL', 'SF_CLIENT_ID', 'SF_CLIENT_SECRET', 'SF_REFRESH_TOKEN', 'EXPORT_DIR'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    logger.error('Missing required environment variables:');
+    missing.forEach(key => logger.error(`  - ${key}`));
+    return false;
+  }
+
+  if (!['auto', 'csv', 'xml'].includes(CONFIG.fileFormat)) {
+    logger.error(`Invalid FILE_FORMAT: ${CONFIG.fileFormat}. Expected csv, xml or auto`);
+    return false;
+  }
+
+  if (!fs.existsSync(CONFIG.exportDir)) {
+    logger.error(`EXPORT_DIR does not exist: ${CONFIG.exportDir}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Move export files out of EXPORT_DIR once their outcome is known.
+ * Successful files are deleted instead when KEEP_PROCESSED_FILES=false; failed files are always kept.
+ * @param {string[]} filePaths - Source files (customers + invoices pair, or a single XML)
+ * @param {string} destDir - PROCESSED_DIR or FAILED_DIR
+ */
+function archiveFiles(filePaths, destDir) {
+  const keep = destDir !== CONFIG.processedDir || CONFIG.keepProcessedFiles;
+  if (keep && !fs.existsSync(destDir)) {
+    fs.mkdirSync(destDir, { recursive: true });
+  }
+
+  for (const src of filePaths) {
+    if (!fs.existsSync(src)) continue;
+
+    if (!keep) {
+      fs.unlinkSync(src);
+      logger.debug(`Deleted ${path.basename(src)}`);
+      continue;
+    }
+
+    const dest = uniquePath(path.join(destDir, path.basename(src)));
+    try {
+      fs.renameSync(src, dest);
+    } catch (err) {
+      // EXDEV: PROCESSED_DIR on another drive — rename cannot cross devices
+      if (err.code !== 'EXDEV') throw err;
+      fs.copyFileSync(src, dest);
+      fs.unlinkSync(src);
+    }
+    logger.debug(`Moved ${path.basename(src)} → ${dest}`);
+  }
+}
+
+/**
+ * Avoid overwriting an earlier copy when the same export name is dropped again
+ */
+function uniquePath(dest) {
+  if (!fs.existsSync(dest)) return dest;
+  const ext = path.extname(dest);
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+  return `${dest.slice(0, -ext.length || undefined)}.${stamp}${ext}`;
+}
+
+/**
+ * Write the <file>.result.json sidecar next to where the export ends up
+ */
+function writeSidecar(filename, destDir, result) {
+  try {
+    if (!fs.existsSync(destDir)) {
+      fs.mkdirSync(destDir, { recursive: true });
+    }
+    const sidecarPath = uniquePath(path.join(destDir, `${filename}.result.json`));
+    fs.writeFileSync(sidecarPath, JSON.stringify(result, null, 2));
+    logger.debug(`Wrote ${sidecarPath}`);
+  } catch (err) {
+    logger.error(`Failed to write result sidecar for ${filename}:`, err.message);
+  }
+}
+
+/**
+ * Row identity shared by parsed entries and their needsReview items: the guest's
+ * profile ID (email only if the file has none), the OTA reservation number when
+ * there is one, and the check-in date. Email alone would merge companions sharing
+ * an address; the date alone would merge two stays starting the same day.
+ */
+function rowKey(operaId, email, reservationId, checkIn) {
+  return [operaId || (email || '').toLowerCase(), reservationId || '', checkIn || ''].join('|');
+}
+
+/**
+ * Build per-row outcomes from a sync result. needsReview entries are the per-row failures;
+ * warnings don't change a row's status.
+ */
+function rowOutcomes(records, results) {
+  const failures = new Map();
+  for (const r of results.needsReview || []) {
+    failures.set(rowKey(r.operaId, r.email, r.reservationId, r.checkInDate), r);
+  }
+
+  return records.map(entry => {
+    const invoice = entry.invoice || {};
+    const failure = failures.get(rowKey(entry.customer.operaId, entry.customer.email, invoice.reservationId, invoice.checkIn));
+    return {
+      operaId: entry.customer.operaId,
+      ...(entry.invoice && entry.invoice.reservationId ? { reservationId: entry.invoice.reservationId } : {}),
+      email: entry.customer.email,
+      checkIn: entry.invoice ? entry.invoice.checkIn : '',
+      checkOut: entry.invoice ? entry.invoice.checkOut : '',
+      status: failure ? 'failed' : 'synced',
+      hash: FileTracker.hashRow(entry),
+      ...(failure ? { reason: failure.reason } : {}),
+      ...(failure && failure.details ? { details: failure.details } : {})
+    };
+  });
+}
+
+/**
+ * Parse and sync one export file, then record the outcome and move it out of EXPORT_DIR
+ */
+async function processFile(filename) {
+  const filePath = path.join(CONFIG.exportDir, filename);
+  const format = detectFormat(filename, CONFIG.fileFormat);
+  if (!format || !fs.existsSync(filePath)) {
+    return;
+  }
+
+  // CSV exports are a customers + invoices pair — both move and are checksummed together
+  const sourcePaths = [filePath];
+  if (format === 'csv') {
+    const invoicesFile = findInvoicesFile(filePath);
+    if (!invoicesFile) {
+      logger.info(`Waiting for matching invoices file for ${filename}`);
+      return;
+    }
+    sourcePaths.push(invoicesFile);
+  }
+
+  if (fileTracker.isProcessed(filename) && !fileTracker.hasChanged(filename, sourcePaths)) {
+    logger.info(`${filename} already processed (unchanged) — moving to processed`);
+    archiveFiles(sourcePaths, CONFIG.processedDir);
+    return;
+  }
+
+  const sidecar = {
+    file: filename,
+    pairedWith: sourcePaths.length > 1 ? path.basename(sourcePaths[1]) : undefined,
+    format,
+    startedAt: new Date().toISOString()
+  };
+
+  try {
+    const { records, skipped } = format === 'xml'
+      ? parseOTAFile(filePath)
+      : parseOPERAFiles(filePath, sourcePaths[1]);
+
+    // Skipped rows go to the daily report grouped by category
+    const byCategory = new Map();
+    for (const s of skipped) {
+      if (!byCategory.has(s.category)) byCategory.set(s.category, []);
+      byCategory.get(s.category).push(s);
+    }
+    for (const [category, details] of byCategory) {
+      dailyStats.addSkipped(category, details.length, details);
+    }
+    sidecar.skipped = skipped;
+
+    // Re-dropped file with a new checksum: only resend rows that differ from the last run
+    const previousHashes = fileTracker.getRowHashes(filename);
+    const changed = records.filter(r => !previousHashes.has(FileTracker.hashRow(r)));
+    const unchangedHashes = records
+      .map(r => FileTracker.hashRow(r))
+      .filter(h => previousHashes.has(h));
+    if (previousHashes.size > 0) {
+      logger.info(`${filename} changed since last run: ${changed.length} of ${records.length} row(s) differ`);
+    }
+
+    let rows = [];
+    if (changed.length > 0) {
+      logger.info(`${filename}: syncing ${changed.length} guest(s) to Salesforce...`);
+      const results = await sfClient.syncGuestCheckIns(changed);
+
+      if (results.andonPulled) {
+        logger.warn(`Andon cord active — ${filename} left in place, will retry on next scan`);
+        return;
+      }
+
+      rows = rowOutcomes(changed, results);
+      sidecar.rows = rows;
+      sidecar.contacts = results.contacts;
+      sidecar.guests = results.guests;
+
+      if (results.failed > 0 && results.success === 0) {
+        throw new Error(`All ${results.failed} records failed: ${results.errors[0]?.error || results.needsReview[0]?.details || 'unknown error'}`);
+      }
+
+      dailyStats.addUpload(results.success);
+      // Warnings (e.g. invalid phone) are reported but the rows were synced
+      const review = (results.needsReview || []).concat(results.warnings || []);
+      if (review.length > 0) {
+        dailyStats.addNeedsReview(review.length, review);
+      }
+      logger.info(`✓ ${filename}: synced ${results.success} records (${results.failed} failed)`);
+    } else {
+      logger.info(`${filename}: no new or changed records to sync`);
+      sidecar.rows = [];
+    }
+
+    const synced = rows.filter(r => r.status === 'synced');
+    const failedRows = rows.filter(r => r.status === 'failed');
+
+    fileTracker.markProcessed(
+      filename,
+      sourcePaths,
+      records.length,
+      [...unchangedHashes, ...synced.map(r => r.hash)],
+      failedRows.length
+    );
+
+    Object.assign(sidecar, {
+      status: failedRows.length > 0 ? 'partial' : 'success',
+      finishedAt: new Date().toISOString(),
+      records: records.length,
+      unchanged: unchangedHashes.length,
+      synced: synced.length,
+      failed: failedRows.length
+    });
+    writeSidecar(filename, CONFIG.processedDir, sidecar);
+    archiveFiles(sourcePaths, CONFIG.processedDir);
+
+    await notifier.notifyFileProcessed(filename, synced.length, skipped.length);
+
+    if (notifier.consecutiveErrors > 0) {
+      await notifier.notifyRecovery(1);
+    } else {
+      notifier.resetErrorCount();
+    }
+  } catch (err) {
+    logger.error(`Error processing ${filename}:`, err.message);
+    if (err.stack) logger.debug(err.stack);
+    dailyStats.addError(err);
+
+    try {
+      fileTracker.markFailed(filename, sourcePaths, err);
+      Object.assign(sidecar, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: err.message
+      });
+      writeSidecar(filename, CONFIG.failedDir, sidecar);
+      archiveFiles(sourcePaths, CONFIG.failedDir);
+    } catch (moveErr) {
+      logger.error(`Failed to move ${filename} to failed directory:`, moveErr.message);
+    }
+
+    try {
+      await notifier.notifyFileError(filename, err, { stack: err.stack });
+    } catch (notifyErr) {
+      logger.error('Failed to send error notification:', notifyErr.message);
+    }
+  }
+}
+
+/**
+ * Scan the export directory and process every candidate file in name order
+ */
+async function scan() {
+  if (isProcessing) {
+    rescanRequested = true;
+    return;
+  }
+
+  isProcessing = true;
+  try {
+    const files = fs.readdirSync(CONFIG.exportDir)
+      .filter(f => detectFormat(f, CONFIG.fileFormat))
+      .sort();
+
+    for (const filename of files) {
+      await processFile(filename);
+    }
+  } catch (err) {
+    logger.error('Error scanning export directory:', err.message);
+    dailyStats.addError(err);
+  } finally {
+    isProcessing = false;
+  }
+
+  if (rescanRequested) {
+    rescanRequested = false;
+    await scan();
+  }
+}
+
+/**
+ * Debounce watcher events so files are only read once OPERA has finished writing them
+ */
+function scheduleScan(filename) {
+  const key = filename || '*';
+  if (pendingTimers.has(key)) clearTimeout(pendingTimers.get(key));
+
+  pendingTimers.set(key, setTimeout(() => {
+    pendingTimers.delete(key);
+    scan().catch(err => logger.error('Scan failed:', err.message));
+  }, CONFIG.processingDelayMs));
+}
+
+/**
+ * Start watching the export directory
+ */
+function startWatching() {
+  logger.info('='.repeat(70));
+  logger.info(`Watching ${CONFIG.exportDir} for OPERA exports...`);
+  logger.info('='.repeat(70));
+
+  // Process anything already in the directory
+  scan().catch(err => logger.error('Initial scan failed:', err.message));
+
+  try {
+    watcher = fs.watch(CONFIG.exportDir, (eventType, filename) => {
+      // invoices*.csv arriving can complete a pending customers*.csv pair, so any change triggers a scan
+      if (filename && !/\.(csv|xml)$/i.test(filename)) return;
+      scheduleScan(filename);
+    });
+    watcher.on('error', err => logger.warn(`File watcher error (falling back to interval scan): ${err.message}`));
+  } catch (err) {
+    logger.warn(`Could not start file watcher (falling back to interval scan): ${err.message}`);
+  }
+
+  scanTimer = setInterval(() => scan().catch(err => logger.error('Scan failed:', err.message)), CONFIG.scanIntervalMs);
+}
+
+/**
+ * Graceful shutdown
+ */
+async function shutdown() {
+  logger.info('\nShutting down...');
+
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+  if (scanTimer) {
+    clearInterval(scanTimer);
+    scanTimer = null;
+  }
+  for (const timer of pendingTimers.values()) clearTimeout(timer);
+  pendingTimers.clear();
+
+  // Wait for current file to finish
+  let waitCount = 0;
+  while (isProcessing && waitCount < 30) {
+    logger.debug('Waiting for current file to finish...');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    waitCount++;
+  }
+
+  const stats = fileTracker.getStats();
+  logger.info('Final state:');
+  logger.info(`  Files tracked: ${stats.total} (${stats.success} success, ${stats.failed} failed)`);
+  logger.info('Goodbye!');
+  process.exit(0);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  try {
+    await initialize();
+
+    startWatching();
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    // SIGBREAK is sent by Windows when the console window is closed or Ctrl+Break is pressed
+    if (process.platform === 'win32') {
+      process.on('SIGBREAK', shutdown);
+    }
+
+  } catch (err) {
+    logger.error('Fatal error during startup:', err);
+    if (err.stack) logger.error(err.stack);
+    if (dailyStats) dailyStats.addError(err);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { processFile, scan, rowOutcomes };
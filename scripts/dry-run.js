@@ -23,6 +23,7 @@ const jsforce = require('jsforce');
 const OracleClient      = require('../src/oracle-client');
 const { queryGuestsSince } = require('../src/opera-db-query');
 const { transformToTVRSGuest, GUEST_DIFF_SOQL_FIELDS, diffGuestRecord, mapLanguageToSalesforce } = require('../src/guest-utils');
+const { getProperty } = require('../src/properties');
 const Notifier = require('../src/notifier');
 const SheetsClient = require('../src/sheets-client');
 
@@ -411,11 +412,13 @@ async function main() {
   } else {
     try {
       const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-      lastSyncTimestamp   = state.lastSyncTimestamp || null;
+      // Same "since" the service uses: Oracle watermark if recorded (overlap not applied here)
+      lastSyncTimestamp   = state.watermark || state.lastSyncTimestamp || null;
       lastSyncStatus      = state.lastSyncStatus || null;
       lastSyncRecordCount = state.lastSyncRecordCount ?? null;
       console.log(`  State file  : ${STATE_FILE}`);
-      console.log(`  Last sync   : ${lastSyncTimestamp || 'never (initial sync)'}`);
+      console.log(`  Last sync   : ${state.lastSyncTimestamp || 'never (initial sync)'}`);
+      console.log(`  Watermark   : ${state.watermark || '—'}`);
       console.log(`  Last status : ${lastSyncStatus || '—'}`);
       console.log(`  Last count  : ${lastSyncRecordCount ?? '—'} records`);
     } catch (err) {
@@ -636,7 +639,7 @@ async function main() {
     const status = emailStatus.get(email);
     if (!status || status.status !== 'exists' || !status.contactId) continue;
 
-    const proposed    = transformToTVRSGuest(entry.customer, entry.invoice, status.contactId);
+    const proposed    = transformToTVRSGuest(entry.customer, entry.invoice, status.contactId, getProperty(entry.property));
     const checkInDate = proposed.Check_In_Date__c || null;
     const matchKey    = checkInDate ? `${status.contactId}|${checkInDate}` : null;
 
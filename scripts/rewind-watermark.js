@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+'use strict';
+/**
+ * Rewind the DB sync watermark
+ *
+ * Lists the recorded Oracle change watermarks in sync-state.json, or with
+ * --steps N moves the watermark back N entries so the next poll re-reads
+ * every change since then. Stop the sync service first — it rewrites
+ * sync-state.json after every poll.
+ *
+ * Usage:
+ *   node scripts/rewind-watermark.js            # show current watermark + history
+ *   node scripts/rewind-watermark.js --steps 2  # go back two watermarks
+ *   node scripts/rewind-watermark.js --property MALBEC --steps 1   # another property's state file
+ */
+require('dotenv').config();
+
+const SyncState = require('../src/sync-state');
+const { getProperties, propertyFile } = require('../src/properties');
+
+const STEPS_IDX = process.argv.indexOf('--steps');
+const STEPS_ARG = STEPS_IDX !== -1 ? process.argv[STEPS_IDX + 1] : null;
+const PROPERTY_IDX = process.argv.indexOf('--property');
+const PROPERTY_CODE = PROPERTY_IDX !== -1 ? (process.argv[PROPERTY_IDX + 1] || '').toUpperCase() : null;
+
+if (STEPS_IDX !== -1 && !/^[1-9]\d*$/.test(STEPS_ARG || '')) {
+  console.error(`--steps needs a positive whole number, got ${STEPS_ARG === undefined ? 'nothing' : `"${STEPS_ARG}"`}`);
+  console.error('Usage: node scripts/rewind-watermark.js [--property CODE] [--steps N]');
+  process.exit(1);
+}
+const STEPS = STEPS_ARG !== null ? parseInt(STEPS_ARG, 10) : null;
+
+const properties = getProperties();
+const property = PROPERTY_CODE ? properties.find(p => p.code === PROPERTY_CODE) : properties[0];
+if (!property) {
+  console.error(`Unknown property ${PROPERTY_CODE} (configured: ${properties.map(p => p.code).join(', ')})`);
+  process.exit(1);
+}
+
+const syncState = new SyncState(propertyFile(property, SyncState.STATE_FILE));
+const { watermark, watermarkHistory } = syncState.getStats();
+
+console.log(`Property          : ${property.code} (${syncState.stateFile})`);
+console.log(`Current watermark : ${watermark || '(none)'}`);
+console.log(`Next poll since   : ${syncState.getSince() || '(initial sync)'}`);
+console.log(`History (${watermarkHistory.length}, newest last):`);
+watermarkHistory.forEach((h, i) => {
+  console.log(`  -${watermarkHistory.length - i}  ${h.watermark}  (replaced ${h.replacedAt})`);
+});
+
+if (STEPS !== null) {
+  try {
+    syncState.rewind(STEPS);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  console.log(`\nRewound to ${syncState.getWatermark()} — next poll since ${syncState.getSince()}`);
+}
@@ -123,7 +123,7 @@ async function buildLiveData() {
     const STATE_FILE = '/mnt/y/opera-sf-sync/sync-state.json';
     try {
       const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-      lastSync = state.lastSyncTimestamp || null;
+      lastSync = state.watermark || state.lastSyncTimestamp || null;
       console.log(`  Sync state: since ${lastSync || '(initial)'}`);
     } catch { console.log('  No sync-state file — querying last 24 months'); }
   }
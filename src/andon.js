@@ -0,0 +1,167 @@
+/**
+ * Andon Cord
+ *
+ * Runtime kill switch for Salesforce writes. The cord is pulled when
+ * ANDON_CORD=true (needs a restart, as before) or when the control file
+ * andon-cord.json exists — which can be created/removed while the service is
+ * running via `opera-db-sync.js andon pull|release`, the status server, or by hand.
+ *
+ * While pulled, the DB poller keeps reading Oracle and parks records in a
+ * held queue (andon-held.json) so the watermark can advance; they are
+ * replayed on the first poll after release.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const CONTROL_FILE = process.env.ANDON_CONTROL_FILE || path.resolve(__dirname, '..', 'andon-cord.json');
+const HELD_FILE = path.resolve(__dirname, '..', 'andon-held.json');
+
+/**
+ * Is the cord pulled right now? Cheap enough to call before every Salesforce write.
+ * @param {string} [controlFile]
+ */
+function isAndonPulled(controlFile = CONTROL_FILE) {
+  return process.env.ANDON_CORD === 'true' || fs.existsSync(controlFile);
+}
+
+class Andon extends EventEmitter {
+  constructor({ controlFile = CONTROL_FILE, heldFile = HELD_FILE } = {}) {
+    super();
+    this.controlFile = controlFile;
+    this.heldFile = heldFile;
+    this.held = new Map();
+    this.watching = false;
+    this.loadHeld();
+  }
+
+  isPulled() {
+    return isAndonPulled(this.controlFile);
+  }
+
+  /**
+   * Current cord state for /health, the CLI and notifications
+   */
+  getStatus() {
+    let info = {};
+    const fileExists = fs.existsSync(this.controlFile);
+    if (fileExists) {
+      // An empty file created by hand is a valid pull
+      try {
+        const raw = fs.readFileSync(this.controlFile, 'utf8').trim();
+        info = raw ? JSON.parse(raw) : {};
+      } catch (_) {
+        info = { reason: '(unreadable control file)' };
+      }
+    }
+    return {
+      pulled: this.isPulled(),
+      source: process.env.ANDON_CORD === 'true' ? 'env' : (fileExists ? 'control-file' : null),
+      pulledAt: info.pulledAt || null,
+      reason: info.reason || null,
+      held: this.held.size
+    };
+  }
+
+  /**
+   * Pull the cord by writing the control file
+   */
+  pull(reason = '') {
+    fs.writeFileSync(this.controlFile, JSON.stringify({ pulledAt: new Date().toISOString(), reason }, null, 2));
+    logger.warn(`Andon cord pulled${reason ? `: ${reason}` : ''}`);
+    return this.getStatus();
+  }
+
+  /**
+   * Release the cord by removing the control file (ANDON_CORD=true in .env still wins)
+   */
+  release() {
+    try {
+      fs.unlinkSync(this.controlFile);
+      logger.info('Andon cord released');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    if (process.env.ANDON_CORD === 'true') {
+      logger.warn('ANDON_CORD=true is set in the environment — Salesforce writes stay paused until it is removed and the service restarted');
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Poll the control file and emit 'pulled' / 'released' on change
+   * @param {number} [intervalMs=2000]
+   */
+  watch(intervalMs = 2000) {
+    if (this.watching) return;
+    this.watching = true;
+    let wasPulled = this.isPulled();
+
+    // fs.watchFile (stat polling) rather than fs.watch: reliable for create/delete on Windows
+    fs.watchFile(this.controlFile, { interval: intervalMs, persistent: false }, () => {
+      const pulled = this.isPulled();
+      if (pulled === wasPulled) return;
+      wasPulled = pulled;
+      this.emit(pulled ? 'pulled' : 'released', this.getStatus());
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.controlFile);
+    this.watching = false;
+  }
+
+  // ── Held queue ──
+
+  loadHeld() {
+    try {
+      if (fs.existsSync(this.heldFile)) {
+        const data = JSON.parse(fs.readFileSync(this.heldFile, 'utf8'));
+        this.held = new Map(Object.entries(data));
+        logger.info(`Loaded ${this.held.size} held records (andon cord)`);
+      }
+    } catch (err) {
+      logger.error('Error loading andon held queue:', err);
+      this.held = new Map();
+    }
+  }
+
+  saveHeld() {
+    try {
+      if (this.held.size === 0) {
+        if (fs.existsSync(this.heldFile)) fs.unlinkSync(this.heldFile);
+        return;
+      }
+      fs.writeFileSync(this.heldFile, JSON.stringify(Object.fromEntries(this.held), null, 2));
+    } catch (err) {
+      logger.error('Error saving andon held queue:', err);
+    }
+  }
+
+  /**
+   * Park entries while paused (latest data per key wins)
+   * @param {Array<{key: string, entry: Object}>} items
+   */
+  hold(items) {
+    for (const { key, entry } of items) this.held.set(key, entry);
+    this.saveHeld();
+    logger.info(`Andon cord: ${items.length} record(s) held (${this.held.size} total)`);
+  }
+
+  heldEntries() {
+    return [...this.held.entries()].map(([key, entry]) => ({ key, entry }));
+  }
+
+  /**
+   * Drop entries that have been handed back to Salesforce sync
+   */
+  clearHeld(keys) {
+    for (const key of keys) this.held.delete(key);
+    this.saveHeld();
+  }
+}
+
+module.exports = { Andon, isAndonPulled, CONTROL_FILE };
@@ -0,0 +1,110 @@
+/**
+ * Salesforce API Limit Tracking
+ *
+ * Keeps the org's daily API request usage, fed from the Sforce-Limit-Info
+ * header jsforce records on every REST response and from the /limits resource.
+ * The allocation is shared with every other integration on the org, so the
+ * sync backs off before it runs out:
+ *
+ *   ok        — normal operation
+ *   low       — under SF_API_RESERVE_PERCENT remaining: non-urgent work (Contact
+ *               date updates, duplicate cache refresh) is deferred
+ *   critical  — under SF_API_CRITICAL_PERCENT remaining: Salesforce syncs are
+ *               paused until usage drops again
+ *
+ * Emits 'level' (snapshot) whenever the level changes.
+ */
+
+const EventEmitter = require('events');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const LEVELS = ['ok', 'low', 'critical'];
+
+class ApiLimits extends EventEmitter {
+  constructor({
+    reservePercent = parseFloat(process.env.SF_API_RESERVE_PERCENT || 20),
+    criticalPercent = parseFloat(process.env.SF_API_CRITICAL_PERCENT || 5)
+  } = {}) {
+    super();
+    this.reservePercent = reservePercent;
+    this.criticalPercent = criticalPercent;
+    this.used = null;
+    this.max = null;
+    this.updatedAt = null;
+    this.level = 'ok';
+  }
+
+  /**
+   * Record the latest usage numbers
+   * @param {number} used - Requests used in the rolling 24h window
+   * @param {number} max - Daily allocation
+   */
+  update(used, max) {
+    if (!Number.isFinite(used) || !Number.isFinite(max) || max <= 0) return;
+    this.used = used;
+    this.max = max;
+    this.updatedAt = new Date();
+    metrics.sfApiRequests.set({ kind: 'used' }, used);
+    metrics.sfApiRequests.set({ kind: 'limit' }, max);
+
+    const percent = this.remainingPercent();
+    const level = percent < this.criticalPercent ? 'critical' : percent < this.reservePercent ? 'low' : 'ok';
+    if (level !== this.level) {
+      const worse = LEVELS.indexOf(level) > LEVELS.indexOf(this.level);
+      this.level = level;
+      logger[worse ? 'warn' : 'info'](`Salesforce API usage ${used}/${max} (${percent.toFixed(1)}% left) — level ${level}`);
+      this.emit('level', this.getSnapshot());
+    }
+  }
+
+  /**
+   * Pick up usage from a jsforce connection's limitInfo (set from Sforce-Limit-Info)
+   */
+  updateFromConnection(connection) {
+    const usage = connection && connection.limitInfo && connection.limitInfo.apiUsage;
+    if (usage) this.update(usage.used, usage.limit);
+  }
+
+  /**
+   * Pick up usage from the /limits resource (DailyApiRequests)
+   */
+  updateFromLimits(limits) {
+    const daily = limits && limits.DailyApiRequests;
+    if (daily) this.update(daily.Max - daily.Remaining, daily.Max);
+  }
+
+  remainingPercent() {
+    return this.max ? ((this.max - this.used) / this.max) * 100 : 100;
+  }
+
+  /**
+   * Under the reserve: defer work that can wait
+   */
+  isLow() {
+    return this.level !== 'ok';
+  }
+
+  /**
+   * Under the critical threshold: stop syncing
+   */
+  isCritical() {
+    return this.level === 'critical';
+  }
+
+  /**
+   * Current state for /health, the daily summary and alerts
+   */
+  getSnapshot() {
+    return {
+      used: this.used,
+      limit: this.max,
+      remaining: this.max === null ? null : this.max - this.used,
+      remainingPercent: this.max === null ? null : Math.round(this.remainingPercent() * 10) / 10,
+      level: this.level,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ApiLimits;
@@ -23,12 +23,15 @@ class DailyStats {
       frontDesk: 0,
       errors: 0,
       needsReview: 0,
+      cancellations: 0,
       errorDetails: [],
       skippedAgentDetails: [],
       skippedInvalidDetails: [],
       skippedDuplicateDetails: [],
       frontDeskDetails: [],
-      needsReviewDetails: []
+      needsReviewDetails: [],
+      cancellationDetails: [],
+      apiUsage: null
     };
     this.load();
   }
@@ -168,6 +171,47 @@ class DailyStats {
     logger.debug(`Daily stats: +${unique.length} needsReview (total: ${this.stats.needsReview})`);
   }
 
+  /**
+   * Add reservations that were cancelled / marked no-show and flagged in Salesforce
+   * @param {Array} details - {firstName, lastName, email, checkIn, checkOut, status} per reservation
+   */
+  addCancellations(details = []) {
+    this.checkDateRollover();
+    // Deduplicate by reservation (else email) + checkIn + status (a retried write reports the same stay again)
+    const keyOf = d => `${d.resvNameId || d.email}|${d.checkIn}|${d.status}`;
+    const existing = new Set(this.stats.cancellationDetails.map(keyOf));
+    const unique = details.filter(d => {
+      const key = keyOf(d);
+      if (existing.has(key)) return false;
+      existing.add(key);
+      return true;
+    });
+    this.stats.cancellationDetails.push(...unique);
+    this.stats.cancellations += unique.length;
+    if (this.stats.cancellationDetails.length > 100) {
+      this.stats.cancellationDetails = this.stats.cancellationDetails.slice(-100);
+    }
+    this.save();
+    logger.debug(`Daily stats: +${unique.length} cancellations (total: ${this.stats.cancellations})`);
+  }
+
+  /**
+   * Record the org's Salesforce API usage (rolling 24h, shared with other integrations)
+   * @param {{used: number, limit: number}} snapshot - ApiLimits.getSnapshot()
+   */
+  setApiUsage({ used, limit }) {
+    if (used === null || used === undefined || !limit) return;
+    this.checkDateRollover();
+    const prev = this.stats.apiUsage;
+    this.stats.apiUsage = {
+      used,
+      limit,
+      peakUsed: Math.max(used, prev ? prev.peakUsed : 0),
+      updatedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
   /**
    * Get current statistics
    * @returns {Object} Current day's statistics
@@ -191,12 +235,15 @@ class DailyStats {
       frontDesk: 0,
       errors: 0,
       needsReview: 0,
+      cancellations: 0,
       errorDetails: [],
       skippedAgentDetails: [],
       skippedInvalidDetails: [],
       skippedDuplicateDetails: [],
       frontDeskDetails: [],
-      needsReviewDetails: []
+      needsReviewDetails: [],
+      cancellationDetails: [],
+      apiUsage: null
     };
     this.save();
     logger.info('Daily statistics reset');
@@ -217,6 +264,9 @@ class DailyStats {
           // Default missing fields for backward compat with old JSON files
           this.stats.frontDesk ??= 0;
           this.stats.frontDeskDetails ??= [];
+          this.stats.apiUsage ??= null;
+          this.stats.cancellations ??= 0;
+          this.stats.cancellationDetails ??= [];
           logger.debug('Daily stats loaded from file');
         } else {
           logger.info(`Loaded stats from ${loaded.date}, resetting for ${this.currentDate}`);
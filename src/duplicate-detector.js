@@ -27,6 +27,12 @@ class DuplicateDetector {
     }
 
     if (!this.cache || !this.lastRefresh || Date.now() - this.lastRefresh > this.cacheTTL) {
+      // A refresh pages through every guest record; skip it while the org's API allocation is low
+      const apiLimits = this.sfClient && this.sfClient.apiLimits;
+      if (apiLimits && apiLimits.isLow()) {
+        logger.warn(`Salesforce API usage low — ${this.cache ? 'keeping stale' : 'skipping'} duplicate cache`);
+        return !!this.cache;
+      }
       await this.refreshCache();
     }
     return true;
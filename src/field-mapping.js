@@ -0,0 +1,287 @@
+/**
+ * Field Mapping
+ *
+ * Single declaration of which Opera columns are read, how they are cleaned up
+ * and which Salesforce fields they land in. The Oracle guest query, the
+ * Contact / TVRS_Guest__c transforms and the update diff all derive from it.
+ *
+ * The default mapping ships as src/field-mapping.json; point FIELD_MAPPING_FILE
+ * at a copy to change it without a rebuild.
+ *
+ *   opera.customer / opera.invoice:
+ *     { field, from, column, transform }   → entry.customer[field] / entry.invoice[field]
+ *     from = name | email | phone | address | membership | preferences |
+ *            reservation | room | stay | comments | company | agent (see OPERA_SOURCES)
+ *   contact / guest:
+ *     { target, source | value, transform, diff, label, createOnly, omitIfEmpty, externalId }
+ *     source = "customer.x" | "invoice.x" | "property.x"; value = constant
+ *     diff: compared against the existing record to skip no-op updates
+ *     createOnly: sent on create only (never diffed or overwritten)
+ *     omitIfEmpty: left off the record entirely when empty
+ *     externalId: (guest only, at most one) Salesforce external ID new records are upserted on
+ */
+
+const fs = require('fs');
+const { cleanNotes } = require('./guest-notes');
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Opera tables available to the guest query, by the alias used in its SQL.
+ * reservation/room/stay/comments/company/agent are scoped to the reservation
+ * of each returned stay (one row per reservation). Everything after address is
+ * only joined when the mapping uses it.
+ */
+const OPERA_SOURCES = {
+  name: 'n',          // OPERA.NAME
+  email: 'p',         // primary EMAIL row of OPERA.NAME_PHONE
+  phone: 'phone',     // primary MOBILE (else PHONE) row of OPERA.NAME_PHONE
+  address: 'a',       // primary, active OPERA.NAME_ADDRESS
+  membership: 'mem',  // primary (else latest) active OPERA.MEMBERSHIPS row
+  preferences: 'pref', // active OPERA.NAME_COMMENT rows of SF_PREFERENCE_COMMENT_TYPES (NOTES)
+  reservation: 'rnx', // OPERA.RESERVATION_NAME
+  room: 'rm',         // first night's RESERVATION_DAILY_ELEMENTS row
+  stay: 'st',         // per-reservation totals over its daily elements (STAY_COLUMNS)
+  comments: 'rc',     // OPERA.RESERVATION_COMMENT rows of SF_RESERVATION_COMMENT_TYPES (NOTES)
+  company: 'co',      // OPERA.NAME profile linked as the reservation's company (COMPANY_ID)
+  agent: 'ta'         // OPERA.NAME profile linked as the reservation's travel agent (TRAVEL_AGENT_ID)
+};
+const RESERVATION_SOURCES = new Set(['reservation', 'room', 'stay', 'comments', 'company', 'agent']);
+
+/**
+ * Columns of the computed "stay" source (built in opera-db-query.js). Money is
+ * in the property's currency; first-night values where a stay can vary.
+ */
+const STAY_COLUMNS = [
+  'ROOM_TYPE',    // room category label (RESORT_ROOM_CATEGORY), first night
+  'RATE_CODE',    // first night
+  'MARKET_CODE',  // first night
+  'SOURCE_CODE',  // first night
+  'NIGHTS',       // nights with a daily element (1 for day use)
+  'ADULTS',       // first night
+  'CHILDREN',     // first night
+  'ROOM_REVENUE'  // SUM(SHARE_AMOUNT) over all nights
+];
+
+// Computed sources (subqueries in opera-db-query.js) only have these columns
+const COMPUTED_COLUMNS = {
+  stay: STAY_COLUMNS,
+  preferences: ['NOTES'], // comments joined with " | " (see guest-notes.js)
+  comments: ['NOTES']
+};
+
+// Fields the sync logic relies on (filters, front desk list, outbox keys, stay matching, companions)
+const REQUIRED_OPERA_FIELDS = ['operaId', 'email', 'firstName', 'lastName', 'resvNameId', 'parentResvNameId', 'checkIn', 'checkOut'];
+
+const COLUMN_RE = /^[A-Z][A-Z0-9_$#]*$/i;
+const FIELD_RE = /^[A-Za-z][A-Za-z0-9]*$/;
+
+/**
+ * Format a JS Date as YYYY-MM-DD for Salesforce
+ */
+function formatDate(date) {
+  if (!date || !(date instanceof Date)) return '';
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+const TRANSFORMS = {
+  trim: v => (v == null ? '' : String(v)).trim(),
+  string: v => (v == null ? '' : String(v)),
+  upper: v => (v == null ? '' : String(v)).trim().toUpperCase(),
+  date: formatDate,
+  nullIfEmpty: v => (v === '' || v == null ? null : v),
+  number: v => (v === '' || v == null || Number.isNaN(Number(v)) ? null : Number(v)),
+  // Lazy require: guest-utils derives its transforms from this module
+  language: v => require('./guest-utils').mapLanguageToSalesforce(v),
+  // E.164, defaulting to the guest's address country; the Opera value as-is when unparseable
+  // (flagged as a warning) so a diffed field never loses a number it had
+  phone: (v, context = {}) => require('./guest-utils').normalizePhone(v, (context.customer || {}).billingCountry).e164
+    || TRANSFORMS.nullIfEmpty(TRANSFORMS.trim(v)),
+  notes: v => cleanNotes(v),
+  countryName: v => {
+    const code = (v || '').trim();
+    try {
+      return code ? countryNames.of(code) || code : '';
+    } catch {
+      return code;
+    }
+  }
+};
+
+/**
+ * Every value a transform can produce, where that's a fixed set (checked
+ * against restricted picklists by the schema check)
+ */
+const TRANSFORM_OUTPUTS = {
+  language: ['English', 'Spanish', 'Portuguese', 'Unknown']
+};
+
+/**
+ * @param {string} [name] - TRANSFORMS key
+ * @param {*} value
+ * @param {Object} [context] - buildRecord() context, for transforms that read other fields
+ */
+function applyTransform(name, value, context) {
+  return name ? TRANSFORMS[name](value, context) : value;
+}
+
+/**
+ * Upper snake case column alias for a field (billingCity → BILLING_CITY)
+ */
+function aliasFor(field) {
+  return field.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Validate a mapping object, throwing on the first problem
+ */
+function validateMapping(mapping, origin) {
+  const fail = msg => { throw new Error(`Field mapping ${origin}: ${msg}`); };
+  const checkTransform = (t, where) => {
+    if (t !== undefined && !TRANSFORMS[t]) fail(`${where}: unknown transform "${t}" (known: ${Object.keys(TRANSFORMS).join(', ')})`);
+  };
+
+  if (!mapping || !mapping.opera) fail('missing "opera" section');
+  const seen = new Set();
+  for (const section of ['customer', 'invoice']) {
+    const fields = mapping.opera[section];
+    if (!Array.isArray(fields)) fail(`opera.${section} must be an array`);
+    for (const f of fields) {
+      const where = `opera.${section}.${f.field}`;
+      if (!FIELD_RE.test(f.field || '')) fail(`opera.${section}: invalid field name "${f.field}"`);
+      if (seen.has(f.field)) fail(`${where}: declared twice`);
+      seen.add(f.field);
+      if (!OPERA_SOURCES[f.from]) fail(`${where}: unknown source "${f.from}" (known: ${Object.keys(OPERA_SOURCES).join(', ')})`);
+      if (!COLUMN_RE.test(f.column || '')) fail(`${where}: invalid column "${f.column}"`);
+      const computed = COMPUTED_COLUMNS[f.from];
+      if (computed && !computed.includes(f.column)) fail(`${where}: ${f.from} has no column "${f.column}" (known: ${computed.join(', ')})`);
+      checkTransform(f.transform, where);
+    }
+  }
+  const missing = REQUIRED_OPERA_FIELDS.filter(f => !seen.has(f));
+  if (missing.length > 0) fail(`opera fields required by the sync are missing: ${missing.join(', ')}`);
+
+  for (const section of ['contact', 'guest']) {
+    const fields = mapping[section];
+    if (!Array.isArray(fields)) fail(`${section} must be an array`);
+    const targets = new Set();
+    for (const f of fields) {
+      const where = `${section}.${f.target}`;
+      if (!f.target) fail(`${section}: every field needs a "target"`);
+      if (targets.has(f.target)) fail(`${where}: declared twice`);
+      targets.add(f.target);
+      if ((f.source === undefined) === (f.value === undefined)) fail(`${where}: needs exactly one of "source" or "value"`);
+      if (f.source !== undefined && !/^(customer|invoice|property)\.[A-Za-z0-9]+$/.test(f.source)) {
+        fail(`${where}: source must look like customer.x, invoice.x or property.x`);
+      }
+      if (f.diff && f.createOnly) fail(`${where}: createOnly fields can't be diffed`);
+      if (f.externalId) {
+        if (section !== 'guest') fail(`${where}: only guest fields can be an externalId`);
+        if (f.source === undefined || f.createOnly) fail(`${where}: an externalId needs a source and can't be createOnly`);
+      }
+      checkTransform(f.transform, where);
+    }
+    if (fields.filter(f => f.externalId).length > 1) fail(`${section}: only one field can be the externalId`);
+  }
+  return mapping;
+}
+
+/**
+ * Load and validate a mapping file (the bundled default when no file is given)
+ * @param {string} [file]
+ */
+function loadFieldMapping(file = process.env.FIELD_MAPPING_FILE) {
+  if (!file) return validateMapping(require('./field-mapping.json'), 'src/field-mapping.json');
+
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Field mapping ${file}: ${err.message}`);
+  }
+  return validateMapping(mapping, file);
+}
+
+let cached = null;
+
+/**
+ * Active mapping (loaded once per process)
+ */
+function getFieldMapping() {
+  if (!cached) cached = loadFieldMapping();
+  return cached;
+}
+
+/**
+ * SELECT-list fragments for the guest query. Reservation-scoped columns are
+ * selected inside the per-reservation subquery and re-selected outside;
+ * room columns are also pulled through the first-night subquery.
+ * @returns {{outer: string[], reservation: string[], room: string[], sources: Set<string>}}
+ *   sources = every source the mapping reads (decides the optional joins)
+ */
+function operaSelectColumns(mapping = getFieldMapping()) {
+  const outer = [];
+  const reservation = [];
+  const room = new Set();
+  const sources = new Set();
+  for (const f of [...mapping.opera.customer, ...mapping.opera.invoice]) {
+    const alias = aliasFor(f.field);
+    sources.add(f.from);
+    if (RESERVATION_SOURCES.has(f.from)) {
+      reservation.push(`${OPERA_SOURCES[f.from]}.${f.column} AS ${alias}`);
+      outer.push(`rn.${alias}`);
+      if (f.from === 'room') room.add(`rde.${f.column}`);
+    } else {
+      outer.push(`${OPERA_SOURCES[f.from]}.${f.column} AS ${alias}`);
+    }
+  }
+  return { outer, reservation, room: [...room], sources };
+}
+
+/**
+ * Build the raw {customer, invoice} pair from a guest query row
+ */
+function operaRowToEntry(row, mapping = getFieldMapping()) {
+  const build = fields => {
+    const obj = {};
+    for (const f of fields) obj[f.field] = applyTransform(f.transform, row[aliasFor(f.field)]);
+    return obj;
+  };
+  return { customer: build(mapping.opera.customer), invoice: build(mapping.opera.invoice) };
+}
+
+/**
+ * Build a Salesforce record from mapped fields
+ * @param {Array} fields - mapping.contact / mapping.guest entries
+ * @param {{customer?: Object, invoice?: Object, property?: Object}} context
+ */
+function buildRecord(fields, context) {
+  const record = {};
+  for (const f of fields) {
+    let value = f.value;
+    if (f.source !== undefined) {
+      const [scope, key] = f.source.split('.');
+      value = applyTransform(f.transform, context[scope] ? context[scope][key] : undefined, context);
+    }
+    if (f.omitIfEmpty && (value === undefined || value === null || value === '')) continue;
+    record[f.target] = value;
+  }
+  return record;
+}
+
+module.exports = {
+  OPERA_SOURCES,
+  STAY_COLUMNS,
+  TRANSFORMS,
+  TRANSFORM_OUTPUTS,
+  formatDate,
+  applyTransform,
+  loadFieldMapping,
+  getFieldMapping,
+  operaSelectColumns,
+  operaRowToEntry,
+  buildRecord
+};
@@ -6,7 +6,8 @@ const logger = require('./logger');
 const TRACKER_FILE = 'processed-files.json';
 
 class FileTracker {
-  constructor() {
+  constructor(trackerFile = TRACKER_FILE) {
+    this.trackerFile = trackerFile;
     this.processedFiles = new Map();
     this.load();
   }
@@ -16,8 +17,8 @@ class FileTracker {
    */
   load() {
     try {
-      if (fs.existsSync(TRACKER_FILE)) {
-        const data = JSON.parse(fs.readFileSync(TRACKER_FILE, 'utf8'));
+      if (fs.existsSync(this.trackerFile)) {
+        const data = JSON.parse(fs.readFileSync(this.trackerFile, 'utf8'));
         this.processedFiles = new Map(Object.entries(data));
         logger.info(`Loaded ${this.processedFiles.size} processed files from tracker`);
       } else {
@@ -35,7 +36,7 @@ class FileTracker {
   save() {
     try {
       const data = Object.fromEntries(this.processedFiles);
-      fs.writeFileSync(TRACKER_FILE, JSON.stringify(data, null, 2));
+      fs.writeFileSync(this.trackerFile, JSON.stringify(data, null, 2));
       logger.debug('Saved file tracker to disk');
     } catch (err) {
       logger.error('Error saving file tracker:', err);
@@ -44,10 +45,32 @@ class FileTracker {
 
   /**
    * Calculate file checksum
+   * @param {string|string[]} filePath - One file, or several hashed together (e.g. customers + invoices pair)
    */
   getChecksum(filePath) {
-    const content = fs.readFileSync(filePath);
-    return crypto.createHash('sha256').update(content).digest('hex');
+    const hash = crypto.createHash('sha256');
+    for (const p of [].concat(filePath)) {
+      hash.update(fs.readFileSync(p));
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Hash a parsed {customer, invoice} entry so re-dropped files can skip rows already synced
+   */
+  static hashRow(entry) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([entry.customer, entry.invoice]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Row hashes synced successfully the last time this file was processed (empty if never)
+   */
+  getRowHashes(filename) {
+    const data = this.processedFiles.get(filename);
+    return new Set((data && data.rowHashes) || []);
   }
 
   /**
@@ -73,13 +96,17 @@ class FileTracker {
 
   /**
    * Mark file as processed
+   * @param {string[]} [rowHashes] - hashRow() of every row now in Salesforce
+   * @param {number} [failedCount] - Rows that failed (kept out of rowHashes so a re-drop retries them)
    */
-  markProcessed(filename, filePath, recordCount) {
+  markProcessed(filename, filePath, recordCount, rowHashes = [], failedCount = 0) {
     const checksum = this.getChecksum(filePath);
     this.processedFiles.set(filename, {
       checksum,
       processedAt: new Date().toISOString(),
       recordCount,
+      failedCount,
+      rowHashes,
       status: 'success'
     });
     this.save();
@@ -87,13 +114,16 @@ class FileTracker {
 
   /**
    * Mark file as failed
+   * Row hashes from the last successful run are kept so a fixed re-drop only resends changed rows.
    */
   markFailed(filename, filePath, error) {
     const checksum = this.getChecksum(filePath);
+    const previous = this.processedFiles.get(filename);
     this.processedFiles.set(filename, {
       checksum,
       processedAt: new Date().toISOString(),
       error: error.message,
+      rowHashes: (previous && previous.rowHashes) || [],
       status: 'failed'
     });
     this.save();
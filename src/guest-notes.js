@@ -0,0 +1,86 @@
+/**
+ * Guest Notes
+ *
+ * Cleans up Opera comments (NAME_COMMENT preferences, RESERVATION_COMMENT notes)
+ * before they are synced to Salesforce: one line per comment, duplicates
+ * dropped, anything that looks like payment data redacted, and the result cut
+ * to the Salesforce field length.
+ */
+
+const DEFAULT_REDACT_KEYWORDS = [
+  'tarjeta', 'card', 'credit', 'cvv', 'cvc', 'visa', 'mastercard', 'amex',
+  'expir', 'vencimiento', 'payment', 'pago'
+];
+
+// 13-19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER_RE = /\b\d(?:[ -]?\d){12,18}\b/;
+
+const REDACTED = '[redacted]';
+
+// Separator the guest query's LISTAGG puts between comments
+const SEPARATOR = ' | ';
+
+const list = value => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Opera COMMENT_TYPEs synced for preferences / reservation notes
+ */
+function commentTypes() {
+  return {
+    preferences: list(process.env.SF_PREFERENCE_COMMENT_TYPES || 'Preferencias'),
+    reservation: list(process.env.SF_RESERVATION_COMMENT_TYPES || 'RESERVATION')
+  };
+}
+
+/**
+ * Settings from the environment
+ */
+function notesOptions() {
+  return {
+    maxLength: parseInt(process.env.SF_NOTES_MAX_LENGTH || 4000),
+    redactKeywords: process.env.SF_NOTES_REDACT_KEYWORDS !== undefined
+      ? list(process.env.SF_NOTES_REDACT_KEYWORDS)
+      : DEFAULT_REDACT_KEYWORDS
+  };
+}
+
+/**
+ * A comment mentioning a redact keyword or containing a card number
+ */
+function isSensitive(comment, keywords) {
+  const lower = comment.toLowerCase();
+  return CARD_NUMBER_RE.test(comment) || keywords.some(k => lower.includes(k.toLowerCase()));
+}
+
+/**
+ * Clean aggregated comments for upload
+ * @param {string} value - Comments joined with " | "
+ * @param {Object} [options] - Overrides notesOptions()
+ * @returns {string|null} One comment per line, or null when there are none
+ */
+function cleanNotes(value, options = {}) {
+  const { maxLength, redactKeywords } = { ...notesOptions(), ...options };
+  if (value == null) return null;
+
+  const seen = new Set();
+  const lines = [];
+  for (const raw of String(value).split(SEPARATOR)) {
+    let comment = raw.replace(/\s+/g, ' ').trim();
+    if (!comment) continue;
+    if (isSensitive(comment, redactKeywords)) comment = REDACTED;
+    const key = comment.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    lines.push(comment);
+  }
+  if (lines.length === 0) return null;
+
+  const text = lines.join('\n');
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+module.exports = {
+  SEPARATOR,
+  commentTypes,
+  cleanNotes
+};
@@ -7,6 +7,7 @@
 const dns = require('dns');
 const net = require('net');
 const logger = require('./logger');
+const { getFieldMapping, buildRecord } = require('./field-mapping');
 
 /**
  * Agent/non-guest email detection keywords
@@ -123,6 +124,138 @@ function emailInvalidReason(email) {
   return null;
 }
 
+/**
+ * Mail provider domains guests commonly use — suggestions are made towards
+ * these, and an email already on one of them is never "corrected"
+ */
+const KNOWN_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'yahoo.com', 'ymail.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'mail.com',
+  'gmx.com', 'protonmail.com', 'comcast.net', 'att.net', 'verizon.net', 'sbcglobal.net',
+  'hotmail.com.ar', 'yahoo.com.ar', 'live.com.ar', 'outlook.com.ar', 'fibertel.com.ar',
+  'hotmail.es', 'yahoo.es', 'outlook.es', 'hotmail.co.uk', 'yahoo.co.uk',
+  'hotmail.com.br', 'yahoo.com.br', 'uol.com.br', 'bol.com.br', 'terra.com.br',
+  'hotmail.fr', 'yahoo.fr', 'orange.fr', 'free.fr', 'hotmail.it', 'yahoo.it', 'libero.it',
+  'yahoo.de', 'gmx.de', 'gmx.net', 'web.de', 't-online.de', 'email.com', 'btinternet.com',
+  'cox.net', 'charter.net', 'shaw.ca', 'rogers.com', 'mail.ru', 'yandex.ru'
+];
+
+/**
+ * Misspellings seen in Opera that edit distance alone would score too low
+ * (or match to the wrong provider)
+ */
+const EMAIL_TYPO_DOMAINS = {
+  'gmial.com': 'gmail.com', 'gmai.com': 'gmail.com', 'gamil.com': 'gmail.com',
+  'gmaill.com': 'gmail.com', 'gnail.com': 'gmail.com', 'gmal.com': 'gmail.com',
+  'hotmial.com': 'hotmail.com', 'hotmal.com': 'hotmail.com', 'hotmai.com': 'hotmail.com',
+  'hotamil.com': 'hotmail.com', 'homail.com': 'hotmail.com', 'hotmial.com.ar': 'hotmail.com.ar',
+  'yaho.com': 'yahoo.com', 'yahooo.com': 'yahoo.com', 'yhoo.com': 'yahoo.com',
+  'outlok.com': 'outlook.com', 'outloo.com': 'outlook.com', 'iclod.com': 'icloud.com',
+  'icoud.com': 'icloud.com'
+};
+
+/**
+ * Providers that only have one domain: "<provider>.<anything>" means the .com
+ */
+const SINGLE_DOMAIN_PROVIDERS = { gmail: 'gmail.com', icloud: 'icloud.com', googlemail: 'googlemail.com' };
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Likely correction for a mail domain
+ * @returns {{domain: string, confidence: number}|null}
+ */
+function suggestDomain(domain) {
+  if (KNOWN_EMAIL_DOMAINS.includes(domain)) return null;
+  if (EMAIL_TYPO_DOMAINS[domain]) return { domain: EMAIL_TYPO_DOMAINS[domain], confidence: 0.95 };
+
+  // Missing or mangled TLD on a known provider (gmail, gmail.co, hotmail.cm)
+  const [name, ...rest] = domain.split('.');
+  if (SINGLE_DOMAIN_PROVIDERS[name]) return { domain: SINGLE_DOMAIN_PROVIDERS[name], confidence: 0.95 };
+  const tld = rest.join('.');
+  if (KNOWN_EMAIL_DOMAINS.includes(`${name}.com`) && (!tld || ['co', 'cm', 'con', 'om', 'comm', 'cpm', 'vom', 'xom'].includes(tld))) {
+    return { domain: `${name}.com`, confidence: 0.85 }; // could be a regional domain (hotmail.co.uk)
+  }
+
+  // Closest known domain; a tie between two providers halves the confidence
+  if (domain.length < 6) return null;
+  const ranked = KNOWN_EMAIL_DOMAINS
+    .map(known => ({ domain: known, distance: editDistance(domain, known) }))
+    .sort((a, b) => a.distance - b.distance);
+  const [best, next] = ranked;
+  if (best.distance > 2) return null;
+  let confidence = best.distance === 1 ? (domain.length >= 8 ? 0.85 : 0.7) : 0.6;
+  if (next && next.distance === best.distance) confidence /= 2;
+  return { domain: best.domain, confidence };
+}
+
+/**
+ * Propose a correction for a mistyped guest email: stray punctuation and
+ * spaces, commas or double dots in the domain, known typo domains, missing or
+ * wrong TLDs on major providers and near-misses of common provider domains
+ * @param {string} email - Raw email from Opera
+ * @returns {{email: string, confidence: number, reason: string}|null} confidence is 0-1;
+ *   null when nothing better than the input can be proposed
+ */
+function suggestEmailCorrection(email) {
+  if (!email || typeof email !== 'string') return null;
+  const original = email.trim();
+  const fixes = [];
+  let confidence = 1;
+
+  let candidate = original.replace(/^[\s,;.:<>"']+|[\s,;.:<>"']+$/g, '');
+  if (candidate !== original) { fixes.push('stray punctuation'); confidence *= 0.95; }
+
+  const at = candidate.lastIndexOf('@');
+  if (at <= 0) return null;
+  const local = candidate.slice(0, at).replace(/\s+/g, '');
+  let domain = candidate.slice(at + 1).toLowerCase().replace(/\s+/g, '');
+  const tidied = domain.replace(/[,;]/g, '.').replace(/\.{2,}/g, '.').replace(/^\.|\.$/g, '');
+  if (local !== candidate.slice(0, at)) { fixes.push('spaces in address'); confidence *= 0.8; } // john smith → johnsmith or john.smith?
+  if (tidied !== domain) { fixes.push('malformed domain'); confidence *= 0.9; }
+  domain = tidied;
+
+  const domainFix = suggestDomain(domain);
+  if (domainFix) {
+    fixes.push(`${domain} → ${domainFix.domain}`);
+    confidence *= domainFix.confidence;
+    domain = domainFix.domain;
+  }
+
+  candidate = `${local}@${domain}`;
+  if (fixes.length === 0 || candidate.toLowerCase() === original.toLowerCase() || !sanitizeEmail(candidate)) return null;
+  return { email: candidate, confidence: Math.round(confidence * 100) / 100, reason: fixes.join(', ') };
+}
+
+/**
+ * Email to sync: the suggested correction when EMAIL_AUTOCORRECT=true and its
+ * confidence reaches EMAIL_AUTOCORRECT_MIN_CONFIDENCE (default 0.9), else the input
+ * @param {string} email - Raw email from Opera
+ * @returns {string}
+ */
+function autoCorrectEmail(email) {
+  if (process.env.EMAIL_AUTOCORRECT !== 'true') return email;
+  const minConfidence = parseFloat(process.env.EMAIL_AUTOCORRECT_MIN_CONFIDENCE || 0.9);
+  const suggestion = suggestEmailCorrection(email);
+  return suggestion && suggestion.confidence >= minConfidence ? suggestion.email : email;
+}
+
 /**
  * Check if a customer record looks like a travel agent or non-guest
  * @param {Object} customer - Customer data with email and firstName fields
@@ -152,6 +285,25 @@ function isAgentEmail(customer) {
   return null;
 }
 
+/**
+ * Check if an email belongs to staff/company addresses that are never synced.
+ * Configured via EXCLUDED_EMAIL_DOMAINS and EXCLUDED_EMAILS (comma-separated).
+ * @param {string} email - Raw or sanitized email
+ * @returns {boolean} True if the email should be skipped
+ */
+function isExcludedEmail(email) {
+  const emailLower = (email || '').trim().toLowerCase();
+  if (!emailLower) return false;
+
+  const excludedDomains = (process.env.EXCLUDED_EMAIL_DOMAINS || '')
+    .split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+  const excludedEmails = (process.env.EXCLUDED_EMAILS || '')
+    .split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+
+  return excludedEmails.includes(emailLower)
+    || excludedDomains.some(d => emailLower.endsWith(`@${d}`));
+}
+
 /**
  * Map Oracle language codes to Salesforce picklist values
  * @param {string} oracleLanguage - Language code from Oracle NAME.LANGUAGE
@@ -172,118 +324,195 @@ function mapLanguageToSalesforce(oracleLanguage) {
 }
 
 /**
- * Transform guest data to Salesforce Contact format
+ * Dialling rules per ISO country code: [calling code, trunk prefix, min, max]
+ * where min/max is the length of the national number (without trunk prefix).
+ * Countries sharing a calling code list the same rules.
+ */
+const PHONE_REGIONS = {
+  AR: ['54', '0', 10, 11], BO: ['591', '0', 8, 8], BR: ['55', '0', 10, 11],
+  CL: ['56', '', 9, 9], CO: ['57', '0', 10, 10], CR: ['506', '', 8, 8],
+  EC: ['593', '0', 8, 9], GT: ['502', '', 8, 8], MX: ['52', '', 10, 10],
+  PA: ['507', '', 7, 8], PE: ['51', '0', 8, 9], PY: ['595', '0', 8, 9],
+  UY: ['598', '0', 8, 8], VE: ['58', '0', 10, 10],
+  US: ['1', '1', 10, 10], CA: ['1', '1', 10, 10],
+  AT: ['43', '0', 4, 13], BE: ['32', '0', 8, 9], CH: ['41', '0', 9, 9],
+  DE: ['49', '0', 6, 13], DK: ['45', '', 8, 8], ES: ['34', '', 9, 9],
+  FI: ['358', '0', 5, 12], FR: ['33', '0', 9, 9], GB: ['44', '0', 9, 10],
+  IE: ['353', '0', 7, 9], IT: ['39', '', 6, 11], NL: ['31', '0', 9, 9],
+  NO: ['47', '', 8, 8], PL: ['48', '', 9, 9], PT: ['351', '', 9, 9],
+  RU: ['7', '8', 10, 10], SE: ['46', '0', 7, 10],
+  AE: ['971', '0', 8, 9], AU: ['61', '0', 9, 9], CN: ['86', '0', 9, 11],
+  HK: ['852', '', 8, 8], IL: ['972', '0', 8, 9], IN: ['91', '0', 10, 10],
+  JP: ['81', '0', 9, 10], KR: ['82', '0', 8, 10], NZ: ['64', '0', 8, 10],
+  SG: ['65', '', 8, 8], ZA: ['27', '0', 9, 9]
+};
+
+const CALLING_CODES = new Map(Object.values(PHONE_REGIONS).map(rules => [rules[0], rules]));
+
+// English / Spanish country names → ISO code, for file imports that carry names
+const PHONE_REGION_NAMES = new Map();
+for (const locale of ['en', 'es']) {
+  const names = new Intl.DisplayNames([locale], { type: 'region' });
+  for (const code of Object.keys(PHONE_REGIONS)) {
+    PHONE_REGION_NAMES.set(names.of(code).toLowerCase(), code);
+  }
+}
+
+/**
+ * Argentine numbers: drop the trunk 0 typed after +54 and turn the domestic
+ * mobile prefix (area code + 15 + number) into the international 9 + area code + number
+ */
+function fixArgentineNumber(national) {
+  let digits = national.replace(/^0/, '');
+  if (digits.length === 12) {
+    for (const areaLength of [2, 3, 4]) {
+      if (digits.substr(areaLength, 2) === '15') {
+        return `9${digits.slice(0, areaLength)}${digits.slice(areaLength + 2)}`;
+      }
+    }
+  }
+  return digits;
+}
+
+/**
+ * Normalise a phone number to E.164 (+<calling code><national number>)
+ * @param {string} raw - Phone as entered in Opera
+ * @param {string} [defaultCountry] - Guest's address country (ISO code or English/Spanish name),
+ *   used when the number has no international prefix
+ * @returns {{e164: string|null, reason: string|null}} reason is set when a non-empty number
+ *   can't be parsed: no-country | unsupported-country | unknown-calling-code |
+ *   invalid-characters | too-short | too-long
+ */
+function normalizePhone(raw, defaultCountry) {
+  const value = (raw == null ? '' : String(raw)).trim()
+    .replace(/\s*(?:ext\.?|extension|int\.?|x|#)\s*\d+$/i, ''); // extension
+  if (!value) return { e164: null, reason: null };
+  if (/[^\d\s()+\-./]/.test(value)) return { e164: null, reason: 'invalid-characters' };
+
+  let digits = value.replace(/\D/g, '');
+  let rules;
+  let national;
+
+  if (value.startsWith('+') || digits.startsWith('00')) {
+    digits = digits.replace(/^00/, '');
+    const code = [3, 2, 1].map(n => digits.slice(0, n)).find(c => CALLING_CODES.has(c));
+    if (!code) return { e164: null, reason: 'unknown-calling-code' };
+    rules = CALLING_CODES.get(code);
+    national = digits.slice(code.length);
+    // "+44 (0)20 ..." — trunk prefix kept after the calling code
+    if (rules[1] && national.startsWith(rules[1]) && national.length > rules[3]) {
+      national = national.slice(rules[1].length);
+    }
+  } else {
+    const country = (defaultCountry || '').trim();
+    if (!country) return { e164: null, reason: 'no-country' };
+    const region = PHONE_REGIONS[country.toUpperCase()] ? country.toUpperCase() : PHONE_REGION_NAMES.get(country.toLowerCase());
+    if (!region) return { e164: null, reason: 'unsupported-country' };
+    rules = PHONE_REGIONS[region];
+    const [code, trunk, min, max] = rules;
+    national = digits;
+    if (trunk && national.startsWith(trunk) && national.length - trunk.length >= min) {
+      national = national.slice(trunk.length);
+    } else if (national.startsWith(code) && national.length > max && national.length - code.length >= min) {
+      national = national.slice(code.length); // calling code typed without + or 00
+    }
+  }
+
+  const [code, , min, max] = rules;
+  if (code === '54') national = fixArgentineNumber(national);
+  if (code === '52' && national.length === 11 && national.startsWith('1')) national = national.slice(1); // old Mexican mobile prefix
+
+  if (national.length < min) return { e164: null, reason: 'too-short' };
+  if (national.length > max) return { e164: null, reason: 'too-long' };
+  return { e164: `+${code}${national}`, reason: null };
+}
+
+/**
+ * TVRS_Guest__c field that tags each record with its property (multi-property setups).
+ * Unset = no tagging, as for single-property installs.
+ */
+const PROPERTY_FIELD = process.env.SF_GUEST_PROPERTY_FIELD || null;
+
+const mapping = getFieldMapping();
+const CONTACT_FIELDS = mapping.contact;
+const GUEST_FIELDS = PROPERTY_FIELD
+  ? [...mapping.guest, { target: PROPERTY_FIELD, source: 'property.sfPropertyValue', diff: true, label: 'Property' }]
+  : mapping.guest;
+
+/**
+ * TVRS_Guest__c fields only written when the record is created (e.g. RecordTypeId)
+ */
+const GUEST_CREATE_ONLY_FIELDS = GUEST_FIELDS.filter(f => f.createOnly).map(f => f.target);
+
+/**
+ * TVRS_Guest__c fields the sync matches and flags stays by (null when not mapped):
+ * the Opera reservation (RESV_NAME_ID) and its status
+ */
+const guestTargetFor = source => (GUEST_FIELDS.find(f => f.source === source) || {}).target || null;
+const GUEST_RESV_ID_FIELD = guestTargetFor('invoice.resvNameId');
+const GUEST_STATUS_FIELD = guestTargetFor('invoice.resvStatus');
+
+/**
+ * TVRS_Guest__c external ID new records are upserted on (null when none is mapped)
+ */
+const GUEST_EXTERNAL_ID_FIELD = (GUEST_FIELDS.find(f => f.externalId) || {}).target || null;
+
+/**
+ * Transform guest data to Salesforce Contact format (fields from the mapping's "contact" section)
  * @param {Object} customer - Customer data (email, firstName, lastName, phone, language, billingCity, billingState, billingCountry)
  * @returns {Object} Salesforce Contact record
  */
 function transformToContact(customer) {
-  return {
-    Email: customer.email,
-    FirstName: customer.firstName,
-    LastName: customer.lastName,
-    Phone: customer.phone || null,
-    // Note: Contact object doesn't have standard Mailing address fields
-    // Address data is stored on TVRS_Guest__c instead
-    Has_TVRS_Guest_Record__c: true
-  };
+  // Note: Contact object doesn't have standard Mailing address fields
+  // Address data is stored on TVRS_Guest__c instead
+  return buildRecord(CONTACT_FIELDS, { customer });
 }
 
 /**
- * Transform guest data to TVRS_Guest__c format
+ * Transform guest data to TVRS_Guest__c format (fields from the mapping's "guest" section)
  * @param {Object} customer - Customer data (email, firstName, lastName, phone, language, billingCity, billingState, billingCountry)
  * @param {Object} invoice - Invoice/reservation data with checkIn/checkOut (optional)
  * @param {string} [contactId] - Salesforce Contact ID to link via lookup
+ * @param {Object} [property] - From properties.js; sets PROPERTY_FIELD and RecordTypeId
  * @returns {Object} Salesforce TVRS_Guest__c record
  */
-function transformToTVRSGuest(customer, invoice, contactId) {
+function transformToTVRSGuest(customer, invoice, contactId, property = null) {
   const contactLookup = process.env.SF_GUEST_CONTACT_LOOKUP || 'Contact__c';
 
-  const record = {
-    // External ID
-    Email__c: customer.email,
-
-    // Guest information
-    Guest_First_Name__c: customer.firstName,
-    Guest_Last_Name__c: customer.lastName,
-
-    // Address information
-    City__c: customer.billingCity,
-    State_Province__c: customer.billingState,
-    Country__c: customer.billingCountry,
-
-    // Contact information
-    Telephone__c: customer.phone || null,
-    Language__c: mapLanguageToSalesforce(customer.language),
-
-    // Required boolean fields (all default to false)
-    Future_Sales_Prospect__c: false,
-    TVG__c: false,
-    Greeted_at_Check_In__c: false,
-    Received_PV_Explanation__c: false,
-    Vineyard_Tour__c: false,
-    Did_TVG_Tasting_With_Sales_Rep__c: false,
-    Did_TVG_Tasting_with_Sommelier__c: false,
-    Villa_Tour__c: false,
-    Attended_Happy_Hour__c: false,
-    Brochure_Clicked__c: false,
-    Replied_to_Mkt_campaign_2025__c: false,
-    In_Conversation__c: false,
-    Not_interested__c: false,
-    Ready_for_pardot_email_list__c: false,
-    In_Conversation_PV__c: false,
-    Follow_up__c: false,
-    Ready_for_PV_mail__c: false
-  };
+  const record = buildRecord(GUEST_FIELDS, { customer, invoice: invoice || {}, property: property || {} });
+
+  // Property-derived fields are only written when a property is given
+  if (!property) {
+    for (const f of GUEST_FIELDS) {
+      if (f.source && f.source.startsWith('property.')) delete record[f.target];
+    }
+  }
 
   // Link to Contact if provided
   if (contactId) {
     record[contactLookup] = contactId;
   }
 
-  // Add check-in/out dates if available
-  if (invoice) {
-    if (invoice.checkIn) {
-      record.Check_In_Date__c = invoice.checkIn;
-    }
-    if (invoice.checkOut) {
-      record.Check_Out_Date__c = invoice.checkOut;
-    }
-  }
+  return record;
+}
 
+/**
+ * Drop create-only fields from a record about to update an existing TVRS_Guest__c
+ */
+function stripCreateOnlyFields(record) {
+  for (const key of GUEST_CREATE_ONLY_FIELDS) delete record[key];
   return record;
 }
 
 /**
- * All fields written by transformToTVRSGuest — used for SOQL fetches and field diffing.
+ * Mapped TVRS_Guest__c fields marked "diff" — used for SOQL fetches and field diffing.
+ * Constant booleans (the form checkboxes) compare null as false.
  */
-const GUEST_DIFF_FIELDS = [
-  { key: 'Guest_First_Name__c',               label: 'First Name' },
-  { key: 'Guest_Last_Name__c',                label: 'Last Name' },
-  { key: 'City__c',                           label: 'City' },
-  { key: 'State_Province__c',                 label: 'State/Province' },
-  { key: 'Country__c',                        label: 'Country' },
-  { key: 'Telephone__c',                      label: 'Phone' },
-  { key: 'Language__c',                       label: 'Language' },
-  { key: 'Check_In_Date__c',                  label: 'Check-in Date' },
-  { key: 'Check_Out_Date__c',                 label: 'Check-out Date' },
-  { key: 'Future_Sales_Prospect__c',          label: 'Future Sales Prospect',         boolean: true },
-  { key: 'TVG__c',                            label: 'TVG',                           boolean: true },
-  { key: 'Greeted_at_Check_In__c',            label: 'Greeted at Check-in',           boolean: true },
-  { key: 'Received_PV_Explanation__c',        label: 'Received PV Explanation',       boolean: true },
-  { key: 'Vineyard_Tour__c',                  label: 'Vineyard Tour',                 boolean: true },
-  { key: 'Did_TVG_Tasting_With_Sales_Rep__c', label: 'TVG Tasting (Sales Rep)',       boolean: true },
-  { key: 'Did_TVG_Tasting_with_Sommelier__c', label: 'TVG Tasting (Sommelier)',       boolean: true },
-  { key: 'Villa_Tour__c',                     label: 'Villa Tour',                    boolean: true },
-  { key: 'Attended_Happy_Hour__c',            label: 'Attended Happy Hour',           boolean: true },
-  { key: 'Brochure_Clicked__c',               label: 'Brochure Clicked',              boolean: true },
-  { key: 'Replied_to_Mkt_campaign_2025__c',   label: 'Replied to Mkt Campaign 2025', boolean: true },
-  { key: 'In_Conversation__c',                label: 'In Conversation',               boolean: true },
-  { key: 'Not_interested__c',                 label: 'Not Interested',                boolean: true },
-  { key: 'Ready_for_pardot_email_list__c',    label: 'Ready for Pardot Email List',   boolean: true },
-  { key: 'In_Conversation_PV__c',             label: 'In Conversation (PV)',          boolean: true },
-  { key: 'Follow_up__c',                      label: 'Follow Up',                     boolean: true },
-  { key: 'Ready_for_PV_mail__c',              label: 'Ready for PV Mail',             boolean: true },
-];
+const GUEST_DIFF_FIELDS = GUEST_FIELDS
+  .filter(f => f.diff)
+  .map(f => (typeof f.value === 'boolean'
+    ? { key: f.target, label: f.label || f.target, boolean: true }
+    : { key: f.target, label: f.label || f.target }));
 
 const GUEST_DIFF_SOQL_FIELDS = GUEST_DIFF_FIELDS.map(f => f.key).join(', ');
 
@@ -412,11 +641,22 @@ module.exports = {
   sanitizeEmail,
   emailInvalidReason,
   isAgentEmail,
+  isExcludedEmail,
   transformToContact,
   transformToTVRSGuest,
+  stripCreateOnlyFields,
+  GUEST_CREATE_ONLY_FIELDS,
+  CONTACT_FIELDS,
+  GUEST_FIELDS,
   mapLanguageToSalesforce,
+  normalizePhone,
+  suggestEmailCorrection,
+  autoCorrectEmail,
   GUEST_DIFF_FIELDS,
   GUEST_DIFF_SOQL_FIELDS,
+  GUEST_RESV_ID_FIELD,
+  GUEST_STATUS_FIELD,
+  GUEST_EXTERNAL_ID_FIELD,
   diffGuestRecord,
   verifyEmailsSMTP,
 };
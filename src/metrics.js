@@ -0,0 +1,206 @@
+/**
+ * Metrics Module
+ *
+ * Minimal in-process metrics registry (counters, gauges, histograms) rendered
+ * in the Prometheus text exposition format for the status server's /metrics.
+ * All metrics the service records are declared at the bottom of this file so
+ * names and help text live in one place.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+/**
+ * Stable series key for a label set ({b:'2', a:'1'} and {a:'1', b:'2'} are the same series)
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).sort().map(k => `${k}="${escapeLabelValue(labels[k])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map(); // labelKey → { labels, ... }
+  }
+
+  _get(labels, init) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels: { ...labels }, ...init() });
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this._get(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+
+  set(labels = {}, value) {
+    this._get(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super(name, help, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const s = this._get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to observe elapsed seconds
+   * @returns {function(Object=): number} end([extraLabels]) → seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [];
+    for (const s of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this._register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this._register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this._register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Register a callback run before each render (for gauges derived from live state)
+   */
+  onCollect(fn) {
+    this.collectors.push(fn);
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   */
+  render() {
+    for (const fn of this.collectors) fn();
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      const body = metric.render();
+      if (body.length === 0) continue;
+      lines.push(...metric.header(), ...body);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+}
+
+const registry = new Registry();
+
+module.exports = {
+  Registry,
+  registry,
+
+  // Poll loop (opera-db-sync.js)
+  polls: registry.counter('opera_sync_polls_total', 'Poll cycles by result (success, failed, andon, schema-drift, api-limit, oracle-unavailable)'),
+  pollDuration: registry.histogram('opera_sync_poll_duration_seconds', 'Duration of a full poll cycle'),
+  lastPoll: registry.gauge('opera_sync_last_poll_timestamp_seconds', 'Unix time the last poll finished'),
+  watermarkLag: registry.gauge('opera_sync_watermark_lag_seconds', 'Seconds between now and each property\'s Oracle change watermark'),
+  outboxEntries: registry.gauge('opera_sync_outbox_entries', 'Outbox entries by status (pending, escalated)'),
+  andonPulled: registry.gauge('opera_sync_andon_pulled', '1 while the andon cord is pulled (Salesforce writes paused)'),
+  andonHeld: registry.gauge('opera_sync_andon_held_records', 'Records held for replay while the andon cord is pulled'),
+
+  // Oracle
+  oracleQueryDuration: registry.histogram('opera_sync_oracle_query_duration_seconds', 'OracleClient.query duration by result (ok, error)'),
+  oracleCircuitOpen: registry.gauge('opera_sync_oracle_circuit_open', '1 while the Oracle circuit breaker is open (database unavailable)'),
+
+  // Salesforce
+  sfPhaseDuration: registry.histogram('opera_sync_salesforce_phase_duration_seconds', 'syncGuestCheckIns phase duration (lookup, contacts, guests, contact_dates)'),
+  sfRecords: registry.counter('opera_sync_salesforce_records_total', 'Salesforce writes by object (contact, guest) and outcome (created, updated, cancelled, failed)'),
+  sfBulkJobs: registry.counter('opera_sync_salesforce_bulk_jobs_total', 'Bulk API 2.0 ingest jobs by object, operation (insert, update) and result (complete, failed)'),
+  sfApiRequests: registry.gauge('opera_sync_salesforce_api_requests', 'Org daily API requests by kind (used, limit), from Sforce-Limit-Info and /limits'),
+  sfSchemaProblems: registry.gauge('opera_sync_salesforce_schema_problems', 'Problems found by the last Salesforce schema-drift check (0 = ok)'),
+  needsReview: registry.counter('opera_sync_needs_review_total', 'Records flagged for manual review by reason'),
+
+  // Google Sheets
+  sheetsAppends: registry.counter('opera_sync_sheets_appends_total', 'Sheets tab appends by sheet (checkout, checkin) and result (ok, error)'),
+  sheetsRows: registry.counter('opera_sync_sheets_rows_appended_total', 'Rows appended to Google Sheets by sheet'),
+
+  // Notifications
+  notifications: registry.counter('opera_sync_notifications_total', 'Notifications by channel (email, slack) and result (sent, failed)')
+};
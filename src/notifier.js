@@ -1,10 +1,17 @@
 const nodemailer = require('nodemailer');
 const axios = require('axios');
 const logger = require('./logger');
+const metrics = require('./metrics');
 const { mapLanguageToSalesforce } = require('./guest-utils');
 
 class Notifier {
-  constructor() {
+  /**
+   * @param {Object} [options] - Per-property overrides (multi-property DB sync)
+   * @param {string} [options.emailTo] - Admin recipients (default EMAIL_TO)
+   * @param {string|null} [options.frontDeskEmailTo] - Front desk report recipients (default FRONT_DESK_EMAIL_TO)
+   * @param {string} [options.label] - Property name appended to report subjects
+   */
+  constructor(options = {}) {
     this.emailEnabled = !!process.env.EMAIL_ENABLED && process.env.EMAIL_ENABLED !== 'false';
     this.slackEnabled = !!process.env.SLACK_WEBHOOK_URL;
 
@@ -42,10 +49,13 @@ class Notifier {
       }
 
       this.emailFrom = process.env.EMAIL_FROM || process.env.SMTP_USER;
-      this.emailTo = process.env.EMAIL_TO;
+      this.emailTo = options.emailTo || process.env.EMAIL_TO;
     }
 
-    this.frontDeskEmailTo = process.env.FRONT_DESK_EMAIL_TO || null;
+    this.frontDeskEmailTo = options.frontDeskEmailTo !== undefined
+      ? options.frontDeskEmailTo
+      : process.env.FRONT_DESK_EMAIL_TO || null;
+    this.label = options.label || null;
 
     // Slack configuration
     this.slackWebhookUrl = process.env.SLACK_WEBHOOK_URL;
@@ -64,6 +74,13 @@ class Notifier {
     }
   }
 
+  /**
+   * Append the property label (if any) to a subject line
+   */
+  _withLabel(text) {
+    return this.label ? `${text} — ${this.label}` : text;
+  }
+
   /**
    * Test email configuration
    */
@@ -143,7 +160,9 @@ class Notifier {
 
     try {
       if (this.useGmailAPI) {
-        return await this._sendViaGmailREST(to, subject, textBody, htmlBody, attachments);
+        const sent = await this._sendViaGmailREST(to, subject, textBody, htmlBody, attachments);
+        metrics.notifications.inc({ channel: 'email', result: 'sent' });
+        return sent;
       }
 
       const mailOptions = {
@@ -164,8 +183,10 @@ class Notifier {
 
       const info = await this.transporter.sendMail(mailOptions);
       logger.debug(`Email sent: ${info.messageId}`);
+      metrics.notifications.inc({ channel: 'email', result: 'sent' });
       return true;
     } catch (err) {
+      metrics.notifications.inc({ channel: 'email', result: 'failed' });
       logger.error('Failed to send email:', err);
       return false;
     }
@@ -273,8 +294,10 @@ class Notifier {
 
       await axios.post(this.slackWebhookUrl, payload, { timeout: 10000 });
       logger.debug('Slack message sent');
+      metrics.notifications.inc({ channel: 'slack', result: 'sent' });
       return true;
     } catch (err) {
+      metrics.notifications.inc({ channel: 'slack', result: 'failed' });
       logger.error('Failed to send Slack message:', err);
       return false;
     }
@@ -320,7 +343,7 @@ class Notifier {
     const details = stats.frontDeskDetails || [];
     if (details.length === 0) return;
 
-    const subject = `Front Desk — ${details.length} Guest(s) Need Email Collection (${stats.date})`;
+    const subject = this._withLabel(`Front Desk — ${details.length} Guest(s) Need Email Collection (${stats.date})`);
 
     const textBody = details.map(r =>
       `${r.firstName} ${r.lastName} — ${r.email || '(none)'} — ${r.reason} — check-in: ${r.checkIn || '—'} check-out: ${r.checkOut || '—'}`
@@ -373,13 +396,13 @@ class Notifier {
       return;
     }
 
-    const subject = `Daily Front Desk Report — ${date}`;
+    const subject = this._withLabel(`Daily Front Desk Report — ${date}`);
 
     // Plain text fallback
     const textLines = [`Daily Front Desk Report — ${date}\n`];
     if (badEmails.length > 0) {
       textLines.push(`PRIORITY: ${badEmails.length} guest(s) need email collection`);
-      badEmails.forEach(g => textLines.push(`  - ${g.firstName} ${g.lastName} (${g.reason}) ${g.email || '(none)'}`));
+      badEmails.forEach(g => textLines.push(`  - ${g.firstName} ${g.lastName} (${g.reason}) ${g.email || '(none)'}${g.suggestion ? ` → suggested ${g.suggestion.email} (${Math.round(g.suggestion.confidence * 100)}%)` : ''}`));
       textLines.push('');
     }
     const sections = [
@@ -491,26 +514,32 @@ class Notifier {
             <th style="${thStyle}">Villa</th>
             <th style="${thStyle}">PRS</th>
             <th style="${thStyle}">Reason</th>
+            <th style="${thStyle}">Suggested</th>
             <th style="${thStyle}">Check-in</th>
             <th style="${thStyle}">Check-out</th>
           </tr>
           ${badEmails.map(g => {
             const reason = g.reason === 'no-email' ? 'No email on file'
+              : g.reason === 'likely-typo' ? `Likely typo: ${g.email}`
               : g.email ? `Invalid: ${g.email}` : g.reason;
+            const suggested = g.suggestion
+              ? `${g.suggestion.email}<br><span style="font-size:11px;color:#666">${Math.round(g.suggestion.confidence * 100)}% — ${g.suggestion.reason}</span>`
+              : '—';
             return `
           <tr>
             <td style="${tdStyle}">${nameCell(g)}</td>
             <td style="${tdNowrap}">${g.villa || '—'}</td>
             <td style="${tdNowrap}">${g.prs || '—'}</td>
             <td style="${tdStyle};color:#c62828">${reason}</td>
+            <td style="${tdStyle}">${suggested}</td>
             <td style="${tdNowrap}">${g.checkIn}</td>
             <td style="${tdNowrap}">${g.checkOut}</td>
           </tr>`;}).join('')}
           <tr style="background:#f9f9f9">
-            <td colspan="6" style="${tdStyle};font-weight:bold;font-size:12px">Total: ${badEmails.length} guest(s)</td>
+            <td colspan="7" style="${tdStyle};font-weight:bold;font-size:12px">Total: ${badEmails.length} guest(s)</td>
           </tr>
         </table>
-        <p style="color:#c62828;font-size:12px;margin-top:4px">Please collect personal email addresses for these guests.</p>`;
+        <p style="color:#c62828;font-size:12px;margin-top:4px">Please collect personal email addresses for these guests, or confirm the suggested correction with them.</p>`;
     }
 
     htmlBody += buildSection('Guests In House', '#1565c0', inHouse);
@@ -528,13 +557,14 @@ class Notifier {
       const s = String(v || '');
       return s.includes(',') || s.includes('"') || s.includes('\n') ? `"${s.replace(/"/g, '""')}"` : s;
     };
-    const csvRows = ['Section,Name,Email,Villa,PRS,ETA,Check-in,Check-out,Country,Language,Reason,Notes'];
+    const csvRows = ['Section,Name,Email,Suggested Email,Villa,PRS,ETA,Check-in,Check-out,Country,Language,Reason,Notes'];
     const addCsvRows = (section, guests) => {
       for (const g of guests) {
         csvRows.push([
           section,
           `${g.firstName} ${g.lastName}`,
           g.email || '',
+          g.suggestion ? g.suggestion.email : '',
           g.villa || '',
           g.prs || '',
           g.eta || '',
@@ -774,6 +804,184 @@ Action Required:
     logger.info('Salesforce error notification sent');
   }
 
+  /**
+   * Notify that the Salesforce schema check found (or no longer finds) drift.
+   * Sent on every change of the problem list, not on every check.
+   * @param {string[]} problems - formatSchemaProblems() lines; empty = resolved
+   */
+  async notifySchemaDrift(problems) {
+    const resolved = problems.length === 0;
+    const subject = resolved
+      ? '✅ OPERA Sync - Salesforce Schema Check Passing Again'
+      : `🚨 OPERA Sync - Salesforce Schema Drift (${problems.length} problem(s)), sync paused`;
+    const textBody = resolved ? `
+OPERA to Salesforce Sync - Schema Check Passing
+===============================================
+
+The Salesforce fields written by the sync match the live schema again.
+Syncing has resumed; records changed while it was paused are picked up on the next poll.
+    `.trim() : `
+OPERA to Salesforce Sync - Schema Drift
+=======================================
+
+Time: ${new Date().toISOString()}
+
+The live Salesforce schema no longer matches the fields the sync writes.
+Syncing is paused (the watermark does not move) until the check passes again.
+
+Problems:
+${problems.map(p => `- ${p}`).join('\n')}
+
+Action Required:
+- Restore the field / permission / picklist value in Salesforce, or
+- Update the field mapping (FIELD_MAPPING_FILE) to match, then restart the service
+    `.trim();
+
+    const htmlBody = resolved ? `
+      <h2>✅ Salesforce Schema Check Passing</h2>
+      <p>Syncing has resumed; records changed while it was paused are picked up on the next poll.</p>
+    ` : `
+      <h2>🚨 Salesforce Schema Drift</h2>
+      <p><strong>Syncing is paused</strong> until the schema check passes again.</p>
+      <ul>
+        ${problems.map(p => `<li><code>${p}</code></li>`).join('\n        ')}
+      </ul>
+      <p>Restore the field / permission / picklist value in Salesforce, or update the field mapping to match and restart the service.</p>
+    `;
+
+    if (this.emailEnabled) {
+      await this.sendEmail(subject, textBody, htmlBody);
+    }
+
+    if (this.slackEnabled) {
+      await this.sendSlackMessage(resolved
+        ? '✅ *OPERA Sync - Salesforce schema check passing again*\n\nSyncing has resumed.'
+        : `🚨 *OPERA Sync - Salesforce schema drift, sync paused*\n\n${problems.map(p => `• ${p}`).join('\n')}`);
+    }
+
+    logger.info(`Schema drift notification sent (${resolved ? 'resolved' : `${problems.length} problem(s)`})`);
+  }
+
+  /**
+   * Notify that Oracle has been unreachable long enough to open the circuit breaker
+   * (sent once per outage; see OracleClient)
+   * @param {{since: Date, error: string}} outage
+   */
+  async notifyOracleUnavailable({ since, error }) {
+    const subject = '🚨 OPERA Sync - Oracle Unavailable';
+    const textBody = `
+OPERA to Salesforce Sync - Oracle Unavailable
+=============================================
+
+Oracle unavailable since ${since.toISOString()}.
+Last error: ${error}
+
+Polls are skipped until the database answers again (checked every
+ORACLE_BREAKER_COOLDOWN_SECONDS); nothing is lost, the next successful poll
+picks up every change since the last one. You'll get one more message when
+it recovers.
+
+If this is outside the night audit window, check the Opera database server
+and listener.
+    `.trim();
+    const htmlBody = `
+      <h2>🚨 Oracle Unavailable</h2>
+      <p>Oracle unavailable since <strong>${since.toISOString()}</strong>.</p>
+      <p>Last error: <code>${error}</code></p>
+      <p>Polls are skipped until the database answers again; nothing is lost. You'll get one more message when it recovers.</p>
+    `;
+
+    if (this.emailEnabled) {
+      await this.sendEmail(subject, textBody, htmlBody);
+    }
+
+    if (this.slackEnabled) {
+      await this.sendSlackMessage(`🚨 *OPERA Sync - Oracle unavailable since ${since.toISOString()}*\n\n\`${error}\`\nPolls are paused until it answers again.`);
+    }
+
+    logger.info('Oracle unavailable notification sent');
+  }
+
+  /**
+   * Notify that Oracle answers again after an outage
+   * @param {{since: Date, downMs: number}} outage
+   */
+  async notifyOracleRecovered({ since, downMs }) {
+    const minutes = Math.max(1, Math.round(downMs / 60000));
+    const subject = '✅ OPERA Sync - Oracle Available Again';
+    const textBody = `
+OPERA to Salesforce Sync - Oracle Available Again
+=================================================
+
+Oracle was unavailable from ${since.toISOString()} for about ${minutes} minute(s).
+Polling has resumed; changes made during the outage are picked up now.
+    `.trim();
+    const htmlBody = `
+      <h2>✅ Oracle Available Again</h2>
+      <p>Oracle was unavailable from ${since.toISOString()} for about ${minutes} minute(s). Polling has resumed.</p>
+    `;
+
+    if (this.emailEnabled) {
+      await this.sendEmail(subject, textBody, htmlBody);
+    }
+
+    if (this.slackEnabled) {
+      await this.sendSlackMessage(`✅ *OPERA Sync - Oracle available again* after ~${minutes} minute(s). Polling has resumed.`);
+    }
+
+    logger.info('Oracle recovery notification sent');
+  }
+
+  /**
+   * Notify that the org's Salesforce API usage crossed a threshold (see api-limits.js)
+   * @param {Object} snapshot - ApiLimits.getSnapshot()
+   */
+  async notifyApiLimit(snapshot) {
+    const usage = `${snapshot.used.toLocaleString('en-US')} of ${snapshot.limit.toLocaleString('en-US')} daily API requests used (${snapshot.remainingPercent}% left)`;
+
+    if (snapshot.level === 'ok') {
+      if (this.slackEnabled) {
+        await this.sendSlackMessage(`✅ *OPERA Sync - Salesforce API usage back to normal*\n\n${usage}. Deferred work resumes.`);
+      }
+      logger.info('API limit recovery notification sent');
+      return;
+    }
+
+    const critical = snapshot.level === 'critical';
+    const effect = critical
+      ? 'Salesforce syncing is PAUSED (the watermark does not move) until usage drops.'
+      : 'Non-urgent work (Contact check-in/out date updates, duplicate cache refresh) is deferred; guest syncing continues.';
+    const subject = `${critical ? '🚨' : '⚠️'} OPERA Sync - Salesforce API Limit ${critical ? 'Critical' : 'Low'}`;
+    const textBody = `
+OPERA to Salesforce Sync - Salesforce API Limit ${critical ? 'Critical' : 'Low'}
+===========================================================
+
+${usage}.
+Time: ${new Date().toISOString()}
+
+${effect}
+
+The allocation is org-wide and rolls over 24 hours; check which integration is
+consuming it (Setup → System Overview / API Usage) before other integrations break.
+    `.trim();
+    const htmlBody = `
+      <h2>${subject.replace('OPERA Sync - ', '')}</h2>
+      <p>${usage}.</p>
+      <p><strong>${effect}</strong></p>
+      <p>The allocation is org-wide and rolls over 24 hours; check which integration is consuming it (Setup → System Overview / API Usage).</p>
+    `;
+
+    if (this.emailEnabled) {
+      await this.sendEmail(subject, textBody, htmlBody);
+    }
+
+    if (this.slackEnabled) {
+      await this.sendSlackMessage(`${critical ? '🚨' : '⚠️'} *OPERA Sync - Salesforce API limit ${snapshot.level}*\n\n${usage}.\n${effect}`);
+    }
+
+    logger.info(`API limit notification sent (${snapshot.level})`);
+  }
+
   /**
    * Notify about successful recovery
    */
@@ -839,6 +1047,23 @@ No action required - the system is operating normally.
     this.consecutiveErrors = 0;
   }
 
+  /**
+   * Notify that the andon cord was pulled or released (Slack only — it's an operator action, not an error)
+   * @param {Object} status - Andon.getStatus()
+   */
+  async notifyAndonChange(status) {
+    if (!this.slackEnabled) {
+      return;
+    }
+
+    const text = status.pulled
+      ? `🛑 *OPERA Sync - Andon cord pulled*\n\nSalesforce writes are paused. Oracle polling continues and new records are held for replay.${status.reason ? `\nReason: ${status.reason}` : ''}`
+      : `▶️ *OPERA Sync - Andon cord released*\n\nSalesforce writes resumed — replaying ${status.held} held record(s).`;
+
+    await this.sendSlackMessage(text);
+    logger.info(`Andon ${status.pulled ? 'pulled' : 'released'} notification sent`);
+  }
+
   /**
    * Reset error counter (called on successful processing)
    */
@@ -853,11 +1078,14 @@ No action required - the system is operating normally.
    * Send daily summary email
    */
   async sendDailySummary(stats) {
-    const subject = `📊 OPERA Sync - Daily Admin Summary (${stats.date})`;
+    const subject = this._withLabel(`📊 OPERA Sync - Daily Admin Summary (${stats.date})`);
 
     const duplicateDetails = stats.skippedDuplicateDetails || [];
     const reviewDetails = stats.needsReviewDetails || [];
     const frontDeskDetails = stats.frontDeskDetails || [];
+    const cancellationDetails = stats.cancellationDetails || [];
+    const api = stats.apiUsage;
+    const apiLine = api ? `${api.used.toLocaleString('en-US')} / ${api.limit.toLocaleString('en-US')} used (${Math.round(api.used / api.limit * 100)}%), peak today ${Math.round(api.peakUsed / api.limit * 100)}%` : null;
 
     const textBody = `
 OPERA to Salesforce Sync - Daily Admin Summary
@@ -870,10 +1098,12 @@ Records Synced: ${stats.recordsSynced || 0}
 Front Desk (email collection): ${stats.frontDesk || 0}
 Skipped (Duplicates): ${stats.skippedDuplicates || 0}
 Needs Review: ${stats.needsReview || 0}
+Cancellations / No-shows: ${stats.cancellations || 0}
 Errors: ${stats.errors || 0}
-
+${apiLine ? `Salesforce API (org, rolling 24h): ${apiLine}\n` : ''}
 ${frontDeskDetails.length > 0 ? `\nFRONT DESK — ON-PROPERTY GUESTS (email collection needed):\n${frontDeskDetails.map(r => `  - ${r.firstName} ${r.lastName} <${r.email || '(none)'}> (${r.reason}) check-in: ${r.checkIn || '—'} check-out: ${r.checkOut || '—'}`).join('\n')}` : ''}
 ${duplicateDetails.length > 0 ? `\nSKIPPED - DUPLICATES (please review):\n${duplicateDetails.map(r => `  - ${r.firstName} ${r.lastName} <${r.email}> (${r.reason || r.category || ''})`).join('\n')}` : ''}
+${cancellationDetails.length > 0 ? `\nCANCELLATIONS / NO-SHOWS (flagged on the guest record):\n${cancellationDetails.map(r => `  - ${r.firstName} ${r.lastName} <${r.email}> ${r.status} check-in: ${r.checkIn || '—'} check-out: ${r.checkOut || '—'}`).join('\n')}` : ''}
 ${reviewDetails.length > 0 ? `\nNEEDS REVIEW (manual entry required):\n${reviewDetails.map(r => `  - ${r.firstName} ${r.lastName} <${r.email}> (${r.reason}) check-in: ${r.checkInDate || '—'}`).join('\n')}` : ''}
 ${stats.errors > 0 ? `\nRECENT ERRORS:\n${(stats.errorDetails || []).map(e => `- [${new Date(e.time).toLocaleTimeString()}] ${e.message}`).join('\n')}` : ''}
 
@@ -906,10 +1136,20 @@ ${stats.recordsSynced > 0 ? 'The system is operating normally.' : 'No records we
           <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Needs Review (manual entry)</td>
           <td style="padding: 8px; border: 1px solid #ddd; color: #d97706; font-weight: bold;">${stats.needsReview}</td>
         </tr>` : ''}
+        ${(stats.cancellations || 0) > 0 ? `
+        <tr>
+          <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Cancellations / No-shows</td>
+          <td style="padding: 8px; border: 1px solid #ddd;">${stats.cancellations}</td>
+        </tr>` : ''}
         <tr style="background: ${stats.errors > 0 ? '#ffebee' : '#f5f5f5'};">
           <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Errors</td>
           <td style="padding: 8px; border: 1px solid #ddd; ${stats.errors > 0 ? 'color: red; font-weight: bold;' : ''}">${stats.errors || 0}</td>
         </tr>
+        ${apiLine ? `
+        <tr>
+          <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Salesforce API (org, rolling 24h)</td>
+          <td style="padding: 8px; border: 1px solid #ddd;">${apiLine}</td>
+        </tr>` : ''}
       </table>
 
       ${frontDeskDetails.length > 0 ? `
@@ -955,6 +1195,27 @@ ${stats.recordsSynced > 0 ? 'The system is operating normally.' : 'No records we
         </table>
       ` : ''}
 
+      ${cancellationDetails.length > 0 ? `
+        <h3>🚫 Cancellations / No-shows (flagged on the guest record)</h3>
+        <table style="border-collapse:collapse;width:100%;font-size:12px;margin-bottom:16px">
+          <tr style="background:#f5f5f5">
+            <th style="padding:6px 10px;border:1px solid #ddd;text-align:left">Name</th>
+            <th style="padding:6px 10px;border:1px solid #ddd;text-align:left">Email</th>
+            <th style="padding:6px 10px;border:1px solid #ddd;text-align:left">Status</th>
+            <th style="padding:6px 10px;border:1px solid #ddd;text-align:left;white-space:nowrap">Check-in</th>
+            <th style="padding:6px 10px;border:1px solid #ddd;text-align:left;white-space:nowrap">Check-out</th>
+          </tr>
+          ${cancellationDetails.map(r => `
+          <tr>
+            <td style="padding:6px 10px;border:1px solid #ddd">${r.firstName} ${r.lastName}</td>
+            <td style="padding:6px 10px;border:1px solid #ddd">${r.email}</td>
+            <td style="padding:6px 10px;border:1px solid #ddd">${r.status}</td>
+            <td style="padding:6px 10px;border:1px solid #ddd;white-space:nowrap">${r.checkIn || ''}</td>
+            <td style="padding:6px 10px;border:1px solid #ddd;white-space:nowrap">${r.checkOut || ''}</td>
+          </tr>`).join('')}
+        </table>
+      ` : ''}
+
       ${reviewDetails.length > 0 ? `
         <h3>⚠️ Needs Review — Manual Entry Required (${reviewDetails.length})</h3>
         <div style="overflow-x:auto">
@@ -977,6 +1238,8 @@ ${stats.recordsSynced > 0 ? 'The system is operating normally.' : 'No records we
               : r.reason === 'shared-email-no-name-match' ? 'Shared email (no match)'
               : r.reason === 'shared-email-new-contact' ? 'Shared email (new)'
               : r.reason === 'multiple-sf-contacts' ? '2+ SF Contacts'
+              : r.reason === 'retries-exhausted' ? 'Retries exhausted'
+              : r.reason === 'invalid-phone' ? `Invalid phone (${r.details})`
               : r.reason;
             return `<tr>
               <td style="padding:6px 10px;border:1px solid #ddd">${name}</td>
@@ -1042,7 +1305,7 @@ ${stats.recordsSynced > 0 ? 'The system is operating normally.' : 'No records we
 
     if (this.slackWebhookUrl) {
       const slackMessage = {
-        text: `📊 *OPERA Sync - Daily Admin Summary (${stats.date})*`,
+        text: `📊 *${this._withLabel(`OPERA Sync - Daily Admin Summary (${stats.date})`)}*`,
         blocks: [
           {
             type: 'section',
@@ -1058,7 +1321,9 @@ ${stats.recordsSynced > 0 ? 'The system is operating normally.' : 'No records we
               { type: 'mrkdwn', text: `*Front Desk:*\n${stats.frontDesk || 0}` },
               { type: 'mrkdwn', text: `*Skipped (Duplicates):*\n${stats.skippedDuplicates || 0}` },
               { type: 'mrkdwn', text: `*Needs Review:*\n${stats.needsReview || 0}` },
-              { type: 'mrkdwn', text: `*Errors:*\n${stats.errors || 0}` }
+              ...(stats.cancellations ? [{ type: 'mrkdwn', text: `*Cancellations / No-shows:*\n${stats.cancellations}` }] : []),
+              { type: 'mrkdwn', text: `*Errors:*\n${stats.errors || 0}` },
+              ...(apiLine ? [{ type: 'mrkdwn', text: `*Salesforce API:*\n${apiLine}` }] : [])
             ]
           }
         ]
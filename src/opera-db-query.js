@@ -3,42 +3,148 @@
  *
  * Queries the Oracle database for guest data by NAME_IDs,
  * joining NAME + NAME_PHONE + NAME_ADDRESS + RESERVATION_NAME.
+ * The guest query's columns come from the field mapping (field-mapping.js).
  * Returns Salesforce-ready records in the same shape as parseOPERAFiles().
  */
 
 const logger = require('./logger');
-const { sanitizeEmail, emailInvalidReason, isAgentEmail, mapLanguageToSalesforce, verifyEmailsSMTP } = require('./guest-utils');
+const { sanitizeEmail, emailInvalidReason, suggestEmailCorrection, autoCorrectEmail, isAgentEmail, isExcludedEmail, mapLanguageToSalesforce, verifyEmailsSMTP } = require('./guest-utils');
+const { getProperty } = require('./properties');
+const { formatDate, operaSelectColumns, operaRowToEntry, TRANSFORMS } = require('./field-mapping');
+const { commentTypes } = require('./guest-notes');
 
-const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+/**
+ * Guest's loyalty/membership card: the primary active membership, else the latest one
+ */
+const MEMBERSHIP_JOIN = `
+      LEFT JOIN (
+        SELECT m.*,
+               ROW_NUMBER() OVER (PARTITION BY m.NAME_ID
+                 ORDER BY DECODE(m.PRIMARY_MEMBERSHIP_YN, 'Y', 0, 1), m.MEMBERSHIP_ID DESC) AS mem_rn
+        FROM OPERA.MEMBERSHIPS m
+        WHERE m.INACTIVE_DATE IS NULL
+      ) mem ON n.NAME_ID = mem.NAME_ID AND mem.mem_rn = 1`;
+
+/**
+ * Per-reservation stay figures (the "stay" mapping source, see STAY_COLUMNS):
+ * first-night room type / rate / market / source / occupancy, nights and room revenue
+ */
+const FIRST_NIGHT = 'KEEP (DENSE_RANK FIRST ORDER BY rden.RESERVATION_DATE)';
+const STAY_JOIN = `
+        LEFT JOIN (
+          SELECT rden.RESV_NAME_ID,
+                 MAX(rrc.LABEL) ${FIRST_NIGHT} AS ROOM_TYPE,
+                 MAX(rden.RATE_CODE) ${FIRST_NIGHT} AS RATE_CODE,
+                 MAX(rde.MARKET_CODE) ${FIRST_NIGHT} AS MARKET_CODE,
+                 MAX(rde.SOURCE_CODE) ${FIRST_NIGHT} AS SOURCE_CODE,
+                 COUNT(DISTINCT rden.RESERVATION_DATE) AS NIGHTS,
+                 MAX(rden.ADULTS) ${FIRST_NIGHT} AS ADULTS,
+                 MAX(rden.CHILDREN) ${FIRST_NIGHT} AS CHILDREN,
+                 SUM(NVL(rden.SHARE_AMOUNT, 0)) AS ROOM_REVENUE
+          FROM OPERA.RESERVATION_DAILY_ELEMENT_NAME rden
+          JOIN OPERA.RESERVATION_DAILY_ELEMENTS rde
+            ON rden.RESORT = rde.RESORT
+            AND rden.RESERVATION_DATE = rde.RESERVATION_DATE
+            AND rden.RESV_DAILY_EL_SEQ = rde.RESV_DAILY_EL_SEQ
+          LEFT JOIN OPERA.RESORT_ROOM_CATEGORY rrc
+            ON rrc.RESORT = rde.RESORT AND rrc.ROOM_CATEGORY = rde.ROOM_CATEGORY
+          WHERE rden.RESORT = :resort
+          GROUP BY rden.RESV_NAME_ID
+        ) st ON rnx.RESV_NAME_ID = st.RESV_NAME_ID`;
+
+/**
+ * Bind a list of values as :prefix0, :prefix1, ... for an IN (...) clause
+ */
+function bindList(prefix, values, binds) {
+  return values.map((value, idx) => {
+    binds[`${prefix}${idx}`] = value;
+    return `:${prefix}${idx}`;
+  }).join(', ');
+}
 
-// Internal/excluded email domains and addresses — these are skipped during sync
-const EXCLUDED_DOMAINS = (process.env.EXCLUDED_EMAIL_DOMAINS || '')
-  .split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
-const EXCLUDED_EMAILS = (process.env.EXCLUDED_EMAILS || '')
-  .split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+// Comments per guest / reservation and bytes per comment kept, so the LISTAGG
+// stays under Oracle's 4000-byte VARCHAR2 limit (guest-notes.js trims further)
+const NOTES_MAX_ROWS = 6;
+const NOTE_MAX_BYTES = 600;
 
-// Room prefixes to exclude (e.g. Posting Masters: "PM")
-const EXCLUDED_ROOM_PREFIXES = (process.env.EXCLUDED_ROOM_PREFIXES || 'PM')
-  .split(',').map(p => p.trim().toUpperCase()).filter(Boolean);
+/**
+ * Guest preferences: active NAME_COMMENT rows of the configured types
+ */
+function preferencesJoin(binds) {
+  return `
+      LEFT JOIN (
+        SELECT NAME_ID, LISTAGG(NOTE, ' | ') WITHIN GROUP (ORDER BY LINE_NO) AS NOTES
+        FROM (
+          SELECT NAME_ID, LINE_NO, SUBSTRB(COMMENTS, 1, ${NOTE_MAX_BYTES}) AS NOTE,
+                 ROW_NUMBER() OVER (PARTITION BY NAME_ID ORDER BY LINE_NO) AS note_rn
+          FROM OPERA.NAME_COMMENT
+          WHERE COMMENT_TYPE IN (${bindList('prefType', commentTypes().preferences, binds)})
+            AND INACTIVE_DATE IS NULL
+            AND COMMENTS IS NOT NULL
+        )
+        WHERE note_rn <= ${NOTES_MAX_ROWS}
+        GROUP BY NAME_ID
+      ) pref ON n.NAME_ID = pref.NAME_ID`;
+}
 
 /**
- * Format a JS Date as YYYY-MM-DD for Salesforce
+ * Reservation notes: RESERVATION_COMMENT rows of the configured types
  */
-function formatDate(date) {
-  if (!date || !(date instanceof Date)) return '';
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+function commentsJoin(binds) {
+  return `
+        LEFT JOIN (
+          SELECT RESV_NAME_ID, LISTAGG(NOTE, ' | ') WITHIN GROUP (ORDER BY INSERT_DATE) AS NOTES
+          FROM (
+            SELECT RESV_NAME_ID, INSERT_DATE, SUBSTRB(COMMENTS, 1, ${NOTE_MAX_BYTES}) AS NOTE,
+                   ROW_NUMBER() OVER (PARTITION BY RESV_NAME_ID ORDER BY INSERT_DATE) AS note_rn
+            FROM OPERA.RESERVATION_COMMENT
+            WHERE COMMENT_TYPE IN (${bindList('resvType', commentTypes().reservation, binds)})
+              AND RESORT = :resort
+              AND COMMENTS IS NOT NULL
+          )
+          WHERE note_rn <= ${NOTES_MAX_ROWS}
+          GROUP BY RESV_NAME_ID
+        ) rc ON rnx.RESV_NAME_ID = rc.RESV_NAME_ID`;
 }
 
 /**
- * Query guest data for a list of NAME_IDs
+ * Reservations returned besides each guest's latest one (one entry per stay).
+ * Mirrors the poll's change query: changed since the watermark, checking in
+ * within 2 months or checking out today; or beginning on/after stayFrom.
+ * @returns {string|null} SQL condition on rnx, null = latest reservation only
+ */
+function extraStaysCondition({ changedSince, stayFrom }, binds) {
+  const conditions = [];
+  if (changedSince) {
+    binds.changedSince = changedSince;
+    conditions.push('rnx.INSERT_DATE >= :changedSince', 'rnx.UPDATE_DATE >= :changedSince',
+      'TRUNC(rnx.BEGIN_DATE) BETWEEN TRUNC(SYSDATE) AND ADD_MONTHS(TRUNC(SYSDATE), 2)',
+      'TRUNC(rnx.END_DATE) = TRUNC(SYSDATE)');
+  }
+  if (stayFrom) {
+    binds.stayFrom = stayFrom;
+    conditions.push("rnx.BEGIN_DATE >= TO_DATE(:stayFrom, 'YYYY-MM-DD')");
+  }
+  return conditions.length > 0 ? conditions.join('\n                 OR ') : null;
+}
+
+/**
+ * Query guest data for a list of NAME_IDs: one entry for each guest's latest
+ * reservation at the property, plus one per other qualifying reservation
+ * (see extraStaysCondition). invoice.resvNameId identifies the stay.
+ * Companions — sharers whose reservation has a PARENT_RESV_NAME_ID — are
+ * returned with invoice.parentResvNameId. When they have no email of their own
+ * (none, unusable, an agent's, or the primary guest's) customer.email is empty:
+ * they get a stay record but no Contact.
  * @param {OracleClient} oracleClient - Connected Oracle client
  * @param {number[]} nameIds - Array of Opera NAME_IDs
- * @returns {Promise<{records: Array, frontDesk: Array}>}
+ * @param {Object} [options]
+ * @param {Object} [options.property] - From properties.js (default property if omitted)
+ * @param {Date} [options.changedSince] - Also return stays changed since then or in the poll window
+ * @param {string} [options.stayFrom] - YYYY-MM-DD: also return stays beginning on/after it
+ * @returns {Promise<{records: Array, frontDesk: Array}>} records are {customer, invoice, property}
  */
-async function queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify = false } = {}) {
+async function queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify = false, property = getProperty(), changedSince = null, stayFrom = null } = {}) {
   if (!nameIds || nameIds.length === 0) {
     return { records: [], frontDesk: [] };
   }
@@ -47,24 +153,21 @@ async function queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify = false
   const frontDesk = [];
   const todayArg = process.env.OVERRIDE_TODAY || new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Argentina/Buenos_Aires' })).toISOString().slice(0, 10);
   const batchSize = 50;
+  const select = operaSelectColumns();
 
   for (let i = 0; i < nameIds.length; i += batchSize) {
     const batch = nameIds.slice(i, i + batchSize);
-    const binds = {};
+    const binds = { resort: property.resort };
     const placeholders = batch.map((id, idx) => {
       binds[`id${idx}`] = id;
       return `:id${idx}`;
     });
+    const extraStays = extraStaysCondition({ changedSince, stayFrom }, binds);
 
     const rows = await oracleClient.query(`
-      SELECT n.NAME_ID, n.FIRST, n.LAST,
-             p.PHONE_NUMBER AS EMAIL,
-             phone.PHONE_NUMBER AS PHONE,
-             n.LANGUAGE,
-             a.CITY, a.STATE, a.COUNTRY,
-             rn.CHECK_IN, rn.CHECK_OUT, rn.RESV_STATUS, rn.ROOM
+      SELECT ${[...select.outer, 'rn.PARENT_EMAIL'].join(',\n             ')}
       FROM OPERA.NAME n
-      JOIN OPERA.NAME_PHONE p ON n.NAME_ID = p.NAME_ID
+      LEFT JOIN OPERA.NAME_PHONE p ON n.NAME_ID = p.NAME_ID
         AND p.PHONE_ROLE = 'EMAIL' AND p.PRIMARY_YN = 'Y'
       LEFT JOIN (
         SELECT NAME_ID, PHONE_NUMBER,
@@ -78,86 +181,90 @@ async function queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify = false
         WHERE PHONE_ROLE IN ('PHONE', 'MOBILE') AND PRIMARY_YN = 'Y'
       ) phone ON n.NAME_ID = phone.NAME_ID AND phone.rn = 1
       LEFT JOIN OPERA.NAME_ADDRESS a ON n.NAME_ID = a.NAME_ID
-        AND a.PRIMARY_YN = 'Y' AND a.INACTIVE_DATE IS NULL
+        AND a.PRIMARY_YN = 'Y' AND a.INACTIVE_DATE IS NULL${select.sources.has('membership') ? MEMBERSHIP_JOIN : ''}${select.sources.has('preferences') ? preferencesJoin(binds) : ''}
       LEFT JOIN (
-        SELECT rnx.NAME_ID, rnx.BEGIN_DATE AS CHECK_IN, rnx.END_DATE AS CHECK_OUT,
-               rnx.RESV_STATUS, rm.ROOM,
-               ROW_NUMBER() OVER (PARTITION BY rnx.NAME_ID ORDER BY rnx.BEGIN_DATE DESC) AS rn
+        SELECT rnx.NAME_ID,${select.reservation.map(c => `\n               ${c},`).join('')}
+               pp.PHONE_NUMBER AS PARENT_EMAIL,
+               ROW_NUMBER() OVER (PARTITION BY rnx.NAME_ID ORDER BY rnx.BEGIN_DATE DESC) AS rn${extraStays ? `,
+               CASE WHEN ${extraStays}
+                 THEN 1 ELSE 0 END AS extra_stay` : ''}
         FROM OPERA.RESERVATION_NAME rnx
         LEFT JOIN (
-          SELECT rden.RESV_NAME_ID, rde.ROOM,
+          SELECT rden.RESV_NAME_ID,${select.room.map(c => ` ${c},`).join('')}
                  ROW_NUMBER() OVER (PARTITION BY rden.RESV_NAME_ID ORDER BY rden.RESERVATION_DATE) AS rn
           FROM OPERA.RESERVATION_DAILY_ELEMENT_NAME rden
           JOIN OPERA.RESERVATION_DAILY_ELEMENTS rde
             ON rden.RESORT = rde.RESORT
             AND rden.RESERVATION_DATE = rde.RESERVATION_DATE
             AND rden.RESV_DAILY_EL_SEQ = rde.RESV_DAILY_EL_SEQ
-          WHERE rden.RESORT = 'VINES'
+          WHERE rden.RESORT = :resort
         ) rm ON rnx.RESV_NAME_ID = rm.RESV_NAME_ID AND rm.rn = 1
-        WHERE rnx.RESORT = 'VINES'
+        LEFT JOIN OPERA.RESERVATION_NAME prn ON prn.RESV_NAME_ID = rnx.PARENT_RESV_NAME_ID
+        LEFT JOIN OPERA.NAME_PHONE pp ON prn.NAME_ID = pp.NAME_ID
+          AND pp.PHONE_ROLE = 'EMAIL' AND pp.PRIMARY_YN = 'Y'${select.sources.has('stay') ? STAY_JOIN : ''}${select.sources.has('comments') ? commentsJoin(binds) : ''}${select.sources.has('company') ? `
+        LEFT JOIN OPERA.NAME co ON co.NAME_ID = rnx.COMPANY_ID` : ''}${select.sources.has('agent') ? `
+        LEFT JOIN OPERA.NAME ta ON ta.NAME_ID = rnx.TRAVEL_AGENT_ID` : ''}
+        WHERE rnx.RESORT = :resort
           AND rnx.RESV_STATUS IN ('RESERVED','CHECKED IN','CHECKED OUT')
           AND rnx.BEGIN_DATE <= ADD_MONTHS(TRUNC(SYSDATE), 2)
-      ) rn ON n.NAME_ID = rn.NAME_ID AND rn.rn = 1
+      ) rn ON n.NAME_ID = rn.NAME_ID AND (rn.rn = 1${extraStays ? ' OR rn.extra_stay = 1' : ''})
       WHERE n.NAME_ID IN (${placeholders.join(',')})
+        AND (p.NAME_ID IS NOT NULL OR rn.PARENT_RESV_NAME_ID IS NOT NULL)
     `, binds);
 
     for (const row of rows) {
+      const { customer, invoice } = operaRowToEntry(row);
+
       // Skip Posting Master rooms (e.g. "PM01") — not real guest rooms
-      const room = (row.ROOM || '').trim().toUpperCase();
-      if (room && EXCLUDED_ROOM_PREFIXES.some(p => room.startsWith(p))) {
+      const room = (invoice.room || '').toUpperCase();
+      if (room && property.excludedRoomPrefixes.some(p => room.startsWith(p))) {
         continue;
       }
 
       // Skip staff/company/owner emails entirely — not guests
-      const rawEmail = (row.EMAIL || '').trim();
-      const emailLower = rawEmail.toLowerCase();
-      if (EXCLUDED_EMAILS.includes(emailLower)
-          || EXCLUDED_DOMAINS.some(d => emailLower.endsWith(`@${d}`))) {
+      const rawEmail = customer.email || '';
+      if (isExcludedEmail(rawEmail)) {
         continue;
       }
 
-      // Sanitize email (fix typos, transliterate international chars)
-      const cleanedEmail = sanitizeEmail(rawEmail);
+      // Typo fix (EMAIL_AUTOCORRECT), then validation
+      const correctedEmail = autoCorrectEmail(rawEmail);
+      if (correctedEmail !== rawEmail) {
+        logger.info(`NAME_ID ${customer.operaId}: email auto-corrected ${rawEmail} → ${correctedEmail}`);
+      }
+      const cleanedEmail = sanitizeEmail(correctedEmail);
+      const isCheckingInToday = invoice.checkIn === todayArg;
+
+      // Companion without an email of their own: stay record only, no Contact / front desk entry
+      if (invoice.parentResvNameId && (!cleanedEmail
+          || cleanedEmail.toLowerCase() === (sanitizeEmail((row.PARENT_EMAIL || '').trim()) || '').toLowerCase()
+          || isAgentEmail({ ...customer, email: cleanedEmail }))) {
+        customer.email = '';
+        if (invoice.checkIn || invoice.checkOut) records.push({ customer, invoice, property: property.code });
+        continue;
+      }
 
       if (!cleanedEmail) {
         // Checking in today → front desk list; otherwise → skip silently
-        const checkInStr = row.CHECK_IN ? formatDate(row.CHECK_IN) : '';
-        const checkOutStr = row.CHECK_OUT ? formatDate(row.CHECK_OUT) : '';
-        const isCheckingInToday = checkInStr === todayArg;
         if (isCheckingInToday) {
-          logger.debug(`Front desk: NAME_ID ${row.NAME_ID} - invalid email (checking in today)`);
+          logger.debug(`Front desk: NAME_ID ${customer.operaId} - invalid email (checking in today)`);
           frontDesk.push({
             email: rawEmail,
-            firstName: (row.FIRST || '').trim(),
-            lastName: (row.LAST || '').trim(),
-            operaId: String(row.NAME_ID),
+            firstName: customer.firstName,
+            lastName: customer.lastName,
+            operaId: customer.operaId,
             reason: emailInvalidReason(rawEmail) || 'invalid-email',
-            checkIn: checkInStr,
-            checkOut: checkOutStr,
-            resvStatus: row.RESV_STATUS || ''
+            checkIn: invoice.checkIn,
+            checkOut: invoice.checkOut,
+            resvStatus: invoice.resvStatus || ''
           });
         }
         continue;
       }
-
-      const customer = {
-        operaId: String(row.NAME_ID),
-        firstName: (row.FIRST || '').trim(),
-        lastName: (row.LAST || '').trim(),
-        email: cleanedEmail,
-        phone: (row.PHONE || '').trim(),
-        language: (row.LANGUAGE || '').trim(),
-        billingCity: (row.CITY || '').trim(),
-        billingState: (row.STATE || '').trim(),
-        billingCountry: (row.COUNTRY || '').trim()
-      };
+      customer.email = cleanedEmail;
 
       const agentCategory = isAgentEmail(customer);
       if (agentCategory) {
-        const checkInStr = row.CHECK_IN ? formatDate(row.CHECK_IN) : '';
-        const checkOutStr = row.CHECK_OUT ? formatDate(row.CHECK_OUT) : '';
-        const isCheckingInToday = checkInStr === todayArg;
-
         if (!isCheckingInToday) {
           continue;
         }
@@ -168,25 +275,19 @@ async function queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify = false
           lastName: customer.lastName,
           operaId: customer.operaId,
           reason: agentCategory,
-          checkIn: checkInStr,
-          checkOut: checkOutStr,
-          resvStatus: row.RESV_STATUS || ''
+          checkIn: invoice.checkIn,
+          checkOut: invoice.checkOut,
+          resvStatus: invoice.resvStatus || ''
         });
         continue;
       }
 
-      const invoice = (row.CHECK_IN || row.CHECK_OUT) ? {
-        checkIn: formatDate(row.CHECK_IN),
-        checkOut: formatDate(row.CHECK_OUT),
-        resvStatus: row.RESV_STATUS || ''
-      } : null;
-
-      if (!invoice) {
+      if (!invoice.checkIn && !invoice.checkOut) {
         // Guest has no past or current check-in — skip silently (not on-property)
         continue;
       }
 
-      records.push({ customer, invoice });
+      records.push({ customer, invoice, property: property.code });
     }
   }
 
@@ -197,7 +298,7 @@ async function queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify = false
   // SMTP mailbox verification — catch invalid addresses before they hit Salesforce/Pardot
   // Skipped on initial sync (thousands of emails would timeout/get rate-limited)
   if (records.length > 0 && !skipSmtpVerify && process.env.SMTP_VERIFY !== 'false') {
-    const emails = [...new Set(records.map(r => r.customer.email))];
+    const emails = [...new Set(records.map(r => r.customer.email).filter(Boolean))];
     logger.info(`Verifying ${emails.length} email(s) via SMTP...`);
     try {
       const smtpResults = await verifyEmailsSMTP(emails);
@@ -241,58 +342,265 @@ async function queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify = false
   return { records, frontDesk };
 }
 
+/**
+ * Latest change timestamp of a NAME_PHONE / RESERVATION_NAME row.
+ * UPDATE_DATE is NULL on rows that were never updated, so fall back to INSERT_DATE.
+ */
+const CHANGED_AT = 'GREATEST(NVL(INSERT_DATE, UPDATE_DATE), NVL(UPDATE_DATE, INSERT_DATE))';
+
 /**
  * Query guests modified since a given timestamp (for catch-up on startup)
  * @param {OracleClient} oracleClient - Connected Oracle client
  * @param {string|null} sinceTimestamp - ISO timestamp, or null for initial sync
- * @returns {Promise<{records: Array, frontDesk: Array}>}
+ * @param {Object} [property] - From properties.js (default property if omitted)
+ * @returns {Promise<{records: Array, frontDesk: Array, cancellations: Array, watermark: Date|null}>}
+ *   watermark = max INSERT_DATE/UPDATE_DATE observed on NAME_PHONE (email) and
+ *   RESERVATION_NAME, i.e. Oracle's clock rather than the sync host's (null if no changes);
+ *   cancellations = see queryCancellationsSince (always empty on initial sync)
  */
-async function queryGuestsSince(oracleClient, sinceTimestamp) {
-  let nameIds;
+async function queryGuestsSince(oracleClient, sinceTimestamp, property = getProperty()) {
+  if (!sinceTimestamp) {
+    // Initial sync: collect the streamed chunks (opera-db-sync pushes them to Salesforce one at a time instead)
+    const initial = await streamInitialSync(oracleClient, property);
+    const records = [];
+    const frontDesk = [];
+    for await (const chunk of initial.chunks) {
+      records.push(...chunk.records);
+      frontDesk.push(...chunk.frontDesk);
+    }
+    return { records, frontDesk, cancellations: [], watermark: initial.watermark };
+  }
 
-  if (sinceTimestamp) {
-    // Find guests with email OR reservation changes since last sync
-    const rows = await oracleClient.query(`
-      SELECT DISTINCT NAME_ID FROM (
-        -- Email changes (new guests or email updates)
-        SELECT NAME_ID FROM OPERA.NAME_PHONE
-        WHERE PHONE_ROLE = 'EMAIL'
-          AND (INSERT_DATE >= :since OR UPDATE_DATE >= :since)
-        UNION
-        -- Reservation changes (check-ins, check-outs, status updates)
-        SELECT NAME_ID FROM OPERA.RESERVATION_NAME
-        WHERE RESORT = 'VINES'
-          AND (INSERT_DATE >= :since OR UPDATE_DATE >= :since)
+  // Find guests with email OR reservation changes since last sync
+  const rows = await oracleClient.query(`
+    SELECT NAME_ID, MAX(CHANGED_AT) AS CHANGED_AT FROM (
+      -- Email changes (new guests or email updates)
+      SELECT NAME_ID, ${CHANGED_AT} AS CHANGED_AT FROM OPERA.NAME_PHONE
+      WHERE PHONE_ROLE = 'EMAIL'
+        AND (INSERT_DATE >= :since OR UPDATE_DATE >= :since)
+      UNION ALL
+      -- Reservation changes (check-ins, check-outs, status updates)
+      SELECT NAME_ID, ${CHANGED_AT} AS CHANGED_AT FROM OPERA.RESERVATION_NAME
+      WHERE RESORT = :resort
+        AND (INSERT_DATE >= :since OR UPDATE_DATE >= :since)
+      UNION ALL
+      -- Guests checking in within the next 2 months or checking out today:
+      -- may have been booked before last sync with no recent UPDATE_DATE
+      -- (not a change, so it doesn't contribute to the watermark)
+      SELECT NAME_ID, CAST(NULL AS DATE) AS CHANGED_AT FROM OPERA.RESERVATION_NAME
+      WHERE RESORT = :resort
+        AND RESV_STATUS IN ('RESERVED','CHECKED IN','CHECKED OUT')
+        AND (TRUNC(BEGIN_DATE) BETWEEN TRUNC(SYSDATE) AND ADD_MONTHS(TRUNC(SYSDATE), 2)
+             OR TRUNC(END_DATE) = TRUNC(SYSDATE))
+    )
+    GROUP BY NAME_ID
+  `, { since: new Date(sinceTimestamp), resort: property.resort });
+  const nameIds = rows.map(r => r.NAME_ID);
+  const watermark = maxChangedAt(rows);
+  logger.info(`[${property.code}] Found ${nameIds.length} guests with email or reservation changes since ${sinceTimestamp} (watermark ${watermark ? watermark.toISOString() : 'unchanged'})`);
+
+  const result = await queryGuestsByIds(oracleClient, nameIds, { property, changedSince: new Date(sinceTimestamp) });
+  const cancellations = await queryCancellationsSince(oracleClient, sinceTimestamp, property);
+  return { ...result, cancellations, watermark };
+}
+
+// Reservation statuses that take a stay off the books after it may have been synced
+const CANCELLED_STATUSES = ['CANCELLED', 'NO SHOW'];
+
+/**
+ * Reservations that were cancelled or marked no-show since a given timestamp.
+ * queryGuestsByIds only reads live reservations, so these are reported separately
+ * for SalesforceClient.syncCancellations to flag the guest records left behind.
+ * @param {OracleClient} oracleClient - Connected Oracle client
+ * @param {string} sinceTimestamp - ISO timestamp
+ * @param {Object} [property] - From properties.js (default property if omitted)
+ * @returns {Promise<Array<{operaId, resvNameId, email, firstName, lastName, checkIn, checkOut, status, property}>>}
+ *   Guests without a usable email are left out (they can't have a guest record), except
+ *   companions on a sharer reservation, which come back with email ''
+ */
+async function queryCancellationsSince(oracleClient, sinceTimestamp, property = getProperty()) {
+  const rows = await oracleClient.query(`
+    SELECT rn.RESV_NAME_ID, rn.PARENT_RESV_NAME_ID, rn.NAME_ID, n.FIRST, n.LAST,
+           p.PHONE_NUMBER AS EMAIL,
+           TO_CHAR(TRUNC(rn.BEGIN_DATE), 'YYYY-MM-DD') AS CHECK_IN,
+           TO_CHAR(TRUNC(rn.END_DATE), 'YYYY-MM-DD') AS CHECK_OUT,
+           rn.RESV_STATUS
+    FROM OPERA.RESERVATION_NAME rn
+    JOIN OPERA.NAME n ON rn.NAME_ID = n.NAME_ID
+    LEFT JOIN OPERA.NAME_PHONE p ON rn.NAME_ID = p.NAME_ID
+      AND p.PHONE_ROLE = 'EMAIL' AND p.PRIMARY_YN = 'Y'
+    WHERE rn.RESORT = :resort
+      AND rn.RESV_STATUS IN (${CANCELLED_STATUSES.map(s => `'${s}'`).join(', ')})
+      AND (rn.INSERT_DATE >= :since OR rn.UPDATE_DATE >= :since)
+      AND (p.NAME_ID IS NOT NULL OR rn.PARENT_RESV_NAME_ID IS NOT NULL)
+  `, { since: new Date(sinceTimestamp), resort: property.resort });
+
+  const cancellations = [];
+  for (const row of rows) {
+    const rawEmail = (row.EMAIL || '').trim();
+    if (isExcludedEmail(rawEmail) || !row.CHECK_IN) continue;
+    // Companions can have a guest record without an email (matched by reservation ID)
+    const email = sanitizeEmail(rawEmail) || '';
+    if (!email && !row.PARENT_RESV_NAME_ID) continue;
+    cancellations.push({
+      operaId: String(row.NAME_ID),
+      resvNameId: String(row.RESV_NAME_ID),
+      email,
+      firstName: (row.FIRST || '').trim(),
+      lastName: (row.LAST || '').trim(),
+      checkIn: row.CHECK_IN,
+      checkOut: row.CHECK_OUT || '',
+      status: (row.RESV_STATUS || '').trim(),
+      property: property.code
+    });
+  }
+  if (cancellations.length > 0) {
+    logger.info(`[${property.code}] Found ${cancellations.length} cancelled / no-show reservation(s) since ${sinceTimestamp}`);
+  }
+  return cancellations;
+}
+
+/**
+ * Initial sync of a property, streamed: guests with an email and a reservation
+ * in the last INITIAL_SYNC_MONTHS are read through an Oracle result set and
+ * transformed INITIAL_SYNC_CHUNK_SIZE NAME_IDs at a time, so memory stays flat
+ * however many guests there are. SMTP verification is skipped (thousands of
+ * emails would time out / get rate-limited).
+ * @param {OracleClient} oracleClient - Connected Oracle client
+ * @param {Object} [property] - From properties.js (default property if omitted)
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - NAME_IDs per chunk
+ * @param {{watermark: string|null, afterNameId: number}} [options.resume] - Progress of an
+ *   interrupted initial sync (SyncState.getInitialSyncProgress): its watermark is kept and
+ *   NAME_IDs up to afterNameId are skipped
+ * @returns {Promise<{watermark: Date|null, chunks: AsyncGenerator<{records: Array, frontDesk: Array, lastNameId: number}>}>}
+ *   watermark is taken before the guest query so nothing committed in between is skipped;
+ *   NAME_IDs come in ascending order, lastNameId being the chunk's highest
+ */
+async function streamInitialSync(oracleClient, property = getProperty(), { chunkSize = parseInt(process.env.INITIAL_SYNC_CHUNK_SIZE) || 5000, resume = null } = {}) {
+  const initialSyncMonths = parseInt(process.env.INITIAL_SYNC_MONTHS) || 24;
+  // Every stay in the window gets its own record, not just each guest's latest
+  const from = new Date();
+  from.setMonth(from.getMonth() - initialSyncMonths);
+  const stayFrom = formatDate(from);
+  logger.info(`[${property.code}] Initial sync: querying guests with reservations in last ${initialSyncMonths} months`);
+
+  let watermark = resume && resume.watermark ? new Date(resume.watermark) : null;
+  if (resume) {
+    logger.info(`[${property.code}] Initial sync: resuming after NAME_ID ${resume.afterNameId}`);
+  } else {
+    const [mark] = await oracleClient.query(`
+      SELECT MAX(CHANGED_AT) AS CHANGED_AT FROM (
+        SELECT MAX(${CHANGED_AT}) AS CHANGED_AT FROM OPERA.NAME_PHONE WHERE PHONE_ROLE = 'EMAIL'
+        UNION ALL
+        SELECT MAX(${CHANGED_AT}) AS CHANGED_AT FROM OPERA.RESERVATION_NAME WHERE RESORT = :resort
+      )
+    `, { resort: property.resort });
+    watermark = mark ? maxChangedAt([mark]) : null;
+  }
+
+  async function* chunks() {
+    let guests = 0;
+    // Ordered by NAME_ID so an interrupted sync can resume after the last chunk it finished
+    const rowBatches = oracleClient.queryStream(`
+      SELECT NAME_ID FROM (
+        SELECT p.NAME_ID
+        FROM OPERA.NAME_PHONE p
+        JOIN OPERA.RESERVATION_NAME rn ON p.NAME_ID = rn.NAME_ID
+        WHERE p.PHONE_ROLE = 'EMAIL'
+          AND rn.RESORT = :resort
+          AND rn.BEGIN_DATE >= ADD_MONTHS(SYSDATE, -${initialSyncMonths})
         UNION
-        -- Guests checking in within the next 2 months or checking out today:
-        -- may have been booked before last sync with no recent UPDATE_DATE
-        SELECT NAME_ID FROM OPERA.RESERVATION_NAME
-        WHERE RESORT = 'VINES'
-          AND RESV_STATUS IN ('RESERVED','CHECKED IN','CHECKED OUT')
-          AND (TRUNC(BEGIN_DATE) BETWEEN TRUNC(SYSDATE) AND ADD_MONTHS(TRUNC(SYSDATE), 2)
-               OR TRUNC(END_DATE) = TRUNC(SYSDATE))
+        -- Companions (sharer reservations), with or without an email
+        SELECT rn.NAME_ID
+        FROM OPERA.RESERVATION_NAME rn
+        WHERE rn.RESORT = :resort
+          AND rn.PARENT_RESV_NAME_ID IS NOT NULL
+          AND rn.BEGIN_DATE >= ADD_MONTHS(SYSDATE, -${initialSyncMonths})
       )
-    `, { since: new Date(sinceTimestamp) });
-    nameIds = rows.map(r => r.NAME_ID);
-    logger.info(`Found ${nameIds.length} guests with email or reservation changes since ${sinceTimestamp}`);
-  } else {
-    // Initial sync: get all guests with emails at VINES resort (last 2 years to reduce RAM usage)
-    const initialSyncMonths = parseInt(process.env.INITIAL_SYNC_MONTHS) || 24;
-    logger.info(`Initial sync: querying guests with reservations in last ${initialSyncMonths} months`);
+      WHERE NAME_ID > :afterNameId
+      ORDER BY NAME_ID
+    `, { resort: property.resort, afterNameId: resume ? resume.afterNameId : 0 }, { batchSize: chunkSize });
+
+    for await (const rows of rowBatches) {
+      guests += rows.length;
+      logger.info(`[${property.code}] Initial sync: processing guests ${guests - rows.length + 1}-${guests}`);
+      const nameIds = rows.map(r => r.NAME_ID);
+      const chunk = await queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify: true, property, stayFrom });
+      yield { ...chunk, lastNameId: nameIds[nameIds.length - 1] };
+    }
+    logger.info(`[${property.code}] Initial sync: ${guests} guests read`);
+  }
 
-    const rows = await oracleClient.query(`
-      SELECT DISTINCT p.NAME_ID
-      FROM OPERA.NAME_PHONE p
-      JOIN OPERA.RESERVATION_NAME rn ON p.NAME_ID = rn.NAME_ID
-      WHERE p.PHONE_ROLE = 'EMAIL'
-        AND rn.RESORT = 'VINES'
-        AND rn.BEGIN_DATE >= ADD_MONTHS(SYSDATE, -${initialSyncMonths})
-    `);
-    nameIds = rows.map(r => r.NAME_ID);
-    logger.info(`Found ${nameIds.length} guests for initial sync`);
+  return { watermark, chunks: chunks() };
+}
+
+/**
+ * NAME_IDs of guests (with an email, or companions) whose reservation checks in within a date range
+ * @param {OracleClient} oracleClient - Connected Oracle client
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} toDate - YYYY-MM-DD (inclusive)
+ * @param {Object} [property] - From properties.js (default property if omitted)
+ * @returns {Promise<number[]>}
+ */
+async function queryNameIdsByCheckIn(oracleClient, fromDate, toDate, property = getProperty()) {
+  const rows = await oracleClient.query(`
+    SELECT DISTINCT rn.NAME_ID
+    FROM OPERA.RESERVATION_NAME rn
+    LEFT JOIN OPERA.NAME_PHONE p ON rn.NAME_ID = p.NAME_ID
+      AND p.PHONE_ROLE = 'EMAIL' AND p.PRIMARY_YN = 'Y'
+    WHERE rn.RESORT = :resort
+      AND (p.NAME_ID IS NOT NULL OR rn.PARENT_RESV_NAME_ID IS NOT NULL)
+      AND rn.RESV_STATUS IN ('RESERVED','CHECKED IN','CHECKED OUT')
+      AND rn.BEGIN_DATE >= TO_DATE(:fromDate, 'YYYY-MM-DD')
+      AND rn.BEGIN_DATE < TO_DATE(:toDate, 'YYYY-MM-DD') + 1
+  `, { fromDate, toDate, resort: property.resort });
+  logger.info(`[${property.code}] Found ${rows.length} guests checking in ${fromDate} → ${toDate}`);
+  return rows.map(r => r.NAME_ID);
+}
+
+/**
+ * Reservations of any status arriving within a date range, with the guest's
+ * primary email. Used by the reservation ID backfill to link guest records
+ * written before RESV_NAME_ID was synced.
+ * @param {OracleClient} oracleClient - Connected Oracle client
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} toDate - YYYY-MM-DD (inclusive)
+ * @param {Object} [property] - From properties.js (default property if omitted)
+ * @returns {Promise<Array<{resvNameId, email, checkIn, checkOut}>>} Rows without a usable email are left out
+ */
+async function queryReservationsByCheckIn(oracleClient, fromDate, toDate, property = getProperty()) {
+  const rows = await oracleClient.query(`
+    SELECT rn.RESV_NAME_ID, p.PHONE_NUMBER AS EMAIL,
+           TO_CHAR(TRUNC(rn.BEGIN_DATE), 'YYYY-MM-DD') AS CHECK_IN,
+           TO_CHAR(TRUNC(rn.END_DATE), 'YYYY-MM-DD') AS CHECK_OUT
+    FROM OPERA.RESERVATION_NAME rn
+    JOIN OPERA.NAME_PHONE p ON rn.NAME_ID = p.NAME_ID
+      AND p.PHONE_ROLE = 'EMAIL' AND p.PRIMARY_YN = 'Y'
+    WHERE rn.RESORT = :resort
+      AND rn.BEGIN_DATE >= TO_DATE(:fromDate, 'YYYY-MM-DD')
+      AND rn.BEGIN_DATE < TO_DATE(:toDate, 'YYYY-MM-DD') + 1
+  `, { fromDate, toDate, resort: property.resort });
+
+  const reservations = [];
+  for (const row of rows) {
+    const email = sanitizeEmail((row.EMAIL || '').trim());
+    if (!email || !row.CHECK_IN) continue;
+    reservations.push({ resvNameId: String(row.RESV_NAME_ID), email, checkIn: row.CHECK_IN, checkOut: row.CHECK_OUT || '' });
   }
+  logger.info(`[${property.code}] Found ${reservations.length} reservation(s) arriving ${fromDate} → ${toDate}`);
+  return reservations;
+}
 
-  return queryGuestsByIds(oracleClient, nameIds, { skipSmtpVerify: !sinceTimestamp });
+/**
+ * Highest CHANGED_AT across query rows (null when none have one)
+ */
+function maxChangedAt(rows) {
+  let max = null;
+  for (const row of rows) {
+    if (row.CHANGED_AT instanceof Date && (!max || row.CHANGED_AT > max)) max = row.CHANGED_AT;
+  }
+  return max;
 }
 
 /**
@@ -362,15 +670,20 @@ async function discoverReservationColumns(oracleClient) {
   return results;
 }
 
+// A valid email whose suggested correction scores at least this is listed as a likely typo
+const LIKELY_TYPO_CONFIDENCE = 0.8;
+
 /**
  * Query all guests with active reservations overlapping a target date
  * for the comprehensive daily front desk report.
  *
  * @param {OracleClient} oracleClient - Connected Oracle client
  * @param {string} dateStr - Target date as YYYY-MM-DD (default: today Argentina time)
- * @returns {Promise<Object>} Report data with sections: badEmails, inHouse, departures, arrivalsToday, arrivalsTomorrow
+ * @param {Object} [property] - From properties.js (default property if omitted)
+ * @returns {Promise<Object>} Report data with sections: badEmails, inHouse, departures, arrivalsToday, arrivalsTomorrow.
+ *   Bad emails carry `suggestion` ({email, confidence, reason}) when a correction can be proposed
  */
-async function queryFrontDeskReport(oracleClient, dateStr) {
+async function queryFrontDeskReport(oracleClient, dateStr, property = getProperty()) {
   if (!dateStr) {
     dateStr = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Argentina/Buenos_Aires' })).toISOString().slice(0, 10);
   }
@@ -380,7 +693,7 @@ async function queryFrontDeskReport(oracleClient, dateStr) {
   const tmp = new Date(y, m - 1, d + 1); // local date math
   const tomorrowStr = `${tmp.getFullYear()}-${String(tmp.getMonth() + 1).padStart(2, '0')}-${String(tmp.getDate()).padStart(2, '0')}`;
 
-  logger.info(`Front desk report: querying guests for ${dateStr} (tomorrow: ${tomorrowStr})`);
+  logger.info(`[${property.code}] Front desk report: querying guests for ${dateStr} (tomorrow: ${tomorrowStr})`);
 
   // Oracle returns dates as YYYY-MM-DD strings via TO_CHAR — no JS Date timezone issues
   // Join through RESERVATION_DAILY_ELEMENT_NAME → RESERVATION_DAILY_ELEMENTS to get Room + Adults/Children
@@ -414,7 +727,7 @@ async function queryFrontDeskReport(oracleClient, dateStr) {
         ON rden.RESORT = rde.RESORT
         AND rden.RESERVATION_DATE = rde.RESERVATION_DATE
         AND rden.RESV_DAILY_EL_SEQ = rde.RESV_DAILY_EL_SEQ
-      WHERE rden.RESORT = 'VINES'
+      WHERE rden.RESORT = :resort
         AND rden.RESERVATION_DATE BETWEEN TO_DATE(:dateStr, 'YYYY-MM-DD') AND TO_DATE(:tomorrowStr, 'YYYY-MM-DD')
     ) daily ON rn.RESV_NAME_ID = daily.RESV_NAME_ID AND daily.rn = 1
     LEFT JOIN (
@@ -430,14 +743,14 @@ async function queryFrontDeskReport(oracleClient, dateStr) {
              LISTAGG(COMMENTS, ' | ') WITHIN GROUP (ORDER BY INSERT_DATE) AS NOTES
       FROM OPERA.RESERVATION_COMMENT
       WHERE COMMENT_TYPE = 'RESERVATION'
-        AND RESORT = 'VINES'
+        AND RESORT = :resort
       GROUP BY RESV_NAME_ID
     ) resv_notes ON rn.RESV_NAME_ID = resv_notes.RESV_NAME_ID
-    WHERE rn.RESORT = 'VINES'
+    WHERE rn.RESORT = :resort
       AND rn.RESV_STATUS != 'CANCELLED'
       AND TRUNC(rn.BEGIN_DATE) <= TO_DATE(:tomorrowStr, 'YYYY-MM-DD')
       AND TRUNC(rn.END_DATE) >= TO_DATE(:dateStr, 'YYYY-MM-DD')
-  `, { dateStr, tomorrowStr });
+  `, { dateStr, tomorrowStr, resort: property.resort });
 
   logger.info(`Front desk report: ${rows.length} raw reservation rows returned`);
 
@@ -468,7 +781,7 @@ async function queryFrontDeskReport(oracleClient, dateStr) {
     const villa = (row.ROOM || '').trim() || null;
 
     // Skip Posting Master rooms (e.g. "PM01", "PM02") — not real guest rooms
-    if (villa && EXCLUDED_ROOM_PREFIXES.some(p => villa.toUpperCase().startsWith(p))) {
+    if (villa && property.excludedRoomPrefixes.some(p => villa.toUpperCase().startsWith(p))) {
       continue;
     }
 
@@ -485,7 +798,7 @@ async function queryFrontDeskReport(oracleClient, dateStr) {
       firstName,
       lastName,
       email: rawEmail,
-      country: (() => { const code = (row.COUNTRY || '').trim(); try { return code ? countryNames.of(code) || code : ''; } catch { return code; } })(),
+      country: TRANSFORMS.countryName(row.COUNTRY),
       language: mapLanguageToSalesforce(row.LANGUAGE),
       villa,
       adults: adults || 0,
@@ -498,16 +811,19 @@ async function queryFrontDeskReport(oracleClient, dateStr) {
       companions: []
     };
 
-    // Check for bad/agent email
+    // Check for bad/agent email, or a valid one that is most likely mistyped
     const cleanedEmail = sanitizeEmail(rawEmail);
+    const suggestion = suggestEmailCorrection(rawEmail);
     let badReason = null;
     if (!cleanedEmail) {
       badReason = emailInvalidReason(rawEmail) || 'invalid-email';
     } else {
       const agentCat = isAgentEmail({ email: cleanedEmail, firstName });
       if (agentCat) badReason = agentCat;
+      else if (suggestion && suggestion.confidence >= LIKELY_TYPO_CONFIDENCE) badReason = 'likely-typo';
     }
     guest.reason = badReason || undefined;
+    if (badReason && suggestion) guest.suggestion = suggestion;
 
     allGuests.push(guest);
   }
@@ -578,6 +894,7 @@ async function queryFrontDeskReport(oracleClient, dateStr) {
 
   const report = {
     date: dateStr,
+    property: property.name,
     badEmails,
     inHouse,
     departures,
@@ -593,6 +910,10 @@ async function queryFrontDeskReport(oracleClient, dateStr) {
 module.exports = {
   queryGuestsByIds,
   queryGuestsSince,
+  queryCancellationsSince,
+  streamInitialSync,
+  queryNameIdsByCheckIn,
+  queryReservationsByCheckIn,
   queryFrontDeskReport,
   discoverReservationColumns,
   formatDate
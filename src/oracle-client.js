@@ -1,10 +1,42 @@
+const EventEmitter = require('events');
 const oracledb = require('oracledb');
 const logger = require('./logger');
+const metrics = require('./metrics');
 
-class OracleClient {
+// Lost/refused connections and instance shutdown/startup (e.g. Opera night audit restarts)
+const CONNECTION_ORA_CODES = new Set([28, 1012, 1033, 1034, 1089, 1092, 3113, 3114, 3135, 12170, 12505, 12514, 12528, 12537, 12541, 12547]);
+const CONNECTION_NJS_CODES = new Set(['NJS-500', 'NJS-501', 'NJS-503', 'NJS-510', 'NJS-511', 'NJS-521']);
+
+/**
+ * True when an error means the database (or the network to it) is unavailable,
+ * as opposed to a problem with the statement itself
+ */
+function isConnectionError(err) {
+  if (!err) return false;
+  return CONNECTION_ORA_CODES.has(err.errorNum) || CONNECTION_NJS_CODES.has(err.code);
+}
+
+/**
+ * Oracle connection pool with retry and a circuit breaker.
+ *
+ * Idempotent SELECTs that fail on a lost connection are retried after a
+ * reconnect. After ORACLE_BREAKER_THRESHOLD consecutive connection failures
+ * the circuit opens: queries fail fast (err.code 'ORACLE_UNAVAILABLE') and one
+ * trial query is let through every ORACLE_BREAKER_COOLDOWN_SECONDS.
+ *
+ * Emits 'unavailable' ({since, error}) when the circuit opens and 'recovered'
+ * ({since, downMs}) when a query succeeds again.
+ */
+class OracleClient extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.pool = null;
+    this.retryAttempts = parseInt(process.env.ORACLE_RETRY_ATTEMPTS ?? 2);
+    this.retryDelayMs = parseInt(process.env.ORACLE_RETRY_DELAY_MS || 5000);
+    this.breakerThreshold = parseInt(process.env.ORACLE_BREAKER_THRESHOLD || 3);
+    this.breakerCooldownMs = parseInt(process.env.ORACLE_BREAKER_COOLDOWN_SECONDS || 60) * 1000;
+    this.breaker = { open: false, failures: 0, since: null, lastError: null, nextTrialAt: null };
   }
 
   async connect() {
@@ -49,24 +81,113 @@ class OracleClient {
     }
   }
 
+  /**
+   * Run a statement. SELECTs are retried after reconnecting when the connection
+   * is lost; while the circuit is open this throws ORACLE_UNAVAILABLE without
+   * touching the database.
+   */
   async query(sql, params = [], options = {}) {
+    this.checkBreaker();
+
+    const idempotent = /^\s*(SELECT|WITH)\b/i.test(sql);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const rows = await this.execute(sql, params, options);
+        this.recordSuccess();
+        return rows;
+      } catch (err) {
+        if (!isConnectionError(err)) {
+          this.recordSuccess(); // the database answered; the statement itself failed
+          throw err;
+        }
+        if (idempotent && attempt < this.retryAttempts) {
+          const delay = this.retryDelayMs * (attempt + 1);
+          logger.warn(`Oracle query failed (${err.message.split('\n')[0]}) — retrying in ${delay / 1000}s (${attempt + 1}/${this.retryAttempts})`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+        throw this.recordFailure(err);
+      }
+    }
+  }
+
+  /**
+   * Stream a large SELECT through a result set instead of materialising every
+   * row. The pooled connection is held until iteration finishes (or the caller
+   * breaks out). Not retried: a lost connection mid-stream can't be resumed.
+   * @param {string} sql
+   * @param {Object|Array} [params]
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=500] - Rows per yielded batch (also used as fetchArraySize)
+   * @yields {Array<Object>} Row batches
+   */
+  async *queryStream(sql, params = [], { batchSize = 500, ...options } = {}) {
+    this.checkBreaker();
+
+    let conn;
+    let resultSet;
+    const endTimer = metrics.oracleQueryDuration.startTimer();
+    let outcome = 'ok';
+    try {
+      if (!this.pool) {
+        await this.connect();
+      }
+      conn = await this.pool.getConnection();
+      const result = await conn.execute(sql, params, {
+        outFormat: oracledb.OUT_FORMAT_OBJECT,
+        resultSet: true,
+        fetchArraySize: batchSize,
+        ...options
+      });
+      resultSet = result.resultSet;
+      this.recordSuccess();
+
+      let rows;
+      while ((rows = await resultSet.getRows(batchSize)).length > 0) {
+        yield rows;
+      }
+    } catch (err) {
+      outcome = 'error';
+      if (!isConnectionError(err)) throw err;
+      if (this.pool) {
+        try { await this.pool.close(0); } catch (_) { /* ignore */ }
+        this.pool = null;
+      }
+      throw this.recordFailure(err);
+    } finally {
+      endTimer({ result: outcome });
+      if (resultSet) {
+        try { await resultSet.close(); } catch (_) { /* ignore close errors on dead connections */ }
+      }
+      if (conn) {
+        try { await conn.close(); } catch (_) { /* ignore close errors on dead connections */ }
+      }
+    }
+  }
+
+  /**
+   * One attempt: (re)connect if needed, run the statement, release the connection
+   */
+  async execute(sql, params, options) {
     if (!this.pool) {
       await this.connect();
     }
 
     let conn;
+    const endTimer = metrics.oracleQueryDuration.startTimer();
     try {
       conn = await this.pool.getConnection();
       const result = await conn.execute(sql, params, {
         outFormat: oracledb.OUT_FORMAT_OBJECT,
         ...options
       });
+      endTimer({ result: 'ok' });
       return result.rows;
     } catch (err) {
+      endTimer({ result: 'error' });
       // Detect fatal connection errors and invalidate pool for reconnect on next call
-      const oraCode = err.errorNum || 0;
-      if (oraCode === 3113 || oraCode === 3114 || oraCode === 12537 || oraCode === 12541 || oraCode === 28) {
-        logger.warn(`Oracle connection lost (ORA-${oraCode}), will reconnect on next query`);
+      if (isConnectionError(err) && this.pool) {
+        logger.warn(`Oracle connection lost (${err.errorNum ? `ORA-${err.errorNum}` : err.code}), will reconnect on next query`);
         try { await this.pool.close(0); } catch (_) { /* ignore */ }
         this.pool = null;
       }
@@ -78,6 +199,89 @@ class OracleClient {
     }
   }
 
+  /**
+   * Fail fast while the circuit is open, letting one trial query through per cooldown
+   */
+  checkBreaker(now = Date.now()) {
+    const { open, since, nextTrialAt, lastError } = this.breaker;
+    if (!open) return;
+    if (now >= nextTrialAt) {
+      this.breaker.nextTrialAt = now + this.breakerCooldownMs; // concurrent callers keep failing fast
+      logger.info('Oracle circuit open — trying the database again');
+      return;
+    }
+    const err = new Error(`Oracle unavailable since ${since.toISOString()} (${lastError})`);
+    err.code = 'ORACLE_UNAVAILABLE';
+    throw err;
+  }
+
+  recordSuccess() {
+    const { open, since } = this.breaker;
+    this.breaker = { open: false, failures: 0, since: null, lastError: null, nextTrialAt: null };
+    if (open) {
+      const downMs = Date.now() - since.getTime();
+      metrics.oracleCircuitOpen.set({}, 0);
+      logger.info(`Oracle available again after ${Math.round(downMs / 60000)} minute(s)`);
+      this.emit('recovered', { since, downMs });
+    }
+  }
+
+  /**
+   * Count a connection failure; opens the circuit at the threshold
+   * @returns {Error} The error to throw (ORACLE_UNAVAILABLE once the circuit is open)
+   */
+  recordFailure(err, now = new Date()) {
+    const breaker = this.breaker;
+    breaker.failures++;
+    breaker.since = breaker.since || now;
+    breaker.lastError = err.message.split('\n')[0];
+    breaker.nextTrialAt = now.getTime() + this.breakerCooldownMs;
+
+    if (!breaker.open && breaker.failures >= this.breakerThreshold) {
+      breaker.open = true;
+      metrics.oracleCircuitOpen.set({}, 1);
+      logger.error(`Oracle unavailable since ${breaker.since.toISOString()} — circuit open after ${breaker.failures} failures (${breaker.lastError})`);
+      this.emit('unavailable', { since: breaker.since, error: breaker.lastError });
+    }
+    if (!breaker.open) return err;
+
+    const unavailable = new Error(`Oracle unavailable since ${breaker.since.toISOString()} (${breaker.lastError})`);
+    unavailable.code = 'ORACLE_UNAVAILABLE';
+    unavailable.cause = err;
+    return unavailable;
+  }
+
+  /**
+   * Circuit breaker state for /health
+   */
+  getBreakerStatus() {
+    const { open, failures, since, lastError } = this.breaker;
+    return { state: open ? 'open' : 'closed', consecutiveFailures: failures, unavailableSince: since, lastError };
+  }
+
+  /**
+   * Liveness check for the status endpoint: borrow a pooled connection and ping it
+   * @returns {Promise<{ok: boolean, connectionsOpen?: number, connectionsInUse?: number, error?: string}>}
+   */
+  async ping() {
+    if (!this.pool) {
+      return { ok: false, error: 'No connection pool' };
+    }
+
+    let conn;
+    try {
+      conn = await this.pool.getConnection();
+      await conn.ping();
+      return { ok: true, connectionsOpen: this.pool.connectionsOpen, connectionsInUse: this.pool.connectionsInUse };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    } finally {
+      if (conn) {
+        try { await conn.close(); } catch (_) { /* ignore */ }
+      }
+    }
+  }
+
   async close() {
     if (this.pool) {
       try {
@@ -92,3 +296,4 @@ class OracleClient {
 }
 
 module.exports = OracleClient;
+module.exports.isConnectionError = isConnectionError;
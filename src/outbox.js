@@ -0,0 +1,141 @@
+/**
+ * Sync Outbox
+ *
+ * Persists {customer, invoice} entries whose Salesforce write failed so they are
+ * retried on later polls even though lastSyncTimestamp has moved past them.
+ * Retries back off exponentially; after OUTBOX_MAX_ATTEMPTS the entry is
+ * escalated (reported once in the daily summary) and no longer retried until
+ * Opera changes the record again.
+ * Persists to sync-outbox.json next to sync-state.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getProperty } = require('./properties');
+
+const OUTBOX_FILE = path.resolve(__dirname, '..', 'sync-outbox.json');
+
+class Outbox {
+  constructor(outboxFile = OUTBOX_FILE) {
+    this.outboxFile = outboxFile;
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+    this.baseDelayMs = (parseInt(process.env.OUTBOX_RETRY_BASE_MINUTES) || 5) * 60 * 1000;
+    this.maxDelayMs = (parseInt(process.env.OUTBOX_RETRY_MAX_MINUTES) || 360) * 60 * 1000;
+    this.items = new Map();
+    this.load();
+  }
+
+  /**
+   * Key an entry by its Opera reservation (RESV_NAME_ID), the OTA reservation
+   * number (XML files), or by Opera ID (falling back to email) and check-in date
+   * when there is neither (CSV files) — the same stay always maps to the same
+   * outbox slot, even if its dates change.
+   * Reservation/NAME_IDs are shared across properties, so stays at non-default
+   * properties get the code appended.
+   */
+  static keyFor(entry) {
+    const { resvNameId, reservationId } = entry.invoice || {};
+    const id = entry.customer.operaId || (entry.customer.email || '').toLowerCase();
+    const key = resvNameId ? `resv:${resvNameId}`
+      : reservationId ? `ota:${reservationId}`
+      : `${id}|${(entry.invoice && entry.invoice.checkIn) || ''}`;
+    const property = getProperty(entry.property);
+    return property.isDefault ? key : `${key}|${property.code}`;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.outboxFile)) {
+        const data = JSON.parse(fs.readFileSync(this.outboxFile, 'utf8'));
+        this.items = new Map(Object.entries(data));
+        logger.info(`Loaded ${this.items.size} outbox entries (${this.pending().length} pending retry)`);
+      }
+    } catch (err) {
+      logger.error('Error loading sync outbox:', err);
+      this.items = new Map();
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.outboxFile, JSON.stringify(Object.fromEntries(this.items), null, 2));
+      logger.debug('Saved sync outbox to disk');
+    } catch (err) {
+      logger.error('Error saving sync outbox:', err);
+    }
+  }
+
+  /**
+   * Backoff before the next attempt: base * 2^(attempts-1), capped
+   */
+  delayFor(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** Math.max(attempts - 1, 0), this.maxDelayMs);
+  }
+
+  /**
+   * Record a failed write. Re-failing an existing key keeps its attempt history
+   * but stores the latest entry data (Opera may have changed it since). Escalated
+   * entries are never retried from here, so a failure for one means Opera sent the
+   * stay again: it starts a new round of attempts and is escalated again if that
+   * runs out too.
+   * @returns {Object|null} The item if it just hit maxAttempts (caller escalates it), else null
+   */
+  recordFailure(entry, reason, error, now = new Date()) {
+    const key = Outbox.keyFor(entry);
+    const existing = this.items.get(key);
+    const previous = existing && existing.status !== 'escalated' ? existing : null;
+    const attempts = (previous ? previous.attempts : 0) + 1;
+    const escalated = attempts >= this.maxAttempts;
+
+    const item = {
+      key,
+      entry,
+      reason,
+      error: error || '',
+      attempts,
+      firstFailedAt: previous ? previous.firstFailedAt : now.toISOString(),
+      lastAttemptAt: now.toISOString(),
+      nextAttemptAt: escalated ? null : new Date(now.getTime() + this.delayFor(attempts)).toISOString(),
+      status: escalated ? 'escalated' : 'pending'
+    };
+    this.items.set(key, item);
+    this.save();
+
+    if (escalated) {
+      logger.warn(`Outbox: ${key} failed ${attempts} times — escalating (${error})`);
+      return item;
+    }
+    logger.info(`Outbox: ${key} queued for retry #${attempts} at ${item.nextAttemptAt || 'never'} (${reason})`);
+    return null;
+  }
+
+  /**
+   * Remove an entry after a successful write
+   */
+  resolve(entry) {
+    const key = Outbox.keyFor(entry);
+    if (this.items.delete(key)) {
+      logger.info(`Outbox: ${key} synced, removed from outbox`);
+      this.save();
+    }
+  }
+
+  /**
+   * Entries whose backoff has elapsed
+   */
+  due(now = new Date()) {
+    return this.pending().filter(item => new Date(item.nextAttemptAt) <= now);
+  }
+
+  pending() {
+    return [...this.items.values()].filter(item => item.status === 'pending');
+  }
+
+  getStats() {
+    const pending = this.pending().length;
+    return { total: this.items.size, pending, escalated: this.items.size - pending };
+  }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,107 @@
+/**
+ * Generic CSV parser
+ *
+ * Minimal RFC 4180 tokenizer (quoted fields, escaped quotes, CRLF/LF line endings, UTF-8 BOM).
+ * OPERA exports are small enough to parse in memory, so no streaming here.
+ */
+
+/**
+ * Split CSV text into rows of raw string fields
+ * @param {string} text - Full CSV file contents
+ * @returns {string[][]} Rows (header row included), blank lines dropped
+ */
+function parseCSVRows(text) {
+  if (!text) return [];
+
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field.length === 0) {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      field = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+
+  // Last line without trailing newline
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text into objects keyed by header name.
+ *
+ * OPERA does not quote free-text columns, so an address like "Flat 1, 10 Sample Road"
+ * produces extra fields. When a row is wider than the header and `overflowColumn` is given,
+ * columns left of it are mapped from the start, columns right of it from the end, and the
+ * surplus is joined back into the overflow column.
+ *
+ * @param {string} text - Full CSV file contents
+ * @param {Object} [options]
+ * @param {string} [options.overflowColumn] - Header name that absorbs unquoted commas
+ * @returns {Object[]} One object per data row
+ */
+function parseCSV(text, { overflowColumn } = {}) {
+  const rows = parseCSVRows(text);
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(h => h.trim());
+  const overflowIdx = overflowColumn ? headers.indexOf(overflowColumn) : -1;
+
+  return rows.slice(1).map(fields => {
+    let values = fields;
+
+    if (fields.length > headers.length && overflowIdx !== -1) {
+      const extra = fields.length - headers.length;
+      values = [
+        ...fields.slice(0, overflowIdx),
+        fields.slice(overflowIdx, overflowIdx + extra + 1).join(','),
+        ...fields.slice(overflowIdx + extra + 1)
+      ];
+    }
+
+    const obj = {};
+    headers.forEach((h, idx) => {
+      obj[h] = values[idx] !== undefined ? values[idx] : '';
+    });
+    return obj;
+  });
+}
+
+module.exports = {
+  parseCSVRows,
+  parseCSV
+};
@@ -0,0 +1,239 @@
+/**
+ * OPERA Export Parser
+ *
+ * Parses OPERA file exports into the same {customer, invoice} shape that
+ * queryGuestsByIds() returns, so SalesforceClient.syncGuestCheckIns() can
+ * consume either source unchanged:
+ *   - customers*.csv + invoices*.csv pairs (joined on Opera Internal ID)
+ *   - OTA_HotelResNotifRQ XML (one entry per HotelReservation)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { parseCSV } = require('./csv-parser');
+const { parseOTAReservations } = require('./xml-parser');
+const { sanitizeEmail, emailInvalidReason, autoCorrectEmail, isAgentEmail, isExcludedEmail } = require('../guest-utils');
+
+// OPERA fills unknown address parts with placeholders instead of leaving them blank
+const PLACEHOLDER_VALUES = ['', '.', 'TBC'];
+
+/**
+ * Trim a CSV/XML value and blank out OPERA placeholders
+ */
+function clean(value) {
+  const v = (value || '').trim();
+  return PLACEHOLDER_VALUES.includes(v.toUpperCase()) ? '' : v;
+}
+
+/**
+ * Convert an OPERA export date (DD-MM-YYYY or DD/MM/YYYY) to YYYY-MM-DD.
+ * ISO dates pass through unchanged; anything else returns ''.
+ */
+function parseOperaDate(value) {
+  const v = (value || '').trim();
+  if (!v) return '';
+  if (/^\d{4}-\d{2}-\d{2}/.test(v)) return v.slice(0, 10);
+
+  const m = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(v);
+  if (!m) return '';
+  return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+}
+
+/**
+ * Detect the export format of a file from its name
+ * @param {string} filename - File name (no directory needed)
+ * @param {string} [configured] - FILE_FORMAT setting: 'csv', 'xml' or 'auto'
+ * @returns {'csv'|'xml'|null} null if the file should be ignored
+ */
+function detectFormat(filename, configured = 'auto') {
+  const ext = path.extname(filename).toLowerCase();
+  const base = path.basename(filename).toLowerCase();
+
+  if (ext === '.csv' && base.startsWith('customers') && configured !== 'xml') return 'csv';
+  if (ext === '.xml' && configured !== 'csv') return 'xml';
+  return null;
+}
+
+/**
+ * Find the invoices*.csv that pairs with a customers*.csv export
+ * (customers20260213.csv → invoices20260213.csv, matched case-insensitively)
+ * @param {string} customersFile - Full path to the customers file
+ * @returns {string|null} Full path to the invoices file, or null if not present yet
+ */
+function findInvoicesFile(customersFile) {
+  const dir = path.dirname(customersFile);
+  const suffix = path.basename(customersFile).replace(/^customers/i, '').toLowerCase();
+
+  const match = fs.readdirSync(dir).find(f => {
+    const lower = f.toLowerCase();
+    return lower.startsWith('invoices') && lower.slice('invoices'.length) === suffix;
+  });
+
+  return match ? path.join(dir, match) : null;
+}
+
+/**
+ * Apply the same guest filters as the DB pipeline (staff emails, invalid emails, agents).
+ * @param {Object} customer - Customer object in queryGuestsByIds() shape
+ * @param {Object|null} invoice - { checkIn, checkOut, resvStatus }
+ * @returns {{entry: Object}|{skip: Object}|null} null = silently dropped
+ */
+function classifyGuest(customer, invoice) {
+  const rawEmail = customer.email;
+
+  // Staff/company/owner emails — not guests
+  if (isExcludedEmail(rawEmail)) return null;
+
+  const correctedEmail = autoCorrectEmail(rawEmail);
+  if (correctedEmail !== rawEmail) {
+    logger.info(`Guest ${customer.operaId}: email auto-corrected ${rawEmail} → ${correctedEmail}`);
+  }
+  const cleanedEmail = sanitizeEmail(correctedEmail);
+  if (!cleanedEmail) {
+    return {
+      skip: {
+        category: rawEmail ? 'invalid' : 'no-email',
+        email: rawEmail || '',
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        operaId: customer.operaId,
+        reason: emailInvalidReason(rawEmail) || 'invalid-email'
+      }
+    };
+  }
+
+  const guest = { ...customer, email: cleanedEmail };
+  const agentCategory = isAgentEmail(guest);
+  if (agentCategory) {
+    return {
+      skip: {
+        category: agentCategory,
+        email: cleanedEmail,
+        firstName: guest.firstName,
+        lastName: guest.lastName,
+        operaId: guest.operaId,
+        reason: agentCategory
+      }
+    };
+  }
+
+  // No stay dates — nothing to record on TVRS_Guest__c (same as DB mode)
+  if (!invoice || (!invoice.checkIn && !invoice.checkOut)) return null;
+
+  return { entry: { customer: guest, invoice } };
+}
+
+/**
+ * Collect classifyGuest() results into records/skipped lists
+ */
+function collect(candidates) {
+  const records = [];
+  const skipped = [];
+  for (const { customer, invoice } of candidates) {
+    const result = classifyGuest(customer, invoice);
+    if (!result) continue;
+    if (result.skip) skipped.push(result.skip);
+    else records.push(result.entry);
+  }
+  return { records, skipped };
+}
+
+/**
+ * Parse an OPERA customers + invoices CSV pair
+ * @param {string} customersFile - Path to customers*.csv
+ * @param {string} invoicesFile - Path to invoices*.csv
+ * @returns {{records: Array, skipped: Array}}
+ */
+function parseOPERAFiles(customersFile, invoicesFile) {
+  const customerRows = parseCSV(fs.readFileSync(customersFile, 'utf8'), { overflowColumn: 'BILLING_ADDRESS' });
+  const invoiceRows = invoicesFile ? parseCSV(fs.readFileSync(invoicesFile, 'utf8')) : [];
+
+  // Latest stay per customer (invoices have one row per line item)
+  const stays = new Map();
+  for (const row of invoiceRows) {
+    const operaId = (row['CUSTOMER_ID OPERA'] || '').trim();
+    const checkIn = parseOperaDate(row['Check in']);
+    if (!operaId || !checkIn) continue;
+    const existing = stays.get(operaId);
+    if (!existing || checkIn > existing.checkIn) {
+      stays.set(operaId, {
+        checkIn,
+        checkOut: parseOperaDate(row['Check out']),
+        resvStatus: ''
+      });
+    }
+  }
+
+  // Customers file repeats a row per invoice — keep the first occurrence per Opera ID
+  const seen = new Set();
+  const candidates = [];
+  for (const row of customerRows) {
+    const operaId = (row['Opera Internal ID'] || '').trim();
+    if (!operaId || seen.has(operaId)) continue;
+    seen.add(operaId);
+
+    candidates.push({
+      customer: {
+        operaId,
+        firstName: (row['First Name'] || '').trim(),
+        lastName: (row['Last Name'] || '').trim(),
+        email: (row['Email Address'] || '').trim(),
+        phone: clean(row['Phone']),
+        language: '',
+        billingCity: clean(row['Billing City']),
+        billingState: clean(row['Billing State']),
+        billingCountry: clean(row['Billing Country'])
+      },
+      invoice: stays.get(operaId) || null
+    });
+  }
+
+  const result = collect(candidates);
+  logger.info(`Parsed ${path.basename(customersFile)}: ${seen.size} customers, ${stays.size} stays → ${result.records.length} records, ${result.skipped.length} skipped`);
+  return result;
+}
+
+/**
+ * Parse an OTA_HotelResNotifRQ XML export. The guest's Opera ID comes from the
+ * profile UniqueID (left empty when the export has none); the OTA reservation
+ * number is kept on the invoice as reservationId, which keys the stay instead.
+ * @param {string} xmlFile - Path to the XML file
+ * @returns {{records: Array, skipped: Array}}
+ */
+function parseOTAFile(xmlFile) {
+  const reservations = parseOTAReservations(fs.readFileSync(xmlFile, 'utf8'));
+
+  const candidates = reservations.map(r => ({
+    customer: {
+      operaId: r.profileId,
+      firstName: r.firstName,
+      lastName: r.lastName,
+      email: r.email,
+      phone: clean(r.phone),
+      language: '',
+      billingCity: clean(r.city),
+      billingState: clean(r.state),
+      billingCountry: clean(r.country)
+    },
+    invoice: {
+      checkIn: parseOperaDate(r.checkIn),
+      checkOut: parseOperaDate(r.checkOut),
+      resvStatus: (r.resStatus || '').toUpperCase(),
+      reservationId: r.reservationId
+    }
+  }));
+
+  const result = collect(candidates);
+  logger.info(`Parsed ${path.basename(xmlFile)}: ${reservations.length} reservations → ${result.records.length} records, ${result.skipped.length} skipped`);
+  return result;
+}
+
+module.exports = {
+  parseOPERAFiles,
+  parseOTAFile,
+  findInvoicesFile,
+  detectFormat,
+  parseOperaDate,
+  classifyGuest
+};
@@ -0,0 +1,94 @@
+/**
+ * OTA XML parser
+ *
+ * Extracts guest + stay data from OTA_HotelResNotifRQ exports (OPERA OXI / channel format).
+ * Only the handful of elements the sync needs are read, so this is a targeted regex
+ * extractor rather than a full DOM parser. Namespace prefixes (e.g. <ota:Surname>) are ignored.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode the predefined XML entities plus numeric character references
+ */
+function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[ent.toLowerCase()] || match;
+  });
+}
+
+/**
+ * Return every <tag>...</tag> block found in the source as { attrs, inner }
+ */
+function elements(xml, tag) {
+  const re = new RegExp(`<(?:\\w+:)?${tag}(\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  const out = [];
+  let m;
+  while ((m = re.exec(xml)) !== null) out.push({ attrs: m[1] || '', inner: m[2] });
+  return out;
+}
+
+/**
+ * Read a named attribute out of a raw attribute string ('' if absent)
+ */
+function readAttr(attrs, name) {
+  const m = new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(attrs);
+  if (!m) return '';
+  return decodeEntities(m[2] !== undefined ? m[2] : m[3]).trim();
+}
+
+/**
+ * Text content of the first <tag> element, trimmed and entity-decoded ('' if absent)
+ */
+function text(xml, tag) {
+  const found = elements(xml, tag)[0];
+  return found === undefined ? '' : decodeEntities(found.inner.replace(/<[^>]*>/g, '')).trim();
+}
+
+/**
+ * Value of an attribute on the first <tag> element (self-closing or not), '' if absent
+ */
+function attr(xml, tag, name) {
+  const tagMatch = new RegExp(`<(?:\\w+:)?${tag}(\\s[^>]*?)/?>`).exec(xml);
+  return tagMatch ? readAttr(tagMatch[1], name) : '';
+}
+
+/**
+ * Parse an OTA_HotelResNotifRQ document into flat reservation objects
+ * @param {string} xml - Full XML document
+ * @returns {Array<Object>} { reservationId, profileId, resStatus, firstName, lastName, email, phone,
+ *                           city, state, country, checkIn, checkOut, roomType }
+ *   profileId is the guest profile's <UniqueID ID="..."> ('' when the export has none)
+ */
+function parseOTAReservations(xml) {
+  if (!xml) return [];
+
+  return elements(xml, 'HotelReservation').map(({ attrs, inner: res }) => {
+    // Only the UniqueID inside the profile — the reservation can carry one of its own
+    const profile = elements(res, 'ProfileInfo')[0];
+    return {
+      reservationId: text(res, 'HotelReservationID') || attr(res, 'HotelReservationID', 'ResID_Value'),
+      profileId: profile ? attr(profile.inner, 'UniqueID', 'ID') : '',
+      resStatus: readAttr(attrs, 'ResStatus'),
+      firstName: text(res, 'GivenName'),
+      lastName: text(res, 'Surname'),
+      email: text(res, 'Email'),
+      phone: attr(res, 'Telephone', 'PhoneNumber'),
+      city: text(res, 'CityName'),
+      state: text(res, 'StateProv') || attr(res, 'StateProv', 'StateCode'),
+      country: attr(res, 'CountryName', 'Code') || text(res, 'CountryName'),
+      checkIn: attr(res, 'TimeSpan', 'Start'),
+      checkOut: attr(res, 'TimeSpan', 'End'),
+      roomType: attr(res, 'RoomType', 'RoomTypeCode')
+    };
+  });
+}
+
+module.exports = {
+  parseOTAReservations,
+  decodeEntities
+};
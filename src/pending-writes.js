@@ -0,0 +1,64 @@
+/**
+ * Pending Salesforce Writes
+ *
+ * Writes the Salesforce client holds back between polls: cancellations waiting
+ * out the andon cord, critical API usage or schema drift, and Contact date
+ * updates deferred while API usage is low. The poll watermark has already moved
+ * past the Opera changes behind them, so they are persisted (sf-pending.json
+ * next to sync-state.json) to survive a restart. Without a file they are kept
+ * in memory only (tests, one-off scripts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const PENDING_FILE = path.resolve(__dirname, '..', 'sf-pending.json');
+
+class PendingWrites {
+  /**
+   * @param {string|null} [pendingFile] - null = in memory only
+   */
+  constructor(pendingFile = null) {
+    this.pendingFile = pendingFile;
+    this.cancellations = new Map(); // stay key → cancellation (see SalesforceClient.syncCancellations)
+    this.contactDates = new Map(); // contactId → {checkIn, checkOut}
+    this.load();
+  }
+
+  load() {
+    if (!this.pendingFile) return;
+    try {
+      if (fs.existsSync(this.pendingFile)) {
+        const data = JSON.parse(fs.readFileSync(this.pendingFile, 'utf8'));
+        this.cancellations = new Map(Object.entries(data.cancellations || {}));
+        this.contactDates = new Map(Object.entries(data.contactDates || {}));
+        logger.info(`Loaded ${this.cancellations.size} pending cancellation(s) and ${this.contactDates.size} deferred Contact date update(s)`);
+      }
+    } catch (err) {
+      logger.error('Error loading pending Salesforce writes:', err);
+    }
+  }
+
+  /**
+   * Write both queues to disk; the file is removed once they are empty
+   */
+  save() {
+    if (!this.pendingFile) return;
+    try {
+      if (this.cancellations.size === 0 && this.contactDates.size === 0) {
+        if (fs.existsSync(this.pendingFile)) fs.unlinkSync(this.pendingFile);
+        return;
+      }
+      fs.writeFileSync(this.pendingFile, JSON.stringify({
+        cancellations: Object.fromEntries(this.cancellations),
+        contactDates: Object.fromEntries(this.contactDates)
+      }, null, 2));
+    } catch (err) {
+      logger.error('Error saving pending Salesforce writes:', err);
+    }
+  }
+}
+
+module.exports = PendingWrites;
+module.exports.PENDING_FILE = PENDING_FILE;
@@ -0,0 +1,140 @@
+/**
+ * Property Configuration
+ *
+ * Lists the hotels synced from the shared Opera instance. Without a
+ * properties.json (or PROPERTIES_FILE) the service runs a single property
+ * built from the existing env variables, so single-hotel installs keep
+ * working unchanged.
+ *
+ * properties.json is an array of:
+ *   {
+ *     "code": "VINES",                  // short id used in logs, state file names, metrics
+ *     "resort": "VINES",                // Opera RESORT code (defaults to code)
+ *     "name": "The Vines of Mendoza",
+ *     "hotelId": "LW7063",              // HotelID column in the checkout survey sheet
+ *     "sfPropertyValue": "The Vines",   // written to SF_GUEST_PROPERTY_FIELD (defaults to code)
+ *     "sfRecordTypeId": "012...",       // TVRS_Guest__c record type for new records (optional)
+ *     "emailTo": "...",                 // daily summary / error alert recipients
+ *     "frontDeskEmailTo": "...",        // daily front desk report recipients
+ *     "checkoutSheetId": "...",         // GOOGLE_SHEETS_ID equivalent
+ *     "checkinSheetId": "...",          // GOOGLE_SHEETS_CHECKIN_ID equivalent
+ *     "excludedRoomPrefixes": ["PM"]
+ *   }
+ *
+ * Omitted fields on the FIRST property fall back to the single-property env
+ * variables; other properties only inherit EMAIL_TO. With more than one
+ * property SF_GUEST_PROPERTY_FIELD is required, otherwise guest records of
+ * different hotels couldn't be told apart in Salesforce. The first property also
+ * keeps the original state file names (sync-state.json, daily-stats.json), so
+ * list the existing hotel first when adding properties.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROPERTIES_FILE = process.env.PROPERTIES_FILE || path.resolve(__dirname, '..', 'properties.json');
+
+function parsePrefixes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(p => String(p).trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Normalize one property entry, applying env fallbacks
+ * @param {Object} raw
+ * @param {boolean} isDefault - First property: inherits all single-property env settings
+ */
+function normalizeProperty(raw, isDefault) {
+  const env = isDefault ? process.env : {};
+  const code = String(raw.code || raw.resort || '').trim().toUpperCase();
+  if (!code) {
+    throw new Error('Property config: every property needs a "code" (or "resort")');
+  }
+  if (!/^[A-Z0-9_-]+$/.test(code)) {
+    throw new Error(`Property config: invalid code "${code}" (letters, digits, _ and - only)`);
+  }
+
+  return {
+    code,
+    resort: String(raw.resort || code).trim().toUpperCase(),
+    name: raw.name || code,
+    hotelId: raw.hotelId || (isDefault ? null : code), // null = sheets-client default
+    sfPropertyValue: raw.sfPropertyValue || code,
+    sfRecordTypeId: raw.sfRecordTypeId || null,
+    emailTo: raw.emailTo || process.env.EMAIL_TO || null,
+    frontDeskEmailTo: raw.frontDeskEmailTo || env.FRONT_DESK_EMAIL_TO || null,
+    checkoutSheetId: raw.checkoutSheetId || env.GOOGLE_SHEETS_ID || null,
+    checkinSheetId: raw.checkinSheetId || env.GOOGLE_SHEETS_CHECKIN_ID || null,
+    excludedRoomPrefixes: parsePrefixes(raw.excludedRoomPrefixes ?? env.EXCLUDED_ROOM_PREFIXES ?? 'PM'),
+    isDefault
+  };
+}
+
+/**
+ * Load and validate the property list
+ * @param {string} [file] - Defaults to PROPERTIES_FILE
+ * @returns {Array<Object>} Normalized properties (first = default)
+ */
+function loadProperties(file = PROPERTIES_FILE) {
+  if (!fs.existsSync(file)) {
+    return [normalizeProperty({ code: process.env.OPERA_RESORT || 'VINES' }, true)];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Property config ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`Property config ${file}: expected a non-empty array of properties`);
+  }
+
+  const properties = list.map((raw, i) => normalizeProperty(raw, i === 0));
+  const seen = new Set();
+  for (const p of properties) {
+    if (seen.has(p.code)) throw new Error(`Property config ${file}: duplicate code "${p.code}"`);
+    seen.add(p.code);
+  }
+  if (properties.length > 1 && !process.env.SF_GUEST_PROPERTY_FIELD) {
+    throw new Error(`Property config ${file}: ${properties.length} properties configured but SF_GUEST_PROPERTY_FIELD is not set (needed to tag each TVRS_Guest__c with its property)`);
+  }
+  return properties;
+}
+
+let cached = null;
+
+/**
+ * Configured properties (loaded once per process)
+ */
+function getProperties() {
+  if (!cached) cached = loadProperties();
+  return cached;
+}
+
+/**
+ * Look up a property by code; unknown/missing codes resolve to the default property
+ * (entries queued before multi-property support have no code)
+ */
+function getProperty(code) {
+  const properties = getProperties();
+  return properties.find(p => p.code === code) || properties[0];
+}
+
+/**
+ * Per-property state file: the default property keeps the original name,
+ * others get the code inserted before the extension (sync-state.MALBEC.json)
+ */
+function propertyFile(property, fileName) {
+  if (property.isDefault) return fileName;
+  const ext = path.extname(fileName);
+  return `${fileName.slice(0, -ext.length)}.${property.code}${ext}`;
+}
+
+module.exports = {
+  loadProperties,
+  getProperties,
+  getProperty,
+  propertyFile,
+  PROPERTIES_FILE
+};
@@ -0,0 +1,172 @@
+/**
+ * Replay Helpers
+ *
+ * Argument parsing and result reporting for `opera-db-sync.js replay`, which
+ * re-syncs a check-in date range or an explicit list of NAME_IDs to Salesforce
+ * without touching sync-state.json.
+ */
+
+const fs = require('fs');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse replay CLI arguments
+ * @param {string[]} argv - Arguments after `replay`
+ * @returns {{from?: string, to?: string, nameIds?: number[], file?: string, property?: string, dryRun: boolean}}
+ * @throws {Error} On missing/conflicting selectors or malformed values
+ */
+function parseReplayArgs(argv) {
+  const value = flag => {
+    const idx = argv.indexOf(flag);
+    return idx !== -1 ? argv[idx + 1] : undefined;
+  };
+
+  const opts = { dryRun: argv.includes('--dry-run') };
+  const from = value('--from');
+  const nameIds = value('--name-ids');
+  const file = value('--file');
+
+  const selectors = [from !== undefined, nameIds !== undefined, file !== undefined].filter(Boolean).length;
+  if (selectors !== 1) {
+    throw new Error('Specify exactly one of --from/--to, --name-ids or --file');
+  }
+
+  if (from !== undefined) {
+    const to = value('--to') || from;
+    if (!DATE_RE.test(from) || !DATE_RE.test(to)) {
+      throw new Error('--from/--to must be YYYY-MM-DD');
+    }
+    if (to < from) {
+      throw new Error(`--to ${to} is before --from ${from}`);
+    }
+    opts.from = from;
+    opts.to = to;
+  } else if (nameIds !== undefined) {
+    opts.nameIds = parseNameIds(nameIds.split(','));
+  } else {
+    opts.file = file;
+  }
+
+  const property = value('--property');
+  if (property !== undefined) {
+    opts.property = property.trim().toUpperCase();
+  }
+
+  return opts;
+}
+
+/**
+ * Validate and de-duplicate NAME_IDs
+ */
+function parseNameIds(values) {
+  const ids = [];
+  for (const v of values) {
+    const s = String(v).trim();
+    if (!s) continue;
+    if (!/^\d+$/.test(s)) throw new Error(`Invalid NAME_ID: "${s}"`);
+    ids.push(Number(s));
+  }
+  if (ids.length === 0) throw new Error('No NAME_IDs given');
+  return [...new Set(ids)];
+}
+
+/**
+ * Read NAME_IDs from a JSON file. Accepts a plain array of IDs, an array of
+ * objects with nameId/NAME_ID/operaId, or the audit-missing-checkins.js output
+ * ({ missing: [...] }).
+ * @param {string} file
+ * @returns {number[]}
+ */
+function readNameIdsFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(data) ? data : data.missing;
+  if (!Array.isArray(list)) {
+    throw new Error(`${file}: expected an array or an object with a "missing" array`);
+  }
+  return parseNameIds(list.map(item =>
+    (item && typeof item === 'object') ? (item.nameId ?? item.NAME_ID ?? item.operaId ?? '') : item
+  ));
+}
+
+/**
+ * One result row per requested NAME_ID
+ * @param {number[]} nameIds - Requested NAME_IDs
+ * @param {Array} records - {customer, invoice} entries returned by queryGuestsByIds
+ * @param {Array} frontDesk - Guests diverted to the front desk list
+ * @param {Object|null} results - syncGuestCheckIns() result, or null for a dry run
+ * @returns {Array<{nameId, name, email, checkIn, status, detail}>}
+ */
+function replayOutcomes(nameIds, records, frontDesk, results) {
+  const byId = new Map(records.map(r => [r.customer.operaId, r]));
+  const deskById = new Map(frontDesk.map(f => [f.operaId, f]));
+  const failedById = new Map();
+  const reviewById = new Map();
+  const warningById = new Map();
+  if (results) {
+    for (const w of results.warnings || []) warningById.set(w.operaId, w);
+    for (const f of results.failedEntries || []) failedById.set(f.entry.customer.operaId, f);
+    for (const r of results.needsReview || []) {
+      if (!failedById.has(r.operaId)) reviewById.set(r.operaId, r);
+    }
+  }
+
+  return nameIds.map(id => {
+    const key = String(id);
+    const entry = byId.get(key);
+    if (!entry) {
+      const desk = deskById.get(key);
+      return desk
+        ? { nameId: key, name: `${desk.firstName} ${desk.lastName}`, email: desk.email || '', checkIn: desk.checkIn || '', status: 'skipped', detail: desk.reason }
+        : { nameId: key, name: '', email: '', checkIn: '', status: 'not-found', detail: 'no eligible guest/stay in Opera' };
+    }
+
+    const base = {
+      nameId: key,
+      name: `${entry.customer.firstName} ${entry.customer.lastName}`,
+      email: entry.customer.email,
+      checkIn: (entry.invoice && entry.invoice.checkIn) || ''
+    };
+    if (!results) return { ...base, status: 'would-sync', detail: '' };
+    if (failedById.has(key)) return { ...base, status: 'failed', detail: failedById.get(key).error };
+    if (reviewById.has(key)) {
+      const r = reviewById.get(key);
+      return { ...base, status: 'review', detail: r.details ? `${r.reason}: ${r.details}` : r.reason };
+    }
+    const warning = warningById.get(key);
+    return { ...base, status: 'synced', detail: warning ? `${warning.reason}: ${warning.details}` : '' };
+  });
+}
+
+const REPLAY_COLUMNS = [
+  ['NAME_ID', 'nameId'], ['Name', 'name'], ['Email', 'email'],
+  ['Check-in', 'checkIn'], ['Status', 'status'], ['Detail', 'detail']
+];
+
+/**
+ * Render result rows as a fixed-width text table
+ * @param {Array<Object>} rows
+ * @param {Array<[string, string]>} [columns] - [label, key] pairs; the last one is never truncated
+ */
+function formatResultTable(rows, columns = REPLAY_COLUMNS) {
+  // Detail (last column) is never truncated — it carries the Salesforce error
+  const widths = columns.map(([label, key]) =>
+    Math.min(40, Math.max(label.length, ...rows.map(r => String(r[key] || '').length)))
+  );
+  const line = cells => cells.map((c, i) =>
+    i === cells.length - 1 ? String(c) : String(c).slice(0, widths[i]).padEnd(widths[i])
+  ).join('  ').trimEnd();
+
+  return [
+    line(columns.map(([label]) => label)),
+    line(widths.map(w => '-'.repeat(w))),
+    ...rows.map(r => line(columns.map(([, key]) => r[key] || '')))
+  ].join('\n');
+}
+
+module.exports = {
+  parseReplayArgs,
+  readNameIdsFile,
+  replayOutcomes,
+  formatResultTable
+};
@@ -0,0 +1,150 @@
+/**
+ * Reservation ID Backfill
+ *
+ * One-time link of TVRS_Guest__c records written before the Opera reservation
+ * ID (RESV_NAME_ID) was synced: each record without one is matched to its Opera
+ * reservation by email + check-in/check-out dates and gets the ID, so later
+ * polls update it through the external ID instead of creating a second record
+ * when the stay's dates change. Run as `opera-db-sync.js backfill-resv-ids`.
+ */
+
+const logger = require('./logger');
+const { GUEST_RESV_ID_FIELD } = require('./guest-utils');
+const { queryReservationsByCheckIn } = require('./opera-db-query');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse backfill CLI arguments
+ * @param {string[]} argv - Arguments after `backfill-resv-ids`
+ * @returns {{from?: string, to?: string, property?: string, dryRun: boolean}}
+ * @throws {Error} On malformed dates
+ */
+function parseBackfillArgs(argv) {
+  const value = flag => {
+    const idx = argv.indexOf(flag);
+    return idx !== -1 ? argv[idx + 1] : undefined;
+  };
+
+  const opts = { dryRun: argv.includes('--dry-run') };
+  for (const [flag, key] of [['--from', 'from'], ['--to', 'to']]) {
+    const date = value(flag);
+    if (date === undefined) continue;
+    if (!DATE_RE.test(date)) throw new Error(`${flag} must be YYYY-MM-DD`);
+    opts[key] = date;
+  }
+  if (opts.from && opts.to && opts.to < opts.from) {
+    throw new Error(`--to ${opts.to} is before --from ${opts.from}`);
+  }
+
+  const property = value('--property');
+  if (property !== undefined) opts.property = property.trim().toUpperCase();
+  return opts;
+}
+
+/**
+ * Pick the reservation for each unlinked guest record. Email + both dates wins;
+ * email + check-in is used when the check-out doesn't match (an extended stay).
+ * A reservation goes to the oldest record only — later ones are duplicates left
+ * behind by a date change, reported for clean-up rather than linked.
+ * @param {Array<{Id, Email__c, Check_In_Date__c, Check_Out_Date__c}>} guests - Oldest first
+ * @param {Array<{resvNameId, email, checkIn, checkOut}>} reservations - From queryReservationsByCheckIn
+ * @param {Set<string>} [linkedIds] - Reservation IDs already on other guest records
+ * @returns {Array<{recordId, email, checkIn, checkOut, resvNameId, status, detail}>}
+ *   status: linked | ambiguous | not-found | duplicate
+ */
+function matchReservations(guests, reservations, linkedIds = new Set()) {
+  const index = new Map();
+  const add = (key, resv) => {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(resv.resvNameId);
+  };
+  for (const resv of reservations) {
+    const email = resv.email.toLowerCase();
+    add(`${email}|${resv.checkIn}|${resv.checkOut}`, resv);
+    add(`${email}|${resv.checkIn}`, resv);
+  }
+
+  const claimed = new Map(); // resvNameId → record Id it was given to
+  return guests.map(guest => {
+    const email = (guest.Email__c || '').toLowerCase();
+    const row = {
+      recordId: guest.Id,
+      email: guest.Email__c || '',
+      checkIn: guest.Check_In_Date__c || '',
+      checkOut: guest.Check_Out_Date__c || '',
+      resvNameId: ''
+    };
+
+    const ids = index.get(`${email}|${row.checkIn}|${row.checkOut}`) || index.get(`${email}|${row.checkIn}`);
+    if (!ids) return { ...row, status: 'not-found', detail: 'no Opera reservation with this email and check-in' };
+    if (ids.size > 1) return { ...row, status: 'ambiguous', detail: `reservations ${[...ids].join(', ')}` };
+
+    const [resvNameId] = ids;
+    if (linkedIds.has(resvNameId)) return { ...row, resvNameId, status: 'duplicate', detail: 'reservation already linked to another record' };
+    if (claimed.has(resvNameId)) return { ...row, resvNameId, status: 'duplicate', detail: `same reservation as ${claimed.get(resvNameId)}` };
+    claimed.set(resvNameId, guest.Id);
+    return { ...row, resvNameId, status: 'linked', detail: '' };
+  });
+}
+
+/**
+ * Link unlinked guest records of a property to their Opera reservations
+ * @param {OracleClient} oracleClient - Connected Oracle client
+ * @param {SalesforceClient} sfClient
+ * @param {Object} options
+ * @param {Object} options.property - From properties.js
+ * @param {string} [options.from] - Only records checking in on/after (YYYY-MM-DD)
+ * @param {string} [options.to] - Only records checking in on/before (YYYY-MM-DD)
+ * @param {boolean} [options.dryRun] - Match only, don't write
+ * @returns {Promise<Array>} matchReservations() rows; linked rows become failed when the update is rejected
+ */
+async function backfillResvIds(oracleClient, sfClient, { property, from, to, dryRun = false }) {
+  const resvIdField = GUEST_RESV_ID_FIELD;
+  if (!resvIdField) throw new Error('No guest field is mapped from invoice.resvNameId — nothing to backfill');
+  const guestObject = process.env.SF_OBJECT || 'TVRS_Guest__c';
+  const propertyField = process.env.SF_GUEST_PROPERTY_FIELD;
+  const batchSize = parseInt(process.env.BATCH_SIZE) || 200;
+
+  await sfClient.ensureConnected();
+  const where = [`${resvIdField} = null`, 'Check_In_Date__c != null'];
+  if (from) where.push(`Check_In_Date__c >= ${from}`);
+  if (to) where.push(`Check_In_Date__c <= ${to}`);
+  if (propertyField) where.push(`${propertyField} = '${property.sfPropertyValue.replace(/'/g, "\\'")}'`);
+  const guests = await sfClient.queryAll(`${guestObject} backfill lookup`,
+    `SELECT Id, Email__c, Check_In_Date__c, Check_Out_Date__c FROM ${guestObject} WHERE ${where.join(' AND ')} ORDER BY CreatedDate, Id`);
+  logger.info(`Backfill [${property.code}]: ${guests.length} ${guestObject} record(s) without ${resvIdField}`);
+  if (guests.length === 0) return [];
+
+  const checkIns = guests.map(g => g.Check_In_Date__c).sort();
+  const reservations = await queryReservationsByCheckIn(oracleClient, checkIns[0], checkIns[checkIns.length - 1], property);
+
+  // Reservations a newer record already carries (the stay was re-created after a date change)
+  const candidates = [...new Set(matchReservations(guests, reservations).filter(r => r.resvNameId).map(r => r.resvNameId))];
+  const linkedIds = new Set();
+  for (let i = 0; i < candidates.length; i += batchSize) {
+    const ids = candidates.slice(i, i + batchSize).map(id => `'${id}'`).join(',');
+    const records = await sfClient.queryAll(`${guestObject} backfill lookup`,
+      `SELECT ${resvIdField} FROM ${guestObject} WHERE ${resvIdField} IN (${ids})`);
+    for (const rec of records) linkedIds.add(String(rec[resvIdField]));
+  }
+
+  const rows = matchReservations(guests, reservations, linkedIds);
+  const toLink = rows.filter(r => r.status === 'linked');
+  if (dryRun) return rows.map(r => (r.status === 'linked' ? { ...r, status: 'would-link' } : r));
+
+  const results = await sfClient.writeRecords(guestObject, 'update',
+    toLink.map(r => ({ Id: r.recordId, [resvIdField]: r.resvNameId })), { continueOnBatchError: true });
+  results.forEach((res, idx) => {
+    if (res.success) return;
+    toLink[idx].status = 'failed';
+    toLink[idx].detail = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
+  });
+  return rows;
+}
+
+module.exports = {
+  parseBackfillArgs,
+  matchReservations,
+  backfillResvIds
+};
@@ -0,0 +1,132 @@
+/**
+ * Salesforce Bulk API 2.0 writes
+ *
+ * Used by SalesforceClient for large runs (initial sync, big catch-ups) instead
+ * of 200-record REST calls. Results come back in the REST shape
+ * ({success, id, errors}) aligned with the input, so callers handle both paths
+ * the same way.
+ */
+
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Bulk API 2.0 writes null as "#N/A"; result CSVs echo it back
+const NULL_VALUE = '#N/A';
+
+/**
+ * Compare key for a record / result row: submitted column values in order.
+ * Result rows don't come back in upload order, so rows are matched on content.
+ */
+function rowSignature(columns, row) {
+  return columns.map(col => {
+    const v = row[col];
+    return v === null || v === undefined || v === NULL_VALUE ? '' : String(v);
+  }).join('\u0001');
+}
+
+/**
+ * Split records into groups with identical field sets. Bulk CSV has one header,
+ * and a blank cell would null a field REST would have left untouched.
+ */
+function groupByFields(records) {
+  const groups = new Map();
+  records.forEach((record, index) => {
+    const key = Object.keys(record).sort().join(',');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Run one ingest job and map its result CSVs back onto the submitted records
+ * @returns {Promise<Array<{success: boolean, id?: string, errors?: Array<{message: string}>}>>}
+ */
+async function runJob(connection, object, operation, records, { pollInterval, pollTimeout, externalIdField }) {
+  const columns = Object.keys(records[0]).filter(col => !(operation === 'insert' && col === 'Id'));
+
+  let jobResults;
+  try {
+    jobResults = await connection.bulk2.loadAndWaitForResults({
+      object,
+      operation,
+      ...(operation === 'upsert' ? { externalIdFieldName: externalIdField } : {}),
+      input: records,
+      lineEnding: 'LF',
+      pollInterval,
+      pollTimeout
+    });
+    metrics.sfBulkJobs.inc({ object, operation, result: 'complete' });
+  } catch (err) {
+    metrics.sfBulkJobs.inc({ object, operation, result: 'failed' });
+    throw new Error(`Bulk ${operation} job for ${object} failed: ${err.message}`);
+  }
+
+  const { successfulResults = [], failedResults = [], unprocessedRecords = [] } = jobResults;
+
+  // Queue of record positions per signature (identical records get identical outcomes)
+  const pending = new Map();
+  records.forEach((record, index) => {
+    const sig = rowSignature(columns, record);
+    if (!pending.has(sig)) pending.set(sig, []);
+    pending.get(sig).push(index);
+  });
+
+  const results = new Array(records.length).fill(null);
+  const assign = (row, result) => {
+    const queue = pending.get(rowSignature(columns, row));
+    const index = queue && queue.shift();
+    if (index === undefined) {
+      logger.warn(`Bulk ${operation} ${object}: result row didn't match a submitted record (${row.sf__Id || row.sf__Error || 'unprocessed'})`);
+      return;
+    }
+    results[index] = result;
+  };
+
+  for (const row of successfulResults) {
+    assign(row, operation === 'upsert'
+      ? { success: true, id: row.sf__Id, created: row.sf__Created === 'true' }
+      : { success: true, id: row.sf__Id });
+  }
+  for (const row of failedResults) assign(row, { success: false, errors: [{ message: row.sf__Error || 'Unknown error' }] });
+  for (const row of unprocessedRecords) assign(row, { success: false, errors: [{ message: 'Not processed by the bulk job' }] });
+
+  // Anything Salesforce didn't report on is treated as failed so it gets retried
+  return results.map(r => r || { success: false, errors: [{ message: 'No result returned by the bulk job' }] });
+}
+
+/**
+ * Write records with Bulk API 2.0 ingest jobs (one per distinct field set)
+ * @param {Connection} connection - jsforce connection
+ * @param {string} object - sObject name
+ * @param {string} operation - 'insert', 'update' or 'upsert'
+ * @param {Array<Object>} records
+ * @param {Object} [options]
+ * @param {number} [options.pollInterval] - Job status poll interval (ms)
+ * @param {number} [options.pollTimeout] - Give up waiting for a job after this long (ms)
+ * @param {string} [options.externalIdField] - Field an upsert matches on
+ * @returns {Promise<Array>} REST-style results, same order as records
+ */
+async function bulkWrite(connection, object, operation, records, options = {}) {
+  const jobOptions = {
+    pollInterval: options.pollInterval || 5000,
+    pollTimeout: options.pollTimeout || 30 * 60 * 1000,
+    externalIdField: options.externalIdField
+  };
+  const results = new Array(records.length);
+
+  for (const indexes of groupByFields(records)) {
+    const group = indexes.map(i => records[i]);
+    logger.info(`Bulk API 2.0: ${operation} ${group.length} ${object} record(s)...`);
+    const groupResults = await runJob(connection, object, operation, group, jobOptions);
+    indexes.forEach((recordIndex, i) => { results[recordIndex] = groupResults[i]; });
+    const failed = groupResults.filter(r => !r.success).length;
+    logger.info(`Bulk API 2.0: ${operation} ${object} done — ${group.length - failed} ok, ${failed} failed`);
+  }
+
+  return results;
+}
+
+module.exports = {
+  bulkWrite
+};
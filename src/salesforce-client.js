@@ -1,11 +1,34 @@
 const jsforce = require('jsforce');
 const logger = require('./logger');
-const { transformToContact, transformToTVRSGuest, GUEST_DIFF_SOQL_FIELDS, diffGuestRecord } = require('./guest-utils');
+const metrics = require('./metrics');
+const { isAndonPulled } = require('./andon');
+const { transformToContact, transformToTVRSGuest, stripCreateOnlyFields, GUEST_DIFF_SOQL_FIELDS, GUEST_RESV_ID_FIELD, GUEST_STATUS_FIELD, GUEST_EXTERNAL_ID_FIELD, diffGuestRecord, normalizePhone } = require('./guest-utils');
+const { getProperty } = require('./properties');
+const { expectedSchema, checkSchema, formatSchemaProblems } = require('./schema-check');
+const { bulkWrite } = require('./salesforce-bulk');
+const ApiLimits = require('./api-limits');
+const PendingWrites = require('./pending-writes');
+const { withRetry, writeWithRetry } = require('./salesforce-retry');
+
+/**
+ * Pending-cancellation key: the Opera reservation, or email + check-in for
+ * cancellations without one
+ */
+function cancellationKey(c) {
+  return c.resvNameId ? `resv:${c.resvNameId}` : `${c.email.toLowerCase()}|${c.checkIn}`;
+}
 
 class SalesforceClient {
   constructor(config) {
     this.config = config;
     this.connection = null;
+    this.schemaProblems = []; // from the last validateSchema(); non-empty = syncGuestCheckIns refuses to write
+    this.schemaCheckedAt = null;
+    this.apiLimits = new ApiLimits();
+    // Held-back writes, persisted when config.pendingFile is set (the sync services)
+    this.pending = new PendingWrites(config.pendingFile || null);
+    this.deferredContactDates = this.pending.contactDates; // contactId → {checkIn, checkOut} held back while API usage is low
+    this.pendingCancellations = this.pending.cancellations; // stay key → cancellation not yet written (see syncCancellations)
   }
 
   /**
@@ -49,6 +72,165 @@ class SalesforceClient {
     return this.connection;
   }
 
+  /**
+   * Drop the session and log in again with the refresh token (after INVALID_SESSION_ID)
+   */
+  async reauthenticate() {
+    logger.warn('Salesforce session invalid — re-authenticating with the refresh token');
+    this.connection = null;
+    await this.connect();
+  }
+
+  /**
+   * Run a Salesforce call, retrying transient errors and re-authenticating an expired session
+   * @param {string} label - For log lines
+   * @param {Function} fn - Must read this.connection on each call (it changes after re-auth)
+   */
+  async callWithRetry(label, fn) {
+    return withRetry(fn, { label, onReauth: () => this.reauthenticate() });
+  }
+
+  /**
+   * All rows of a SOQL query, following queryMore (each call retried like callWithRetry)
+   */
+  async queryAll(label, soql) {
+    let result = await this.callWithRetry(label, () => this.connection.query(soql));
+    let records = result.records;
+    while (!result.done) {
+      const { nextRecordsUrl } = result;
+      result = await this.callWithRetry(label, () => this.connection.queryMore(nextRecordsUrl));
+      records = records.concat(result.records);
+    }
+    return records;
+  }
+
+  /**
+   * Liveness check for the status endpoint (one identity call; refreshes the token if needed)
+   * @returns {Promise<{ok: boolean, instanceUrl?: string, error?: string}>}
+   */
+  async ping() {
+    if (!this.connection) {
+      return { ok: false, error: 'Not connected' };
+    }
+    try {
+      await this.connection.identity();
+      return { ok: true, instanceUrl: this.connection.instanceUrl };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+
+  /**
+   * Schema-drift check: describe Contact and the guest object and compare them
+   * with the fields the transforms write (missing fields, type mismatches,
+   * field-level security, restricted picklist values). The result is kept on
+   * the client so syncGuestCheckIns refuses to run until a later check passes.
+   * @returns {Promise<Array<{object, field, problem}>>} Problems found (empty = ok)
+   */
+  async validateSchema() {
+    await this.ensureConnected();
+
+    const expected = expectedSchema({
+      guestObject: process.env.SF_OBJECT || 'TVRS_Guest__c',
+      contactLookup: process.env.SF_GUEST_CONTACT_LOOKUP || 'Contact__c',
+      travellingWith: process.env.SF_GUEST_TRAVELLING_WITH_FIELD ?? 'Travelling_With__c'
+    });
+    const describes = {};
+    for (const object of Object.keys(expected)) {
+      try {
+        describes[object] = await this.callWithRetry(`${object} describe`, () => this.connection.sobject(object).describe());
+      } catch (err) {
+        if (err.errorCode !== 'NOT_FOUND') throw err;
+        describes[object] = { fields: [] }; // object itself is gone: every field is reported missing
+      }
+    }
+
+    this.schemaProblems = checkSchema(expected, describes);
+    this.schemaCheckedAt = new Date();
+    metrics.sfSchemaProblems.set({}, this.schemaProblems.length);
+
+    if (this.schemaProblems.length > 0) {
+      logger.error(`Salesforce schema check failed — ${this.schemaProblems.length} problem(s):`);
+      formatSchemaProblems(this.schemaProblems).forEach(line => logger.error(`  ${line}`));
+    } else {
+      const count = Object.values(expected).reduce((n, fields) => n + fields.length, 0);
+      logger.info(`Salesforce schema check passed (${count} fields on ${Object.keys(expected).join(', ')})`);
+    }
+    return this.schemaProblems;
+  }
+
+  /**
+   * Refresh org API usage from the /limits resource (REST responses keep it
+   * current in between; Bulk API calls don't report it)
+   * @returns {Object} ApiLimits snapshot
+   */
+  async refreshApiLimits() {
+    await this.ensureConnected();
+    this.apiLimits.updateFromLimits(await this.connection.limits());
+    return this.apiLimits.getSnapshot();
+  }
+
+  /**
+   * Create, update or upsert records: REST calls of BATCH_SIZE, or Bulk API 2.0 jobs for large runs
+   * @param {string} objectName - sObject name
+   * @param {string} operation - 'insert', 'update' or 'upsert'
+   * @param {Array<Object>} records
+   * @param {Object} [options]
+   * @param {boolean} [options.bulk] - Use Bulk API 2.0
+   * @param {boolean} [options.continueOnBatchError] - Record a failed REST batch as per-record failures instead of throwing
+   * @param {string} [options.externalIdField] - Field an upsert matches on
+   * @returns {Promise<Array<{success: boolean, id?: string, created?: boolean, errors?: Array}>>} One result per record, in input order
+   * @throws {Error} code API_LIMIT when usage turns critical between REST batches; err.results holds
+   *   the results of the records sent so far (in input order), the rest were not sent
+   */
+  async writeRecords(objectName, operation, records, { bulk = false, continueOnBatchError = false, externalIdField } = {}) {
+    if (records.length === 0) return [];
+
+    if (bulk) {
+      return bulkWrite(this.connection, objectName, operation, records, {
+        pollInterval: parseFloat(process.env.SF_BULK_POLL_INTERVAL_SECONDS || 5) * 1000,
+        pollTimeout: parseInt(process.env.SF_BULK_TIMEOUT_MINUTES || 30) * 60 * 1000,
+        externalIdField
+      });
+    }
+
+    const writers = {
+      insert: (sobject, subset) => sobject.create(subset),
+      update: (sobject, subset) => sobject.update(subset),
+      upsert: (sobject, subset) => sobject.upsert(subset, externalIdField)
+    };
+
+    const batchSize = parseInt(process.env.BATCH_SIZE) || 200;
+    const results = [];
+    for (let i = 0; i < records.length; i += batchSize) {
+      // Usage can cross the critical line during a long run: stop and leave the rest to the caller
+      if (this.apiLimits.isCritical()) {
+        const { used, limit } = this.apiLimits.getSnapshot();
+        const err = new Error(`Salesforce API usage critical (${used}/${limit} daily requests used) — ${objectName} ${operation} stopped with ${records.length - i} of ${records.length} records not sent`);
+        err.code = 'API_LIMIT';
+        err.results = results;
+        throw err;
+      }
+      const batch = records.slice(i, i + batchSize);
+      try {
+        // Transient failures (row locks, 5xx, expired session) retry just the affected records;
+        // inserts only when nothing can have been created
+        const batchResults = await writeWithRetry(batch, async subset => {
+          const sobject = this.connection.sobject(objectName);
+          const subsetResults = await writers[operation](sobject, subset);
+          return Array.isArray(subsetResults) ? subsetResults : [subsetResults];
+        }, { label: `${objectName} ${operation}`, onReauth: () => this.reauthenticate(), idempotent: operation !== 'insert' });
+        results.push(...batchResults);
+      } catch (err) {
+        if (!continueOnBatchError) throw err;
+        logger.error(`${objectName} ${operation} batch failed:`, err.message);
+        results.push(...batch.map(() => ({ success: false, errors: [{ message: err.message }] })));
+      }
+      this.apiLimits.updateFromConnection(this.connection);
+    }
+    return results;
+  }
+
   /**
    * Sync records to Salesforce
    * @param {Array} records - Array of records to sync
@@ -57,7 +239,7 @@ class SalesforceClient {
    * @returns {Object} Results summary
    */
   async syncRecords(records, objectType = 'Account', externalIdField = 'OPERA_Reservation_ID__c') {
-    if (process.env.ANDON_CORD === 'true') {
+    if (isAndonPulled()) {
       logger.warn('Andon cord pulled — skipping Salesforce sync');
       return { andonPulled: true, success: 0, failed: 0, errors: [] };
     }
@@ -114,16 +296,13 @@ class SalesforceClient {
     const mode = process.env.SYNC_MODE || 'upsert';
 
     try {
-      let batchResults;
-
-      if (mode === 'upsert') {
-        batchResults = await this.connection.sobject(objectType).upsert(records, externalIdField);
-      } else {
-        batchResults = await this.connection.sobject(objectType).create(records);
-      }
-
-      // Handle results (both single record and array)
-      const resultsArray = Array.isArray(batchResults) ? batchResults : [batchResults];
+      const resultsArray = await writeWithRetry(records, async subset => {
+        const batchResults = mode === 'upsert'
+          ? await this.connection.sobject(objectType).upsert(subset, externalIdField)
+          : await this.connection.sobject(objectType).create(subset);
+        // Handle results (both single record and array)
+        return Array.isArray(batchResults) ? batchResults : [batchResults];
+      }, { label: `${objectType} ${mode}`, onReauth: () => this.reauthenticate(), idempotent: mode === 'upsert' });
 
       const results = {
         success: 0,
@@ -156,33 +335,58 @@ class SalesforceClient {
   /**
    * Two-phase sync: create Contacts (new only, never update existing), then upsert TVRS_Guest__c
    * @param {Array} guestDataList - Array of {customer, invoice} objects (raw, not yet transformed)
-   * @returns {Object} Results with contacts/guests counters, needsReview array, and flat success/failed aliases
+   * @returns {Object} Results with contacts/guests counters, needsReview array (rows not written as-is),
+   *   warnings array (rows written, with a data issue to fix in Opera) and flat success/failed aliases
    */
   async syncGuestCheckIns(guestDataList) {
-    if (process.env.ANDON_CORD === 'true') {
+    if (isAndonPulled()) {
       logger.warn('Andon cord pulled — skipping Salesforce sync');
-      return { andonPulled: true, contacts: { created: 0, failed: 0 }, guests: { created: 0, updated: 0, failed: 0 }, needsReview: [], errors: [], success: 0, failed: 0 };
+      return { andonPulled: true, contacts: { created: 0, failed: 0 }, guests: { created: 0, updated: 0, failed: 0 }, needsReview: [], warnings: [], failedEntries: [], errors: [], success: 0, failed: 0 };
+    }
+
+    if (this.schemaProblems.length > 0) {
+      const err = new Error(`Salesforce schema drift — refusing to sync until fixed: ${formatSchemaProblems(this.schemaProblems).join('; ')}`);
+      err.code = 'SCHEMA_DRIFT';
+      throw err;
+    }
+
+    if (this.apiLimits.isCritical()) {
+      const { used, limit } = this.apiLimits.getSnapshot();
+      const err = new Error(`Salesforce API usage critical (${used}/${limit} daily requests used) — refusing to sync until usage drops`);
+      err.code = 'API_LIMIT';
+      throw err;
     }
 
     await this.ensureConnected();
 
     if (!guestDataList || guestDataList.length === 0) {
       logger.warn('No guest data to sync');
-      return { contacts: { created: 0, failed: 0 }, guests: { created: 0, updated: 0, failed: 0 }, needsReview: [], errors: [], success: 0, failed: 0 };
+      return { contacts: { created: 0, failed: 0 }, guests: { created: 0, updated: 0, failed: 0 }, needsReview: [], warnings: [], failedEntries: [], errors: [], success: 0, failed: 0 };
     }
 
     const batchSize = parseInt(process.env.BATCH_SIZE) || 200;
     const guestObject = process.env.SF_OBJECT || 'TVRS_Guest__c';
     const contactLookup = process.env.SF_GUEST_CONTACT_LOOKUP || 'Contact__c';
+
+    // Large runs (initial sync, long catch-ups) write through Bulk API 2.0 jobs instead of REST batches
+    const bulkThreshold = parseInt(process.env.SF_BULK_THRESHOLD ?? 2000);
+    const bulk = bulkThreshold > 0 && guestDataList.length > bulkThreshold;
+    if (bulk) {
+      logger.info(`${guestDataList.length} records exceed SF_BULK_THRESHOLD (${bulkThreshold}) — writing with Bulk API 2.0`);
+    }
+
     const results = {
       contacts: { created: 0, failed: 0 },
       guests: { created: 0, updated: 0, failed: 0 },
       needsReview: [],
+      warnings: [], // same shape as needsReview, but the record was still written
+      failedEntries: [], // {entry, reason, error} for Salesforce write failures (retryable via the outbox)
       errors: [] // kept for backwards compat (callers read errors[0]?.error)
     };
 
-    function flagNeedsReview(entry, reason, details) {
-      results.needsReview.push({
+    function reviewItem(entry, reason, details) {
+      return {
+        operaId: entry.customer.operaId || '',
         email: (entry.customer.email || '').toLowerCase(),
         firstName: entry.customer.firstName || '',
         lastName: entry.customer.lastName || '',
@@ -193,9 +397,26 @@ class SalesforceClient {
         language: entry.customer.language || '',
         checkInDate: (entry.invoice && entry.invoice.checkIn) || null,
         checkOutDate: (entry.invoice && entry.invoice.checkOut) || null,
+        // OTA reservation number (XML files carry no Opera reservation ID)
+        ...(entry.invoice && entry.invoice.reservationId ? { reservationId: entry.invoice.reservationId } : {}),
         reason,
         ...(details ? { details } : {})
-      });
+      };
+    }
+
+    function flagNeedsReview(entry, reason, details) {
+      results.needsReview.push(reviewItem(entry, reason, details));
+    }
+
+    function flagWriteFailure(entry, reason, errorMsg) {
+      flagNeedsReview(entry, reason, errorMsg);
+      results.failedEntries.push({ entry, reason, error: errorMsg });
+    }
+
+    // Unparseable phones are written as Opera has them; the raw number goes to the report for a fix in Opera
+    for (const entry of guestDataList) {
+      const { reason } = normalizePhone(entry.customer.phone, entry.customer.billingCountry);
+      if (reason) results.warnings.push(reviewItem(entry, 'invalid-phone', reason));
     }
 
     // --- Pre-flight: within-batch conflict detection ---
@@ -242,6 +463,7 @@ class SalesforceClient {
     }
 
     // --- Phase 1: Batch email lookup in Salesforce ---
+    let endPhase = metrics.sfPhaseDuration.startTimer({ phase: 'lookup' });
     logger.info(`Phase 1: Querying ${uniqueEmails.length} unique emails against Salesforce Contacts...`);
 
     for (let i = 0; i < uniqueEmails.length; i += batchSize) {
@@ -249,8 +471,8 @@ class SalesforceClient {
       const escaped = emailBatch.map(e => `'${e.replace(/'/g, "\\'")}'`).join(',');
       const query = `SELECT Id, Email, FirstName, LastName FROM Contact WHERE Email IN (${escaped})`;
 
-      // Re-throw on query failure — infra-level problem, don't continue silently
-      const result = await this.connection.query(query);
+      // Transient errors are retried; anything left is an infra-level problem — re-throw, don't continue silently
+      const result = await this.callWithRetry('Contact lookup', () => this.connection.query(query));
 
       // Group by email to detect duplicates
       const sfByEmail = new Map();
@@ -342,7 +564,10 @@ class SalesforceClient {
     const ambiguousCount = [...emailStatus.values()].filter(s => s.status === 'ambiguous').length;
     logger.info(`Phase 1 complete: ${newCount} new, ${existsCount} existing, ${ambiguousCount} ambiguous`);
 
+    endPhase();
+
     // --- Phase 2: Create new Contacts (status: 'new' only — never update existing) ---
+    endPhase = metrics.sfPhaseDuration.startTimer({ phase: 'contacts' });
     // Build lookup: email → first eligible entry (for new contact data)
     const emailToFirstEntry = new Map();
     for (const entry of eligibleEntries) {
@@ -356,57 +581,68 @@ class SalesforceClient {
 
     logger.info(`Phase 2: Creating ${newEmails.length} new Contacts...`);
 
-    for (let i = 0; i < newEmails.length; i += batchSize) {
-      const emailSlice = newEmails.slice(i, i + batchSize);
-      const records = emailSlice.map(email => transformToContact(emailToFirstEntry.get(email).customer));
+    const contactRecords = newEmails.map(email => transformToContact(emailToFirstEntry.get(email).customer));
 
-      // Re-throw on batch-level failure
-      const batchResults = await this.connection.sobject('Contact').create(records);
-      const resultsArray = Array.isArray(batchResults) ? batchResults : [batchResults];
+    // Re-throw on batch-level failure
+    const contactResults = await this.writeRecords('Contact', 'insert', contactRecords, { bulk });
 
-      resultsArray.forEach((res, idx) => {
-        const email = emailSlice[idx];
-        if (res.success) {
-          results.contacts.created++;
-          emailStatus.set(email, { status: 'exists', contactId: res.id });
-          logger.debug(`Contact created: ${res.id} for ${email}`);
-        } else {
-          results.contacts.failed++;
-          const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
-          logger.error(`Contact create failed for ${email}: ${errorMsg}`);
-          for (const entry of eligibleEntries) {
-            if ((entry.customer.email || '').toLowerCase() === email) {
-              flagNeedsReview(entry, 'contact-create-failed', errorMsg);
-            }
+    contactResults.forEach((res, idx) => {
+      const email = newEmails[idx];
+      if (res.success) {
+        results.contacts.created++;
+        emailStatus.set(email, { status: 'exists', contactId: res.id });
+        logger.debug(`Contact created: ${res.id} for ${email}`);
+      } else {
+        results.contacts.failed++;
+        const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
+        logger.error(`Contact create failed for ${email}: ${errorMsg}`);
+        for (const entry of eligibleEntries) {
+          if ((entry.customer.email || '').toLowerCase() === email) {
+            flagWriteFailure(entry, 'contact-create-failed', errorMsg);
           }
         }
-      });
-    }
+      }
+    });
 
     logger.info(`Phase 2 complete: ${results.contacts.created} created, ${results.contacts.failed} failed`);
+    endPhase();
 
     // --- Phase 3: Upsert TVRS_Guest__c ---
+    endPhase = metrics.sfPhaseDuration.startTimer({ phase: 'guests' });
     logger.info(`Phase 3: Upserting ${guestObject} records...`);
 
     const successContactIds = [...emailStatus.values()]
       .filter(s => s.status === 'exists' && s.contactId)
       .map(s => s.contactId);
 
+    // Companions (sharers) point at the primary guest's stay; those without an
+    // email of their own are synced as a stay record without a Contact
+    const travellingWithField = process.env.SF_GUEST_TRAVELLING_WITH_FIELD ?? 'Travelling_With__c';
+    const isCompanionOnly = entry => !entry.customer.email && !!(GUEST_RESV_ID_FIELD && entry.invoice && entry.invoice.resvNameId && entry.invoice.parentResvNameId);
+
     // Query existing TVRS_Guest__c records for resolved contacts
-    const existingGuestMap = new Map(); // "contactId|checkInDate" → guestRecordId
+    const existingGuestMap = new Map(); // "contactId|checkInDate" → guest record
+    const existingByResvId = new Map(); // Opera RESV_NAME_ID → guest record
+    const extraFields = [GUEST_RESV_ID_FIELD, travellingWithField]
+      .filter(f => f && !GUEST_DIFF_SOQL_FIELDS.split(', ').includes(f));
+    const soqlFields = [GUEST_DIFF_SOQL_FIELDS, ...extraFields].join(', ');
     for (let i = 0; i < successContactIds.length; i += batchSize) {
       const idBatch = successContactIds.slice(i, i + batchSize);
       const escaped = idBatch.map(id => `'${id}'`).join(',');
-      const query = `SELECT Id, ${contactLookup}, ${GUEST_DIFF_SOQL_FIELDS} FROM ${guestObject} WHERE ${contactLookup} IN (${escaped})`;
+      const query = `SELECT Id, ${contactLookup}, ${soqlFields} FROM ${guestObject} WHERE ${contactLookup} IN (${escaped})`;
 
       try {
-        let result = await this.connection.query(query);
+        let result = await this.callWithRetry(`${guestObject} lookup`, () => this.connection.query(query));
         let allRecords = result.records;
         while (!result.done) {
-          result = await this.connection.queryMore(result.nextRecordsUrl);
+          const { nextRecordsUrl } = result;
+          result = await this.callWithRetry(`${guestObject} lookup`, () => this.connection.queryMore(nextRecordsUrl));
           allRecords = allRecords.concat(result.records);
         }
         for (const rec of allRecords) {
+          if (GUEST_RESV_ID_FIELD && rec[GUEST_RESV_ID_FIELD]) {
+            existingByResvId.set(String(rec[GUEST_RESV_ID_FIELD]), rec);
+          }
           if (rec[contactLookup] && rec.Check_In_Date__c) {
             existingGuestMap.set(`${rec[contactLookup]}|${rec.Check_In_Date__c}`, rec);
           }
@@ -419,88 +655,150 @@ class SalesforceClient {
 
     logger.info(`Found ${existingGuestMap.size} existing ${guestObject} records for matched Contacts`);
 
+    // Email-less companions have no Contact to find them by, and a primary stay may
+    // belong to a Contact outside this run: look both up by reservation ID
+    const resvIdsToFind = new Set();
+    for (const entry of guestDataList) {
+      if (excludedEntries.has(entry) || !GUEST_RESV_ID_FIELD || !entry.invoice) continue;
+      if (isCompanionOnly(entry)) resvIdsToFind.add(entry.invoice.resvNameId);
+      if (travellingWithField && entry.invoice.parentResvNameId) resvIdsToFind.add(entry.invoice.parentResvNameId);
+    }
+    const unresolved = [...resvIdsToFind].filter(id => !existingByResvId.has(id));
+    for (let i = 0; i < unresolved.length; i += batchSize) {
+      const ids = unresolved.slice(i, i + batchSize).map(id => `'${id.replace(/'/g, "\\'")}'`).join(',');
+      const records = await this.queryAll(`${guestObject} lookup`,
+        `SELECT Id, ${contactLookup}, ${soqlFields} FROM ${guestObject} WHERE ${GUEST_RESV_ID_FIELD} IN (${ids})`);
+      for (const rec of records) existingByResvId.set(String(rec[GUEST_RESV_ID_FIELD]), rec);
+    }
+
     // Iterate full guestDataList — every Opera entry gets its own check-in record
     const guestsToCreate = [];
+    const guestsToUpsert = [];
     const guestsToUpdate = [];
     const seenGuestKeys = new Set();
+    const matchedIds = new Set(); // guest records already claimed by an entry
+    const recordIds = new Map(); // entry → its guest record Id, once known
+    const pendingLinks = []; // companions whose primary stay is created in this run
 
     for (const entry of guestDataList) {
       if (excludedEntries.has(entry)) continue;
 
-      const email = (entry.customer.email || '').toLowerCase();
-      if (!email) continue;
+      let contactId = null;
+      if (!isCompanionOnly(entry)) {
+        const email = (entry.customer.email || '').toLowerCase();
+        if (!email) continue;
 
-      const status = emailStatus.get(email);
-      if (!status || status.status !== 'exists' || !status.contactId) continue;
+        const status = emailStatus.get(email);
+        if (!status || status.status !== 'exists' || !status.contactId) continue;
+        contactId = status.contactId;
+      }
 
-      const guestRecord = transformToTVRSGuest(entry.customer, entry.invoice, status.contactId);
+      const guestRecord = transformToTVRSGuest(entry.customer, entry.invoice, contactId, getProperty(entry.property));
       const checkInDate = guestRecord.Check_In_Date__c || null;
-      const matchKey = checkInDate ? `${status.contactId}|${checkInDate}` : null;
+      const matchKey = contactId && checkInDate ? `${contactId}|${checkInDate}` : null;
+      const resvNameId = (GUEST_RESV_ID_FIELD && entry.invoice && entry.invoice.resvNameId) || null;
+
+      // One record per stay: the Opera reservation when known, else contact + check-in date (file mode)
+      const stayKey = resvNameId ? `resv:${resvNameId}` : matchKey;
+      if (stayKey && seenGuestKeys.has(stayKey)) continue;
+      if (stayKey) seenGuestKeys.add(stayKey);
+
+      // The same reservation keeps its record when its dates change. Records written
+      // before reservation IDs were synced are matched on contact + check-in date
+      // (and get the ID with this update) unless they already belong to another reservation.
+      let currentRecord = resvNameId ? existingByResvId.get(resvNameId) : null;
+      if (!currentRecord && matchKey) {
+        const candidate = existingGuestMap.get(matchKey);
+        const otherStay = candidate && resvNameId && candidate[GUEST_RESV_ID_FIELD];
+        if (candidate && !otherStay && !matchedIds.has(candidate.Id)) currentRecord = candidate;
+      }
+      if (currentRecord) {
+        matchedIds.add(currentRecord.Id);
+        recordIds.set(entry, currentRecord.Id);
+      }
 
-      if (matchKey && seenGuestKeys.has(matchKey)) continue;
-      if (matchKey) seenGuestKeys.add(matchKey);
+      const parentResvNameId = travellingWithField && entry.invoice && entry.invoice.parentResvNameId;
+      if (parentResvNameId) {
+        const parent = existingByResvId.get(parentResvNameId);
+        if (parent) guestRecord[travellingWithField] = parent.Id;
+        else pendingLinks.push({ entry, parentResvNameId });
+      }
 
-      const currentRecord = matchKey ? existingGuestMap.get(matchKey) : null;
       if (currentRecord) {
+        const relinked = !!(travellingWithField && guestRecord[travellingWithField]
+          && guestRecord[travellingWithField] !== currentRecord[travellingWithField]);
         const changes = diffGuestRecord(currentRecord, guestRecord);
-        if (changes.length === 0) {
+        if (changes.length === 0 && !relinked) {
           logger.debug(`Skipping no-op update for ${guestRecord.Email__c} check-in ${checkInDate} — no field changes`);
         } else {
           guestRecord.Id = currentRecord.Id;
+          stripCreateOnlyFields(guestRecord); // e.g. record type is only chosen on create
           guestsToUpdate.push({ record: guestRecord, entry });
         }
+      } else if (GUEST_EXTERNAL_ID_FIELD && guestRecord[GUEST_EXTERNAL_ID_FIELD]) {
+        guestsToUpsert.push({ record: guestRecord, entry });
       } else {
         guestsToCreate.push({ record: guestRecord, entry });
       }
     }
 
-    // Batch create new TVRS_Guest__c
-    for (let i = 0; i < guestsToCreate.length; i += batchSize) {
-      const batch = guestsToCreate.slice(i, i + batchSize);
-      const records = batch.map(g => g.record);
-
-      // Re-throw on batch-level failure
-      const batchResults = await this.connection.sobject(guestObject).create(records);
-      const resultsArray = Array.isArray(batchResults) ? batchResults : [batchResults];
-
-      resultsArray.forEach((res, idx) => {
-        const { record, entry } = batch[idx];
-        if (res.success) {
-          results.guests.created++;
-          logger.debug(`${guestObject} created: ${res.id} for ${record.Email__c}`);
-        } else {
-          results.guests.failed++;
-          const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
-          logger.error(`${guestObject} create failed for ${record.Email__c}: ${errorMsg}`);
-          flagNeedsReview(entry, 'guest-sync-failed', errorMsg);
-        }
-      });
-    }
+    // Batch create new TVRS_Guest__c: upserted on the external ID when the stay has one,
+    // so a record the lookup above missed (e.g. under another Contact) is updated, not duplicated
+    // Re-throw on batch-level failure
+    const upsertResults = await this.writeRecords(guestObject, 'upsert', guestsToUpsert.map(g => g.record), { bulk, externalIdField: GUEST_EXTERNAL_ID_FIELD });
+    const insertResults = await this.writeRecords(guestObject, 'insert', guestsToCreate.map(g => g.record), { bulk });
+    const newGuests = [...guestsToUpsert, ...guestsToCreate];
+    const createResults = [...upsertResults, ...insertResults];
+
+    createResults.forEach((res, idx) => {
+      const { record, entry } = newGuests[idx];
+      if (res.success) {
+        recordIds.set(entry, res.id);
+        results.guests[res.created === false ? 'updated' : 'created']++;
+        logger.debug(`${guestObject} ${res.created === false ? 'updated' : 'created'}: ${res.id} for ${record.Email__c}`);
+      } else {
+        results.guests.failed++;
+        const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
+        logger.error(`${guestObject} create failed for ${record.Email__c}: ${errorMsg}`);
+        flagWriteFailure(entry, 'guest-sync-failed', errorMsg);
+      }
+    });
 
     // Batch update existing TVRS_Guest__c
-    for (let i = 0; i < guestsToUpdate.length; i += batchSize) {
-      const batch = guestsToUpdate.slice(i, i + batchSize);
-      const records = batch.map(g => g.record);
-
-      // Re-throw on batch-level failure
-      const batchResults = await this.connection.sobject(guestObject).update(records);
-      const resultsArray = Array.isArray(batchResults) ? batchResults : [batchResults];
+    // Re-throw on batch-level failure
+    const updateResults = await this.writeRecords(guestObject, 'update', guestsToUpdate.map(g => g.record), { bulk });
+
+    updateResults.forEach((res, idx) => {
+      const { record, entry } = guestsToUpdate[idx];
+      if (res.success) {
+        results.guests.updated++;
+        logger.debug(`${guestObject} updated: ${res.id} for ${record.Email__c}`);
+      } else {
+        results.guests.failed++;
+        const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
+        logger.error(`${guestObject} update failed for ${record.Email__c}: ${errorMsg}`);
+        flagWriteFailure(entry, 'guest-sync-failed', errorMsg);
+      }
+    });
 
-      resultsArray.forEach((res, idx) => {
-        const { record, entry } = batch[idx];
-        if (res.success) {
-          results.guests.updated++;
-          logger.debug(`${guestObject} updated: ${res.id} for ${record.Email__c}`);
-        } else {
-          results.guests.failed++;
-          const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
-          logger.error(`${guestObject} update failed for ${record.Email__c}: ${errorMsg}`);
-          flagNeedsReview(entry, 'guest-sync-failed', errorMsg);
-        }
-      });
-    }
+    // Link companions to primary stays created above (a primary not synced yet is linked on a later run)
+    const createdByResvId = new Map();
+    newGuests.forEach(({ entry }) => {
+      if (recordIds.has(entry) && entry.invoice && entry.invoice.resvNameId) createdByResvId.set(entry.invoice.resvNameId, recordIds.get(entry));
+    });
+    const links = pendingLinks
+      .filter(({ entry, parentResvNameId }) => recordIds.has(entry) && createdByResvId.has(parentResvNameId))
+      .map(({ entry, parentResvNameId }) => ({ Id: recordIds.get(entry), [travellingWithField]: createdByResvId.get(parentResvNameId) }));
+    const linkResults = await this.writeRecords(guestObject, 'update', links, { bulk, continueOnBatchError: true });
+    linkResults.forEach((res, idx) => {
+      if (res.success) return;
+      const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
+      logger.warn(`${guestObject} ${links[idx].Id}: could not link to the primary guest's stay: ${errorMsg}`);
+    });
+    if (links.length > 0) logger.info(`Linked ${linkResults.filter(r => r.success).length}/${links.length} companion stay(s) to primary stays created in this run`);
 
     logger.info(`Phase 3 complete: ${results.guests.created} created, ${results.guests.updated} updated, ${results.guests.failed} failed`);
+    endPhase();
 
     // --- Phase 4: Update Contact check-in/check-out dates (latest per contact) ---
     const contactDates = new Map(); // contactId → { checkIn, checkOut }
@@ -519,7 +817,28 @@ class SalesforceClient {
       }
     }
 
+    // Contact stay dates are informational: hold them back while API usage is low
+    // and send them with a later run (latest stay per contact wins)
+    const mergeLatest = (target, source) => {
+      for (const [contactId, dates] of source) {
+        const existing = target.get(contactId);
+        if (!existing || dates.checkIn > existing.checkIn) target.set(contactId, dates);
+      }
+    };
+    if (this.apiLimits.isLow()) {
+      if (contactDates.size > 0) {
+        mergeLatest(this.deferredContactDates, contactDates);
+        this.pending.save();
+        logger.warn(`Phase 4: Salesforce API usage low — deferring date updates for ${this.deferredContactDates.size} Contacts`);
+      }
+      contactDates.clear();
+    } else if (this.deferredContactDates.size > 0) {
+      logger.info(`Phase 4: Including ${this.deferredContactDates.size} deferred Contact date updates`);
+      mergeLatest(contactDates, this.deferredContactDates);
+    }
+
     if (contactDates.size > 0) {
+      endPhase = metrics.sfPhaseDuration.startTimer({ phase: 'contact_dates' });
       logger.info(`Phase 4: Updating check-in/check-out dates on ${contactDates.size} Contacts...`);
       const contactUpdates = [...contactDates.entries()].map(([id, dates]) => ({
         Id: id,
@@ -527,32 +846,156 @@ class SalesforceClient {
         Check_Out_Date__c: dates.checkOut || null
       }));
 
-      for (let i = 0; i < contactUpdates.length; i += batchSize) {
-        const batch = contactUpdates.slice(i, i + batchSize);
-        try {
-          const batchResults = await this.connection.sobject('Contact').update(batch);
-          const resultsArray = Array.isArray(batchResults) ? batchResults : [batchResults];
-          resultsArray.forEach((res, idx) => {
-            if (res.success) {
-              logger.debug(`Contact dates updated: ${batch[idx].Id}`);
-            } else {
-              const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
-              logger.error(`Contact date update failed for ${batch[idx].Id}: ${errorMsg}`);
-            }
-          });
-        } catch (err) {
-          logger.error('Contact date update batch failed:', err.message);
+      let resultsArray = [];
+      try {
+        resultsArray = await this.writeRecords('Contact', 'update', contactUpdates, { bulk, continueOnBatchError: true });
+      } catch (err) {
+        logger.error('Contact date update batch failed:', err.message);
+        resultsArray = err.results || [];
+      }
+      const written = new Set();
+      resultsArray.forEach((res, idx) => {
+        if (res.success) {
+          written.add(contactUpdates[idx].Id);
+          logger.debug(`Contact dates updated: ${contactUpdates[idx].Id}`);
+        } else {
+          const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
+          logger.error(`Contact date update failed for ${contactUpdates[idx].Id}: ${errorMsg}`);
         }
+      });
+      // Only what was written leaves the deferred list; failed or unsent updates go with a later run
+      for (const [contactId, dates] of contactDates) {
+        if (written.has(contactId)) this.deferredContactDates.delete(contactId);
+        else this.deferredContactDates.set(contactId, dates);
       }
+      this.pending.save();
       logger.info('Phase 4 complete');
+      endPhase();
     }
 
-    logger.info(`Sync complete. needsReview: ${results.needsReview.length} items`);
+    logger.info(`Sync complete. needsReview: ${results.needsReview.length} items, warnings: ${results.warnings.length}`);
 
     // Flat aliases for backwards compat with callers (opera-file-sync.js, opera-db-sync.js)
     results.success = results.guests.created + results.guests.updated;
     results.failed = results.contacts.failed + results.guests.failed;
 
+    metrics.sfRecords.inc({ object: 'contact', outcome: 'created' }, results.contacts.created);
+    metrics.sfRecords.inc({ object: 'contact', outcome: 'failed' }, results.contacts.failed);
+    metrics.sfRecords.inc({ object: 'guest', outcome: 'created' }, results.guests.created);
+    metrics.sfRecords.inc({ object: 'guest', outcome: 'updated' }, results.guests.updated);
+    metrics.sfRecords.inc({ object: 'guest', outcome: 'failed' }, results.guests.failed);
+    for (const r of [...results.needsReview, ...results.warnings]) metrics.needsReview.inc({ reason: r.reason });
+
+    return results;
+  }
+
+  /**
+   * Flag the guest records of cancelled / no-show reservations: the guest field
+   * mapped from invoice.resvStatus is set to the Opera status. Records are matched
+   * on the Opera reservation ID, or Email__c + Check_In_Date__c for records
+   * written before reservation IDs were synced. Cancellations that can't be written now (andon
+   * cord, API usage critical, schema drift, errors) are kept — on disk when the client has a
+   * pendingFile — and sent with the next call.
+   * @param {Array} cancellations - From queryCancellationsSince
+   * @returns {Promise<{updated: Array, notFound: number, failed: number, andonPulled?: boolean, deferred?: boolean}>}
+   *   updated = the cancellations whose guest record was flagged
+   */
+  async syncCancellations(cancellations = []) {
+    const results = { updated: [], notFound: 0, failed: 0 };
+    const guestObject = process.env.SF_OBJECT || 'TVRS_Guest__c';
+    const statusField = GUEST_STATUS_FIELD;
+    const resvIdField = GUEST_RESV_ID_FIELD;
+    if (!statusField) {
+      if (cancellations.length > 0) logger.warn(`No ${guestObject} field is mapped from invoice.resvStatus — ${cancellations.length} cancellation(s) not recorded`);
+      return results;
+    }
+
+    // Latest status wins for the same stay
+    for (const c of cancellations) this.pendingCancellations.set(cancellationKey(c), c);
+    if (cancellations.length > 0) this.pending.save();
+    if (this.pendingCancellations.size === 0) return results;
+
+    if (isAndonPulled()) {
+      logger.warn(`Andon cord pulled — holding ${this.pendingCancellations.size} cancellation(s)`);
+      return { ...results, andonPulled: true };
+    }
+    if (this.apiLimits.isCritical() || this.schemaProblems.length > 0) {
+      logger.warn(`Salesforce ${this.schemaProblems.length > 0 ? 'schema drift' : 'API usage critical'} — holding ${this.pendingCancellations.size} cancellation(s)`);
+      return { ...results, deferred: true };
+    }
+
+    await this.ensureConnected();
+    const batchSize = parseInt(process.env.BATCH_SIZE) || 200;
+    const pending = [...this.pendingCancellations.entries()];
+
+    // Guest records per "email|checkIn" (a shared email can have several)
+    const matches = new Map();
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize).map(([, c]) => c);
+      const withEmail = batch.filter(c => c.email);
+      const emails = [...new Set(withEmail.map(c => `'${c.email.toLowerCase().replace(/'/g, "\\'")}'`))].join(',');
+      const dates = [...new Set(withEmail.map(c => c.checkIn))].join(',');
+      const resvIds = resvIdField ? batch.filter(c => c.resvNameId).map(c => `'${c.resvNameId}'`) : [];
+      const where = [
+        ...(withEmail.length > 0 ? [`(Email__c IN (${emails}) AND Check_In_Date__c IN (${dates}))`] : []),
+        ...(resvIds.length > 0 ? [`${resvIdField} IN (${resvIds.join(',')})`] : [])
+      ];
+      if (where.length === 0) continue;
+      const query = `SELECT Id, Email__c, Check_In_Date__c, ${resvIdField ? `${resvIdField}, ` : ''}${statusField} FROM ${guestObject} WHERE ${where.join(' OR ')}`;
+
+      let result = await this.callWithRetry(`${guestObject} cancellation lookup`, () => this.connection.query(query));
+      let records = result.records;
+      while (!result.done) {
+        const { nextRecordsUrl } = result;
+        result = await this.callWithRetry(`${guestObject} cancellation lookup`, () => this.connection.queryMore(nextRecordsUrl));
+        records = records.concat(result.records);
+      }
+      for (const rec of records) {
+        const key = `${(rec.Email__c || '').toLowerCase()}|${rec.Check_In_Date__c}`;
+        if (!matches.has(key)) matches.set(key, []);
+        matches.get(key).push(rec);
+        if (resvIdField && rec[resvIdField]) matches.set(`resv:${rec[resvIdField]}`, [rec]);
+      }
+    }
+
+    const updates = [];
+    for (const [, c] of pending) {
+      // By reservation ID; by email + check-in only records that don't carry another reservation's ID
+      // (companions without an email are matched by reservation ID only)
+      const byEmail = c.email ? matches.get(`${c.email.toLowerCase()}|${c.checkIn}`) || [] : [];
+      const recs = (c.resvNameId && matches.get(`resv:${c.resvNameId}`))
+        || byEmail.filter(r => !(resvIdField && r[resvIdField] && c.resvNameId));
+      if (recs.length === 0) {
+        // Never synced (e.g. booked and cancelled between polls) — nothing to flag
+        results.notFound++;
+        continue;
+      }
+      for (const rec of recs.filter(r => r[statusField] !== c.status)) {
+        updates.push({ record: { Id: rec.Id, [statusField]: c.status }, cancellation: c });
+      }
+    }
+
+    const writeResults = await this.writeRecords(guestObject, 'update', updates.map(u => u.record));
+    const flagged = new Set();
+    writeResults.forEach((res, idx) => {
+      const { record, cancellation } = updates[idx];
+      if (res.success) {
+        if (!flagged.has(cancellation)) results.updated.push(cancellation);
+        flagged.add(cancellation);
+        logger.debug(`${guestObject} ${record.Id} flagged ${cancellation.status} for ${cancellation.email || `reservation ${cancellation.resvNameId}`} check-in ${cancellation.checkIn}`);
+      } else {
+        results.failed++;
+        const errorMsg = res.errors ? res.errors.map(e => e.message).join(', ') : 'Unknown error';
+        logger.error(`${guestObject} cancellation update failed for ${cancellation.email || `reservation ${cancellation.resvNameId}`} check-in ${cancellation.checkIn}: ${errorMsg}`);
+      }
+    });
+
+    // Record-level failures are reported, not retried (they'd fail the same way next time)
+    this.pendingCancellations.clear();
+    this.pending.save();
+    metrics.sfRecords.inc({ object: 'guest', outcome: 'cancelled' }, results.updated.length);
+    metrics.sfRecords.inc({ object: 'guest', outcome: 'failed' }, results.failed);
+    logger.info(`Cancellations: ${results.updated.length} guest record(s) flagged, ${results.notFound} not in Salesforce, ${results.failed} failed`);
     return results;
   }
 
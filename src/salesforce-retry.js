@@ -0,0 +1,195 @@
+/**
+ * Salesforce Retry
+ *
+ * Classifies Salesforce errors and retries transient ones, so one row lock or
+ * 503 doesn't abort a whole poll:
+ *
+ *   retryable  — row locks, timeouts, 5xx, dropped connections: back off and retry
+ *   reauth     — expired/invalid session: re-authenticate with the refresh token once, then retry
+ *   permanent  — validation errors, bad fields, etc.: returned/thrown as-is
+ *
+ * Record-level failures inside an otherwise successful batch are classified the
+ * same way; only the retryable subset is sent again.
+ *
+ * Creates are not idempotent: after a dropped connection, timeout or 5xx the
+ * records may already exist, so a failed create batch is only retried when the
+ * error shows the request was never carried out (row lock, refused connection,
+ * expired session). Anything else fails the poll; the next one looks the
+ * records up again before writing.
+ */
+
+const logger = require('./logger');
+
+const RETRYABLE_CODES = new Set([
+  'UNABLE_TO_LOCK_ROW',
+  'SERVER_UNAVAILABLE',
+  'QUERY_TIMEOUT',
+  'REQUEST_RUNNING_TOO_LONG',
+  'UNKNOWN_EXCEPTION',
+  'ERROR_HTTP_500',
+  'ERROR_HTTP_502',
+  'ERROR_HTTP_503',
+  'ERROR_HTTP_504',
+  // Network errors from the HTTP layer
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH'
+]);
+
+const REAUTH_CODES = new Set(['INVALID_SESSION_ID', 'ERROR_HTTP_401']);
+
+// Retryable errors raised before Salesforce saved anything — safe to resend a create
+const NOT_WRITTEN_CODES = new Set([
+  'UNABLE_TO_LOCK_ROW',
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+  'ENETUNREACH'
+]);
+
+/**
+ * Salesforce error code (errorCode / statusCode) or Node error code
+ */
+function errorCode(err) {
+  if (!err) return '';
+  return err.errorCode || err.statusCode || err.code || (err.name !== 'Error' ? err.name : '') || '';
+}
+
+/**
+ * @param {Error|Object} err - Thrown error or a record-level {statusCode, message}
+ * @returns {'retryable'|'reauth'|'permanent'}
+ */
+function classifyError(err) {
+  const code = String(errorCode(err));
+  if (REAUTH_CODES.has(code)) return 'reauth';
+  if (RETRYABLE_CODES.has(code)) return 'retryable';
+  if (/socket hang up|network timeout/i.test((err && err.message) || '')) return 'retryable';
+  return 'permanent';
+}
+
+/**
+ * Whether a failed call may be sent again: non-idempotent calls (creates) only
+ * when the error shows nothing was written
+ */
+function canResend(err, idempotent) {
+  return idempotent || NOT_WRITTEN_CODES.has(String(errorCode(err)));
+}
+
+/**
+ * A failed save result is retryable when every one of its errors is
+ */
+function isRetryableResult(result) {
+  if (!result || result.success || !Array.isArray(result.errors) || result.errors.length === 0) return false;
+  return result.errors.every(e => classifyError(e) === 'retryable');
+}
+
+/**
+ * Retry settings from the environment
+ */
+function retryOptions() {
+  return {
+    retries: parseInt(process.env.SF_RETRY_ATTEMPTS ?? 3),
+    baseMs: parseInt(process.env.SF_RETRY_BASE_MS || 1000),
+    maxMs: parseInt(process.env.SF_RETRY_MAX_MS || 30000)
+  };
+}
+
+/**
+ * Delay before retry #attempt: base * 2^(attempt-1), capped, with "equal
+ * jitter" (half fixed, half random) so concurrent writers don't retry in step
+ */
+function backoffDelay(attempt, baseMs, maxMs, random = Math.random) {
+  const ceiling = Math.min(baseMs * 2 ** Math.max(attempt - 1, 0), maxMs);
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a single Salesforce call (query, describe, ...) with retry
+ * @param {Function} fn - Called again on each attempt
+ * @param {Object} [options]
+ * @param {string} [options.label] - For log lines
+ * @param {Function} [options.onReauth] - Re-authenticates; called at most once
+ * @param {boolean} [options.idempotent=true] - false for creates (see canResend)
+ * @param {number} [options.retries]
+ * @param {number} [options.baseMs]
+ * @param {number} [options.maxMs]
+ */
+async function withRetry(fn, options = {}) {
+  const { label = 'Salesforce call', onReauth, idempotent = true, wait = sleep } = options;
+  const { retries, baseMs, maxMs } = { ...retryOptions(), ...options };
+  let reauthenticated = false;
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      return await fn();
+    } catch (err) {
+      const kind = classifyError(err);
+      if (kind === 'reauth' && onReauth && !reauthenticated) {
+        logger.warn(`${label}: ${errorCode(err)} — re-authenticating`);
+        reauthenticated = true;
+        await onReauth();
+        continue; // re-auth doesn't count as a retry
+      }
+      if (kind !== 'retryable' || attempt >= retries) throw err;
+      if (!canResend(err, idempotent)) {
+        logger.warn(`${label}: ${errorCode(err) || err.message} — not retried, the records may already have been created`);
+        throw err;
+      }
+      attempt++;
+      const delay = backoffDelay(attempt, baseMs, maxMs);
+      logger.warn(`${label}: ${errorCode(err) || err.message} — retry ${attempt}/${retries} in ${delay}ms`);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Write records with retry. Batch-level errors are handled like withRetry
+ * (pass idempotent: false for creates); after each attempt only the records
+ * whose results are retryable are sent again — a failed record result means
+ * that record wasn't saved. Permanent record failures are returned as-is.
+ * @param {Array<Object>} records
+ * @param {Function} write - (subset) => Promise<Array<SaveResult>> in subset order
+ * @param {Object} [options] - As withRetry
+ * @returns {Promise<Array<SaveResult>>} One result per record, in input order
+ */
+async function writeWithRetry(records, write, options = {}) {
+  const { label = 'Salesforce write', wait = sleep } = options;
+  const { retries, baseMs, maxMs } = { ...retryOptions(), ...options };
+  const results = new Array(records.length).fill(null);
+  let pending = records.map((record, index) => index);
+  let attempt = 0;
+
+  for (;;) {
+    // Batch-level retries share the attempt budget with record-level ones
+    const batchResults = await withRetry(() => write(pending.map(i => records[i])), {
+      ...options,
+      retries: retries - attempt,
+      wait: async ms => { attempt++; await wait(ms); }
+    });
+    pending.forEach((recordIndex, i) => { results[recordIndex] = batchResults[i]; });
+    pending = pending.filter(i => isRetryableResult(results[i]));
+    if (pending.length === 0 || attempt >= retries) return results;
+
+    attempt++;
+    const delay = backoffDelay(attempt, baseMs, maxMs);
+    const codes = [...new Set(pending.flatMap(i => results[i].errors.map(errorCode)))].join(', ');
+    logger.warn(`${label}: ${pending.length} record(s) failed with ${codes} — retry ${attempt}/${retries} in ${delay}ms`);
+    await wait(delay);
+  }
+}
+
+module.exports = {
+  classifyError,
+  isRetryableResult,
+  backoffDelay,
+  retryOptions,
+  withRetry,
+  writeWithRetry
+};
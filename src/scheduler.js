@@ -50,7 +50,7 @@ function setupDailySummary(notifier, dailyStats, fileTracker = null) {
       const stats = dailyStats.getStats();
 
       // Only send if there was activity (or errors/review items)
-      if (stats.uploaded > 0 || stats.frontDesk > 0 || stats.skippedDuplicates > 0 || stats.needsReview > 0 || stats.errors > 0) {
+      if (stats.uploaded > 0 || stats.frontDesk > 0 || stats.skippedDuplicates > 0 || stats.needsReview > 0 || stats.cancellations > 0 || stats.errors > 0) {
         logger.info(`Activity detected: ${stats.uploaded} uploaded, ${stats.frontDesk || 0} front desk, ${stats.skippedDuplicates} skipped, ${stats.needsReview || 0} review, ${stats.errors} errors`);
 
         // Prepare stats object for email
@@ -63,8 +63,11 @@ function setupDailySummary(notifier, dailyStats, fileTracker = null) {
           skippedDuplicateDetails: stats.skippedDuplicateDetails || [],
           needsReview: stats.needsReview || 0,
           needsReviewDetails: stats.needsReviewDetails || [],
+          cancellations: stats.cancellations || 0,
+          cancellationDetails: stats.cancellationDetails || [],
           errors: stats.errors,
-          errorDetails: stats.errorDetails.slice(0, 10) // First 10 errors
+          errorDetails: stats.errorDetails.slice(0, 10), // First 10 errors
+          apiUsage: stats.apiUsage || null
         };
 
         // Add all-time file stats if available (file sync mode only)
@@ -122,8 +125,11 @@ async function triggerDailySummary(notifier, dailyStats, fileTracker = null) {
     skippedDuplicateDetails: stats.skippedDuplicateDetails || [],
     needsReview: stats.needsReview || 0,
     needsReviewDetails: stats.needsReviewDetails || [],
+    cancellations: stats.cancellations || 0,
+    cancellationDetails: stats.cancellationDetails || [],
     errors: stats.errors,
-    errorDetails: stats.errorDetails.slice(0, 10)
+    errorDetails: stats.errorDetails.slice(0, 10),
+    apiUsage: stats.apiUsage || null
   };
 
   if (fileTracker) {
@@ -146,11 +152,11 @@ async function triggerDailySummary(notifier, dailyStats, fileTracker = null) {
  */
 function setupFrontDeskReport(notifier, dailyStats, queryFn) {
   const enabled = process.env.ENABLE_FRONT_DESK_REPORT !== 'false';
-  const frontDeskTo = process.env.FRONT_DESK_EMAIL_TO;
+  const frontDeskTo = notifier.frontDeskEmailTo;
 
   if (!enabled || !frontDeskTo) {
     if (!frontDeskTo) {
-      logger.info('Front desk report not configured (FRONT_DESK_EMAIL_TO not set)');
+      logger.info(`Front desk report not configured (FRONT_DESK_EMAIL_TO not set)${notifier.label ? ` for ${notifier.label}` : ''}`);
     } else {
       logger.info('Front desk report disabled (ENABLE_FRONT_DESK_REPORT=false)');
     }
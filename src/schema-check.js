@@ -0,0 +1,122 @@
+/**
+ * Salesforce Schema Check
+ *
+ * Compares live describe() metadata for Contact and the guest object against
+ * the fields the sync writes (field mapping + the fields set in code), so a
+ * renamed field, a lost field-level permission or a trimmed picklist stops
+ * the sync with one clear alert instead of failing every batch.
+ */
+
+const { CONTACT_FIELDS, GUEST_FIELDS } = require('./guest-utils');
+const { getFieldMapping, TRANSFORM_OUTPUTS } = require('./field-mapping');
+
+// Salesforce field types that accept what the transforms produce
+const COMPATIBLE_TYPES = {
+  text: ['string', 'textarea', 'email', 'phone', 'url', 'picklist', 'multipicklist', 'combobox', 'encryptedstring'],
+  boolean: ['boolean'],
+  date: ['date'],
+  number: ['double', 'currency', 'int', 'long', 'percent'],
+  reference: ['reference']
+};
+
+// Transforms whose output is not text
+const TRANSFORM_KINDS = { date: 'date', number: 'number' };
+
+/**
+ * Kind of value a mapped field writes: constant booleans, dates / numbers
+ * (date / number transform on the field or its Opera field), Ids
+ * (RecordTypeId, lookups) or text
+ */
+function fieldKind(field, mapping) {
+  if (typeof field.value === 'boolean') return 'boolean';
+  if (/Id$/.test(field.target)) return 'reference';
+  if (TRANSFORM_KINDS[field.transform]) return TRANSFORM_KINDS[field.transform];
+  // Pass-through transforms (nullIfEmpty, trim, ...) keep the Opera field's kind
+  if (field.source) {
+    const [scope, key] = field.source.split('.');
+    const opera = mapping.opera[scope] ? mapping.opera[scope].find(f => f.field === key) : null;
+    if (opera && TRANSFORM_KINDS[opera.transform]) return TRANSFORM_KINDS[opera.transform];
+  }
+  return 'text';
+}
+
+/**
+ * Fields the sync writes, per object
+ * @param {Object} [options]
+ * @param {string} [options.guestObject] - SF_OBJECT (default TVRS_Guest__c)
+ * @param {string} [options.contactLookup] - SF_GUEST_CONTACT_LOOKUP (default Contact__c)
+ * @param {string} [options.travellingWith] - SF_GUEST_TRAVELLING_WITH_FIELD (default Travelling_With__c, empty = not synced)
+ * @returns {Object<string, Array<{name, kind, create, update, externalId?, values?}>>}
+ */
+function expectedSchema({ guestObject = 'TVRS_Guest__c', contactLookup = 'Contact__c', travellingWith = 'Travelling_With__c' } = {}) {
+  const mapping = getFieldMapping();
+  const describe = (field, access) => ({
+    name: field.target,
+    kind: fieldKind(field, mapping),
+    ...access,
+    ...(field.externalId ? { externalId: true } : {}),
+    ...(field.transform && TRANSFORM_OUTPUTS[field.transform] ? { values: TRANSFORM_OUTPUTS[field.transform] } : {})
+  });
+
+  return {
+    // Contacts are only ever created; Phase 4 updates their stay dates
+    Contact: [
+      ...CONTACT_FIELDS.map(f => describe(f, { create: true, update: false })),
+      { name: 'Check_In_Date__c', kind: 'date', create: false, update: true },
+      { name: 'Check_Out_Date__c', kind: 'date', create: false, update: true }
+    ],
+    [guestObject]: [
+      ...GUEST_FIELDS.map(f => describe(f, { create: true, update: !f.createOnly })),
+      { name: contactLookup, kind: 'reference', create: true, update: true },
+      ...(travellingWith ? [{ name: travellingWith, kind: 'reference', create: true, update: true }] : [])
+    ]
+  };
+}
+
+/**
+ * Compare expected fields against describe() results
+ * @param {Object} expected - From expectedSchema()
+ * @param {Object<string, Object>} describes - describe() result per object name
+ * @returns {Array<{object: string, field: string, problem: string}>} Empty when everything matches
+ */
+function checkSchema(expected, describes) {
+  const problems = [];
+  for (const [object, fields] of Object.entries(expected)) {
+    const live = new Map(((describes[object] || {}).fields || []).map(f => [f.name.toLowerCase(), f]));
+    const add = (field, problem) => problems.push({ object, field: field.name, problem });
+
+    for (const field of fields) {
+      const meta = live.get(field.name.toLowerCase());
+      if (!meta) {
+        add(field, 'field not found');
+        continue;
+      }
+      if (!COMPATIBLE_TYPES[field.kind].includes(meta.type)) {
+        add(field, `type is ${meta.type}, expected ${field.kind}`);
+        continue;
+      }
+      if (field.create && !meta.createable) add(field, 'not createable (field-level security?)');
+      if (field.update && !meta.updateable) add(field, 'not updateable (field-level security?)');
+      if (field.externalId && !meta.externalId) add(field, 'not an external ID (new records are upserted on it)');
+      if (field.values && meta.type === 'picklist' && meta.restrictedPicklist) {
+        const active = new Set((meta.picklistValues || []).filter(v => v.active !== false).map(v => v.value));
+        const missing = field.values.filter(v => !active.has(v));
+        if (missing.length > 0) add(field, `restricted picklist is missing ${missing.map(v => `"${v}"`).join(', ')}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * One line per problem, for logs and alerts
+ */
+function formatSchemaProblems(problems) {
+  return problems.map(p => `${p.object}.${p.field}: ${p.problem}`);
+}
+
+module.exports = {
+  expectedSchema,
+  checkSchema,
+  formatSchemaProblems
+};
@@ -12,6 +12,7 @@
 
 const axios = require('axios');
 const logger = require('./logger');
+const metrics = require('./metrics');
 const { mapLanguageToSalesforce } = require('./guest-utils');
 
 const SPANISH_MONTHS = [
@@ -23,12 +24,19 @@ const HOTEL_ID = 'LW7063';
 const SHEETS_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
 
 class SheetsClient {
-  constructor() {
-    this.spreadsheetId = process.env.GOOGLE_SHEETS_ID;
+  /**
+   * @param {Object} [options] - Per-property overrides (multi-property DB sync)
+   * @param {string} [options.hotelId] - HotelID column value (default LW7063)
+   * @param {string} [options.spreadsheetId] - Checkout survey sheet (default GOOGLE_SHEETS_ID)
+   * @param {string} [options.checkinSpreadsheetId] - Check-in sheet (default GOOGLE_SHEETS_CHECKIN_ID)
+   */
+  constructor(options = {}) {
+    this.hotelId = options.hotelId || HOTEL_ID;
+    this.spreadsheetId = options.spreadsheetId !== undefined ? options.spreadsheetId : process.env.GOOGLE_SHEETS_ID;
     this.enabled = (process.env.GOOGLE_SHEETS_ENABLED || '').toLowerCase() === 'true';
 
     // Check-in arrivals sheet (separate spreadsheet)
-    this.checkinSpreadsheetId = process.env.GOOGLE_SHEETS_CHECKIN_ID;
+    this.checkinSpreadsheetId = options.checkinSpreadsheetId !== undefined ? options.checkinSpreadsheetId : process.env.GOOGLE_SHEETS_CHECKIN_ID;
     this.checkinEnabled = (process.env.GOOGLE_SHEETS_CHECKIN_ENABLED || '').toLowerCase() === 'true';
 
     if (!this.enabled && !this.checkinEnabled) {
@@ -37,12 +45,12 @@ class SheetsClient {
     }
 
     if (this.enabled && !this.spreadsheetId) {
-      logger.warn('GOOGLE_SHEETS_ID not set — disabling checkout Sheets integration');
+      logger.warn(`GOOGLE_SHEETS_ID not set — disabling checkout Sheets integration${options.hotelId ? ` for ${this.hotelId}` : ''}`);
       this.enabled = false;
     }
 
     if (this.checkinEnabled && !this.checkinSpreadsheetId) {
-      logger.warn('GOOGLE_SHEETS_CHECKIN_ID not set — disabling check-in Sheets integration');
+      logger.warn(`GOOGLE_SHEETS_CHECKIN_ID not set — disabling check-in Sheets integration${options.hotelId ? ` for ${this.hotelId}` : ''}`);
       this.checkinEnabled = false;
     }
 
@@ -241,7 +249,7 @@ class SheetsClient {
           if (existingKeys.has(key)) continue;
 
           newRows.push([
-            HOTEL_ID,
+            this.hotelId,
             customer.firstName,
             customer.lastName,
             customer.email,
@@ -263,8 +271,11 @@ class SheetsClient {
         });
 
         totalAppended += newRows.length;
+        metrics.sheetsAppends.inc({ sheet: 'checkout', result: 'ok' });
+        metrics.sheetsRows.inc({ sheet: 'checkout' }, newRows.length);
         logger.info(`Sheets [${tabName}]: appended ${newRows.length} guest(s) (${tabGuests.length - newRows.length} duplicates skipped)`);
       } catch (err) {
+        metrics.sheetsAppends.inc({ sheet: 'checkout', result: 'error' });
         logger.error(`Sheets [${tabName}]: failed to append guests — ${err.message}`);
       }
     }
@@ -437,8 +448,11 @@ class SheetsClient {
         }, this.checkinSpreadsheetId);
 
         totalAppended += newRows.length;
+        metrics.sheetsAppends.inc({ sheet: 'checkin', result: 'ok' });
+        metrics.sheetsRows.inc({ sheet: 'checkin' }, newRows.length);
         logger.info(`Sheets check-in [${tabName}]: appended ${newRows.length} arrival(s) (${tabGuests.length - newRows.length} duplicates skipped)`);
       } catch (err) {
+        metrics.sheetsAppends.inc({ sheet: 'checkin', result: 'error' });
         logger.error(`Sheets check-in [${tabName}]: failed to append arrivals — ${err.message}`);
       }
     }
@@ -0,0 +1,103 @@
+/**
+ * Status Server
+ *
+ * Optional HTTP server so monitoring / IT can check the running service
+ * without RDP-ing into the Opera server. Read-only apart from the andon cord
+ * control route. Bound to localhost unless STATUS_HOST says otherwise;
+ * disabled when STATUS_PORT is unset.
+ *
+ * Anything but GET needs the X-Status-Token header to match STATUS_TOKEN
+ * (refused outright while STATUS_TOKEN is unset). A custom header also keeps
+ * browser pages from driving the routes with a plain form POST.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const logger = require('./logger');
+
+/**
+ * Reject if a promise doesn't settle within ms (health probes must not hang the request)
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Constant-time comparison of the request's X-Status-Token with the configured token
+ */
+function tokenMatches(given, expected) {
+  if (!expected || typeof given !== 'string') return false;
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Start the status server
+ * @param {Object} routes - path → async (url) => body for GET, or { GET, POST, ... } handlers.
+ *   Objects are served as JSON (503 if `ok: false`); strings as Prometheus text
+ *   exposition format. A thrown error's `statusCode` is used if set (default 500).
+ * @param {Object} [options]
+ * @param {number} [options.port] - Defaults to STATUS_PORT
+ * @param {string} [options.host] - Defaults to STATUS_HOST or 127.0.0.1
+ * @param {string} [options.token] - Required for non-GET requests; defaults to STATUS_TOKEN
+ * @returns {Promise<http.Server|null>} null when disabled or the port can't be bound
+ */
+function startStatusServer(routes, options = {}) {
+  const port = options.port ?? parseInt(process.env.STATUS_PORT);
+  const host = options.host || process.env.STATUS_HOST || '127.0.0.1';
+  const token = options.token ?? process.env.STATUS_TOKEN ?? '';
+
+  if (isNaN(port)) {
+    logger.debug('Status server disabled (STATUS_PORT not set)');
+    return Promise.resolve(null);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify(body, null, 2));
+    };
+
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[url.pathname];
+
+    if (!route) return send(404, { error: `Not found: ${url.pathname}`, routes: Object.keys(routes) });
+    const handler = typeof route === 'function' ? (req.method === 'GET' ? route : null) : route[req.method];
+    if (!handler) return send(405, { error: 'Method not allowed' });
+    if (req.method !== 'GET' && !tokenMatches(req.headers['x-status-token'], token)) {
+      logger.warn(`Status server: rejected ${req.method} ${url.pathname} without a valid X-Status-Token`);
+      return send(token ? 401 : 403, { error: token ? 'Missing or invalid X-Status-Token' : 'Set STATUS_TOKEN to allow changes through the status server' });
+    }
+
+    try {
+      const body = await handler(url);
+      if (typeof body === 'string') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+        return res.end(body);
+      }
+      send(body && body.ok === false ? 503 : 200, body);
+    } catch (err) {
+      logger.error(`Status server ${url.pathname} failed:`, err.message);
+      send(err.statusCode || 500, { error: err.message });
+    }
+  });
+
+  return new Promise(resolve => {
+    server.once('error', err => {
+      // Monitoring is optional — never take the sync down over it
+      logger.error(`Status server could not listen on ${host}:${port}: ${err.message}`);
+      resolve(null);
+    });
+    server.listen(port, host, () => {
+      logger.info(`Status server listening on http://${host}:${server.address().port} (${Object.keys(routes).join(', ')})`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startStatusServer, withTimeout };
@@ -5,20 +5,31 @@ const logger = require('./logger');
 const STATE_FILE = path.resolve(__dirname, '..', 'sync-state.json');
 
 class SyncState {
-  constructor() {
+  /**
+   * @param {string} [stateFile] - Defaults to sync-state.json in the project root
+   */
+  constructor(stateFile = STATE_FILE) {
+    this.stateFile = stateFile;
+    this.overlapMs = (parseInt(process.env.SYNC_WATERMARK_OVERLAP_MINUTES) || 5) * 60 * 1000;
+    this.historySize = parseInt(process.env.SYNC_WATERMARK_HISTORY) || 20;
     this.state = {
       lastSyncTimestamp: null,
       lastSyncRecordCount: 0,
-      lastSyncStatus: null
+      lastSyncStatus: null,
+      watermark: null,
+      watermarkHistory: []
     };
     this.load();
   }
 
   load() {
     try {
-      if (fs.existsSync(STATE_FILE)) {
-        this.state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-        logger.info(`Loaded sync state: last sync ${this.state.lastSyncTimestamp || 'never'}`);
+      if (fs.existsSync(this.stateFile)) {
+        this.state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        // Default missing fields for state files written before watermarks existed
+        this.state.watermark ??= null;
+        this.state.watermarkHistory ??= [];
+        logger.info(`Loaded sync state: last sync ${this.state.lastSyncTimestamp || 'never'}, watermark ${this.state.watermark || 'none'}`);
       } else {
         logger.info('No existing sync state found, starting fresh');
       }
@@ -29,7 +40,7 @@ class SyncState {
 
   save() {
     try {
-      fs.writeFileSync(STATE_FILE, JSON.stringify(this.state, null, 2));
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
       logger.debug('Saved sync state to disk');
     } catch (err) {
       logger.error('Error saving sync state:', err);
@@ -40,10 +51,58 @@ class SyncState {
     return this.state.lastSyncTimestamp;
   }
 
-  markSuccess(recordCount) {
+  /**
+   * Timestamp to query Oracle changes from: the highest INSERT_DATE/UPDATE_DATE
+   * seen so far minus SYNC_WATERMARK_OVERLAP_MINUTES, so rows committed mid-poll
+   * with an earlier timestamp are still picked up. Falls back to the wall-clock
+   * lastSyncTimestamp for state files that predate watermarks.
+   * @returns {string|null} ISO timestamp, or null for initial sync
+   */
+  getSince() {
+    const base = this.state.watermark || this.state.lastSyncTimestamp;
+    if (!base) return null;
+    return new Date(new Date(base).getTime() - this.overlapMs).toISOString();
+  }
+
+  getWatermark() {
+    return this.state.watermark;
+  }
+
+  /**
+   * @param {number} recordCount
+   * @param {Date|string|null} [watermark] - Max Oracle change timestamp observed by this poll.
+   *   Never moves backwards; omitted/null keeps the current watermark.
+   */
+  markSuccess(recordCount, watermark = null) {
     this.state.lastSyncTimestamp = new Date().toISOString();
     this.state.lastSyncRecordCount = recordCount;
     this.state.lastSyncStatus = 'success';
+    if (watermark) this.advanceWatermark(watermark);
+    delete this.state.initialSync;
+    this.save();
+  }
+
+  /**
+   * Progress of an initial sync that hasn't finished yet
+   * @returns {{watermark: string|null, afterNameId: number}|null}
+   */
+  getInitialSyncProgress() {
+    return this.state.initialSync || null;
+  }
+
+  /**
+   * Record that every guest up to afterNameId has gone through, so a restart
+   * resumes from there instead of re-sending (and re-counting) earlier chunks.
+   * Cleared by markSuccess once the initial sync completes.
+   * @param {Date|string|null} watermark - Taken when the initial sync started
+   * @param {number} afterNameId
+   */
+  markInitialSyncProgress(watermark, afterNameId) {
+    this.state.initialSync = {
+      watermark: watermark ? new Date(watermark).toISOString() : null,
+      afterNameId,
+      updatedAt: new Date().toISOString()
+    };
     this.save();
   }
 
@@ -54,9 +113,42 @@ class SyncState {
     this.save();
   }
 
+  /**
+   * Move the watermark forward and remember the previous value for rewinding
+   */
+  advanceWatermark(watermark) {
+    const next = new Date(watermark).toISOString();
+    if (this.state.watermark && next <= this.state.watermark) return;
+
+    if (this.state.watermark) {
+      this.state.watermarkHistory.push({ watermark: this.state.watermark, replacedAt: new Date().toISOString() });
+      this.state.watermarkHistory = this.state.watermarkHistory.slice(-this.historySize);
+    }
+    this.state.watermark = next;
+    logger.debug(`Sync watermark advanced to ${next}`);
+  }
+
+  /**
+   * Rewind to an earlier watermark so the next poll re-reads Oracle changes from there
+   * @param {number} [steps=1] - How many recorded watermarks to go back
+   * @returns {string|null} The watermark now in effect
+   */
+  rewind(steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1 || steps > this.state.watermarkHistory.length) {
+      throw new Error(`Cannot rewind ${steps} step(s): ${this.state.watermarkHistory.length} watermark(s) in history`);
+    }
+    const kept = this.state.watermarkHistory.length - steps;
+    this.state.watermark = this.state.watermarkHistory[kept].watermark;
+    this.state.watermarkHistory = this.state.watermarkHistory.slice(0, kept);
+    this.save();
+    logger.info(`Sync watermark rewound ${steps} step(s) to ${this.state.watermark}`);
+    return this.state.watermark;
+  }
+
   getStats() {
     return { ...this.state };
   }
 }
 
 module.exports = SyncState;
+module.exports.STATE_FILE = STATE_FILE;
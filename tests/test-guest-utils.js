@@ -5,13 +5,17 @@
  * Run with: node --test tests/test-guest-utils.js
  */
 
-const { describe, test, beforeEach } = require('node:test');
+const { describe, test, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
 
 const {
   sanitizeEmail,
   isAgentEmail,
+  isExcludedEmail,
   mapLanguageToSalesforce,
+  normalizePhone,
+  suggestEmailCorrection,
+  autoCorrectEmail,
   transformToContact,
   transformToTVRSGuest,
   diffGuestRecord,
@@ -217,6 +221,89 @@ describe('sanitizeEmail', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// suggestEmailCorrection / autoCorrectEmail
+// ---------------------------------------------------------------------------
+describe('suggestEmailCorrection', () => {
+  describe('proposes a correction', () => {
+    const cases = [
+      ['john@gmial.com', 'john@gmail.com', 0.95],
+      ['john@hotmial.com.ar', 'john@hotmail.com.ar', 0.95],
+      ['john@gmail.co', 'john@gmail.com', 0.95],
+      ['john@gmail.com.ar', 'john@gmail.com', 0.95],
+      ['john@hotmail.con', 'john@hotmail.com', 0.85],
+      ['john@hotmail', 'john@hotmail.com', 0.85],
+      ['john@gmail.com,', 'john@gmail.com', 0.95],
+      ['john@gmail,com', 'john@gmail.com', 0.9],
+      ['john@yahoo..com', 'john@yahoo.com', 0.9],
+      ['john@yaoo.com', 'john@yahoo.com', 0.85],
+      ['John@GMIAL.COM', 'John@gmail.com', 0.95],
+      ['john smith@gmail.com', 'johnsmith@gmail.com', 0.8],
+      ['john@gmial.com;', 'john@gmail.com', 0.9],
+    ];
+    for (const [raw, email, confidence] of cases) {
+      test(`'${raw}' → ${email} (${confidence})`, () => {
+        const suggestion = suggestEmailCorrection(raw);
+        assert.equal(suggestion.email, email);
+        assert.equal(suggestion.confidence, confidence);
+        assert.ok(suggestion.reason);
+      });
+    }
+  });
+
+  test('reason lists every fix', () => {
+    assert.equal(suggestEmailCorrection('john@gmial.com;').reason, 'stray punctuation, gmial.com → gmail.com');
+  });
+
+  test('distant or ambiguous matches score low', () => {
+    assert.ok(suggestEmailCorrection('john@bol.com').confidence < 0.8);
+  });
+
+  describe('no suggestion', () => {
+    for (const raw of ['john@gmail.com', 'john@hotmail.com.ar', 'john@ymail.com', 'john@mail.com',
+      'john@vinesofmendoza.com', 'john@yahoo.fr', 'john', '@gmail.com', '', null, undefined, 42]) {
+      test(`${JSON.stringify(raw)}`, () => {
+        assert.equal(suggestEmailCorrection(raw), null);
+      });
+    }
+  });
+});
+
+describe('autoCorrectEmail', () => {
+  let saved;
+  beforeEach(() => {
+    saved = { on: process.env.EMAIL_AUTOCORRECT, min: process.env.EMAIL_AUTOCORRECT_MIN_CONFIDENCE };
+  });
+  afterEach(() => {
+    for (const [key, value] of [['EMAIL_AUTOCORRECT', saved.on], ['EMAIL_AUTOCORRECT_MIN_CONFIDENCE', saved.min]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  test('off by default', () => {
+    delete process.env.EMAIL_AUTOCORRECT;
+    assert.equal(autoCorrectEmail('john@gmial.com'), 'john@gmial.com');
+  });
+
+  test('applies suggestions at or above the minimum confidence', () => {
+    process.env.EMAIL_AUTOCORRECT = 'true';
+    delete process.env.EMAIL_AUTOCORRECT_MIN_CONFIDENCE;
+    assert.equal(autoCorrectEmail('john@gmial.com'), 'john@gmail.com');
+    assert.equal(autoCorrectEmail('john@gmail,com'), 'john@gmail.com');
+    assert.equal(autoCorrectEmail('john@hotmail.con'), 'john@hotmail.con');
+    assert.equal(autoCorrectEmail('john@example.com'), 'john@example.com');
+  });
+
+  test('EMAIL_AUTOCORRECT_MIN_CONFIDENCE lowers or raises the bar', () => {
+    process.env.EMAIL_AUTOCORRECT = 'true';
+    process.env.EMAIL_AUTOCORRECT_MIN_CONFIDENCE = '0.8';
+    assert.equal(autoCorrectEmail('john@hotmail.con'), 'john@hotmail.com');
+    process.env.EMAIL_AUTOCORRECT_MIN_CONFIDENCE = '1';
+    assert.equal(autoCorrectEmail('john@gmial.com'), 'john@gmial.com');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // isAgentEmail
 // ---------------------------------------------------------------------------
@@ -358,6 +445,45 @@ describe('isAgentEmail', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// isExcludedEmail
+// ---------------------------------------------------------------------------
+describe('isExcludedEmail', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { domains: process.env.EXCLUDED_EMAIL_DOMAINS, emails: process.env.EXCLUDED_EMAILS };
+    process.env.EXCLUDED_EMAIL_DOMAINS = 'vinesofmendoza.com, Staff.org';
+    process.env.EXCLUDED_EMAILS = 'owner@gmail.com';
+  });
+
+  afterEach(() => {
+    for (const [key, value] of [['EXCLUDED_EMAIL_DOMAINS', saved.domains], ['EXCLUDED_EMAILS', saved.emails]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  test('excluded domain matches case-insensitively', () => {
+    assert.equal(isExcludedEmail('Bryan@VinesOfMendoza.com'), true);
+    assert.equal(isExcludedEmail('someone@staff.org'), true);
+  });
+
+  test('excluded address matches exactly', () => {
+    assert.equal(isExcludedEmail(' owner@gmail.com '), true);
+    assert.equal(isExcludedEmail('other@gmail.com'), false);
+  });
+
+  test('subdomain-looking suffix does not match', () => {
+    assert.equal(isExcludedEmail('guest@notvinesofmendoza.com'), false);
+  });
+
+  test('empty email is not excluded', () => {
+    assert.equal(isExcludedEmail(''), false);
+    assert.equal(isExcludedEmail(null), false);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // mapLanguageToSalesforce
 // ---------------------------------------------------------------------------
@@ -445,6 +571,97 @@ describe('mapLanguageToSalesforce', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// normalizePhone
+// ---------------------------------------------------------------------------
+describe('normalizePhone', () => {
+  describe('national numbers use the address country', () => {
+    const cases = [
+      ['(707) 555-0123', 'US', '+17075550123'],
+      ['1-707-555-0123', 'US', '+17075550123'],
+      ['011 4321-1234', 'AR', '+541143211234'],
+      ['011 15 5555-1234', 'AR', '+5491155551234'],
+      ['0261 15 412-3456', 'AR', '+5492614123456'],
+      ['(11) 98765-4321', 'BR', '+5511987654321'],
+      ['9 6123 4567', 'CL', '+56961234567'],
+      ['020 7946 0958', 'GB', '+442079460958'],
+      ['06 12 34 56 78', 'FR', '+33612345678'],
+      ['612 345 678', 'ES', '+34612345678'],
+      ['8 (912) 345-67-89', 'RU', '+79123456789'],
+      ['5491155551234', 'AR', '+5491155551234'],
+    ];
+    for (const [raw, country, e164] of cases) {
+      test(`'${raw}' (${country}) → ${e164}`, () => {
+        assert.deepEqual(normalizePhone(raw, country), { e164, reason: null });
+      });
+    }
+  });
+
+  describe('international numbers ignore the address country', () => {
+    const cases = [
+      ['+44 (0)20 7946 0958', 'US', '+442079460958'],
+      ['0044 20 7946 0958', 'AR', '+442079460958'],
+      ['+54 9 11 5555-1234', 'US', '+5491155551234'],
+      ['+54 011 15 5555-1234', '', '+5491155551234'],
+      ['+52 1 55 1234 5678', 'MX', '+525512345678'],
+      ['+1 707.555.0123', null, '+17075550123'],
+    ];
+    for (const [raw, country, e164] of cases) {
+      test(`'${raw}' → ${e164}`, () => {
+        assert.deepEqual(normalizePhone(raw, country), { e164, reason: null });
+      });
+    }
+  });
+
+  describe('country names', () => {
+    test('English name', () => {
+      assert.equal(normalizePhone('(707) 555-0123', 'United States').e164, '+17075550123');
+    });
+
+    test('Spanish name, any case', () => {
+      assert.equal(normalizePhone('9 6123 4567', ' chile ').e164, '+56961234567');
+      assert.equal(normalizePhone('612 345 678', 'España').e164, '+34612345678');
+    });
+  });
+
+  test('extensions are dropped', () => {
+    assert.equal(normalizePhone('(707) 555-0123 ext. 45', 'US').e164, '+17075550123');
+    assert.equal(normalizePhone('+1 707 555 0123 x12', '').e164, '+17075550123');
+  });
+
+  describe('empty input is not flagged', () => {
+    for (const raw of [null, undefined, '', '   ']) {
+      test(`${JSON.stringify(raw)}`, () => {
+        assert.deepEqual(normalizePhone(raw, 'US'), { e164: null, reason: null });
+      });
+    }
+  });
+
+  describe('unparseable numbers are flagged', () => {
+    const cases = [
+      ['555 0123', 'US', 'too-short'],
+      ['+1 707 555 01234', 'US', 'too-long'],
+      ['4321-1234', '', 'no-country'],
+      ['4321-1234', 'XX', 'unsupported-country'],
+      ['+999 1234 5678', 'US', 'unknown-calling-code'],
+      ['call front desk', 'US', 'invalid-characters'],
+    ];
+    for (const [raw, country, reason] of cases) {
+      test(`'${raw}' (${country || 'no country'}) → ${reason}`, () => {
+        assert.deepEqual(normalizePhone(raw, country), { e164: null, reason });
+      });
+    }
+  });
+
+  test('mapped Phone / Telephone__c fields are written as E.164, unparseable as the Opera value', () => {
+    const customer = { email: 'a@b.com', firstName: 'A', lastName: 'B', phone: '011 4321-1234', billingCountry: 'AR' };
+    assert.equal(transformToContact(customer).Phone, '+541143211234');
+    assert.equal(transformToTVRSGuest(customer, null, null).Telephone__c, '+541143211234');
+    assert.equal(transformToTVRSGuest({ ...customer, phone: ' 4321 ' }, null, null).Telephone__c, '4321');
+    assert.equal(transformToContact({ ...customer, phone: 'ask front desk' }).Phone, 'ask front desk');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // transformToContact
 // ---------------------------------------------------------------------------
@@ -454,7 +671,7 @@ describe('transformToContact', () => {
       email: 'john@example.com',
       firstName: 'John',
       lastName: 'Doe',
-      phone: '+1234567890',
+      phone: '+56 9 6123 4567',
       language: 'ENG',
       billingCity: 'Santiago',
       billingState: 'RM',
@@ -465,7 +682,7 @@ describe('transformToContact', () => {
     assert.equal(result.Email, 'john@example.com');
     assert.equal(result.FirstName, 'John');
     assert.equal(result.LastName, 'Doe');
-    assert.equal(result.Phone, '+1234567890');
+    assert.equal(result.Phone, '+56961234567');
     assert.equal(result.Has_TVRS_Guest_Record__c, true);
   });
 
@@ -498,7 +715,7 @@ describe('transformToTVRSGuest', () => {
     billingCity: 'Napa',
     billingState: 'CA',
     billingCountry: 'US',
-    phone: '+5551234',
+    phone: '(707) 555-0123',
     language: 'SPA',
   };
 
@@ -511,7 +728,7 @@ describe('transformToTVRSGuest', () => {
     assert.equal(result.City__c, 'Napa');
     assert.equal(result.State_Province__c, 'CA');
     assert.equal(result.Country__c, 'US');
-    assert.equal(result.Telephone__c, '+5551234');
+    assert.equal(result.Telephone__c, '+17075550123');
     assert.equal(result.Language__c, 'Spanish');
   });
 
@@ -590,6 +807,28 @@ describe('transformToTVRSGuest', () => {
     assert.equal(result.Check_In_Date__c, undefined);
     assert.equal(result.Check_Out_Date__c, '2026-03-25');
   });
+
+  test('property record type is applied; property field needs SF_GUEST_PROPERTY_FIELD', () => {
+    const property = { code: 'MALBEC', sfPropertyValue: 'Malbec Lodge', sfRecordTypeId: '012000000000001' };
+    const result = transformToTVRSGuest(baseCustomer, null, null, property);
+    assert.equal(result.RecordTypeId, '012000000000001');
+    assert.equal(result.Property__c, undefined);
+
+    const saved = process.env.SF_GUEST_PROPERTY_FIELD;
+    process.env.SF_GUEST_PROPERTY_FIELD = 'Property__c';
+    delete require.cache[require.resolve('../src/guest-utils')];
+    try {
+      const fresh = require('../src/guest-utils');
+      const tagged = fresh.transformToTVRSGuest(baseCustomer, null, null, property);
+      assert.equal(tagged.Property__c, 'Malbec Lodge');
+      // Included in diffs so existing records get tagged on their next update
+      assert.ok(fresh.GUEST_DIFF_SOQL_FIELDS.includes('Property__c'));
+    } finally {
+      if (saved === undefined) delete process.env.SF_GUEST_PROPERTY_FIELD;
+      else process.env.SF_GUEST_PROPERTY_FIELD = saved;
+      delete require.cache[require.resolve('../src/guest-utils')];
+    }
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -720,9 +959,187 @@ describe('diffGuestRecord', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Field mapping
+// ---------------------------------------------------------------------------
+describe('field mapping', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { loadFieldMapping, operaSelectColumns, operaRowToEntry } = require('../src/field-mapping');
+  const defaults = require('../src/field-mapping.json');
+
+  function writeMapping(mutate) {
+    const mapping = JSON.parse(JSON.stringify(defaults));
+    mutate(mapping);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mapping-')), 'mapping.json');
+    fs.writeFileSync(file, JSON.stringify(mapping));
+    return file;
+  }
+
+  test('guest query selects mapped columns, room/reservation ones via the subquery', () => {
+    const { outer, reservation, room } = operaSelectColumns(defaults);
+    assert.ok(outer.includes('n.FIRST AS FIRST_NAME'));
+    assert.ok(outer.includes('a.COUNTRY AS BILLING_COUNTRY'));
+    assert.ok(outer.includes('rn.CHECK_IN'));
+    assert.ok(reservation.includes('rnx.BEGIN_DATE AS CHECK_IN'));
+    assert.ok(reservation.includes('rm.ROOM AS ROOM'));
+    assert.deepEqual(room, ['rde.ROOM']);
+  });
+
+  test('rows are transformed into customer and invoice', () => {
+    const { customer, invoice } = operaRowToEntry({
+      OPERA_ID: 42, FIRST_NAME: ' Ana ', LAST_NAME: 'Diaz', EMAIL: ' ana@example.com ',
+      RESV_NAME_ID: 900, CHECK_IN: new Date(2026, 2, 20), RESV_STATUS: 'RESERVED', ROOM: ' V07 ',
+      NATIONALITY: 'br', VIP_CODE: ' V2 ', BIRTH_DATE: new Date(1985, 6, 4), MEMBERSHIP_NUMBER: ' 123456 ',
+      COMPANY_ID: 9001, COMPANY_NAME: ' Acme Travel SA ',
+      ROOM_TYPE: ' Garden Villa ', RATE_CODE: 'BAR', NIGHTS: 3, ADULTS: 2, CHILDREN: 0, ROOM_REVENUE: 1350.5
+    }, defaults);
+    assert.equal(customer.operaId, '42');
+    assert.equal(customer.firstName, 'Ana');
+    assert.equal(customer.email, 'ana@example.com');
+    assert.equal(customer.phone, '');
+    assert.equal(customer.nationality, 'BR');
+    assert.equal(customer.vipCode, 'V2');
+    assert.equal(customer.birthDate, '1985-07-04');
+    assert.equal(customer.membershipNumber, '123456');
+    assert.deepEqual(invoice, {
+      resvNameId: '900', parentResvNameId: '', checkIn: '2026-03-20', checkOut: '', resvStatus: 'RESERVED', room: 'V07',
+      companyId: '9001', companyName: 'Acme Travel SA', travelAgentId: '', travelAgentName: '',
+      roomType: 'Garden Villa', rateCode: 'BAR', marketCode: '', sourceCode: '',
+      nights: 3, adults: 2, children: 0, roomRevenue: 1350.5, reservationNotes: null
+    });
+  });
+
+  test('stay figures come from the stay subquery and reach TVRS_Guest__c as numbers', () => {
+    const select = operaSelectColumns(defaults);
+    assert.ok(select.sources.has('stay'));
+    assert.ok(select.reservation.includes('st.ROOM_REVENUE AS ROOM_REVENUE'));
+    assert.ok(select.outer.includes('rn.ROOM_REVENUE'));
+
+    const record = transformToTVRSGuest({ email: 'a@b.com' }, { checkIn: '2026-03-20', nights: 3, adults: 2, children: 0, roomRevenue: 1350.5, rateCode: 'BAR' });
+    assert.equal(record.Nights__c, 3);
+    assert.equal(record.Children__c, 0);
+    assert.equal(record.Room_Revenue__c, 1350.5);
+    assert.equal(record.Rate_Code__c, 'BAR');
+
+    const changes = diffGuestRecord({ ...record, Room_Revenue__c: 900 }, record);
+    assert.deepEqual(changes.map(c => c.key), ['Room_Revenue__c']);
+
+    const { TRANSFORMS } = require('../src/field-mapping');
+    assert.equal(TRANSFORMS.number(''), null);
+    assert.equal(TRANSFORMS.number('12.5'), 12.5);
+    assert.throws(() => loadFieldMapping(writeMapping(m => {
+      m.opera.invoice.push({ field: 'deposit', from: 'stay', column: 'DEPOSIT_AMOUNT' });
+    })), /stay has no column "DEPOSIT_AMOUNT"/);
+  });
+
+  test('profile fields reach TVRS_Guest__c and the update diff', () => {
+    const record = transformToTVRSGuest(
+      { email: 'a@b.com', nationality: 'BR', vipCode: 'V2', birthDate: '1985-07-04', membershipType: 'TVG', membershipNumber: '123456' },
+      { checkIn: '2026-03-20', companyId: '9001', companyName: 'Acme Travel SA', travelAgentId: '', travelAgentName: '' }
+    );
+    assert.equal(record.Nationality__c, 'Brazil');
+    assert.equal(record.VIP_Status__c, 'V2');
+    assert.equal(record.Birthdate__c, '1985-07-04');
+    assert.equal(record.Membership_Number__c, '123456');
+    assert.equal(record.Company__c, 'Acme Travel SA');
+    assert.equal(record.Company_Opera_ID__c, '9001');
+    assert.equal(transformToTVRSGuest({ email: 'a@b.com' }, {}).Birthdate__c, null);
+
+    const changes = diffGuestRecord({ ...record, VIP_Status__c: 'V1', Travel_Agent__c: null }, record);
+    assert.deepEqual(changes.map(c => c.key), ['VIP_Status__c']);
+
+    const select = operaSelectColumns(defaults);
+    assert.ok(select.sources.has('membership') && select.sources.has('company') && select.sources.has('agent'));
+    assert.ok(select.reservation.includes('co.COMPANY AS COMPANY_NAME'));
+    assert.ok(select.outer.includes('mem.MEMBERSHIP_CARD_NO AS MEMBERSHIP_NUMBER'));
+  });
+
+  test('create-only fields are never diffed and are stripped before updates', () => {
+    const { GUEST_CREATE_ONLY_FIELDS, stripCreateOnlyFields } = require('../src/guest-utils');
+    assert.deepEqual(GUEST_CREATE_ONLY_FIELDS, ['RecordTypeId']);
+    assert.ok(!GUEST_DIFF_FIELDS.some(f => f.key === 'RecordTypeId'));
+    const record = transformToTVRSGuest({ email: 'a@b.com' }, null, null, { sfPropertyValue: 'X', sfRecordTypeId: '012A' });
+    assert.equal(record.RecordTypeId, '012A');
+    assert.equal(stripCreateOnlyFields(record).RecordTypeId, undefined);
+  });
+
+  test('a custom mapping file adds fields and diff entries', () => {
+    const file = writeMapping(m => {
+      m.opera.customer.push({ field: 'salutation', from: 'name', column: 'TITLE', transform: 'trim' });
+      m.guest.push({ target: 'Salutation__c', source: 'customer.salutation', diff: true, label: 'Salutation' });
+    });
+    const mapping = loadFieldMapping(file);
+    assert.ok(operaSelectColumns(mapping).outer.includes('n.TITLE AS SALUTATION'));
+    assert.equal(operaRowToEntry({ SALUTATION: ' Mrs ' }, mapping).customer.salutation, 'Mrs');
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  test('invalid mappings are rejected with the offending field', () => {
+    const cases = [
+      [m => { m.guest[1].transform = 'shout'; }, /unknown transform "shout"/],
+      [m => { m.opera.customer = m.opera.customer.filter(f => f.field !== 'email'); }, /missing: email/],
+      [m => { m.opera.customer[0].column = 'NAME_ID; DROP'; }, /invalid column/],
+      [m => { m.opera.invoice[0].from = 'folio'; }, /unknown source "folio"/],
+      [m => { m.guest[0].value = 'x'; }, /exactly one of "source" or "value"/],
+      [m => { m.guest.find(f => f.createOnly).diff = true; }, /createOnly fields can't be diffed/],
+      [m => { m.guest[0].externalId = true; }, /only one field can be the externalId/],
+      [m => { m.contact[0].externalId = true; }, /only guest fields can be an externalId/]
+    ];
+    for (const [mutate, pattern] of cases) {
+      const file = writeMapping(mutate);
+      assert.throws(() => loadFieldMapping(file), pattern);
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Exports sanity checks
 // ---------------------------------------------------------------------------
+describe('guest notes', () => {
+  const { cleanNotes, commentTypes } = require('../src/guest-notes');
+  const { operaSelectColumns } = require('../src/field-mapping');
+
+  test('comments are split into lines, de-duplicated and truncated', () => {
+    assert.equal(cleanNotes(null), null);
+    assert.equal(cleanNotes(' | '), null);
+    assert.equal(cleanNotes('Feather-free pillows |  Late  checkout | feather-free pillows'), 'Feather-free pillows\nLate checkout');
+    assert.equal(cleanNotes('Vegetarian | Allergic to nuts', { maxLength: 13 }), 'Vegetarian\nA…');
+  });
+
+  test('payment data is redacted', () => {
+    assert.equal(
+      cleanNotes('Anniversary | Pago con tarjeta al check-out | 4111 1111 1111 1111 exp 10/28 | Garantía VISA'),
+      'Anniversary\n[redacted]'
+    );
+    assert.equal(cleanNotes('Wine tasting', { redactKeywords: ['wine'] }), '[redacted]');
+    assert.equal(cleanNotes('Call +54 261 555 0100'), 'Call +54 261 555 0100');
+  });
+
+  test('comment types come from the environment and reach the guest record', () => {
+    const saved = process.env.SF_PREFERENCE_COMMENT_TYPES;
+    process.env.SF_PREFERENCE_COMMENT_TYPES = 'Preferencias, ALERGIAS';
+    try {
+      assert.deepEqual(commentTypes(), { preferences: ['Preferencias', 'ALERGIAS'], reservation: ['RESERVATION'] });
+    } finally {
+      if (saved === undefined) delete process.env.SF_PREFERENCE_COMMENT_TYPES;
+      else process.env.SF_PREFERENCE_COMMENT_TYPES = saved;
+    }
+
+    const select = operaSelectColumns();
+    assert.ok(select.outer.includes('pref.NOTES AS PREFERENCES'));
+    assert.ok(select.reservation.includes('rc.NOTES AS RESERVATION_NOTES'));
+
+    const record = transformToTVRSGuest({ email: 'a@b.com', preferences: 'Quiet villa' }, { checkIn: '2026-03-20', reservationNotes: 'Honeymoon' });
+    assert.equal(record.Preferences__c, 'Quiet villa');
+    assert.equal(record.Reservation_Notes__c, 'Honeymoon');
+    const changes = diffGuestRecord({ ...record, Preferences__c: null }, record);
+    assert.deepEqual(changes.map(c => c.key), ['Preferences__c']);
+  });
+});
+
 describe('module exports', () => {
   test('AGENT_DOMAIN_KEYWORDS is a non-empty array', () => {
     assert.ok(Array.isArray(AGENT_DOMAIN_KEYWORDS));
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the OPERA file export parsers
+ * Run with: node --test tests/test-opera-parser.js
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { parseCSV, parseCSVRows } = require('../src/parsers/csv-parser');
+const { parseOTAReservations, decodeEntities } = require('../src/parsers/xml-parser');
+const {
+  parseOPERAFiles,
+  parseOTAFile,
+  findInvoicesFile,
+  detectFormat,
+  parseOperaDate,
+  classifyGuest,
+} = require('../src/parsers/opera-parser');
+
+const SAMPLES = path.resolve(__dirname, '..', 'samples');
+
+// ---------------------------------------------------------------------------
+// csv-parser
+// ---------------------------------------------------------------------------
+describe('parseCSVRows', () => {
+  test('splits simple rows', () => {
+    assert.deepEqual(parseCSVRows('a,b\n1,2\n'), [['a', 'b'], ['1', '2']]);
+  });
+
+  test('handles CRLF and missing trailing newline', () => {
+    assert.deepEqual(parseCSVRows('a,b\r\n1,2'), [['a', 'b'], ['1', '2']]);
+  });
+
+  test('handles quoted fields with commas, quotes and newlines', () => {
+    assert.deepEqual(
+      parseCSVRows('a,b\n"x, y","say ""hi""\nthere"\n'),
+      [['a', 'b'], ['x, y', 'say "hi"\nthere']]
+    );
+  });
+
+  test('strips UTF-8 BOM and drops blank lines', () => {
+    assert.deepEqual(parseCSVRows('\uFEFFa\n\n1\n'), [['a'], ['1']]);
+  });
+});
+
+describe('parseCSV', () => {
+  test('maps rows to header keys', () => {
+    assert.deepEqual(parseCSV('Name,City\nAnn,Paris\n'), [{ Name: 'Ann', City: 'Paris' }]);
+  });
+
+  test('absorbs unquoted commas into the overflow column', () => {
+    const rows = parseCSV('ID,Address,City,Email\n1,Flat 1, 10 Sample Road,London,a@b.com\n', { overflowColumn: 'Address' });
+    assert.equal(rows[0].Address, 'Flat 1, 10 Sample Road');
+    assert.equal(rows[0].City, 'London');
+    assert.equal(rows[0].Email, 'a@b.com');
+  });
+
+  test('missing trailing fields become empty strings', () => {
+    assert.deepEqual(parseCSV('a,b,c\n1\n'), [{ a: '1', b: '', c: '' }]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// xml-parser
+// ---------------------------------------------------------------------------
+describe('parseOTAReservations', () => {
+  test('extracts guest and stay data from the sample export', () => {
+    const res = parseOTAReservations(fs.readFileSync(path.join(SAMPLES, 'sample-export.xml'), 'utf8'));
+    assert.equal(res.length, 2);
+    assert.equal(res[0].reservationId, '123456');
+    assert.equal(res[0].firstName, 'John');
+    assert.equal(res[0].lastName, 'Smith');
+    assert.equal(res[0].email, 'john.smith@example.com');
+    assert.equal(res[0].phone, '555-1234');
+    assert.equal(res[0].checkIn, '2024-02-10');
+    assert.equal(res[0].checkOut, '2024-02-12');
+    assert.equal(res[1].roomType, 'QUEEN');
+  });
+
+  test('reads ResStatus, address and namespace-prefixed elements', () => {
+    const xml = `
+      <ota:HotelReservation ResStatus="Cancelled">
+        <ota:GivenName>Ana &amp; Co</ota:GivenName>
+        <ota:Surname>Lopez</ota:Surname>
+        <ota:Address><ota:CityName>Mendoza</ota:CityName><ota:CountryName Code="AR"/></ota:Address>
+      </ota:HotelReservation>`;
+    const [r] = parseOTAReservations(xml);
+    assert.equal(r.resStatus, 'Cancelled');
+    assert.equal(r.firstName, 'Ana & Co');
+    assert.equal(r.city, 'Mendoza');
+    assert.equal(r.country, 'AR');
+  });
+
+  test('profileId is the profile UniqueID, not the reservation one', () => {
+    const xml = `
+      <HotelReservation>
+        <UniqueID Type="14" ID="RES-1"/>
+        <ResGuests><ResGuest><Profiles><ProfileInfo>
+          <UniqueID Type="1" ID="987654"/>
+          <Profile><Customer><Surname>Lopez</Surname></Customer></Profile>
+        </ProfileInfo></Profiles></ResGuest></ResGuests>
+      </HotelReservation>
+      <HotelReservation><UniqueID Type="14" ID="RES-2"/></HotelReservation>`;
+    const [withProfile, without] = parseOTAReservations(xml);
+    assert.equal(withProfile.profileId, '987654');
+    assert.equal(without.profileId, '');
+  });
+
+  test('empty input returns empty array', () => {
+    assert.deepEqual(parseOTAReservations(''), []);
+  });
+
+  test('decodeEntities handles numeric references', () => {
+    assert.equal(decodeEntities('Jos&#233; &#x41;'), 'José A');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// opera-parser helpers
+// ---------------------------------------------------------------------------
+describe('parseOperaDate', () => {
+  test('DD-MM-YYYY → YYYY-MM-DD', () => {
+    assert.equal(parseOperaDate('10-02-2026'), '2026-02-10');
+  });
+
+  test('D/M/YYYY is zero-padded', () => {
+    assert.equal(parseOperaDate('1/2/2026'), '2026-02-01');
+  });
+
+  test('ISO passes through', () => {
+    assert.equal(parseOperaDate('2024-02-10'), '2024-02-10');
+  });
+
+  test('garbage and empty return empty string', () => {
+    assert.equal(parseOperaDate('soon'), '');
+    assert.equal(parseOperaDate(''), '');
+    assert.equal(parseOperaDate(undefined), '');
+  });
+});
+
+describe('detectFormat', () => {
+  test('customers CSV and XML detected in auto mode', () => {
+    assert.equal(detectFormat('customers20260213.csv'), 'csv');
+    assert.equal(detectFormat('Customers20260213.CSV'), 'csv');
+    assert.equal(detectFormat('reservations.xml'), 'xml');
+  });
+
+  test('invoices and unknown files are ignored', () => {
+    assert.equal(detectFormat('invoices20260213.csv'), null);
+    assert.equal(detectFormat('notes.txt'), null);
+  });
+
+  test('configured format restricts detection', () => {
+    assert.equal(detectFormat('reservations.xml', 'csv'), null);
+    assert.equal(detectFormat('customers1.csv', 'xml'), null);
+  });
+});
+
+describe('findInvoicesFile', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'opera-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('finds invoices file with matching suffix', () => {
+    fs.writeFileSync(path.join(tmpDir, 'customers20260213.csv'), '');
+    fs.writeFileSync(path.join(tmpDir, 'invoices20260212.csv'), '');
+    fs.writeFileSync(path.join(tmpDir, 'Invoices20260213.csv'), '');
+    assert.equal(findInvoicesFile(path.join(tmpDir, 'customers20260213.csv')), path.join(tmpDir, 'Invoices20260213.csv'));
+  });
+
+  test('returns null when pair is missing', () => {
+    fs.writeFileSync(path.join(tmpDir, 'customers20260213.csv'), '');
+    assert.equal(findInvoicesFile(path.join(tmpDir, 'customers20260213.csv')), null);
+  });
+});
+
+describe('classifyGuest', () => {
+  const invoice = { checkIn: '2026-02-10', checkOut: '2026-02-13', resvStatus: '' };
+
+  test('valid guest becomes an entry', () => {
+    const result = classifyGuest({ operaId: '1', firstName: 'Ann', lastName: 'Lee', email: ' ann@example.com ' }, invoice);
+    assert.equal(result.entry.customer.email, 'ann@example.com');
+    assert.equal(result.entry.invoice, invoice);
+  });
+
+  test('invalid email is skipped with reason', () => {
+    const result = classifyGuest({ operaId: '1', firstName: 'Ann', lastName: 'Lee', email: 'ann@gmail.co' }, invoice);
+    assert.equal(result.skip.category, 'invalid');
+    assert.match(result.skip.reason, /suspicious provider TLD/);
+  });
+
+  test('agent email is skipped with agent category', () => {
+    const result = classifyGuest({ operaId: '1', firstName: 'Ann', lastName: 'Lee', email: 'ann@besttravel.com' }, invoice);
+    assert.equal(result.skip.category, 'agent-domain');
+  });
+
+  test('guest without stay dates is dropped', () => {
+    assert.equal(classifyGuest({ operaId: '1', firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com' }, null), null);
+  });
+
+  test('excluded staff email is dropped', () => {
+    const saved = process.env.EXCLUDED_EMAIL_DOMAINS;
+    process.env.EXCLUDED_EMAIL_DOMAINS = 'staff.com';
+    try {
+      assert.equal(classifyGuest({ operaId: '1', firstName: 'Ann', lastName: 'Lee', email: 'ann@staff.com' }, invoice), null);
+    } finally {
+      if (saved === undefined) delete process.env.EXCLUDED_EMAIL_DOMAINS;
+      else process.env.EXCLUDED_EMAIL_DOMAINS = saved;
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Sample exports end-to-end
+// ---------------------------------------------------------------------------
+describe('parseOPERAFiles (sample CSV pair)', () => {
+  const { records, skipped } = parseOPERAFiles(
+    path.join(SAMPLES, 'sample-customers.csv'),
+    path.join(SAMPLES, 'sample-invoices.csv')
+  );
+
+  test('only customers with invoices and valid guest emails become records', () => {
+    assert.deepEqual(records.map(r => r.customer.operaId), ['4100001', '4100003', '4100004', '4100006', '4100008']);
+  });
+
+  test('records match the queryGuestsByIds shape', () => {
+    const laura = records.find(r => r.customer.operaId === '4100003');
+    assert.deepEqual(laura, {
+      customer: {
+        operaId: '4100003',
+        firstName: 'Laura',
+        lastName: 'Chen',
+        email: 'laura.chen@example.com',
+        phone: '',
+        language: '',
+        billingCity: 'Anytown',
+        billingState: 'CA',
+        billingCountry: 'US'
+      },
+      invoice: { checkIn: '2026-02-08', checkOut: '2026-02-13', resvStatus: '' }
+    });
+  });
+
+  test('placeholder TBC city is blanked', () => {
+    const sarah = records.find(r => r.customer.operaId === '4100001');
+    assert.equal(sarah.customer.billingCity, '');
+  });
+
+  test('unquoted comma in address does not shift columns', () => {
+    const michael = records.find(r => r.customer.operaId === '4100004');
+    assert.equal(michael.customer.billingCity, 'London');
+    assert.equal(michael.customer.billingCountry, 'GB');
+    assert.equal(michael.customer.email, 'michael.reed@example.com');
+  });
+
+  test('company rows and missing emails are skipped once per Opera ID', () => {
+    assert.deepEqual(skipped.map(s => s.operaId).sort(), ['10001', '2600001', '500001']);
+    assert.equal(skipped.find(s => s.operaId === '10001').category, 'company');
+  });
+});
+
+describe('parseOTAFile (sample XML)', () => {
+  test('each reservation becomes a record', () => {
+    const { records, skipped } = parseOTAFile(path.join(SAMPLES, 'sample-export.xml'));
+    assert.equal(records.length, 2);
+    assert.equal(skipped.length, 0);
+    assert.deepEqual(records[1].invoice, { checkIn: '2024-02-11', checkOut: '2024-02-13', resvStatus: '', reservationId: '123457' });
+    assert.equal(records[1].customer.email, 'jane.doe@example.com');
+    // No profile UniqueID in the sample: the reservation number is not used as the Opera ID
+    assert.equal(records[1].customer.operaId, '');
+  });
+});
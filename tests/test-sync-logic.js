@@ -38,6 +38,7 @@ function makeMockConnection(fixture) {
     queries: [],
     contactCreates: [],
     guestCreates: [],
+    guestUpserts: [],
     guestUpdates: []
   };
 
@@ -73,6 +74,15 @@ function makeMockConnection(fixture) {
             arr.map((_, i) => overrides[i] || { success: true, id: `Guest${Date.now()}${i}` })
           );
         },
+        // New stays with an Opera reservation ID are upserted on OPERA_Resv_Name_ID__c
+        upsert(records, externalIdField) {
+          const arr = Array.isArray(records) ? records : [records];
+          calls.guestUpserts.push(...arr.map(r => ({ ...r, externalIdField })));
+          const overrides = fixture.guestUpsertResults || [];
+          return Promise.resolve(
+            arr.map((_, i) => overrides[i] || { success: true, id: `Guest${Date.now()}${i}`, created: true })
+          );
+        },
         update(records) {
           const arr = Array.isArray(records) ? records : [records];
           calls.guestUpdates.push(...arr);
@@ -88,10 +98,10 @@ function makeMockConnection(fixture) {
   return connection;
 }
 
-function makeEntry(email, firstName, lastName, checkIn = '2026-02-01') {
+function makeEntry(email, firstName, lastName, checkIn = '2026-02-01', resvNameId = undefined) {
   return {
     customer: { email, firstName, lastName },
-    invoice: { checkIn, checkOut: '2026-02-03' }
+    invoice: { checkIn, checkOut: '2026-02-03', resvNameId }
   };
 }
 
@@ -255,6 +265,39 @@ async function scenario6() {
   );
 }
 
+// ---------------------------------------------------------------------------
+// Scenario 7: One guest, several stays keyed by RESV_NAME_ID
+//             → moved stay updates its record, legacy record gets the ID, new stay is created
+// ---------------------------------------------------------------------------
+async function scenario7() {
+  await runScenario(
+    'Several stays per guest — matched by Opera reservation ID',
+    {
+      contactQueryResult: [{ Id: 'Contact123', Email: 'stays@example.com' }],
+      guestQueryResult: [
+        { Id: 'GuestMoved', Contact__c: 'Contact123', Check_In_Date__c: '2026-03-01', OPERA_Resv_Name_ID__c: '501' },
+        { Id: 'GuestLegacy', Contact__c: 'Contact123', Check_In_Date__c: '2026-01-10' },
+        { Id: 'GuestOther', Contact__c: 'Contact123', Check_In_Date__c: '2026-05-01', OPERA_Resv_Name_ID__c: '777' }
+      ]
+    },
+    [
+      makeEntry('stays@example.com', 'Hana', 'Mori', '2026-03-08', '501'), // dates changed in Opera
+      makeEntry('stays@example.com', 'Hana', 'Mori', '2026-01-10', '502'), // synced before IDs were
+      makeEntry('stays@example.com', 'Hana', 'Mori', '2026-05-01', '503')  // same day as another reservation
+    ],
+    (results, calls) => {
+      const updated = new Map(calls.guestUpdates.map(r => [r.Id, r]));
+      assert(updated.get('GuestMoved') && updated.get('GuestMoved').Check_In_Date__c === '2026-03-08', 'moved stay updates its own record');
+      assert(updated.get('GuestLegacy') && updated.get('GuestLegacy').OPERA_Resv_Name_ID__c === '502', 'legacy record is claimed and gets the reservation ID');
+      assert(!updated.has('GuestOther'), "another reservation's record is left alone");
+      assert(calls.guestCreates.length === 0, 'TVRS_Guest__c.create NOT called');
+      assert(calls.guestUpserts.length === 1 && calls.guestUpserts[0].OPERA_Resv_Name_ID__c === '503', 'third stay gets a new record');
+      assert(calls.guestUpserts[0].externalIdField === 'OPERA_Resv_Name_ID__c', 'upserted on the reservation ID');
+      assert(results.guests.updated === 2 && results.guests.created === 1, 'guests: 2 updated, 1 created');
+    }
+  );
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
@@ -268,6 +311,7 @@ async function main() {
     await scenario4();
     await scenario5();
     await scenario6();
+    await scenario7();
   } catch (err) {
     console.error('\nUnexpected error during test run:', err.message);
     console.error(err.stack);
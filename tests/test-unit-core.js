@@ -135,6 +135,75 @@ describe('SyncState', () => {
     assert.equal(s.state.lastSyncTimestamp, null);
     assert.equal(s.state.lastSyncRecordCount, 0);
   });
+
+  test('markSuccess advances watermark and never moves it backwards', () => {
+    const s = new SyncState();
+    s.markSuccess(1, new Date('2026-03-01T10:00:00Z'));
+    s.markSuccess(1, new Date('2026-03-01T09:00:00Z'));
+    s.markSuccess(0);
+    assert.equal(s.getWatermark(), '2026-03-01T10:00:00.000Z');
+    assert.equal(s.state.watermarkHistory.length, 0);
+  });
+
+  test('getSince subtracts the overlap window from the watermark', () => {
+    const restore = setEnv({ SYNC_WATERMARK_OVERLAP_MINUTES: '10' });
+    try {
+      const s = new SyncState();
+      assert.equal(s.getSince(), null);
+      s.markSuccess(1, '2026-03-01T10:00:00.000Z');
+      assert.equal(s.getSince(), '2026-03-01T09:50:00.000Z');
+    } finally {
+      restore();
+    }
+  });
+
+  test('falls back to lastSyncTimestamp for state files without a watermark', () => {
+    fs.writeFileSync(stateFile, JSON.stringify({ lastSyncTimestamp: '2026-03-01T10:00:00.000Z', lastSyncStatus: 'success' }));
+    const s = new SyncState();
+    assert.deepEqual(s.state.watermarkHistory, []);
+    assert.equal(s.getSince(), '2026-03-01T09:55:00.000Z');
+  });
+
+  test('watermark history is capped and rewind restores earlier values', () => {
+    const restore = setEnv({ SYNC_WATERMARK_HISTORY: '3' });
+    try {
+      const s = new SyncState();
+      for (let h = 10; h <= 15; h++) {
+        s.markSuccess(1, `2026-03-01T${h}:00:00.000Z`);
+      }
+      assert.deepEqual(s.state.watermarkHistory.map(h => h.watermark),
+        ['2026-03-01T12:00:00.000Z', '2026-03-01T13:00:00.000Z', '2026-03-01T14:00:00.000Z']);
+
+      assert.equal(s.rewind(2), '2026-03-01T13:00:00.000Z');
+      assert.equal(s.state.watermarkHistory.length, 1);
+      assert.throws(() => s.rewind(2), /Cannot rewind 2/);
+      assert.throws(() => s.rewind(NaN), /Cannot rewind NaN/);
+      assert.throws(() => s.rewind(0.5), /Cannot rewind 0.5/);
+
+      // Persisted
+      delete require.cache[require.resolve('../src/sync-state')];
+      const SyncState2 = require('../src/sync-state');
+      assert.equal(new SyncState2().getWatermark(), '2026-03-01T13:00:00.000Z');
+    } finally {
+      restore();
+    }
+  });
+
+  test('initial sync progress survives a restart and is cleared on completion', () => {
+    const s = new SyncState();
+    assert.equal(s.getInitialSyncProgress(), null);
+    s.markInitialSyncProgress(new Date('2026-03-01T10:00:00Z'), 5000);
+    assert.equal(s.getSince(), null, 'still an initial sync');
+
+    const restarted = new SyncState();
+    assert.deepEqual(
+      { ...restarted.getInitialSyncProgress(), updatedAt: undefined },
+      { watermark: '2026-03-01T10:00:00.000Z', afterNameId: 5000, updatedAt: undefined });
+
+    restarted.markSuccess(10, '2026-03-01T10:00:00.000Z');
+    assert.equal(restarted.getInitialSyncProgress(), null);
+    assert.equal(new SyncState().getInitialSyncProgress(), null);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -263,6 +332,1784 @@ describe('DailyStats', () => {
     ds.addNeedsReview(1, [{ email: 'x@y.com', checkInDate: '2026-03-25' }]);
     assert.equal(ds.stats.needsReview, 2);
   });
+
+  test('addCancellations deduplicates by email+checkIn+status', () => {
+    const ds = new DailyStats(path.join(tmpDir, 'stats.json'));
+    const item = { email: 'a@b.com', checkIn: '2026-03-25', status: 'CANCELLED' };
+
+    ds.addCancellations([item, item]);
+    assert.equal(ds.stats.cancellations, 1);
+
+    ds.addCancellations([{ ...item, status: 'NO SHOW' }]);
+    assert.equal(ds.stats.cancellations, 2);
+    assert.equal(ds.stats.cancellationDetails.length, 2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// FileTracker tests
+// ---------------------------------------------------------------------------
+
+describe('FileTracker', () => {
+  let tmpDir;
+  let FileTracker;
+  let trackerPath;
+  let exportFile;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    trackerPath = path.join(tmpDir, 'processed-files.json');
+    exportFile = path.join(tmpDir, 'customers1.csv');
+    fs.writeFileSync(exportFile, 'a,b\n1,2\n');
+    delete require.cache[require.resolve('../src/file-tracker')];
+    FileTracker = require('../src/file-tracker');
+  });
+
+  afterEach(() => {
+    rmDir(tmpDir);
+  });
+
+  test('unknown file is not processed and counts as changed', () => {
+    const t = new FileTracker(trackerPath);
+    assert.equal(t.isProcessed('customers1.csv'), false);
+    assert.equal(t.hasChanged('customers1.csv', exportFile), true);
+    assert.equal(t.getRowHashes('customers1.csv').size, 0);
+  });
+
+  test('markProcessed stores row hashes and survives reload', () => {
+    const t = new FileTracker(trackerPath);
+    t.markProcessed('customers1.csv', exportFile, 3, ['h1', 'h2'], 1);
+
+    const t2 = new FileTracker(trackerPath);
+    assert.equal(t2.isProcessed('customers1.csv'), true);
+    assert.equal(t2.hasChanged('customers1.csv', exportFile), false);
+    assert.deepEqual([...t2.getRowHashes('customers1.csv')], ['h1', 'h2']);
+    assert.equal(t2.processedFiles.get('customers1.csv').failedCount, 1);
+  });
+
+  test('hasChanged detects new content', () => {
+    const t = new FileTracker(trackerPath);
+    t.markProcessed('customers1.csv', exportFile, 1);
+    fs.writeFileSync(exportFile, 'a,b\n1,3\n');
+    assert.equal(t.hasChanged('customers1.csv', exportFile), true);
+  });
+
+  test('checksum over a file pair changes when either file changes', () => {
+    const invoices = path.join(tmpDir, 'invoices1.csv');
+    fs.writeFileSync(invoices, 'x\n');
+    const t = new FileTracker(trackerPath);
+    t.markProcessed('customers1.csv', [exportFile, invoices], 1);
+    assert.equal(t.hasChanged('customers1.csv', [exportFile, invoices]), false);
+    fs.writeFileSync(invoices, 'y\n');
+    assert.equal(t.hasChanged('customers1.csv', [exportFile, invoices]), true);
+  });
+
+  test('markFailed keeps row hashes from the last successful run', () => {
+    const t = new FileTracker(trackerPath);
+    t.markProcessed('customers1.csv', exportFile, 2, ['h1']);
+    t.markFailed('customers1.csv', exportFile, new Error('boom'));
+    assert.deepEqual([...t.getRowHashes('customers1.csv')], ['h1']);
+    assert.deepEqual(t.getStats(), { total: 1, success: 0, failed: 1 });
+  });
+
+  test('hashRow is stable and sensitive to field changes', () => {
+    const entry = { customer: { email: 'a@b.com', firstName: 'Ann' }, invoice: { checkIn: '2026-02-01' } };
+    const same = { customer: { email: 'a@b.com', firstName: 'Ann' }, invoice: { checkIn: '2026-02-01' } };
+    const moved = { customer: { email: 'a@b.com', firstName: 'Ann' }, invoice: { checkIn: '2026-02-02' } };
+    assert.equal(FileTracker.hashRow(entry), FileTracker.hashRow(same));
+    assert.notEqual(FileTracker.hashRow(entry), FileTracker.hashRow(moved));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Outbox tests
+// ---------------------------------------------------------------------------
+
+describe('Outbox', () => {
+  let tmpDir;
+  let Outbox;
+  let outboxPath;
+  let restoreEnv;
+
+  const entry = (operaId, checkIn = '2026-03-01') => ({
+    customer: { operaId, email: `${operaId}@example.com`, firstName: 'Ann', lastName: 'Lee' },
+    invoice: { checkIn, checkOut: '2026-03-03', resvStatus: '' }
+  });
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    outboxPath = path.join(tmpDir, 'sync-outbox.json');
+    restoreEnv = setEnv({ OUTBOX_MAX_ATTEMPTS: '3', OUTBOX_RETRY_BASE_MINUTES: '5', OUTBOX_RETRY_MAX_MINUTES: '15' });
+    delete require.cache[require.resolve('../src/outbox')];
+    Outbox = require('../src/outbox');
+  });
+
+  afterEach(() => {
+    restoreEnv();
+    rmDir(tmpDir);
+  });
+
+  test('keyFor uses Opera ID and check-in date, falling back to email', () => {
+    assert.equal(Outbox.keyFor(entry('42')), '42|2026-03-01');
+    assert.equal(Outbox.keyFor({ customer: { email: 'A@B.com' }, invoice: null }), 'a@b.com|');
+  });
+
+  test('keyFor uses the Opera reservation when known, so date changes keep the slot', () => {
+    const stay = checkIn => ({ customer: { operaId: '42' }, invoice: { resvNameId: '900', checkIn } });
+    assert.equal(Outbox.keyFor(stay('2026-03-01')), 'resv:900');
+    assert.equal(Outbox.keyFor(stay('2026-03-08')), Outbox.keyFor(stay('2026-03-01')));
+  });
+
+  test('keyFor uses the OTA reservation number for XML file entries', () => {
+    const ota = { customer: { operaId: '', email: 'a@b.com' }, invoice: { reservationId: '123456', checkIn: '2026-03-01' } };
+    assert.equal(Outbox.keyFor(ota), 'ota:123456');
+  });
+
+  test('recordFailure queues entry with backoff and persists it', () => {
+    const ob = new Outbox(outboxPath);
+    const now = new Date('2026-03-01T12:00:00Z');
+    ob.recordFailure(entry('1'), 'guest-sync-failed', 'FIELD_CUSTOM_VALIDATION_EXCEPTION', now);
+
+    const ob2 = new Outbox(outboxPath);
+    const item = ob2.items.get('1|2026-03-01');
+    assert.equal(item.attempts, 1);
+    assert.equal(item.error, 'FIELD_CUSTOM_VALIDATION_EXCEPTION');
+    assert.equal(item.nextAttemptAt, '2026-03-01T12:05:00.000Z');
+    assert.deepEqual(ob2.due(now), []);
+    assert.equal(ob2.due(new Date('2026-03-01T12:05:00Z')).length, 1);
+  });
+
+  test('backoff doubles per attempt and is capped', () => {
+    const ob = new Outbox(outboxPath);
+    assert.equal(ob.delayFor(1), 5 * 60 * 1000);
+    assert.equal(ob.delayFor(2), 10 * 60 * 1000);
+    assert.equal(ob.delayFor(3), 15 * 60 * 1000);
+    assert.equal(ob.delayFor(10), 15 * 60 * 1000);
+  });
+
+  test('escalates once after max attempts and stops retrying', () => {
+    const ob = new Outbox(outboxPath);
+    assert.equal(ob.recordFailure(entry('1'), 'guest-sync-failed', 'boom'), null);
+    assert.equal(ob.recordFailure(entry('1'), 'guest-sync-failed', 'boom'), null);
+    const escalated = ob.recordFailure(entry('1'), 'guest-sync-failed', 'boom');
+    assert.equal(escalated.attempts, 3);
+    assert.equal(escalated.status, 'escalated');
+    assert.deepEqual(ob.due(new Date('2100-01-01')), []);
+    assert.deepEqual(ob.getStats(), { total: 1, pending: 0, escalated: 1 });
+
+    // A later failure (Opera sent the stay again) starts a new round and escalates again
+    const now = new Date('2026-03-02T12:00:00Z');
+    assert.equal(ob.recordFailure(entry('1'), 'guest-sync-failed', 'again', now), null);
+    const item = ob.items.get('1|2026-03-01');
+    assert.equal(item.status, 'pending');
+    assert.equal(item.attempts, 1);
+    assert.equal(item.firstFailedAt, now.toISOString());
+    assert.equal(ob.due(new Date('2100-01-01')).length, 1);
+    assert.equal(ob.recordFailure(entry('1'), 'guest-sync-failed', 'again'), null);
+    assert.equal(ob.recordFailure(entry('1'), 'guest-sync-failed', 'again').status, 'escalated');
+  });
+
+  test('resolve removes the entry', () => {
+    const ob = new Outbox(outboxPath);
+    ob.recordFailure(entry('1'), 'contact-create-failed', 'boom');
+    ob.recordFailure(entry('2'), 'contact-create-failed', 'boom');
+    ob.resolve(entry('1'));
+    assert.deepEqual([...ob.items.keys()], ['2|2026-03-01']);
+    assert.equal(new Outbox(outboxPath).items.size, 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Andon cord tests
+// ---------------------------------------------------------------------------
+
+describe('Andon', () => {
+  const { Andon, isAndonPulled } = require('../src/andon');
+  let tmpDir;
+  let controlFile;
+  let heldFile;
+  let restoreEnv;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    controlFile = path.join(tmpDir, 'andon-cord.json');
+    heldFile = path.join(tmpDir, 'andon-held.json');
+    restoreEnv = setEnv({ ANDON_CORD: undefined });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+    rmDir(tmpDir);
+  });
+
+  test('pull writes the control file and release removes it', () => {
+    const andon = new Andon({ controlFile, heldFile });
+    assert.equal(andon.isPulled(), false);
+
+    const status = andon.pull('SF maintenance');
+    assert.equal(status.pulled, true);
+    assert.equal(status.source, 'control-file');
+    assert.equal(status.reason, 'SF maintenance');
+    assert.equal(isAndonPulled(controlFile), true);
+
+    assert.equal(andon.release().pulled, false);
+    assert.equal(fs.existsSync(controlFile), false);
+    // Releasing twice is harmless
+    assert.equal(andon.release().pulled, false);
+  });
+
+  test('an empty control file created by hand counts as pulled', () => {
+    fs.writeFileSync(controlFile, '');
+    const status = new Andon({ controlFile, heldFile }).getStatus();
+    assert.equal(status.pulled, true);
+    assert.equal(status.reason, null);
+  });
+
+  test('ANDON_CORD=true in the environment cannot be released at runtime', () => {
+    process.env.ANDON_CORD = 'true';
+    const andon = new Andon({ controlFile, heldFile });
+    assert.equal(andon.getStatus().source, 'env');
+    assert.equal(andon.release().pulled, true);
+  });
+
+  test('held queue keeps the latest entry per key, persists, and clears', () => {
+    const andon = new Andon({ controlFile, heldFile });
+    andon.hold([{ key: '1|2026-03-01', entry: { v: 1 } }, { key: '2|2026-03-01', entry: { v: 2 } }]);
+    andon.hold([{ key: '1|2026-03-01', entry: { v: 3 } }]);
+
+    const reloaded = new Andon({ controlFile, heldFile });
+    assert.deepEqual(reloaded.heldEntries(), [
+      { key: '1|2026-03-01', entry: { v: 3 } },
+      { key: '2|2026-03-01', entry: { v: 2 } }
+    ]);
+    assert.equal(reloaded.getStatus().held, 2);
+
+    reloaded.clearHeld(['1|2026-03-01', '2|2026-03-01']);
+    assert.equal(fs.existsSync(heldFile), false);
+  });
+
+  test('watch emits pulled and released when the control file changes', async () => {
+    const andon = new Andon({ controlFile, heldFile });
+    const events = [];
+    andon.on('pulled', () => events.push('pulled'));
+    andon.on('released', () => events.push('released'));
+    andon.watch(20);
+    try {
+      const waitFor = async (n) => {
+        for (let i = 0; i < 100 && events.length < n; i++) await new Promise(r => setTimeout(r, 20));
+      };
+      // Let the stat poller take its baseline before the file appears
+      await new Promise(r => setTimeout(r, 100));
+      fs.writeFileSync(controlFile, '{}');
+      await waitFor(1);
+      fs.unlinkSync(controlFile);
+      await waitFor(2);
+      assert.deepEqual(events, ['pulled', 'released']);
+    } finally {
+      andon.unwatch();
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Property configuration tests
+// ---------------------------------------------------------------------------
+
+describe('properties', () => {
+  const { loadProperties, propertyFile } = require('../src/properties');
+  let tmpDir;
+  let restoreEnv;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    restoreEnv = setEnv({
+      OPERA_RESORT: undefined,
+      EMAIL_TO: 'admin@example.com',
+      FRONT_DESK_EMAIL_TO: 'desk@example.com',
+      GOOGLE_SHEETS_ID: 'sheet-1',
+      GOOGLE_SHEETS_CHECKIN_ID: undefined,
+      EXCLUDED_ROOM_PREFIXES: 'pm, zz',
+      SF_GUEST_PROPERTY_FIELD: 'Property__c'
+    });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+    rmDir(tmpDir);
+  });
+
+  test('without a config file, a single VINES property is built from env', () => {
+    const [vines, ...rest] = loadProperties(path.join(tmpDir, 'missing.json'));
+    assert.equal(rest.length, 0);
+    assert.equal(vines.code, 'VINES');
+    assert.equal(vines.resort, 'VINES');
+    assert.equal(vines.isDefault, true);
+    assert.equal(vines.frontDeskEmailTo, 'desk@example.com');
+    assert.equal(vines.checkoutSheetId, 'sheet-1');
+    assert.deepEqual(vines.excludedRoomPrefixes, ['PM', 'ZZ']);
+  });
+
+  test('only the first configured property inherits single-property env settings', () => {
+    const file = path.join(tmpDir, 'properties.json');
+    fs.writeFileSync(file, JSON.stringify([
+      { code: 'vines', hotelId: 'LW7063' },
+      { code: 'MALBEC', resort: 'MALB', name: 'Malbec Lodge', excludedRoomPrefixes: ['HK'] }
+    ]));
+    const [vines, malbec] = loadProperties(file);
+
+    assert.equal(vines.code, 'VINES');
+    assert.equal(vines.checkoutSheetId, 'sheet-1');
+
+    assert.equal(malbec.resort, 'MALB');
+    assert.equal(malbec.hotelId, 'MALBEC');
+    assert.equal(malbec.sfPropertyValue, 'MALBEC');
+    assert.equal(malbec.emailTo, 'admin@example.com');
+    assert.equal(malbec.frontDeskEmailTo, null);
+    assert.equal(malbec.checkoutSheetId, null);
+    assert.deepEqual(malbec.excludedRoomPrefixes, ['HK']);
+    assert.equal(malbec.isDefault, false);
+  });
+
+  test('rejects empty lists, missing codes and duplicates', () => {
+    const file = path.join(tmpDir, 'properties.json');
+    const load = list => {
+      fs.writeFileSync(file, JSON.stringify(list));
+      return loadProperties(file);
+    };
+    assert.throws(() => load([]), /non-empty array/);
+    assert.throws(() => load([{ name: 'No code' }]), /needs a "code"/);
+    assert.throws(() => load([{ code: 'VINES' }, { code: 'vines' }]), /duplicate code "VINES"/);
+    assert.throws(() => load([{ code: 'two words' }]), /invalid code/);
+  });
+
+  test('more than one property requires SF_GUEST_PROPERTY_FIELD', () => {
+    const file = path.join(tmpDir, 'properties.json');
+    fs.writeFileSync(file, JSON.stringify([{ code: 'VINES' }]));
+    delete process.env.SF_GUEST_PROPERTY_FIELD;
+    assert.equal(loadProperties(file).length, 1);
+
+    fs.writeFileSync(file, JSON.stringify([{ code: 'VINES' }, { code: 'MALBEC' }]));
+    assert.throws(() => loadProperties(file), /2 properties configured but SF_GUEST_PROPERTY_FIELD is not set/);
+  });
+
+  test('propertyFile keeps the original name for the default property', () => {
+    assert.equal(propertyFile({ code: 'VINES', isDefault: true }, '/srv/sync-state.json'), '/srv/sync-state.json');
+    assert.equal(propertyFile({ code: 'MALBEC', isDefault: false }, '/srv/sync-state.json'), '/srv/sync-state.MALBEC.json');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Salesforce schema-drift check
+// ---------------------------------------------------------------------------
+
+describe('schema check', () => {
+  const { expectedSchema, checkSchema, formatSchemaProblems } = require('../src/schema-check');
+  const SalesforceClient = require('../src/salesforce-client');
+
+  const TYPES = { text: 'string', boolean: 'boolean', date: 'date', number: 'double', reference: 'reference' };
+
+  // describe() results matching everything the sync writes
+  function liveDescribes(expected) {
+    const describes = {};
+    for (const [object, fields] of Object.entries(expected)) {
+      describes[object] = {
+        fields: fields.map(f => ({
+          name: f.name,
+          type: f.values ? 'picklist' : TYPES[f.kind],
+          createable: true,
+          updateable: true,
+          externalId: !!f.externalId,
+          restrictedPicklist: !!f.values,
+          picklistValues: (f.values || []).map(value => ({ value, active: true }))
+        }))
+      };
+    }
+    return describes;
+  }
+
+  test('covers the mapped fields, contact dates and the contact lookup', () => {
+    const expected = expectedSchema({ guestObject: 'TVRS_Guest__c', contactLookup: 'Contact__c' });
+    const guest = new Map(expected.TVRS_Guest__c.map(f => [f.name, f]));
+    assert.equal(guest.get('TVG__c').kind, 'boolean');
+    assert.equal(guest.get('Check_In_Date__c').kind, 'date');
+    assert.equal(guest.get('Contact__c').kind, 'reference');
+    assert.equal(guest.get('Room_Revenue__c').kind, 'number');
+    assert.equal(guest.get('Rate_Code__c').kind, 'text');
+    assert.equal(guest.get('RecordTypeId').update, false);
+    assert.deepEqual(guest.get('Language__c').values, ['English', 'Spanish', 'Portuguese', 'Unknown']);
+    assert.ok(expected.Contact.some(f => f.name === 'Has_TVRS_Guest_Record__c' && f.kind === 'boolean'));
+    assert.ok(expected.Contact.some(f => f.name === 'Check_In_Date__c' && f.update));
+  });
+
+  test('reports missing fields, type mismatches, permissions and picklist values', () => {
+    const expected = expectedSchema();
+    const describes = liveDescribes(expected);
+    assert.deepEqual(checkSchema(expected, describes), []);
+
+    const guestFields = describes.TVRS_Guest__c.fields;
+    const field = name => guestFields.find(f => f.name === name);
+    guestFields.splice(guestFields.indexOf(field('Villa_Tour__c')), 1);
+    field('Check_Out_Date__c').type = 'datetime';
+    field('City__c').updateable = false;
+    field('OPERA_Resv_Name_ID__c').externalId = false;
+    field('Language__c').picklistValues = [{ value: 'English', active: true }, { value: 'Spanish', active: false }];
+    describes.Contact.fields.find(f => f.name === 'Has_TVRS_Guest_Record__c').createable = false;
+
+    assert.deepEqual(formatSchemaProblems(checkSchema(expected, describes)).sort(), [
+      'Contact.Has_TVRS_Guest_Record__c: not createable (field-level security?)',
+      'TVRS_Guest__c.Check_Out_Date__c: type is datetime, expected date',
+      'TVRS_Guest__c.City__c: not updateable (field-level security?)',
+      'TVRS_Guest__c.Language__c: restricted picklist is missing "Spanish", "Portuguese", "Unknown"',
+      'TVRS_Guest__c.OPERA_Resv_Name_ID__c: not an external ID (new records are upserted on it)',
+      'TVRS_Guest__c.Villa_Tour__c: field not found'
+    ]);
+  });
+
+  test('unrestricted picklists accept any value', () => {
+    const expected = expectedSchema();
+    const describes = liveDescribes(expected);
+    const language = describes.TVRS_Guest__c.fields.find(f => f.name === 'Language__c');
+    language.restrictedPicklist = false;
+    language.picklistValues = [];
+    assert.deepEqual(checkSchema(expected, describes), []);
+  });
+
+  test('SalesforceClient refuses to sync after a failed check until one passes', async () => {
+    const expected = expectedSchema();
+    const describes = liveDescribes(expected);
+    const client = new SalesforceClient({});
+    client.connection = { sobject: name => ({ describe: async () => describes[name] }) };
+
+    describes.Contact.fields = describes.Contact.fields.filter(f => f.name !== 'Check_In_Date__c');
+    const problems = await client.validateSchema();
+    assert.deepEqual(formatSchemaProblems(problems), ['Contact.Check_In_Date__c: field not found']);
+    await assert.rejects(client.syncGuestCheckIns([{ customer: {}, invoice: {} }]), err => err.code === 'SCHEMA_DRIFT');
+
+    describes.Contact.fields = liveDescribes(expected).Contact.fields;
+    assert.deepEqual(await client.validateSchema(), []);
+    const results = await client.syncGuestCheckIns([]);
+    assert.equal(results.success, 0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Salesforce Bulk API 2.0 (against a local mock of the ingest endpoints)
+// ---------------------------------------------------------------------------
+
+describe('Salesforce Bulk API 2.0', () => {
+  const http = require('http');
+  const jsforce = require('jsforce');
+  const { bulkWrite } = require('../src/salesforce-bulk');
+  const SalesforceClient = require('../src/salesforce-client');
+
+  let server;
+  let instanceUrl;
+  let jobs;
+  let restore;
+
+  // Minimal CSV for the mock: our test values contain no commas, quotes or newlines
+  const parseCsv = text => {
+    const [header, ...rows] = text.trim().split('\n').map(line => line.split(',').map(v => v.replace(/^"|"$/g, '')));
+    return rows.map(cells => Object.fromEntries(header.map((h, i) => [h, cells[i]])));
+  };
+  const toCsv = (columns, rows) => [columns, ...rows.map(r => columns.map(c => r[c]))].map(r => r.join(',')).join('\n') + '\n';
+
+  // Rows whose email contains "fail" are rejected; results come back in reverse order
+  function jobResults(job, kind) {
+    const rows = parseCsv(job.csv);
+    const columns = job.csv.split('\n')[0].split(',');
+    const bad = row => /fail/.test(row.Email || row.Email__c || '');
+    if (kind === 'successfulResults') {
+      const ok = rows.filter(r => !bad(r)).map(r => ({ ...r, sf__Id: r.Id || `a0${(r.Email || r.Email__c).split('@')[0]}`, sf__Created: String(!r.Id) }));
+      return toCsv(['sf__Id', 'sf__Created', ...columns], ok.reverse());
+    }
+    if (kind === 'failedResults') {
+      const failed = rows.filter(bad).map(r => ({ ...r, sf__Id: '', sf__Error: 'FIELD_CUSTOM_VALIDATION_EXCEPTION:rejected' }));
+      return toCsv(['sf__Id', 'sf__Error', ...columns], failed);
+    }
+    return columns.join(',') + '\n';
+  }
+
+  function handle(req, res, body) {
+    const url = new URL(req.url, instanceUrl);
+    const json = (status, data) => { res.writeHead(status, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(data)); };
+    if (url.pathname.endsWith('/query')) return json(200, { totalSize: 0, done: true, records: [] });
+
+    const [, jobId, sub] = url.pathname.match(/\/jobs\/ingest(?:\/([^/]+))?(?:\/(\w+))?$/) || [];
+    if (req.method === 'POST' && !jobId) {
+      const job = { ...JSON.parse(body), id: `750J${jobs.length}`, state: 'Open', polls: 0 };
+      jobs.push(job);
+      return json(200, job);
+    }
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) return json(404, [{ errorCode: 'NOT_FOUND', message: 'no such job' }]);
+    if (req.method === 'PUT' && sub === 'batches') {
+      job.csv = body;
+      res.writeHead(201);
+      return res.end();
+    }
+    if (req.method === 'PATCH') {
+      job.state = JSON.parse(body).state;
+      return json(200, job);
+    }
+    if (req.method === 'GET' && !sub) {
+      // First status poll reports InProgress so the client has to poll again
+      job.state = job.polls++ === 0 ? 'InProgress' : 'JobComplete';
+      return json(200, job);
+    }
+    res.writeHead(200, { 'Content-Type': 'text/csv' });
+    res.end(jobResults(job, sub));
+  }
+
+  beforeEach(async () => {
+    jobs = [];
+    restore = setEnv({ SF_BULK_THRESHOLD: '1', SF_BULK_POLL_INTERVAL_SECONDS: '0.01' });
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => handle(req, res, body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    instanceUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    restore();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const connect = () => new jsforce.Connection({ instanceUrl, accessToken: 'test-token', version: '59.0' });
+
+  test('maps out-of-order result CSVs back onto the submitted records', async () => {
+    const records = [
+      { Email: 'ana@example.com', LastName: 'Diaz', Phone: '123' },
+      { Email: 'fail@example.com', LastName: 'Bad', Phone: '456' },
+      { Email: 'bo@example.com', LastName: 'Li', Phone: null }
+    ];
+    const results = await bulkWrite(connect(), 'Contact', 'insert', records, { pollInterval: 10 });
+
+    assert.deepEqual(results, [
+      { success: true, id: 'a0ana' },
+      { success: false, errors: [{ message: 'FIELD_CUSTOM_VALIDATION_EXCEPTION:rejected' }] },
+      { success: true, id: 'a0bo' }
+    ]);
+    assert.equal(jobs.length, 1);
+    assert.equal(jobs[0].operation, 'insert');
+    assert.equal(jobs[0].object, 'Contact');
+    assert.ok(jobs[0].polls >= 2, 'job status is polled until complete');
+  });
+
+  test('runs one job per field set so omitted fields are never blanked', async () => {
+    const records = [
+      { Id: 'a01', Email__c: 'a@example.com', Check_Out_Date__c: '2026-03-02' },
+      { Id: 'a02', Email__c: 'b@example.com' },
+      { Id: 'a03', Email__c: 'c@example.com', Check_Out_Date__c: '2026-03-05' }
+    ];
+    const results = await bulkWrite(connect(), 'TVRS_Guest__c', 'update', records, { pollInterval: 10 });
+
+    assert.deepEqual(results.map(r => r.id), ['a01', 'a02', 'a03']);
+    assert.equal(jobs.length, 2);
+    assert.ok(!jobs[1].csv.includes('Check_Out_Date__c'));
+  });
+
+  test('syncGuestCheckIns switches to bulk jobs above SF_BULK_THRESHOLD and flags failed rows', async () => {
+    const client = new SalesforceClient({});
+    client.connection = connect();
+
+    const guest = (email, first) => ({
+      customer: { operaId: first, email, firstName: first, lastName: 'Guest', phone: '', language: 'E', billingCity: '', billingState: '', billingCountry: '' },
+      invoice: { checkIn: '2026-03-01', checkOut: '2026-03-04', resvStatus: 'CHECKED OUT' }
+    });
+    const results = await client.syncGuestCheckIns([guest('ana@example.com', 'Ana'), guest('fail@example.com', 'Fay')]);
+
+    assert.deepEqual(jobs.map(j => `${j.operation} ${j.object}`), ['insert Contact', 'insert TVRS_Guest__c', 'update Contact']);
+    assert.deepEqual(results.contacts, { created: 1, failed: 1 });
+    assert.deepEqual(results.guests, { created: 1, updated: 0, failed: 0 });
+    assert.equal(results.failedEntries.length, 1);
+    assert.equal(results.failedEntries[0].reason, 'contact-create-failed');
+    assert.equal(results.needsReview[0].email, 'fail@example.com');
+    // The guest record is linked to the Contact Id returned by the bulk job
+    assert.match(jobs[1].csv, /a0ana/);
+  });
+
+  test('new stays with an Opera reservation ID are upserted on the external ID', async () => {
+    const client = new SalesforceClient({});
+    client.connection = connect();
+
+    const stay = (email, first, resvNameId) => ({
+      customer: { operaId: first, email, firstName: first, lastName: 'Guest', phone: '', language: 'E', billingCity: '', billingState: '', billingCountry: '' },
+      invoice: { resvNameId, checkIn: '2026-03-01', checkOut: '2026-03-04', resvStatus: 'RESERVED' }
+    });
+    const results = await client.syncGuestCheckIns([stay('ana@example.com', 'Ana', '900'), stay('bo@example.com', 'Bo', '901')]);
+
+    assert.deepEqual(jobs.map(j => `${j.operation} ${j.object}`), ['insert Contact', 'upsert TVRS_Guest__c', 'update Contact']);
+    assert.equal(jobs[1].externalIdFieldName, 'OPERA_Resv_Name_ID__c');
+    assert.match(jobs[1].csv, /900/);
+    assert.deepEqual(results.guests, { created: 2, updated: 0, failed: 0 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Salesforce API limits
+// ---------------------------------------------------------------------------
+
+describe('Salesforce API limits', () => {
+  const ApiLimits = require('../src/api-limits');
+  const SalesforceClient = require('../src/salesforce-client');
+
+  test('levels follow remaining percentage and emit on change only', () => {
+    const limits = new ApiLimits({ reservePercent: 20, criticalPercent: 5 });
+    const seen = [];
+    limits.on('level', snapshot => seen.push(snapshot.level));
+
+    limits.update(1000, 100000);
+    limits.update(85000, 100000);
+    limits.update(90000, 100000);
+    assert.ok(limits.isLow());
+    assert.ok(!limits.isCritical());
+    limits.update(96000, 100000);
+    assert.ok(limits.isCritical());
+    limits.update(10000, 100000);
+
+    assert.deepEqual(seen, ['low', 'critical', 'ok']);
+    assert.deepEqual(
+      { ...limits.getSnapshot(), updatedAt: undefined },
+      { used: 10000, limit: 100000, remaining: 90000, remainingPercent: 90, level: 'ok', updatedAt: undefined }
+    );
+  });
+
+  test('reads Sforce-Limit-Info usage and the /limits resource', () => {
+    const limits = new ApiLimits();
+    limits.updateFromConnection({ limitInfo: {} });
+    assert.equal(limits.getSnapshot().used, null);
+
+    limits.updateFromConnection({ limitInfo: { apiUsage: { used: 4200, limit: 15000 } } });
+    assert.equal(limits.getSnapshot().remaining, 10800);
+
+    limits.updateFromLimits({ DailyApiRequests: { Max: 15000, Remaining: 600 } });
+    assert.equal(limits.getSnapshot().used, 14400);
+    assert.equal(limits.getSnapshot().level, 'critical');
+  });
+
+  test('Contact date updates are deferred while usage is low and sent once it recovers', async () => {
+    const updates = [];
+    const connection = {
+      limitInfo: { apiUsage: { used: 90000, limit: 100000 } },
+      query: async soql => ({
+        done: true,
+        records: /FROM Contact/.test(soql) ? [{ Id: '003A', Email: 'ana@example.com', FirstName: 'Ana', LastName: 'Silva' }] : []
+      }),
+      sobject: () => ({
+        create: async records => records.map((r, i) => ({ success: true, id: `a01${i}` })),
+        update: async records => { updates.push(...records); return records.map(r => ({ success: true, id: r.Id })); }
+      })
+    };
+    const client = new SalesforceClient({});
+    client.connection = connection;
+    const entry = checkIn => ({
+      customer: { operaId: '1', email: 'ana@example.com', firstName: 'Ana', lastName: 'Silva' },
+      invoice: { checkIn, checkOut: '2026-10-20' }
+    });
+
+    await client.syncGuestCheckIns([entry('2026-10-15')]);
+    assert.ok(client.apiLimits.isLow());
+    assert.deepEqual(updates.filter(u => u.Check_In_Date__c), []);
+    assert.equal(client.deferredContactDates.size, 1);
+
+    client.apiLimits.update(5000, 100000);
+    connection.limitInfo.apiUsage.used = 5000;
+    await client.syncGuestCheckIns([entry('2026-10-12')]);
+    assert.deepEqual(updates.filter(u => u.Check_In_Date__c), [{ Id: '003A', Check_In_Date__c: '2026-10-15', Check_Out_Date__c: '2026-10-20' }]);
+    assert.equal(client.deferredContactDates.size, 0);
+
+    client.apiLimits.update(97000, 100000);
+    await assert.rejects(client.syncGuestCheckIns([entry('2026-10-18')]), err => err.code === 'API_LIMIT');
+  });
+
+  test('writeRecords stops between batches once usage turns critical', async () => {
+    const restore = setEnv({ BATCH_SIZE: '2' });
+    try {
+      const client = new SalesforceClient({});
+      const sent = [];
+      client.connection = {
+        limitInfo: { apiUsage: { used: 90000, limit: 100000 } },
+        sobject: () => ({
+          update: async records => {
+            sent.push(records.map(r => r.Id));
+            client.connection.limitInfo.apiUsage.used = 97000;
+            return records.map(r => ({ success: true, id: r.Id }));
+          }
+        })
+      };
+
+      await assert.rejects(
+        client.writeRecords('Contact', 'update', [{ Id: '1' }, { Id: '2' }, { Id: '3' }, { Id: '4' }, { Id: '5' }]),
+        err => err.code === 'API_LIMIT' && /3 of 5 records not sent/.test(err.message) && err.results.length === 2
+      );
+      assert.deepEqual(sent, [['1', '2']]);
+    } finally {
+      restore();
+    }
+  });
+
+  test('deferred Contact dates are only dropped once written', async () => {
+    const client = new SalesforceClient({});
+    let failBatch = true;
+    client.connection = {
+      query: async soql => ({
+        done: true,
+        records: /FROM Contact/.test(soql) ? [{ Id: '003A', Email: 'ana@example.com', FirstName: 'Ana', LastName: 'Silva' }] : []
+      }),
+      sobject: name => ({
+        create: async records => records.map((r, i) => ({ success: true, id: `a01${i}` })),
+        update: async records => {
+          if (name === 'Contact' && failBatch) throw new Error('INVALID_FIELD: boom');
+          return records.map(r => ({ success: true, id: r.Id }));
+        }
+      })
+    };
+    client.deferredContactDates.set('003B', { checkIn: '2026-10-01', checkOut: '2026-10-03' });
+    const entry = {
+      customer: { operaId: '1', email: 'ana@example.com', firstName: 'Ana', lastName: 'Silva' },
+      invoice: { checkIn: '2026-10-15', checkOut: '2026-10-20' }
+    };
+
+    await client.syncGuestCheckIns([entry]);
+    assert.deepEqual([...client.deferredContactDates.keys()].sort(), ['003A', '003B']);
+
+    failBatch = false;
+    await client.syncGuestCheckIns([entry]);
+    assert.equal(client.deferredContactDates.size, 0);
+  });
+
+  test('deferred Contact date updates survive a restart', async () => {
+    const tmpDir = makeTmpDir();
+    const pendingFile = path.join(tmpDir, 'sf-pending.json');
+    try {
+      const updates = [];
+      const connection = used => ({
+        limitInfo: { apiUsage: { used, limit: 100000 } },
+        query: async soql => ({
+          done: true,
+          records: /FROM Contact/.test(soql) ? [{ Id: '003A', Email: 'ana@example.com', FirstName: 'Ana', LastName: 'Silva' }] : []
+        }),
+        sobject: () => ({
+          create: async records => records.map((r, i) => ({ success: true, id: `a01${i}` })),
+          update: async records => { updates.push(...records); return records.map(r => ({ success: true, id: r.Id })); }
+        })
+      });
+      const entry = {
+        customer: { operaId: '1', email: 'ana@example.com', firstName: 'Ana', lastName: 'Silva' },
+        invoice: { checkIn: '2026-10-15', checkOut: '2026-10-20' }
+      };
+
+      const before = new SalesforceClient({ pendingFile });
+      before.connection = connection(90000);
+      await before.syncGuestCheckIns([entry]);
+      assert.equal(before.deferredContactDates.size, 1);
+
+      const after = new SalesforceClient({ pendingFile });
+      after.connection = connection(5000);
+      assert.deepEqual(Object.fromEntries(after.deferredContactDates), { '003A': { checkIn: '2026-10-15', checkOut: '2026-10-20' } });
+      await after.syncGuestCheckIns([{ ...entry, customer: { ...entry.customer, email: 'bo@example.com' } }]);
+      assert.deepEqual(updates.filter(u => u.Id === '003A'), [{ Id: '003A', Check_In_Date__c: '2026-10-15', Check_Out_Date__c: '2026-10-20' }]);
+      assert.ok(!fs.existsSync(pendingFile));
+    } finally {
+      rmDir(tmpDir);
+    }
+  });
+
+  test('a stay the lookup missed is upserted onto its existing record, not duplicated', async () => {
+    const upserts = [];
+    const client = new SalesforceClient({});
+    client.connection = {
+      query: async soql => ({
+        done: true,
+        records: /FROM Contact/.test(soql) ? [{ Id: '003A', Email: 'ana@example.com', FirstName: 'Ana', LastName: 'Silva' }] : []
+      }),
+      sobject: () => ({
+        create: async records => records.map((r, i) => ({ success: true, id: `a01${i}` })),
+        upsert: async (records, extIdField) => {
+          upserts.push({ records, extIdField });
+          return records.map(() => ({ success: true, id: 'a0OLD', created: false }));
+        },
+        update: async records => records.map(r => ({ success: true, id: r.Id }))
+      })
+    };
+
+    const results = await client.syncGuestCheckIns([{
+      customer: { operaId: '1', email: 'ana@example.com', firstName: 'Ana', lastName: 'Silva' },
+      invoice: { resvNameId: '900', checkIn: '2026-10-16', checkOut: '2026-10-20' }
+    }]);
+
+    assert.equal(upserts.length, 1);
+    assert.equal(upserts[0].extIdField, 'OPERA_Resv_Name_ID__c');
+    assert.equal(upserts[0].records[0].OPERA_Resv_Name_ID__c, '900');
+    assert.deepEqual(results.guests, { created: 0, updated: 1, failed: 0 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Salesforce retry
+// ---------------------------------------------------------------------------
+
+describe('Salesforce retry', () => {
+  const { classifyError, isRetryableResult, backoffDelay, withRetry, writeWithRetry } = require('../src/salesforce-retry');
+  const SalesforceClient = require('../src/salesforce-client');
+  const noWait = { wait: async () => {}, retries: 3, baseMs: 1, maxMs: 1 };
+  const apiError = (errorCode, message = errorCode) => Object.assign(new Error(message), { errorCode });
+  const failed = statusCode => ({ success: false, errors: [{ statusCode, message: statusCode }] });
+
+  test('classifies lock/server/network errors, expired sessions and permanent errors', () => {
+    assert.equal(classifyError(apiError('UNABLE_TO_LOCK_ROW')), 'retryable');
+    assert.equal(classifyError(apiError('ERROR_HTTP_503')), 'retryable');
+    assert.equal(classifyError(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' })), 'retryable');
+    assert.equal(classifyError(apiError('INVALID_SESSION_ID')), 'reauth');
+    assert.equal(classifyError(apiError('FIELD_CUSTOM_VALIDATION_EXCEPTION')), 'permanent');
+    assert.equal(classifyError(new TypeError('x is undefined')), 'permanent');
+    assert.ok(isRetryableResult(failed('UNABLE_TO_LOCK_ROW')));
+    assert.ok(!isRetryableResult(failed('REQUIRED_FIELD_MISSING')));
+    assert.ok(!isRetryableResult({ success: true, id: '001' }));
+  });
+
+  test('backoff doubles per attempt, is capped and jittered', () => {
+    assert.equal(backoffDelay(1, 1000, 30000, () => 0), 500);
+    assert.equal(backoffDelay(3, 1000, 30000, () => 1), 4000);
+    assert.equal(backoffDelay(10, 1000, 30000, () => 1), 30000);
+    const d = backoffDelay(2, 1000, 30000);
+    assert.ok(d >= 1000 && d <= 2000);
+  });
+
+  test('only records with transient failures are sent again', async () => {
+    const calls = [];
+    const records = [{ Name: 'a' }, { Name: 'locked' }, { Name: 'invalid' }];
+    const results = await writeWithRetry(records, async subset => {
+      calls.push(subset.map(r => r.Name));
+      return subset.map(r => {
+        if (r.Name === 'invalid') return failed('FIELD_CUSTOM_VALIDATION_EXCEPTION');
+        if (r.Name === 'locked' && calls.length === 1) return failed('UNABLE_TO_LOCK_ROW');
+        return { success: true, id: `id-${r.Name}` };
+      });
+    }, noWait);
+
+    assert.deepEqual(calls, [['a', 'locked', 'invalid'], ['locked']]);
+    assert.deepEqual(results.map(r => r.success), [true, true, false]);
+    assert.equal(results[1].id, 'id-locked');
+  });
+
+  test('batch errors: transient ones retry, permanent ones throw, retries are bounded', async () => {
+    let n = 0;
+    const value = await withRetry(async () => { if (n++ < 2) throw apiError('SERVER_UNAVAILABLE'); return 'ok'; }, noWait);
+    assert.equal(value, 'ok');
+    assert.equal(n, 3);
+
+    n = 0;
+    await assert.rejects(withRetry(async () => { n++; throw apiError('INVALID_FIELD'); }, noWait), /INVALID_FIELD/);
+    assert.equal(n, 1);
+
+    n = 0;
+    await assert.rejects(withRetry(async () => { n++; throw apiError('ERROR_HTTP_503'); }, noWait), /ERROR_HTTP_503/);
+    assert.equal(n, 4);
+  });
+
+  test('a create is only resent when the error shows nothing was written', async () => {
+    let n = 0;
+    const create = code => async () => { if (n++ === 0) throw apiError(code); return 'ok'; };
+    assert.equal(await withRetry(create('UNABLE_TO_LOCK_ROW'), { ...noWait, idempotent: false }), 'ok');
+    assert.equal(n, 2);
+
+    for (const code of ['ECONNRESET', 'ERROR_HTTP_502', 'ERROR_HTTP_504']) {
+      n = 0;
+      await assert.rejects(withRetry(create(code), { ...noWait, idempotent: false }), new RegExp(code));
+      assert.equal(n, 1, code);
+    }
+    n = 0;
+    await assert.rejects(withRetry(async () => { n++; throw new Error('socket hang up'); }, { ...noWait, idempotent: false }), /socket hang up/);
+    assert.equal(n, 1);
+
+    // Updates and upserts still retry them
+    n = 0;
+    assert.equal(await withRetry(create('ERROR_HTTP_504'), noWait), 'ok');
+    assert.equal(n, 2);
+  });
+
+  test('SalesforceClient resends an update but not an insert after a dropped connection', async () => {
+    const restore = setEnv({ SF_RETRY_BASE_MS: '1', SF_RETRY_MAX_MS: '1' });
+    try {
+      const client = new SalesforceClient({});
+      const calls = { create: 0, update: 0 };
+      const dropFirst = op => async records => {
+        if (calls[op]++ === 0) throw Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+        return records.map(r => ({ success: true, id: r.Id || '003new' }));
+      };
+      client.connection = { sobject: () => ({ create: dropFirst('create'), update: dropFirst('update') }) };
+
+      await assert.rejects(client.writeRecords('Contact', 'insert', [{ LastName: 'Silva' }]), /ECONNRESET/);
+      assert.equal(calls.create, 1);
+      assert.deepEqual(await client.writeRecords('Contact', 'update', [{ Id: '003a' }]), [{ success: true, id: '003a' }]);
+      assert.equal(calls.update, 2);
+    } finally {
+      restore();
+    }
+  });
+
+  test('SalesforceClient re-authenticates once on an expired session and retries the batch', async () => {
+    const restore = setEnv({ SF_RETRY_BASE_MS: '1', SF_RETRY_MAX_MS: '1' });
+    try {
+      const client = new SalesforceClient({});
+      const connection = session => ({
+        sobject: () => ({
+          create: async records => {
+            if (session === 'expired') throw apiError('INVALID_SESSION_ID', 'Session expired or invalid');
+            return records.map((r, i) => ({ success: true, id: `003${i}` }));
+          }
+        })
+      });
+      let reauths = 0;
+      client.connection = connection('expired');
+      client.reauthenticate = async () => { reauths++; client.connection = connection('fresh'); };
+
+      const results = await client.writeRecords('Contact', 'insert', [{ LastName: 'Silva' }]);
+      assert.deepEqual(results, [{ success: true, id: '0030' }]);
+      assert.equal(reauths, 1);
+
+      client.reauthenticate = async () => { reauths++; };
+      client.connection = connection('expired');
+      await assert.rejects(client.writeRecords('Contact', 'insert', [{ LastName: 'Silva' }]), /Session expired/);
+      assert.equal(reauths, 2);
+    } finally {
+      restore();
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Oracle retry and circuit breaker (fake pool, no database)
+// ---------------------------------------------------------------------------
+
+describe('OracleClient retry and circuit breaker', () => {
+  const OracleClient = require('../src/oracle-client');
+  let restore;
+  let client;
+  let executed;
+  let failNext; // errors thrown by the next execute() calls, in order
+
+  const oraError = errorNum => Object.assign(new Error(`ORA-${String(errorNum).padStart(5, '0')}: fake`), { errorNum });
+  const fakePool = () => ({
+    getConnection: async () => ({
+      execute: async sql => {
+        executed.push(sql);
+        if (failNext.length > 0) throw failNext.shift();
+        return { rows: [{ X: 1 }] };
+      },
+      close: async () => {}
+    }),
+    close: async () => {}
+  });
+
+  beforeEach(() => {
+    restore = setEnv({ ORACLE_RETRY_ATTEMPTS: '2', ORACLE_RETRY_DELAY_MS: '1', ORACLE_BREAKER_THRESHOLD: '2', ORACLE_BREAKER_COOLDOWN_SECONDS: '60' });
+    executed = [];
+    failNext = [];
+    client = new OracleClient({});
+    client.connect = async () => { client.pool = fakePool(); };
+    client.pool = fakePool();
+  });
+
+  afterEach(() => restore());
+
+  test('SELECTs are retried after a lost connection; other statements and SQL errors are not', async () => {
+    failNext = [oraError(3113)];
+    assert.deepEqual(await client.query('SELECT 1 FROM DUAL'), [{ X: 1 }]);
+    assert.equal(executed.length, 2);
+
+    failNext = [oraError(3113)];
+    await assert.rejects(client.query('UPDATE t SET x = 1'), /ORA-03113/);
+    assert.equal(executed.length, 3);
+
+    failNext = [oraError(942)];
+    await assert.rejects(client.query('SELECT * FROM missing'), /ORA-00942/);
+    assert.equal(executed.length, 4);
+    assert.equal(client.getBreakerStatus().consecutiveFailures, 0);
+  });
+
+  test('circuit opens once after repeated outages, fails fast, and recovers once', async () => {
+    const events = [];
+    client.on('unavailable', e => events.push(['unavailable', e.error]));
+    client.on('recovered', e => events.push(['recovered', typeof e.downMs]));
+
+    failNext = Array(3).fill(oraError(12541));
+    await assert.rejects(client.query('SELECT 1 FROM DUAL'), err => err.errorNum === 12541);
+    assert.equal(client.getBreakerStatus().state, 'closed');
+
+    failNext = Array(3).fill(oraError(12541));
+    await assert.rejects(client.query('SELECT 1 FROM DUAL'), err => err.code === 'ORACLE_UNAVAILABLE');
+    assert.equal(client.getBreakerStatus().state, 'open');
+    assert.ok(client.getBreakerStatus().unavailableSince instanceof Date);
+
+    // Open: no database round trip until the cooldown passes
+    const before = executed.length;
+    await assert.rejects(client.query('SELECT 1 FROM DUAL'), /Oracle unavailable since/);
+    assert.equal(executed.length, before);
+
+    client.breaker.nextTrialAt = 0;
+    assert.deepEqual(await client.query('SELECT 1 FROM DUAL'), [{ X: 1 }]);
+    assert.equal(client.getBreakerStatus().state, 'closed');
+    assert.deepEqual(events, [['unavailable', 'ORA-12541: fake'], ['recovered', 'number']]);
+  });
+
+  test('queryStream yields result set batches and releases the connection', async () => {
+    const closed = [];
+    const ids = Array.from({ length: 7 }, (_, i) => ({ NAME_ID: i + 1 }));
+    client.pool = {
+      getConnection: async () => ({
+        execute: async (sql, params, options) => {
+          assert.equal(options.resultSet, true);
+          assert.equal(options.fetchArraySize, 3);
+          return { resultSet: { getRows: async n => ids.splice(0, n), close: async () => closed.push('resultSet') } };
+        },
+        close: async () => closed.push('connection')
+      })
+    };
+
+    const batches = [];
+    for await (const rows of client.queryStream('SELECT NAME_ID FROM OPERA.NAME', {}, { batchSize: 3 })) {
+      batches.push(rows.map(r => r.NAME_ID));
+    }
+    assert.deepEqual(batches, [[1, 2, 3], [4, 5, 6], [7]]);
+    assert.deepEqual(closed, ['resultSet', 'connection']);
+  });
+
+  test('initial sync streams NAME_IDs and queries guests one chunk at a time', async () => {
+    const { streamInitialSync } = require('../src/opera-db-query');
+    const mark = new Date('2026-10-01T12:00:00Z');
+    const guestQueries = [];
+    const fake = {
+      query: async (sql, binds) => {
+        if (/MAX\(CHANGED_AT\)/.test(sql)) return [{ CHANGED_AT: mark }];
+        guestQueries.push(Object.keys(binds).filter(k => k.startsWith('id')).map(k => binds[k]));
+        return [];
+      },
+      queryStream: async function* (sql, binds, { batchSize }) {
+        assert.equal(batchSize, 2);
+        yield [{ NAME_ID: 1 }, { NAME_ID: 2 }];
+        yield [{ NAME_ID: 3 }];
+      }
+    };
+
+    const { watermark, chunks } = await streamInitialSync(fake, undefined, { chunkSize: 2 });
+    assert.equal(watermark.getTime(), mark.getTime());
+    assert.deepEqual(guestQueries, []); // nothing read until iterated
+
+    const seen = [];
+    for await (const chunk of chunks) {
+      seen.push([guestQueries.length, chunk.lastNameId]);
+      assert.deepEqual(chunk.records, []);
+      assert.deepEqual(chunk.frontDesk, []);
+    }
+    assert.deepEqual(seen, [[1, 2], [2, 3]]);
+    assert.deepEqual(guestQueries, [[1, 2], [3]]);
+  });
+
+  test('an interrupted initial sync resumes after the last finished NAME_ID with its original watermark', async () => {
+    const { streamInitialSync } = require('../src/opera-db-query');
+    const queries = [];
+    let stream;
+    const fake = {
+      query: async sql => { queries.push(sql); return []; },
+      queryStream: async function* (sql, binds) {
+        stream = { sql, binds };
+        yield [{ NAME_ID: 5001 }];
+      }
+    };
+
+    const { watermark, chunks } = await streamInitialSync(fake, undefined, {
+      chunkSize: 2, resume: { watermark: '2026-10-01T12:00:00.000Z', afterNameId: 5000 }
+    });
+    assert.equal(watermark.toISOString(), '2026-10-01T12:00:00.000Z');
+    for await (const chunk of chunks) assert.equal(chunk.lastNameId, 5001);
+    assert.ok(!queries.some(sql => /MAX\(CHANGED_AT\)/.test(sql)), 'watermark not re-read');
+    assert.match(stream.sql, /WHERE NAME_ID > :afterNameId\s+ORDER BY NAME_ID/);
+    assert.equal(stream.binds.afterNameId, 5000);
+  });
+
+  test('guest query returns every qualifying stay, not just the latest', async () => {
+    const { queryGuestsByIds } = require('../src/opera-db-query');
+    const seen = [];
+    const fake = {
+      query: async (sql, binds) => {
+        seen.push({ sql, binds });
+        return [
+          { OPERA_ID: 42, EMAIL: 'ana@example.com', FIRST_NAME: 'Ana', LAST_NAME: 'Silva', RESV_NAME_ID: 900, CHECK_IN: new Date(2026, 9, 1), CHECK_OUT: new Date(2026, 9, 4) },
+          { OPERA_ID: 42, EMAIL: 'ana@example.com', FIRST_NAME: 'Ana', LAST_NAME: 'Silva', RESV_NAME_ID: 901, CHECK_IN: new Date(2026, 11, 20), CHECK_OUT: new Date(2026, 11, 27) }
+        ];
+      }
+    };
+
+    const since = new Date('2026-10-19T10:00:00Z');
+    const { records } = await queryGuestsByIds(fake, [42], { skipSmtpVerify: true, changedSince: since });
+    assert.match(seen[0].sql, /rnx\.UPDATE_DATE >= :changedSince/);
+    assert.match(seen[0].sql, /AND \(rn\.rn = 1 OR rn\.extra_stay = 1\)/);
+    assert.equal(seen[0].binds.changedSince, since);
+    assert.deepEqual(records.map(r => r.invoice.resvNameId), ['900', '901']);
+
+    await queryGuestsByIds(fake, [42], { skipSmtpVerify: true });
+    assert.match(seen[1].sql, /AND \(rn\.rn = 1\)/);
+    assert.doesNotMatch(seen[1].sql, /extra_stay/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Cancellations / no-shows
+// ---------------------------------------------------------------------------
+
+describe('cancellations', () => {
+  const { queryCancellationsSince } = require('../src/opera-db-query');
+  const SalesforceClient = require('../src/salesforce-client');
+
+  test('cancelled and no-show reservations are read with a usable email only', async () => {
+    let seen;
+    const fake = {
+      query: async (sql, binds) => {
+        seen = { sql, binds };
+        return [
+          { RESV_NAME_ID: 900, NAME_ID: 42, FIRST: ' Ana ', LAST: 'Silva', EMAIL: 'Ana@Example.com ', CHECK_IN: '2026-11-02', CHECK_OUT: '2026-11-05', RESV_STATUS: 'CANCELLED' },
+          { RESV_NAME_ID: 901, NAME_ID: 43, FIRST: 'Bo', LAST: 'Li', EMAIL: 'not-an-email', CHECK_IN: '2026-11-02', CHECK_OUT: '2026-11-03', RESV_STATUS: 'NO SHOW' },
+          { RESV_NAME_ID: 902, PARENT_RESV_NAME_ID: 900, NAME_ID: 44, FIRST: 'Cy', LAST: 'Silva', EMAIL: null, CHECK_IN: '2026-11-02', CHECK_OUT: '2026-11-05', RESV_STATUS: 'CANCELLED' }
+        ];
+      }
+    };
+
+    const result = await queryCancellationsSince(fake, '2026-10-19T10:00:00Z');
+    assert.match(seen.sql, /RESV_STATUS IN \('CANCELLED', 'NO SHOW'\)/);
+    assert.match(seen.sql, /LEFT JOIN OPERA\.NAME_PHONE p/);
+    assert.equal(seen.binds.since.toISOString(), '2026-10-19T10:00:00.000Z');
+    assert.deepEqual(result.map(c => [c.resvNameId, c.email.toLowerCase()]), [['900', 'ana@example.com'], ['902', '']]);
+    assert.equal(result[0].firstName, 'Ana');
+    assert.equal(result[0].resvNameId, '900');
+    assert.equal(result[0].status, 'CANCELLED');
+    assert.equal(result[0].email.toLowerCase(), 'ana@example.com');
+  });
+
+  test('guest records are flagged with the Opera status; held while API usage is critical', async () => {
+    const updates = [];
+    const queries = [];
+    const client = new SalesforceClient({});
+    client.connection = {
+      query: async soql => {
+        queries.push(soql);
+        return {
+          done: true,
+          records: [
+            { Id: 'a01A', Email__c: 'ana@example.com', Check_In_Date__c: '2026-11-02', Reservation_Status__c: 'RESERVED' },
+            { Id: 'a01B', Email__c: 'bo@example.com', Check_In_Date__c: '2026-11-02', Reservation_Status__c: 'NO SHOW' }
+          ]
+        };
+      },
+      sobject: () => ({
+        update: async records => { updates.push(...records); return records.map(r => ({ success: true, id: r.Id })); }
+      })
+    };
+    const cancellation = (email, status) => ({ email, checkIn: '2026-11-02', checkOut: '2026-11-05', status, firstName: 'X', lastName: 'Y' });
+
+    client.apiLimits.update(97000, 100000);
+    const held = await client.syncCancellations([cancellation('ana@example.com', 'CANCELLED')]);
+    assert.equal(held.deferred, true);
+    assert.equal(client.pendingCancellations.size, 1);
+    assert.deepEqual(queries, []);
+
+    client.apiLimits.update(1000, 100000);
+    const results = await client.syncCancellations([cancellation('bo@example.com', 'NO SHOW'), cancellation('cy@example.com', 'CANCELLED')]);
+    assert.match(queries[0], /FROM TVRS_Guest__c WHERE \(Email__c IN \('ana@example.com','bo@example.com','cy@example.com'\) AND Check_In_Date__c IN \(2026-11-02\)\)$/);
+    assert.deepEqual(updates, [{ Id: 'a01A', Reservation_Status__c: 'CANCELLED' }]); // Bo's record already says NO SHOW
+    assert.deepEqual(results.updated.map(c => c.email), ['ana@example.com']);
+    assert.equal(results.notFound, 1);
+    assert.equal(client.pendingCancellations.size, 0);
+  });
+
+  test('held cancellations survive a restart and companions are matched by reservation ID', async () => {
+    const tmpDir = makeTmpDir();
+    const pendingFile = path.join(tmpDir, 'sf-pending.json');
+    try {
+      const held = new SalesforceClient({ pendingFile });
+      held.apiLimits.update(97000, 100000);
+      await held.syncCancellations([
+        { resvNameId: '902', email: '', checkIn: '2026-11-02', checkOut: '2026-11-05', status: 'CANCELLED', firstName: 'Cy', lastName: 'Silva' },
+        { resvNameId: '903', email: '', checkIn: '2026-11-02', checkOut: '2026-11-05', status: 'CANCELLED', firstName: 'Di', lastName: 'Silva' }
+      ]);
+      assert.ok(fs.existsSync(pendingFile));
+
+      // New process: the watermark has moved on, Opera won't report them again
+      const queries = [];
+      const updates = [];
+      const client = new SalesforceClient({ pendingFile });
+      client.connection = {
+        query: async soql => {
+          queries.push(soql);
+          return { done: true, records: [{ Id: 'a0C', Email__c: null, Check_In_Date__c: '2026-11-02', OPERA_Resv_Name_ID__c: '902', Reservation_Status__c: 'RESERVED' }] };
+        },
+        sobject: () => ({
+          update: async records => { updates.push(...records); return records.map(r => ({ success: true, id: r.Id })); }
+        })
+      };
+      assert.deepEqual([...client.pendingCancellations.keys()], ['resv:902', 'resv:903']);
+
+      const results = await client.syncCancellations([]);
+      assert.match(queries[0], /WHERE OPERA_Resv_Name_ID__c IN \('902','903'\)$/);
+      assert.deepEqual(updates, [{ Id: 'a0C', Reservation_Status__c: 'CANCELLED' }]);
+      assert.equal(results.notFound, 1);
+      assert.ok(!fs.existsSync(pendingFile), 'file removed once nothing is pending');
+    } finally {
+      rmDir(tmpDir);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Companions (sharer reservations)
+// ---------------------------------------------------------------------------
+
+describe('companions', () => {
+  const { queryGuestsByIds } = require('../src/opera-db-query');
+  const SalesforceClient = require('../src/salesforce-client');
+
+  test('companions without an email of their own are returned without one', async () => {
+    let sql = '';
+    const row = (id, first, email, resvNameId, parent) => ({
+      OPERA_ID: id, EMAIL: email, FIRST_NAME: first, LAST_NAME: 'Silva', RESV_NAME_ID: resvNameId,
+      PARENT_RESV_NAME_ID: parent, PARENT_EMAIL: parent ? 'ana@example.com' : null,
+      CHECK_IN: new Date(2026, 9, 1), CHECK_OUT: new Date(2026, 9, 4)
+    });
+    const fake = {
+      query: async text => {
+        sql = text;
+        return [
+          row(1, 'Ana', 'ana@example.com', 900, null),
+          row(2, 'Bruno', null, 901, 900),
+          row(3, 'Carla', 'ANA@example.com', 902, 900),
+          row(4, 'Dora', 'dora@example.com', 903, 900),
+          row(5, 'Eva', null, 904, null)
+        ];
+      }
+    };
+
+    const { records, frontDesk } = await queryGuestsByIds(fake, [1, 2, 3, 4, 5], { skipSmtpVerify: true });
+    assert.match(sql, /LEFT JOIN OPERA\.NAME_PHONE p/);
+    assert.match(sql, /p\.NAME_ID IS NOT NULL OR rn\.PARENT_RESV_NAME_ID IS NOT NULL/);
+    assert.deepEqual(records.map(r => [r.customer.firstName, r.customer.email, r.invoice.parentResvNameId]), [
+      ['Ana', 'ana@example.com', ''],
+      ['Bruno', '', '900'],
+      ['Carla', '', '900'],
+      ['Dora', 'dora@example.com', '900']
+    ]);
+    assert.deepEqual(frontDesk, []);
+  });
+
+  test('companion stays are written without a Contact and linked to the primary stay', async () => {
+    const writes = [];
+    const client = new SalesforceClient({});
+    client.connection = {
+      query: async soql => ({
+        done: true,
+        records: /FROM Contact/.test(soql) ? [{ Id: '003A', Email: 'ana@example.com', FirstName: 'Ana', LastName: 'Silva' }]
+          : /OPERA_Resv_Name_ID__c IN \(.*'800'/.test(soql) ? [{ Id: 'a0P', OPERA_Resv_Name_ID__c: '800' }]
+          : []
+      }),
+      sobject: () => ({
+        create: async records => records.map((r, i) => ({ success: true, id: `a0C${i}` })),
+        upsert: async records => {
+          writes.push({ op: 'upsert', records });
+          return records.map(r => ({ success: true, id: `a0${r.OPERA_Resv_Name_ID__c}`, created: true }));
+        },
+        update: async records => {
+          writes.push({ op: 'update', records });
+          return records.map(r => ({ success: true, id: r.Id }));
+        }
+      })
+    };
+    const stay = (first, email, resvNameId, parentResvNameId = '') => ({
+      customer: { operaId: first, email, firstName: first, lastName: 'Silva' },
+      invoice: { resvNameId, parentResvNameId, checkIn: '2026-10-16', checkOut: '2026-10-20' }
+    });
+
+    const results = await client.syncGuestCheckIns([
+      stay('Ana', 'ana@example.com', '900'),
+      stay('Bruno', '', '901', '900'), // primary created in this run
+      stay('Carla', '', '911', '800') // primary synced earlier
+    ]);
+
+    const upserted = writes.find(w => w.op === 'upsert').records;
+    const bruno = upserted.find(r => r.Guest_First_Name__c === 'Bruno');
+    const carla = upserted.find(r => r.Guest_First_Name__c === 'Carla');
+    assert.equal(upserted.find(r => r.Guest_First_Name__c === 'Ana').Contact__c, '003A');
+    assert.equal(bruno.Contact__c, undefined);
+    assert.equal(bruno.Travelling_With__c, undefined);
+    assert.equal(carla.Travelling_With__c, 'a0P');
+    assert.deepEqual(writes.find(w => w.op === 'update' && w.records[0].Travelling_With__c).records,
+      [{ Id: 'a0901', Travelling_With__c: 'a0900' }]);
+    assert.deepEqual(results.guests, { created: 3, updated: 0, failed: 0 });
+    assert.equal(results.contacts.created, 0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Reservation ID backfill
+// ---------------------------------------------------------------------------
+
+describe('reservation ID backfill', () => {
+  const { parseBackfillArgs, matchReservations, backfillResvIds } = require('../src/resv-id-backfill');
+
+  const guest = (Id, checkIn, checkOut, email = 'ana@example.com') => ({ Id, Email__c: email, Check_In_Date__c: checkIn, Check_Out_Date__c: checkOut });
+  const resv = (resvNameId, checkIn, checkOut, email = 'Ana@Example.com') => ({ resvNameId, email, checkIn, checkOut });
+
+  test('parseBackfillArgs validates dates', () => {
+    assert.deepEqual(parseBackfillArgs(['--from', '2025-01-01', '--dry-run', '--property', 'vines']),
+      { dryRun: true, from: '2025-01-01', property: 'VINES' });
+    assert.throws(() => parseBackfillArgs(['--to', '01/02/2025']), /--to must be YYYY-MM-DD/);
+    assert.throws(() => parseBackfillArgs(['--from', '2025-02-01', '--to', '2025-01-01']), /before --from/);
+  });
+
+  test('matches by email and dates, and reports ambiguous, missing and duplicate records', () => {
+    const rows = matchReservations(
+      [
+        guest('a01', '2026-03-01', '2026-03-04'),
+        guest('a02', '2026-03-01', '2026-03-06'), // extended stay: check-in only
+        guest('a03', '2026-05-10', '2026-05-12'),
+        guest('a04', '2026-06-01', '2026-06-03'),
+        guest('a05', '2026-07-01', '2026-07-05')
+      ],
+      [
+        resv('900', '2026-03-01', '2026-03-04'),
+        resv('901', '2026-05-10', '2026-05-12'),
+        resv('902', '2026-05-10', '2026-05-12'),
+        resv('903', '2026-07-01', '2026-07-05')
+      ],
+      new Set(['903'])
+    );
+    assert.deepEqual(rows.map(r => [r.recordId, r.status, r.resvNameId]), [
+      ['a01', 'linked', '900'],
+      ['a02', 'duplicate', '900'],
+      ['a03', 'ambiguous', ''],
+      ['a04', 'not-found', ''],
+      ['a05', 'duplicate', '903']
+    ]);
+  });
+
+  test('backfillResvIds writes the reservation ID onto matched records', async () => {
+    const queries = [];
+    const updates = [];
+    const sfClient = {
+      queryAll: async (label, soql) => {
+        queries.push(soql);
+        return /= null/.test(soql) ? [guest('a01', '2026-03-01', '2026-03-04'), guest('a02', '2026-04-01', '2026-04-02')] : [];
+      },
+      ensureConnected: async () => {},
+      writeRecords: async (object, operation, records) => {
+        updates.push({ object, operation, records });
+        return records.map(r => ({ success: true, id: r.Id }));
+      }
+    };
+    const oracleClient = {
+      query: async (sql, binds) => {
+        assert.deepEqual([binds.fromDate, binds.toDate], ['2026-03-01', '2026-04-01']);
+        return [{ RESV_NAME_ID: 900, EMAIL: 'ana@example.com', CHECK_IN: '2026-03-01', CHECK_OUT: '2026-03-04' }];
+      }
+    };
+    const property = { code: 'VINES', resort: 'VINES', sfPropertyValue: 'VINES' };
+
+    const dry = await backfillResvIds(oracleClient, sfClient, { property, dryRun: true });
+    assert.deepEqual(dry.map(r => r.status), ['would-link', 'not-found']);
+    assert.equal(updates.length, 0);
+
+    const rows = await backfillResvIds(oracleClient, sfClient, { property, from: '2026-01-01' });
+    assert.deepEqual(rows.map(r => r.status), ['linked', 'not-found']);
+    assert.deepEqual(updates[0].records, [{ Id: 'a01', OPERA_Resv_Name_ID__c: '900' }]);
+    assert.match(queries.find(q => /= null/.test(q) && /2026-01-01/.test(q)), /Check_In_Date__c >= 2026-01-01/);
+    assert.ok(queries.some(q => /OPERA_Resv_Name_ID__c IN \('900'\)/.test(q)));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Phone normalisation
+// ---------------------------------------------------------------------------
+describe('phone normalisation', () => {
+  const SalesforceClient = require('../src/salesforce-client');
+
+  test('unparseable phones are written as null and reported as warnings with the raw number', async () => {
+    const writes = [];
+    const client = new SalesforceClient({});
+    client.connection = {
+      query: async () => ({ done: true, records: [] }),
+      sobject: object => ({
+        create: async records => {
+          writes.push({ object, records });
+          return records.map((r, i) => ({ success: true, id: `${object}${i}` }));
+        },
+        upsert: async records => {
+          writes.push({ object, records });
+          return records.map((r, i) => ({ success: true, id: `a0${i}`, created: true }));
+        },
+        update: async records => records.map(r => ({ success: true, id: r.Id }))
+      })
+    };
+    const stay = (first, phone, resvNameId) => ({
+      customer: { operaId: first, email: `${first.toLowerCase()}@example.com`, firstName: first, lastName: 'Silva', phone, billingCountry: 'AR' },
+      invoice: { resvNameId, checkIn: '2026-10-16', checkOut: '2026-10-20' }
+    });
+
+    const results = await client.syncGuestCheckIns([stay('Ana', '011 15 5555-1234', '900'), stay('Bruno', '5555', '901')]);
+
+    const contacts = writes.find(w => w.object === 'Contact').records;
+    const guests = writes.find(w => w.object === 'TVRS_Guest__c').records;
+    // The unparseable number is kept as Opera has it, not blanked
+    assert.deepEqual(contacts.map(r => r.Phone), ['+5491155551234', '5555']);
+    assert.deepEqual(guests.map(r => r.Telephone__c), ['+5491155551234', '5555']);
+    assert.deepEqual(results.warnings.map(r => [r.email, r.phone, r.reason, r.details]),
+      [['bruno@example.com', '5555', 'invalid-phone', 'too-short']]);
+    assert.deepEqual(results.needsReview, []);
+    assert.deepEqual(results.guests, { created: 2, updated: 0, failed: 0 });
+  });
+
+  test('file mode records a row with an unparseable phone as synced', async () => {
+    const { rowOutcomes } = require('../opera-file-sync');
+    const client = new SalesforceClient({});
+    client.connection = {
+      query: async () => ({ done: true, records: [] }),
+      sobject: () => ({
+        create: async records => records.map((r, i) => ({ success: true, id: `a0${i}` })),
+        update: async records => records.map(r => ({ success: true, id: r.Id }))
+      })
+    };
+    const records = [{
+      customer: { operaId: '1', email: 'ana@example.com', firstName: 'Ana', lastName: 'Silva', phone: 'call desk', billingCountry: 'Argentina' },
+      invoice: { checkIn: '2026-10-16', checkOut: '2026-10-20' }
+    }];
+
+    const results = await client.syncGuestCheckIns(records);
+    const [row] = rowOutcomes(records, results);
+
+    assert.equal(row.status, 'synced');
+    assert.equal(results.warnings[0].reason, 'invalid-phone');
+  });
+
+  test('row outcomes keep companions sharing an email and same-day stays apart', () => {
+    const { rowOutcomes } = require('../opera-file-sync');
+    const row = (operaId, email, checkIn, reservationId) => ({
+      customer: { operaId, email },
+      invoice: { checkIn, checkOut: '2026-10-20', ...(reservationId ? { reservationId } : {}) }
+    });
+    const records = [
+      row('1', 'family@example.com', '2026-10-16'),
+      row('2', 'Family@example.com', '2026-10-16'),
+      row('3', 'ana@example.com', '2026-10-16', 'BK-1'),
+      row('3', 'ana@example.com', '2026-10-16', 'BK-2')
+    ];
+    const results = { needsReview: [
+      { operaId: '2', email: 'family@example.com', checkInDate: '2026-10-16', reason: 'guest-sync-failed' },
+      { operaId: '3', email: 'ana@example.com', checkInDate: '2026-10-16', reservationId: 'BK-2', reason: 'guest-sync-failed' }
+    ] };
+
+    assert.deepEqual(rowOutcomes(records, results).map(r => r.status), ['synced', 'failed', 'synced', 'failed']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Email typo suggestions
+// ---------------------------------------------------------------------------
+describe('email typo suggestions', () => {
+  const { queryGuestsByIds, queryFrontDeskReport } = require('../src/opera-db-query');
+
+  test('front desk report lists invalid and likely mistyped emails with a suggestion', async () => {
+    const row = (id, first, email) => ({
+      NAME_ID: id, FIRST: first, LAST: 'Silva', EMAIL: email, COUNTRY: 'AR', LANGUAGE: 'S',
+      CHECK_IN: '2026-10-18', CHECK_OUT: '2026-10-21', ROOM: `V${id}`, ADULTS: 2, CHILDREN: 0, RESV_NAME_ID: 900 + id
+    });
+    const fake = {
+      query: async () => [row(1, 'Ana', 'ana@gmail.co'), row(2, 'Bruno', 'bruno@gmial.com'), row(3, 'Carla', 'carla@example.com')]
+    };
+
+    const { badEmails } = await queryFrontDeskReport(fake, '2026-10-19');
+
+    assert.deepEqual(badEmails.map(g => [g.firstName, g.reason, g.suggestion && g.suggestion.email]), [
+      ['Ana', 'suspicious provider TLD (gmail.co)', 'ana@gmail.com'],
+      ['Bruno', 'likely-typo', 'bruno@gmail.com']
+    ]);
+  });
+
+  test('EMAIL_AUTOCORRECT syncs the corrected email', async () => {
+    const restore = setEnv({ EMAIL_AUTOCORRECT: 'true', EMAIL_AUTOCORRECT_MIN_CONFIDENCE: undefined });
+    try {
+      const fake = {
+        query: async () => [{
+          OPERA_ID: 1, EMAIL: 'ana@gmail.co', FIRST_NAME: 'Ana', LAST_NAME: 'Silva', RESV_NAME_ID: 900,
+          CHECK_IN: new Date(2026, 9, 1), CHECK_OUT: new Date(2026, 9, 4)
+        }]
+      };
+      const { records, frontDesk } = await queryGuestsByIds(fake, [1], { skipSmtpVerify: true });
+      assert.equal(records[0].customer.email, 'ana@gmail.com');
+      assert.deepEqual(frontDesk, []);
+    } finally {
+      restore();
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Replay helper tests
+// ---------------------------------------------------------------------------
+
+describe('replay helpers', () => {
+  const { parseReplayArgs, readNameIdsFile, replayOutcomes, formatResultTable } = require('../src/replay');
+
+  test('parseReplayArgs: date range, defaulting --to to --from', () => {
+    assert.deepEqual(parseReplayArgs(['--from', '2026-02-01', '--to', '2026-02-14']),
+      { dryRun: false, from: '2026-02-01', to: '2026-02-14' });
+    assert.equal(parseReplayArgs(['--from', '2026-02-01']).to, '2026-02-01');
+  });
+
+  test('parseReplayArgs: name ids are validated and de-duplicated', () => {
+    assert.deepEqual(parseReplayArgs(['--name-ids', '4143484, 3010713,4143484', '--dry-run']),
+      { dryRun: true, nameIds: [4143484, 3010713] });
+    assert.throws(() => parseReplayArgs(['--name-ids', '12,abc']), /Invalid NAME_ID: "abc"/);
+  });
+
+  test('parseReplayArgs: rejects zero or multiple selectors and bad dates', () => {
+    assert.throws(() => parseReplayArgs([]), /exactly one/);
+    assert.throws(() => parseReplayArgs(['--name-ids', '1', '--file', 'x.json']), /exactly one/);
+    assert.throws(() => parseReplayArgs(['--from', '01-02-2026']), /YYYY-MM-DD/);
+    assert.throws(() => parseReplayArgs(['--from', '2026-02-14', '--to', '2026-02-01']), /before/);
+  });
+
+  test('parseReplayArgs: optional --property is upper-cased', () => {
+    assert.equal(parseReplayArgs(['--name-ids', '1', '--property', 'malbec']).property, 'MALBEC');
+  });
+
+  test('readNameIdsFile accepts audit output, object arrays and plain arrays', () => {
+    const tmpDir = makeTmpDir();
+    try {
+      const audit = path.join(tmpDir, 'missing-checkins.json');
+      fs.writeFileSync(audit, JSON.stringify({ missing: [{ nameId: 4143484 }, { nameId: 3010713 }] }));
+      assert.deepEqual(readNameIdsFile(audit), [4143484, 3010713]);
+
+      const plain = path.join(tmpDir, 'ids.json');
+      fs.writeFileSync(plain, JSON.stringify(['5', 6, { NAME_ID: 7 }]));
+      assert.deepEqual(readNameIdsFile(plain), [5, 6, 7]);
+
+      fs.writeFileSync(plain, JSON.stringify({ ids: [1] }));
+      assert.throws(() => readNameIdsFile(plain), /expected an array/);
+    } finally {
+      rmDir(tmpDir);
+    }
+  });
+
+  test('replayOutcomes reports one row per requested NAME_ID', () => {
+    const entry = (id) => ({
+      customer: { operaId: id, firstName: 'G', lastName: id, email: `${id}@example.com` },
+      invoice: { checkIn: '2026-02-05', checkOut: '2026-02-07' }
+    });
+    const records = [entry('1'), entry('2'), entry('3')];
+    const frontDesk = [{ operaId: '4', firstName: 'Desk', lastName: 'Guest', email: '', reason: 'no-email', checkIn: '2026-02-05' }];
+    const results = {
+      failedEntries: [{ entry: records[1], reason: 'guest-sync-failed', error: 'REQUIRED_FIELD_MISSING' }],
+      needsReview: [
+        { operaId: '2', reason: 'guest-sync-failed' },
+        { operaId: '3', reason: 'multiple-sf-contacts' }
+      ],
+      warnings: [{ operaId: '1', reason: 'invalid-phone', details: 'too-short' }]
+    };
+
+    const rows = replayOutcomes([1, 2, 3, 4, 5], records, frontDesk, results);
+    assert.deepEqual(rows.map(r => r.status), ['synced', 'failed', 'review', 'skipped', 'not-found']);
+    assert.equal(rows[0].detail, 'invalid-phone: too-short');
+    assert.equal(rows[1].detail, 'REQUIRED_FIELD_MISSING');
+    assert.equal(rows[2].detail, 'multiple-sf-contacts');
+
+    assert.deepEqual(replayOutcomes([1], records, [], null).map(r => r.status), ['would-sync']);
+  });
+
+  test('formatResultTable aligns columns under a header', () => {
+    const table = formatResultTable([
+      { nameId: '1', name: 'Ann Lee', email: 'ann@example.com', checkIn: '2026-02-05', status: 'synced', detail: '' }
+    ]).split('\n');
+    assert.match(table[0], /^NAME_ID\s+Name\s+Email\s+Check-in\s+Status\s+Detail$/);
+    assert.match(table[1], /^-+/);
+    assert.equal(table[2].indexOf('Ann Lee'), table[0].indexOf('Name'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Metrics registry tests
+// ---------------------------------------------------------------------------
+
+describe('metrics registry', () => {
+  const { Registry } = require('../src/metrics');
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+  });
+
+  test('counters render one series per label set', () => {
+    const c = registry.counter('t_records_total', 'Records');
+    c.inc({ object: 'guest', outcome: 'created' }, 3);
+    c.inc({ outcome: 'created', object: 'guest' });
+    c.inc({ object: 'contact', outcome: 'failed' });
+    assert.equal(registry.render(), [
+      '# HELP t_records_total Records',
+      '# TYPE t_records_total counter',
+      't_records_total{object="guest",outcome="created"} 4',
+      't_records_total{object="contact",outcome="failed"} 1',
+      ''
+    ].join('\n'));
+    assert.throws(() => c.inc({}, -1), /cannot decrease/);
+  });
+
+  test('histograms render cumulative buckets, sum and count', () => {
+    const h = registry.histogram('t_duration_seconds', 'Duration', [1, 5]);
+    h.observe({ phase: 'guests' }, 0.5);
+    h.observe({ phase: 'guests' }, 3);
+    h.observe({ phase: 'guests' }, 10);
+    const lines = registry.render().split('\n');
+    assert.deepEqual(lines.slice(2, 7), [
+      't_duration_seconds_bucket{le="1",phase="guests"} 1',
+      't_duration_seconds_bucket{le="5",phase="guests"} 2',
+      't_duration_seconds_bucket{le="+Inf",phase="guests"} 3',
+      't_duration_seconds_sum{phase="guests"} 13.5',
+      't_duration_seconds_count{phase="guests"} 3'
+    ]);
+  });
+
+  test('startTimer observes elapsed seconds with merged labels', () => {
+    const h = registry.histogram('t_query_seconds', 'Query');
+    const end = h.startTimer();
+    const seconds = end({ result: 'ok' });
+    assert.ok(seconds >= 0);
+    assert.match(registry.render(), /t_query_seconds_count\{result="ok"\} 1/);
+  });
+
+  test('collectors refresh gauges at render time and label values are escaped', () => {
+    const g = registry.gauge('t_lag_seconds', 'Lag');
+    let lag = 5;
+    registry.onCollect(() => g.set({ name: 'a"b' }, lag));
+    assert.match(registry.render(), /t_lag_seconds\{name="a\\"b"\} 5/);
+    lag = 7;
+    assert.match(registry.render(), /\} 7\n$/);
+  });
+
+  test('metrics with no series are omitted and duplicate names rejected', () => {
+    registry.counter('t_unused_total', 'Unused');
+    assert.equal(registry.render(), '\n');
+    assert.throws(() => registry.counter('t_unused_total', 'Again'), /already registered/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Status server tests (ephemeral localhost port)
+// ---------------------------------------------------------------------------
+
+describe('status server', () => {
+  const { startStatusServer, withTimeout } = require('../src/status-server');
+  let server;
+  let base;
+
+  beforeEach(async () => {
+    server = await startStatusServer({
+      '/health': async () => ({ ok: false, oracle: { ok: false } }),
+      '/state': async () => ({ lastSyncStatus: 'success' }),
+      '/boom': async () => { throw new Error('kaput'); },
+      '/metrics': async () => 'up 1\n',
+      '/andon': {
+        GET: async () => ({ pulled: false }),
+        POST: async (url) => {
+          if (url.searchParams.get('action') !== 'pull') {
+            const err = new Error('bad action');
+            err.statusCode = 400;
+            throw err;
+          }
+          return { pulled: true };
+        }
+      }
+    }, { port: 0, token: 's3cret' });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  test('serves route bodies as JSON', async () => {
+    const res = await fetch(`${base}/state`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+    assert.deepEqual(await res.json(), { lastSyncStatus: 'success' });
+  });
+
+  test('string bodies are served as Prometheus text', async () => {
+    const res = await fetch(`${base}/metrics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    assert.equal(await res.text(), 'up 1\n');
+  });
+
+  test('ok: false is served as 503', async () => {
+    const res = await fetch(`${base}/health`);
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).oracle.ok, false);
+  });
+
+  test('unknown path 404, non-GET 405, handler error 500', async () => {
+    assert.equal((await fetch(`${base}/nope`)).status, 404);
+    assert.equal((await fetch(`${base}/state`, { method: 'POST' })).status, 405);
+    const res = await fetch(`${base}/boom`);
+    assert.equal(res.status, 500);
+    assert.equal((await res.json()).error, 'kaput');
+  });
+
+  test('method-specific routes receive the parsed URL', async () => {
+    const headers = { 'X-Status-Token': 's3cret' };
+    assert.deepEqual(await (await fetch(`${base}/andon`)).json(), { pulled: false });
+    const pulled = await fetch(`${base}/andon?action=pull`, { method: 'POST', headers });
+    assert.equal(pulled.status, 200);
+    assert.deepEqual(await pulled.json(), { pulled: true });
+    assert.equal((await fetch(`${base}/andon?action=nope`, { method: 'POST', headers })).status, 400);
+    assert.equal((await fetch(`${base}/andon`, { method: 'DELETE', headers })).status, 405);
+  });
+
+  test('state-changing requests need the status token', async () => {
+    assert.equal((await fetch(`${base}/andon?action=pull`, { method: 'POST' })).status, 401);
+    const wrong = await fetch(`${base}/andon?action=pull`, { method: 'POST', headers: { 'X-Status-Token': 'guess' } });
+    assert.equal(wrong.status, 401);
+    // A form post from a browser page can't add the header
+    const form = await fetch(`${base}/andon?action=pull`, {
+      method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'action=pull'
+    });
+    assert.equal(form.status, 401);
+
+    const restore = setEnv({ STATUS_TOKEN: undefined });
+    const open = await startStatusServer({ '/andon': { POST: async () => ({ pulled: true }) } }, { port: 0 });
+    try {
+      const res = await fetch(`http://127.0.0.1:${open.address().port}/andon?action=pull`, { method: 'POST' });
+      assert.equal(res.status, 403);
+      assert.match((await res.json()).error, /Set STATUS_TOKEN/);
+    } finally {
+      open.close();
+      restore();
+    }
+  });
+
+  test('disabled when no port is configured', async () => {
+    const restore = setEnv({ STATUS_PORT: undefined });
+    try {
+      assert.equal(await startStatusServer({}), null);
+    } finally {
+      restore();
+    }
+  });
+
+  test('withTimeout rejects slow probes', async () => {
+    await assert.rejects(withTimeout(new Promise(() => {}), 10, 'probe'), /probe timed out after 10ms/);
+    assert.equal(await withTimeout(Promise.resolve(1), 10, 'probe'), 1);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -401,4 +2248,27 @@ describe('Notifier', () => {
     n.resetErrorCount();
     assert.equal(n.consecutiveErrors, 0);
   });
+
+  test('front desk report shows suggested email corrections', async () => {
+    const n = loadNotifier({ FRONT_DESK_EMAIL_TO: 'frontdesk@example.com' });
+    let sent;
+    n._sendEmailToRecipients = async (to, subject, text, html, attachments) => { sent = { text, html, attachments }; };
+    const guest = { firstName: 'Ana', lastName: 'Silva', checkIn: '2026-10-19', checkOut: '2026-10-22', country: 'Argentina', language: 'Spanish' };
+
+    await n.sendDailyFrontDeskReport({
+      date: '2026-10-19',
+      badEmails: [
+        { ...guest, email: 'ana@gmail.co', reason: 'suspicious provider TLD (gmail.co)', suggestion: { email: 'ana@gmail.com', confidence: 0.95, reason: 'gmail.co → gmail.com' } },
+        { ...guest, firstName: 'Bruno', email: '', reason: 'no-email' }
+      ],
+      inHouse: [], departures: [], arrivalsToday: [], arrivalsTomorrow: []
+    });
+
+    assert.match(sent.text, /ana@gmail\.co → suggested ana@gmail\.com \(95%\)/);
+    assert.match(sent.html, /ana@gmail\.com<br><span[^>]*>95% — gmail\.co → gmail\.com/);
+    const csv = sent.attachments[0].content.split('\n');
+    assert.equal(csv[0].split(',')[3], 'Suggested Email');
+    assert.equal(csv[1].split(',')[3], 'ana@gmail.com');
+    assert.equal(csv[2].split(',')[3], '');
+  });
 });